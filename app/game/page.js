@@ -1,33 +1,26 @@
 'use client';
 
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useSyncExternalStore } from 'react';
 import { useSearchParams, useRouter } from 'next/navigation';
 import dynamic from 'next/dynamic';
 import ToolWheel from '@/components/ToolWheel';
 import ObjectPalette from '@/components/ObjectPalette';
 import ChaosPanel from '@/components/ChaosPanel';
+import ClipButton from '@/components/ClipButton';
+import ScenePanel from '@/components/ScenePanel';
+import EditorPanel from '@/components/EditorPanel';
+import InspectorPanel from '@/components/InspectorPanel';
+import SelectionPanel from '@/components/SelectionPanel';
+import JointPanel from '@/components/JointPanel';
+import DrawPanel from '@/components/DrawPanel';
+import WaterPanel from '@/components/WaterPanel';
 import ScreenEffects from '@/components/ScreenEffects';
-import { createRoom, joinRoom, leaveRoom, getConnectionCount, isConnected } from '@/lib/multiplayer/peer';
-import { syncSpawn, syncTool, syncGravity, syncCursor, handleSyncEvent, setPlayerId } from '@/lib/multiplayer/sync';
-import { toolSpawn, executeTool } from '@/lib/physics/tools';
-import { setGravity, clearWorld } from '@/lib/physics/engine';
-import {
-    registerEffectCallbacks,
-    toggleChaos,
-    megaExplosion,
-    spawnExplosiveRain,
-    balloonParty,
-    startExplosionChain,
-} from '@/lib/physics/chaos';
-import {
-    createBlackHole,
-    ragdollRain,
-    magnetMadness,
-    toggleSlowMotion,
-    toggleFreeze,
-    updateSpecialObjects,
-    clearSpecialObjects,
-} from '@/lib/physics/special';
+import { createPeerSession } from '@/lib/multiplayer/peer';
+import { createSyncChannel } from '@/lib/multiplayer/sync';
+import { saveLastSandbox, loadLastSandbox } from '@/lib/storage/scenes';
+import { getSceneLink, getSceneLinkParam, decodeSceneLink } from '@/lib/storage/share';
+import { getSavedShapes, getNoShapes, saveShape, deleteShape, subscribeToShapes } from '@/lib/storage/shapes';
+import { SCENES, JOINTS, MATERIALS, WATER_SHAPES } from '@/lib/constants';
 import {
     initAudio,
     toggleSounds,
@@ -36,10 +29,19 @@ import {
     playBlackHoleSound,
     playBoingSound,
     playTimeSlowSound,
+    playPopSound,
+    playSplashSound,
 } from '@/lib/audio/sounds';
-import { CANVAS } from '@/lib/constants';
 import styles from './page.module.css';
 
+// Sounds the game world asks for by name
+const WORLD_SOUNDS = {
+    pop: playPopSound,
+    explosion: playExplosionSound,
+    boing: playBoingSound,
+    splash: playSplashSound,
+};
+
 const GameCanvas = dynamic(() => import('@/components/GameCanvas'), {
     ssr: false,
     loading: () => (
@@ -56,6 +58,15 @@ export default function GamePage() {
 
     const [selectedTool, setSelectedTool] = useState('spawn');
     const [selectedObject, setSelectedObject] = useState('box');
+    const [jointOptions, setJointOptions] = useState({
+        jointType: JOINTS.ROPE.type,
+        stiffness: JOINTS.SPRING.stiffness,
+        damping: JOINTS.SPRING.damping,
+    });
+    const [drawMaterial, setDrawMaterial] = useState(MATERIALS.WOOD.type);
+    const [waterShape, setWaterShape] = useState(WATER_SHAPES.BOX.id);
+    const savedShapes = useSyncExternalStore(subscribeToShapes, getSavedShapes, getNoShapes);
+    const selectedShape = savedShapes.find((shape) => shape.id === selectedObject) || null;
     const [roomId, setRoomId] = useState(null);
     const [connectionCount, setConnectionCount] = useState(0);
     const [isMultiplayer, setIsMultiplayer] = useState(false);
@@ -63,10 +74,19 @@ export default function GamePage() {
     const [statusMessage, setStatusMessage] = useState('');
     const [chaosEnabled, setChaosEnabled] = useState(false);
     const [soundEnabled, setSoundEnabled] = useState(true);
+    const [gameWorld, setGameWorld] = useState(null);
+    const [history, setHistory] = useState({ undoDepth: 0, redoDepth: 0, nextUndo: null, nextRedo: null });
+    const [inspectedId, setInspectedId] = useState(null);
 
+    const gameWorldRef = useRef(null);
+    const sessionRef = useRef(null);
+    const syncRef = useRef(null);
     const cursorIntervalRef = useRef(null);
     const lastCursorPos = useRef({ x: 0, y: 0 });
-    const specialUpdateRef = useRef(null);
+    const startedWorldRef = useRef(null);
+
+    // Rooms are shared, so only solo play is kept as the last sandbox
+    const isSolo = searchParams.get('create') !== 'true' && !searchParams.get('room');
 
     // Initialize audio on first interaction
     useEffect(() => {
@@ -83,9 +103,16 @@ export default function GamePage() {
         };
     }, []);
 
-    // Register chaos effect callbacks and start update loops
+    const handleWorldReady = useCallback((world) => {
+        gameWorldRef.current = world;
+        setGameWorld(world);
+    }, []);
+
+    // Register effect callbacks and start chain reactions for the current world
     useEffect(() => {
-        registerEffectCallbacks(
+        if (!gameWorld) return;
+
+        gameWorld.registerEffectCallbacks(
             (intensity) => {
                 if (window.triggerScreenShake) {
                     window.triggerScreenShake(intensity);
@@ -100,93 +127,213 @@ export default function GamePage() {
                 if (window.showChaosStatus) {
                     window.showChaosStatus(message);
                 }
+            },
+            (name) => {
+                if (WORLD_SOUNDS[name]) {
+                    WORLD_SOUNDS[name]();
+                }
             }
         );
+        gameWorld.setClipEffectsSource(() => (window.getScreenEffects ? window.getScreenEffects() : null));
+
+        gameWorld.startExplosionChain();
+    }, [gameWorld]);
+
+    /**
+     * Replace the world with a saved scene. The arena still covers the view,
+     * as it would after a resize, and the load can be undone.
+     */
+    const handleLoadScene = useCallback((snapshot, name) => {
+        const world = gameWorldRef.current;
+        if (!world || world.isReplaying()) return;
+        try {
+            world.recordAction('Load scene');
+            world.restoreWorld(snapshot);
+            const arena = world.getArenaSize();
+            const view = world.getViewportSize();
+            world.setArenaSize(Math.max(arena.width, view.width), Math.max(arena.height, view.height));
+            world.showStatus(`📂 ${name.toUpperCase()}`);
+        } catch (error) {
+            console.error('Loading scene failed:', error);
+            world.showStatus('❌ CAN\'T LOAD THAT SCENE');
+        }
+    }, []);
 
-        startExplosionChain();
+    const saveSandbox = useCallback(() => {
+        const world = gameWorldRef.current;
+        if (!world || !isSolo || world.isReplaying()) return;
+        try {
+            saveLastSandbox(world.snapshotWorld());
+        } catch (error) {
+            console.error('Autosave failed:', error);
+        }
+    }, [isSolo]);
 
-        // Start special objects update loop (black holes, magnets)
-        specialUpdateRef.current = setInterval(() => {
-            updateSpecialObjects();
-        }, 16);
+    // Starting scene: a shared link (#scene=...) or "Continue last sandbox" from the home page
+    useEffect(() => {
+        if (!gameWorld || startedWorldRef.current === gameWorld) return;
+        startedWorldRef.current = gameWorld;
+
+        const sceneParam = getSceneLinkParam(window.location.hash);
+        if (sceneParam) {
+            decodeSceneLink(sceneParam)
+                .then((snapshot) => {
+                    handleLoadScene(snapshot, 'Shared scene');
+                    // Drop the hash so reloading keeps what was built since
+                    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+                })
+                .catch((error) => {
+                    console.error('Scene link failed:', error);
+                    setStatusMessage(error.message);
+                    setTimeout(() => setStatusMessage(''), 6000);
+                });
+            return;
+        }
 
-        return () => {
-            if (specialUpdateRef.current) {
-                clearInterval(specialUpdateRef.current);
+        if (searchParams.get('continue') === 'true') {
+            const snapshot = loadLastSandbox();
+            if (snapshot) {
+                handleLoadScene(snapshot, 'Welcome back!');
+            }
+        }
+    }, [gameWorld, searchParams, handleLoadScene]);
+
+    const handleShare = async () => {
+        if (!gameWorld) return;
+        try {
+            const link = await getSceneLink(gameWorld.snapshotWorld());
+            if (link.length > SCENES.MAX_LINK_LENGTH) {
+                gameWorld.showStatus('🔗 TOO BIG TO SHARE - EXPORT A FILE');
+                return;
             }
-            clearSpecialObjects();
+            await navigator.clipboard.writeText(link);
+            gameWorld.showStatus('🔗 LINK COPIED!');
+        } catch (error) {
+            console.error('Sharing failed:', error);
+            gameWorld.showStatus('❌ COULDN\'T MAKE A LINK');
+        }
+    };
+
+    // Autosave the solo sandbox every few seconds and when the page is left
+    useEffect(() => {
+        if (!gameWorld || !isSolo) return;
+        const interval = setInterval(saveSandbox, SCENES.AUTOSAVE_INTERVAL);
+        window.addEventListener('pagehide', saveSandbox);
+        return () => {
+            clearInterval(interval);
+            window.removeEventListener('pagehide', saveSandbox);
         };
-    }, []);
+    }, [gameWorld, isSolo, saveSandbox]);
+
+    // Undo/redo depth for the header
+    useEffect(() => {
+        if (!gameWorld) return;
+        return gameWorld.onHistoryChange(setHistory);
+    }, [gameWorld]);
 
     // Keyboard shortcuts
     useEffect(() => {
         const handleKeyDown = (e) => {
             if (e.target.tagName === 'INPUT') return;
+            if (!gameWorld) return;
+
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                // History is this player's own, so stepping through it would split a shared room
+                if (isMultiplayer) {
+                    gameWorld.showStatus('↩️ UNDO WORKS IN SOLO PLAY');
+                    return;
+                }
+                if (e.shiftKey) {
+                    gameWorld.redo();
+                } else {
+                    gameWorld.undo();
+                }
+                return;
+            }
+
+            // Other Ctrl shortcuts are the selection's (copy, paste, duplicate)
+            if (e.ctrlKey || e.metaKey) return;
+
+            // The level editor has its own keys, and the world is paused anyway
+            if (gameWorld.getEditorState().mode === 'editing') return;
 
             switch (e.key.toLowerCase()) {
                 case 'c':
-                    const newChaosState = toggleChaos();
+                    const newChaosState = gameWorld.toggleChaos();
                     setChaosEnabled(newChaosState);
                     if (soundEnabled) playChaosSound();
                     break;
                 case 'e':
-                    megaExplosion();
+                    gameWorld.recordAction('Mega explosion');
+                    gameWorld.megaExplosion();
                     if (soundEnabled) playExplosionSound(2);
                     break;
                 case 'b':
-                    spawnExplosiveRain(10);
+                    gameWorld.recordAction('Bomb rain');
+                    gameWorld.spawnExplosiveRain(10);
                     if (soundEnabled) playExplosionSound(0.5);
                     break;
                 case 'p':
-                    balloonParty(15);
+                    gameWorld.recordAction('Balloon party');
+                    gameWorld.balloonParty(15);
                     break;
                 case 'r':
-                    clearWorld();
-                    clearSpecialObjects();
+                    gameWorld.recordAction('Clear');
+                    gameWorld.clearWorld();
+                    gameWorld.clearSpecialObjects();
                     if (window.showChaosStatus) {
                         window.showChaosStatus('🧹 CLEARED!');
                     }
                     break;
                 case 'h':
-                    createBlackHole(CANVAS.WIDTH / 2, CANVAS.HEIGHT / 2, {
+                    gameWorld.recordAction('Black hole');
+                    const arena = gameWorld.getArenaSize();
+                    gameWorld.createBlackHole(arena.width / 2, arena.height / 2, {
                         pullRadius: 350,
                         lifetime: 6000,
                     });
                     if (soundEnabled) playBlackHoleSound();
                     break;
                 case 'g':
-                    ragdollRain(5);
+                    gameWorld.recordAction('Ragdoll rain');
+                    gameWorld.ragdollRain(5);
                     if (soundEnabled) playBoingSound();
                     break;
                 case 'm':
-                    magnetMadness();
+                    gameWorld.recordAction('Magnets');
+                    gameWorld.magnetMadness();
                     break;
                 case 't':
-                    toggleSlowMotion();
+                    gameWorld.toggleSlowMotion();
                     if (soundEnabled) playTimeSlowSound();
                     break;
                 case 'f':
-                    toggleFreeze();
+                    gameWorld.toggleFreeze();
                     break;
             }
         };
 
         window.addEventListener('keydown', handleKeyDown);
         return () => window.removeEventListener('keydown', handleKeyDown);
-    }, [soundEnabled]);
+    }, [soundEnabled, gameWorld, isMultiplayer]);
 
     // Initialize multiplayer
     useEffect(() => {
         const shouldCreate = searchParams.get('create') === 'true';
         const roomToJoin = searchParams.get('room');
 
+        const session = createPeerSession();
+        sessionRef.current = session;
+        syncRef.current = createSyncChannel(session);
+
         if (shouldCreate || roomToJoin) {
             setIsMultiplayer(true);
             initMultiplayer(shouldCreate, roomToJoin);
         }
 
         return () => {
-            leaveRoom();
+            session.leaveRoom();
             if (cursorIntervalRef.current) {
                 clearInterval(cursorIntervalRef.current);
             }
@@ -194,18 +341,21 @@ export default function GamePage() {
     }, [searchParams]);
 
     const handleMessage = useCallback((data, senderId) => {
-        handleSyncEvent(data, {
+        const world = gameWorldRef.current;
+        if (!world) return;
+
+        syncRef.current.handleSyncEvent(data, {
             onSpawn: (spawnData) => {
-                toolSpawn(spawnData.objectType, spawnData.position, spawnData.options);
+                world.toolSpawn(spawnData.objectType, spawnData.position, spawnData.options);
             },
             onTool: (toolData) => {
-                executeTool(toolData.toolType, {
+                world.executeTool(toolData.toolType, {
                     position: toolData.position,
                     ...toolData.params,
                 });
             },
             onGravity: (gravityData) => {
-                setGravity(gravityData.gravity);
+                world.setGravity(gravityData.gravity);
             },
             onCursor: (cursorData, peerId) => {
                 setRemoteCursors((prev) => ({
@@ -221,13 +371,13 @@ export default function GamePage() {
     }, []);
 
     const handleConnection = useCallback((peerId) => {
-        setConnectionCount(getConnectionCount());
+        setConnectionCount(sessionRef.current.getConnectionCount());
         setStatusMessage('Player joined!');
         setTimeout(() => setStatusMessage(''), 3000);
     }, []);
 
     const handleDisconnect = useCallback((peerId) => {
-        setConnectionCount(getConnectionCount());
+        setConnectionCount(sessionRef.current.getConnectionCount());
         setRemoteCursors((prev) => {
             const next = { ...prev };
             delete next[peerId];
@@ -238,25 +388,28 @@ export default function GamePage() {
     }, []);
 
     const initMultiplayer = async (shouldCreate, roomToJoin) => {
+        const session = sessionRef.current;
+        const sync = syncRef.current;
+
         try {
-            setPlayerId(`player_${Date.now()}`);
+            sync.setPlayerId(`player_${Date.now()}`);
 
             if (shouldCreate) {
                 setStatusMessage('Creating room...');
-                const newRoomId = await createRoom(handleMessage, handleConnection, handleDisconnect);
+                const newRoomId = await session.createRoom(handleMessage, handleConnection, handleDisconnect);
                 setRoomId(newRoomId);
                 setStatusMessage('Room created! Share the code.');
             } else if (roomToJoin) {
                 setStatusMessage('Joining room...');
-                await joinRoom(roomToJoin, handleMessage, handleConnection, handleDisconnect);
+                await session.joinRoom(roomToJoin, handleMessage, handleConnection, handleDisconnect);
                 setRoomId(roomToJoin.toUpperCase());
                 setStatusMessage('Connected!');
                 setTimeout(() => setStatusMessage(''), 3000);
             }
 
             cursorIntervalRef.current = setInterval(() => {
-                if (isConnected()) {
-                    syncCursor(lastCursorPos.current, selectedTool);
+                if (session.isConnected()) {
+                    sync.syncCursor(lastCursorPos.current, selectedTool);
                 }
             }, 100);
         } catch (error) {
@@ -275,45 +428,71 @@ export default function GamePage() {
         return colors[Math.abs(hash) % colors.length];
     };
 
+    // Replays run locally, so nothing done while one plays is sent to other players
     const handleToolUsed = useCallback((toolId, result) => {
-        if (isMultiplayer && isConnected()) {
+        if (gameWorldRef.current?.isReplaying()) return;
+        if (isMultiplayer && sessionRef.current.isConnected()) {
             if (toolId === 'gravity' && result) {
-                syncGravity(result);
+                syncRef.current.syncGravity(result);
             } else {
-                syncTool(toolId, result?.position || { x: 0, y: 0 }, result);
+                syncRef.current.syncTool(toolId, result?.position || { x: 0, y: 0 }, result);
             }
         }
     }, [isMultiplayer]);
 
-    const handleSpawn = useCallback((objectType, position) => {
-        if (isMultiplayer && isConnected()) {
-            syncSpawn(objectType, position);
+    // Drawn shapes travel as their outline in the spawn options
+    const handleSpawn = useCallback((objectType, position, options) => {
+        if (gameWorldRef.current?.isReplaying()) return;
+        if (isMultiplayer && sessionRef.current.isConnected()) {
+            syncRef.current.syncSpawn(objectType, position, 0, options);
         }
     }, [isMultiplayer]);
 
-    const handleMouseMove = useCallback((e) => {
-        const gameArea = document.querySelector('[data-game-area]');
-        if (gameArea) {
-            const rect = gameArea.getBoundingClientRect();
-            lastCursorPos.current = {
-                x: e.clientX - rect.left,
-                y: e.clientY - rect.top,
-            };
+    const handleShapeDrawn = useCallback((shape) => {
+        try {
+            saveShape(shape);
+        } catch (error) {
+            console.error('Could not keep drawn shape:', error);
         }
     }, []);
 
+    const handleDeleteShape = useCallback((id) => {
+        deleteShape(id);
+        if (selectedObject === id) {
+            setSelectedObject('box');
+        }
+    }, [selectedObject]);
+
+    // Cursors are shared in world coordinates so they line up whatever each player's camera shows
+    const handleMouseMove = useCallback((e) => {
+        if (gameWorld) {
+            lastCursorPos.current = gameWorld.clientToWorld(e.clientX, e.clientY);
+        }
+    }, [gameWorld]);
+
+    // Ctrl+V pastes where the cursor was last seen
+    const getCursorPosition = useCallback(() => lastCursorPos.current, []);
+
     const handleTimeControl = useCallback((action) => {
-        if (action === 'slow') {
-            toggleSlowMotion();
+        if (action === 'slow' && gameWorld) {
+            gameWorld.toggleSlowMotion();
             if (soundEnabled) playTimeSlowSound();
         }
-    }, [soundEnabled]);
+    }, [soundEnabled, gameWorld]);
 
     const handleSoundToggle = useCallback((enabled) => {
         setSoundEnabled(enabled);
         toggleSounds();
     }, []);
 
+    // Draining everything can be undone, draining nothing isn't worth an undo step
+    const handleDrainWater = useCallback(() => {
+        if (!gameWorld || !gameWorld.hasWater()) return;
+        gameWorld.recordAction('Drain');
+        gameWorld.clearWater();
+        gameWorld.showStatus('🚿 DRAINED!');
+    }, [gameWorld]);
+
     const copyRoomCode = () => {
         if (roomId) {
             navigator.clipboard.writeText(roomId);
@@ -323,18 +502,26 @@ export default function GamePage() {
     };
 
     const handleClearAll = () => {
-        clearWorld();
-        clearSpecialObjects();
+        if (!gameWorld) return;
+        gameWorld.recordAction('Clear');
+        gameWorld.clearWorld();
+        gameWorld.clearSpecialObjects();
         if (window.showChaosStatus) {
             window.showChaosStatus('🧹 CLEARED!');
         }
     };
 
     return (
-        <ScreenEffects>
+        <ScreenEffects worldToClient={gameWorld?.worldToClient}>
             <main className={styles.main} onMouseMove={handleMouseMove}>
                 <header className={styles.header}>
-                    <button className={styles.backBtn} onClick={() => router.push('/')}>
+                    <button
+                        className={styles.backBtn}
+                        onClick={() => {
+                            saveSandbox();
+                            router.push('/');
+                        }}
+                    >
                         ← Back
                     </button>
                     <h1 className={styles.logo}>
@@ -360,6 +547,37 @@ export default function GamePage() {
                     )}
 
                     <div className={styles.quickActions}>
+                        <span className={styles.historyDepth} title="Undo steps available">
+                            {history.undoDepth}
+                        </span>
+                        <button
+                            className={styles.quickBtn}
+                            onClick={() => gameWorld?.undo()}
+                            disabled={isMultiplayer || history.undoDepth === 0}
+                            title={isMultiplayer
+                                ? 'Undo works in solo play'
+                                : history.nextUndo ? `Undo ${history.nextUndo} (Ctrl+Z)` : 'Nothing to undo'}
+                        >
+                            ↩️
+                        </button>
+                        <button
+                            className={styles.quickBtn}
+                            onClick={() => gameWorld?.redo()}
+                            disabled={isMultiplayer || history.redoDepth === 0}
+                            title={isMultiplayer
+                                ? 'Redo works in solo play'
+                                : history.nextRedo ? `Redo ${history.nextRedo} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                        >
+                            ↪️
+                        </button>
+                        <button
+                            className={styles.quickBtn}
+                            onClick={handleShare}
+                            title="Copy a link to this scene"
+                        >
+                            🔗
+                        </button>
+                        <ClipButton gameWorld={gameWorld} />
                         <button
                             className={styles.quickBtn}
                             onClick={handleClearAll}
@@ -375,6 +593,36 @@ export default function GamePage() {
                         <ObjectPalette
                             selectedObject={selectedObject}
                             onSelectObject={setSelectedObject}
+                            shapes={savedShapes}
+                            onDeleteShape={handleDeleteShape}
+                        />
+
+                        <DrawPanel
+                            material={drawMaterial}
+                            onChange={setDrawMaterial}
+                            active={selectedTool === 'draw'}
+                        />
+
+                        <WaterPanel
+                            shape={waterShape}
+                            onChange={setWaterShape}
+                            onDrain={handleDrainWater}
+                            active={selectedTool === 'water'}
+                        />
+
+                        <JointPanel
+                            jointOptions={jointOptions}
+                            onChange={setJointOptions}
+                            active={selectedTool === 'joint'}
+                        />
+
+                        <EditorPanel gameWorld={gameWorld} canEdit={!isMultiplayer} />
+
+                        <SelectionPanel
+                            gameWorld={gameWorld}
+                            active={selectedTool === 'select'}
+                            getCursorPosition={getCursorPosition}
+                            canEdit={!isMultiplayer}
                         />
                     </aside>
 
@@ -384,15 +632,41 @@ export default function GamePage() {
                             selectedObject={selectedObject}
                             onToolUsed={handleToolUsed}
                             onSpawn={handleSpawn}
+                            onWorldReady={handleWorldReady}
                             remoteCursors={remoteCursors}
+                            inspectedId={inspectedId}
+                            onInspect={setInspectedId}
+                            canSelect={!isMultiplayer}
+                            jointOptions={jointOptions}
+                            selectedShape={selectedShape}
+                            drawMaterial={drawMaterial}
+                            onShapeDrawn={handleShapeDrawn}
+                            waterShape={waterShape}
                         />
                     </div>
 
                     <aside className={styles.rightSidebar}>
                         <ChaosPanel
+                            gameWorld={gameWorld}
                             onChaosToggle={setChaosEnabled}
                             onTimeControl={handleTimeControl}
                             onSoundToggle={handleSoundToggle}
+                            canRewind={!isMultiplayer}
+                        />
+
+                        {inspectedId && (
+                            <InspectorPanel
+                                gameWorld={gameWorld}
+                                bodyId={inspectedId}
+                                onClose={() => setInspectedId(null)}
+                                canEdit={!isMultiplayer}
+                            />
+                        )}
+
+                        <ScenePanel
+                            gameWorld={gameWorld}
+                            onLoadScene={handleLoadScene}
+                            canLoad={!isMultiplayer}
                         />
 
                         <div className={styles.miniPanel}>
@@ -406,6 +680,8 @@ export default function GamePage() {
                                 <li><kbd>F</kbd> Freeze</li>
                                 <li><kbd>E</kbd> Explode</li>
                                 <li><kbd>R</kbd> Clear</li>
+                                <li><kbd>Ctrl+Z</kbd> Undo</li>
+                                <li><kbd>Ctrl+Shift+Z</kbd> Redo</li>
                             </ul>
                         </div>
                     </aside>
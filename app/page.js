@@ -1,13 +1,21 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useSyncExternalStore } from 'react';
 import { useRouter } from 'next/navigation';
+import { hasLastSandbox } from '@/lib/storage/scenes';
 import styles from './page.module.css';
 
+// The last sandbox lives in localStorage, which the server can't see
+function subscribeToStorage(callback) {
+  window.addEventListener('storage', callback);
+  return () => window.removeEventListener('storage', callback);
+}
+
 export default function Home() {
   const router = useRouter();
   const [roomCode, setRoomCode] = useState('');
   const [isJoining, setIsJoining] = useState(false);
+  const canContinue = useSyncExternalStore(subscribeToStorage, hasLastSandbox, () => false);
 
   const handleCreateRoom = () => {
     router.push('/game?create=true');
@@ -23,6 +31,10 @@ export default function Home() {
     router.push('/game');
   };
 
+  const handleContinue = () => {
+    router.push('/game?continue=true');
+  };
+
   return (
     <main className={styles.main}>
       {/* Background effects */}
@@ -45,6 +57,16 @@ export default function Home() {
 
       {/* Action cards */}
       <div className={styles.cards}>
+        {/* Pick up the autosaved solo sandbox */}
+        {canContinue && (
+          <div className={styles.card} onClick={handleContinue}>
+            <div className={styles.cardIcon}>💾</div>
+            <h2>Continue</h2>
+            <p>Pick up your last sandbox right where you left it</p>
+            <button className={styles.cardBtn}>Continue Last Sandbox</button>
+          </div>
+        )}
+
         {/* Solo play */}
         <div className={styles.card} onClick={handlePlaySolo}>
           <div className={styles.cardIcon}>🎮</div>
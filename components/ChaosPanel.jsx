@@ -1,31 +1,31 @@
 'use client';
 
-import { useState, useCallback } from 'react';
-import {
-    toggleChaos,
-    startObjectFlood,
-    stopObjectFlood,
-    startSuddenRules,
-    stopSuddenRules,
-    megaExplosion,
-    spawnExplosiveRain,
-    balloonParty,
-    anvilDrop,
-} from '@/lib/physics/chaos';
-import {
-    createBlackHole,
-    ragdollRain,
-} from '@/lib/physics/special';
-import { getGravity, setGravity } from '@/lib/physics/engine';
-import { CANVAS } from '@/lib/constants';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { BUDGET, BOUNDARY_MODES, PHYSICS, REPLAY } from '@/lib/constants';
+import { downloadBlob } from '@/lib/render/clip';
 import styles from './ChaosPanel.module.css';
 
-export default function ChaosPanel({ onChaosToggle, onTimeControl, onSoundToggle }) {
+// Body budget choices the limit button cycles through
+const BODY_LIMITS = [100, BUDGET.MAX_BODIES, 400, Infinity];
+
+const BOUNDARY_ORDER = Object.values(BOUNDARY_MODES);
+
+/**
+ * Chaos modes, special actions, rewind, replays and arena settings
+ * @param {boolean} canRewind - Rewinding restores this player's own past, so it is off in multiplayer rooms
+ */
+export default function ChaosPanel({ gameWorld, onChaosToggle, onTimeControl, onSoundToggle, canRewind = true }) {
     const [chaosOn, setChaosOn] = useState(false);
     const [floodOn, setFloodOn] = useState(false);
     const [rulesOn, setRulesOn] = useState(false);
     const [soundOn, setSoundOn] = useState(true);
     const [gravityDir, setGravityDir] = useState('down'); // down, right, up, left
+    const [bodyLimit, setBodyLimit] = useState(BUDGET.MAX_BODIES);
+    const [boundaryMode, setBoundaryMode] = useState(BOUNDARY_MODES.WALLS.id);
+    const [rewind, setRewind] = useState(null);
+    const [replay, setReplay] = useState(null);
+    const [lastRecording, setLastRecording] = useState(null);
+    const recordingInputRef = useRef(null);
 
     const GRAVITY_DIRECTIONS = {
         down: { x: 0, y: 1, icon: '⬇️', label: 'DOWN' },
@@ -34,38 +34,175 @@ export default function ChaosPanel({ onChaosToggle, onTimeControl, onSoundToggle
         left: { x: -1, y: 0, icon: '⬅️', label: 'LEFT' },
     };
 
+    // Undo/redo and loaded scenes can restore a world with different modes, so re-read them
+    useEffect(() => {
+        if (!gameWorld) return;
+        return gameWorld.onWorldRestored(() => {
+            const chaos = gameWorld.getChaosState();
+            setChaosOn(chaos.chaos);
+            setFloodOn(chaos.flood);
+            setRulesOn(chaos.rules);
+
+            const g = gameWorld.getGravity();
+            if (Math.abs(g.y) >= Math.abs(g.x)) {
+                setGravityDir(g.y < 0 ? 'up' : 'down');
+            } else {
+                setGravityDir(g.x > 0 ? 'right' : 'left');
+            }
+            if (onChaosToggle) onChaosToggle(chaos.chaos);
+        });
+    }, [gameWorld, onChaosToggle]);
+
+    // Sudden Rules change the edges too, not just the cycle button
+    useEffect(() => {
+        if (!gameWorld) return;
+        return gameWorld.onBoundaryModeChange(setBoundaryMode);
+    }, [gameWorld]);
+
+    useEffect(() => {
+        if (!gameWorld) return;
+        return gameWorld.onRewindChange(setRewind);
+    }, [gameWorld]);
+
+    const handleRewind = useCallback(() => {
+        if (!gameWorld || !canRewind) return;
+        if (!gameWorld.startRewind()) {
+            gameWorld.showStatus('⏪ NOTHING TO REWIND YET');
+        }
+    }, [gameWorld, canRewind]);
+
+    // The slider runs from the oldest frame (left) to where rewinding started (right)
+    const handleScrub = useCallback((e) => {
+        if (!gameWorld || !rewind) return;
+        gameWorld.scrubRewind(rewind.available - Number(e.target.value));
+    }, [gameWorld, rewind]);
+
+    useEffect(() => {
+        if (!gameWorld) return;
+        return gameWorld.onReplayChange(setReplay);
+    }, [gameWorld]);
+
+    const handleRecordToggle = useCallback(() => {
+        if (!gameWorld) return;
+        if (gameWorld.getReplayState().recording) {
+            setLastRecording(gameWorld.stopRecording());
+        } else if (!gameWorld.startRecording() && gameWorld.getEditorState().mode !== 'off') {
+            gameWorld.showStatus('🛠️ LEAVE THE EDITOR TO RECORD');
+        }
+    }, [gameWorld]);
+
+    const playRecording = useCallback((recording) => {
+        if (!gameWorld || !recording) return;
+        try {
+            gameWorld.playRecording(recording);
+        } catch (error) {
+            console.error('Replay failed:', error);
+            gameWorld.showStatus('❌ CAN\'T PLAY THAT RECORDING');
+        }
+    }, [gameWorld]);
+
+    const handleReplaySpeedCycle = useCallback(() => {
+        if (!gameWorld || !replay) return;
+        const next = REPLAY.SPEEDS[(REPLAY.SPEEDS.indexOf(replay.speed) + 1) % REPLAY.SPEEDS.length];
+        gameWorld.setReplaySpeed(next);
+    }, [gameWorld, replay]);
+
+    // Recordings download as JSON so a bug can be attached and played back exactly
+    const handleRecordingDownload = useCallback(() => {
+        if (!lastRecording) return;
+        const blob = new Blob([JSON.stringify(lastRecording)], { type: 'application/json' });
+        downloadBlob(blob, `chaos-recording-${lastRecording.recordedAt}.json`);
+    }, [lastRecording]);
+
+    // Plays the recording from the start while capturing it, then saves the clip
+    const handleReplayClip = useCallback(async () => {
+        if (!gameWorld || !lastRecording) return;
+        const { format } = gameWorld.getClipOptions();
+        gameWorld.showStatus('🎬 CLIPPING REPLAY...');
+        try {
+            const blob = await gameWorld.clipReplay(lastRecording);
+            downloadBlob(blob, `chaos-replay-${lastRecording.recordedAt}.${format}`);
+            gameWorld.showStatus('🎬 CLIP SAVED!');
+        } catch (error) {
+            console.error('Replay clip failed:', error);
+            gameWorld.showStatus('❌ CLIP FAILED');
+        }
+    }, [gameWorld, lastRecording]);
+
+    const handleRecordingLoad = useCallback(async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const recording = JSON.parse(await file.text());
+            setLastRecording(recording);
+            playRecording(recording);
+        } catch (error) {
+            console.error('Loading recording failed:', error);
+            gameWorld?.showStatus('❌ CAN\'T READ THAT FILE');
+        }
+    }, [gameWorld, playRecording]);
+
     const handleChaosToggle = useCallback(() => {
-        const newState = toggleChaos();
+        if (!gameWorld) return;
+        const newState = gameWorld.toggleChaos();
         setChaosOn(newState);
         setFloodOn(newState);
         setRulesOn(newState);
         if (onChaosToggle) onChaosToggle(newState);
-    }, [onChaosToggle]);
+    }, [gameWorld, onChaosToggle]);
 
     const handleFloodToggle = useCallback(() => {
+        if (!gameWorld) return;
         if (floodOn) {
-            stopObjectFlood();
+            gameWorld.stopObjectFlood();
         } else {
-            startObjectFlood(5, 2000);
+            gameWorld.startObjectFlood(5, 2000);
         }
         setFloodOn(!floodOn);
-    }, [floodOn]);
+    }, [gameWorld, floodOn]);
 
     const handleRulesToggle = useCallback(() => {
+        if (!gameWorld) return;
         if (rulesOn) {
-            stopSuddenRules();
+            gameWorld.stopSuddenRules();
         } else {
-            startSuddenRules(10000);
+            gameWorld.startSuddenRules(10000);
         }
         setRulesOn(!rulesOn);
-    }, [rulesOn]);
+    }, [gameWorld, rulesOn]);
 
     const handleBlackHole = useCallback(() => {
-        createBlackHole(CANVAS.WIDTH / 2, CANVAS.HEIGHT / 2, {
+        if (!gameWorld) return;
+        gameWorld.recordAction('Black hole');
+        const arena = gameWorld.getArenaSize();
+        gameWorld.createBlackHole(arena.width / 2, arena.height / 2, {
             pullRadius: 350,
             lifetime: 6000,
         });
-    }, []);
+    }, [gameWorld]);
+
+    const handleBoundaryCycle = useCallback(() => {
+        if (!gameWorld) return;
+        // Start from the world's mode - Sudden Rules may have changed it
+        const current = BOUNDARY_ORDER.findIndex((m) => m.id === gameWorld.getBoundaryMode());
+        const next = BOUNDARY_ORDER[(current + 1) % BOUNDARY_ORDER.length];
+        gameWorld.setBoundaryMode(next.id);
+    }, [gameWorld]);
+
+    const handleBodyLimitCycle = useCallback(() => {
+        if (!gameWorld) return;
+        const next = BODY_LIMITS[(BODY_LIMITS.indexOf(bodyLimit) + 1) % BODY_LIMITS.length];
+        gameWorld.setBodyBudget(next);
+        setBodyLimit(next);
+    }, [gameWorld, bodyLimit]);
+
+    // Run a one-shot chaos action so it can be undone
+    const runAction = useCallback((label, action) => {
+        if (!gameWorld) return;
+        gameWorld.recordAction(label);
+        action(gameWorld);
+    }, [gameWorld]);
 
     const handleSoundToggle = useCallback(() => {
         const newState = !soundOn;
@@ -78,9 +215,12 @@ export default function ChaosPanel({ onChaosToggle, onTimeControl, onSoundToggle
         const currentIndex = directions.indexOf(gravityDir);
         const nextDir = directions[(currentIndex + 1) % 4];
         const newGravity = GRAVITY_DIRECTIONS[nextDir];
-        setGravity({ x: newGravity.x, y: newGravity.y });
+        if (gameWorld) {
+            gameWorld.recordAction('Gravity');
+            gameWorld.setGravity({ x: newGravity.x, y: newGravity.y });
+        }
         setGravityDir(nextDir);
-    }, [gravityDir]);
+    }, [gameWorld, gravityDir]);
 
     return (
         <div className={styles.panel}>
@@ -123,16 +263,16 @@ export default function ChaosPanel({ onChaosToggle, onTimeControl, onSoundToggle
 
             {/* Instant actions - Row 1 */}
             <div className={styles.actions}>
-                <button className={styles.actionBtn} onClick={megaExplosion}>
+                <button className={styles.actionBtn} onClick={() => runAction('Mega explosion', (w) => w.megaExplosion())}>
                     💥 MEGA
                 </button>
-                <button className={styles.actionBtn} onClick={() => spawnExplosiveRain(10)}>
+                <button className={styles.actionBtn} onClick={() => runAction('Bomb rain', (w) => w.spawnExplosiveRain(10))}>
                     💣 BOMBS
                 </button>
-                <button className={styles.actionBtn} onClick={() => balloonParty(15)}>
+                <button className={styles.actionBtn} onClick={() => runAction('Balloon party', (w) => w.balloonParty(15))}>
                     🎈 PARTY
                 </button>
-                <button className={styles.actionBtn} onClick={() => anvilDrop(5)}>
+                <button className={styles.actionBtn} onClick={() => runAction('Anvil drop', (w) => w.anvilDrop(5))}>
                     🔨 ANVILS
                 </button>
             </div>
@@ -142,14 +282,152 @@ export default function ChaosPanel({ onChaosToggle, onTimeControl, onSoundToggle
                 <button className={`${styles.actionBtn} ${styles.special}`} onClick={handleBlackHole}>
                     🕳️ HOLE
                 </button>
-                <button className={`${styles.actionBtn} ${styles.special}`} onClick={() => ragdollRain(5)}>
+                <button className={`${styles.actionBtn} ${styles.special}`} onClick={() => runAction('Ragdoll rain', (w) => w.ragdollRain(5))}>
                     🎭 DOLL
                 </button>
                 <button className={`${styles.actionBtn} ${styles.special}`} onClick={() => onTimeControl && onTimeControl('slow')}>
                     ⏰ SLOW
                 </button>
+                <button
+                    className={`${styles.actionBtn} ${styles.special}`}
+                    onClick={handleRewind}
+                    disabled={!canRewind || rewind?.rewinding}
+                    title={canRewind ? 'Scrub back through the last few seconds' : 'Rewind works in solo play'}
+                >
+                    ⏪ REWIND
+                </button>
             </div>
 
+            {/* Rewind scrubber - shown while the world is paused in the past */}
+            {rewind?.rewinding && (
+                <div className={styles.rewindBar}>
+                    <input
+                        type="range"
+                        className={styles.rewindSlider}
+                        min={0}
+                        max={rewind.available}
+                        step={PHYSICS.FIXED_STEP}
+                        value={rewind.available - rewind.position}
+                        onChange={handleScrub}
+                    />
+                    <span className={styles.rewindTime}>-{(rewind.position / 1000).toFixed(1)}s</span>
+                    <div className={styles.rewindControls}>
+                        <button
+                            className={styles.actionBtn}
+                            onClick={() => gameWorld.setRewindPlaying(!rewind.playing)}
+                            title={rewind.playing ? 'Pause' : 'Play backwards'}
+                        >
+                            {rewind.playing ? '⏸️' : '⏪'}
+                        </button>
+                        <button
+                            className={`${styles.actionBtn} ${styles.special}`}
+                            onClick={() => gameWorld.resumeFromRewind()}
+                        >
+                            ▶️ RESUME
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {/* Session recording - replays the same session exactly, from the same seed */}
+            <div className={styles.recordRow}>
+                <button
+                    className={`${styles.actionBtn} ${replay?.recording ? styles.recording : ''}`}
+                    onClick={handleRecordToggle}
+                    disabled={replay?.replaying}
+                >
+                    {replay?.recording ? '⏹️ STOP' : '⏺️ REC'}
+                </button>
+                <button
+                    className={styles.actionBtn}
+                    onClick={() => playRecording(lastRecording)}
+                    disabled={!lastRecording || replay?.recording || replay?.replaying}
+                >
+                    ▶️ REPLAY
+                </button>
+                <button
+                    className={styles.actionBtn}
+                    onClick={handleReplayClip}
+                    disabled={!lastRecording || replay?.recording || replay?.replaying}
+                    title="Save the replay as a clip"
+                >
+                    🎬
+                </button>
+                <button
+                    className={styles.actionBtn}
+                    onClick={handleRecordingDownload}
+                    disabled={!lastRecording}
+                    title="Download recording"
+                >
+                    💾
+                </button>
+                <button
+                    className={styles.actionBtn}
+                    onClick={() => recordingInputRef.current?.click()}
+                    disabled={replay?.recording || replay?.replaying}
+                    title="Load recording"
+                >
+                    📂
+                </button>
+                <input
+                    ref={recordingInputRef}
+                    type="file"
+                    accept=".json,application/json"
+                    className={styles.hiddenInput}
+                    onChange={handleRecordingLoad}
+                />
+            </div>
+
+            {/* Replay controls - shown while a recording plays back */}
+            {replay?.replaying && (
+                <div className={styles.rewindBar}>
+                    <progress
+                        className={styles.replayProgress}
+                        max={replay.totalTicks || 1}
+                        value={replay.tick}
+                    />
+                    <span className={styles.rewindTime}>
+                        {(replay.tick * PHYSICS.FIXED_STEP / 1000).toFixed(1)}s / {(replay.totalTicks * PHYSICS.FIXED_STEP / 1000).toFixed(1)}s
+                        {replay.desyncTick !== null && ' ⚠️ DESYNC'}
+                    </span>
+                    <div className={styles.replayControls}>
+                        <button
+                            className={styles.actionBtn}
+                            onClick={() => gameWorld.setReplayPaused(!replay.paused)}
+                            disabled={replay.tick >= replay.totalTicks}
+                            title={replay.paused ? 'Play' : 'Pause'}
+                        >
+                            {replay.paused ? '▶️' : '⏸️'}
+                        </button>
+                        <button className={styles.actionBtn} onClick={handleReplaySpeedCycle} title="Playback speed">
+                            {replay.speed}x
+                        </button>
+                        <button
+                            className={`${styles.actionBtn} ${styles.special}`}
+                            onClick={() => gameWorld.stopReplay()}
+                        >
+                            ⏹️ EXIT
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {/* Arena boundary mode */}
+            <button
+                className={`${styles.toggleBtn} ${styles.limitBtn}`}
+                onClick={handleBoundaryCycle}
+            >
+                {BOUNDARY_ORDER.find((m) => m.id === boundaryMode).icon} Edges: {BOUNDARY_ORDER.find((m) => m.id === boundaryMode).label}
+            </button>
+
+            {/* Body budget - oldest objects poof away past the limit */}
+            <button
+                className={`${styles.toggleBtn} ${styles.limitBtn}`}
+                onClick={handleBodyLimitCycle}
+            >
+                🧮 Limit {bodyLimit === Infinity ? '∞' : bodyLimit}
+            </button>
+
             {/* Sound toggle */}
             <button
                 className={`${styles.toggleBtn} ${styles.soundBtn} ${soundOn ? styles.on : ''}`}
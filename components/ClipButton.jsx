@@ -0,0 +1,98 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { CLIP } from '@/lib/constants';
+import { downloadBlob } from '@/lib/render/clip';
+import styles from './ClipButton.module.css';
+
+function cycle(values, current) {
+    return values[(values.indexOf(current) + 1) % values.length];
+}
+
+/**
+ * Saves the last seconds of play as a GIF or WebM, with a menu for clip options
+ */
+export default function ClipButton({ gameWorld }) {
+    const [open, setOpen] = useState(false);
+    const [clipState, setClipState] = useState(null);
+
+    useEffect(() => {
+        if (!gameWorld) return;
+        return gameWorld.onClipChange(setClipState);
+    }, [gameWorld]);
+
+    const clip = clipState || gameWorld?.getClipState();
+    const busy = clip ? clip.exporting || clip.clippingReplay : true;
+
+    const setOption = useCallback((changes) => {
+        if (gameWorld) gameWorld.setClipOptions(changes);
+    }, [gameWorld]);
+
+    const handleExport = useCallback(async () => {
+        if (!gameWorld) return;
+        setOpen(false);
+        const { format } = gameWorld.getClipOptions();
+        gameWorld.showStatus('🎬 MAKING CLIP...');
+        try {
+            const blob = await gameWorld.exportClip();
+            downloadBlob(blob, `chaos-clip-${Date.now()}.${format}`);
+            gameWorld.showStatus('🎬 CLIP SAVED!');
+        } catch (error) {
+            console.error('Clip export failed:', error);
+            gameWorld.showStatus('❌ CLIP FAILED');
+        }
+    }, [gameWorld]);
+
+    if (!clip) {
+        return (
+            <button className={styles.clipBtn} disabled title="Save a clip">
+                🎬
+            </button>
+        );
+    }
+
+    return (
+        <div className={styles.wrapper}>
+            <button
+                className={`${styles.clipBtn} ${busy ? styles.busy : ''}`}
+                onClick={() => setOpen(!open)}
+                disabled={busy}
+                title="Save a clip"
+            >
+                🎬
+            </button>
+
+            {open && (
+                <div className={styles.menu}>
+                    <button className={styles.option} onClick={() => setOption({ seconds: cycle(CLIP.LENGTHS, clip.seconds) })}>
+                        ⏱️ Last {clip.seconds}s
+                    </button>
+                    <button className={styles.option} onClick={() => setOption({ width: cycle(CLIP.WIDTHS, clip.width) })}>
+                        📐 {clip.width}px wide
+                    </button>
+                    <button className={styles.option} onClick={() => setOption({ frameRate: cycle(CLIP.FRAME_RATES, clip.frameRate) })}>
+                        🎞️ {clip.frameRate} fps
+                    </button>
+                    <button
+                        className={`${styles.option} ${clip.includeEffects ? styles.on : ''}`}
+                        onClick={() => setOption({ includeEffects: !clip.includeEffects })}
+                    >
+                        ✨ Effects {clip.includeEffects ? 'ON' : 'OFF'}
+                    </button>
+                    <button
+                        className={styles.option}
+                        onClick={() => setOption({ format: clip.format === 'gif' ? 'webm' : 'gif' })}
+                        disabled={!gameWorld.canExportWebm() && clip.format === 'gif'}
+                        title={gameWorld.canExportWebm() ? 'Switch format' : 'WebM is not supported in this browser'}
+                    >
+                        💾 {clip.format.toUpperCase()}
+                    </button>
+                    <button className={`${styles.option} ${styles.save}`} onClick={handleExport}>
+                        🎬 SAVE CLIP
+                    </button>
+                    <p className={styles.hint}>Changing size, speed or effects starts the clip over.</p>
+                </div>
+            )}
+        </div>
+    );
+}
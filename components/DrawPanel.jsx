@@ -0,0 +1,48 @@
+'use client';
+
+import { MATERIALS } from '@/lib/constants';
+import { getMaterial } from '@/lib/physics/shapes';
+import styles from './DrawPanel.module.css';
+
+const materialList = Object.values(MATERIALS);
+
+/**
+ * Draw tool settings: what the next sketched shape is made of
+ * @param {string} material - MATERIALS type
+ * @param {Function} onChange - Called with the new material type
+ * @param {boolean} active - The draw tool is in hand
+ */
+export default function DrawPanel({ material, onChange, active = false }) {
+    if (!active) return null;
+
+    const config = getMaterial(material);
+
+    return (
+        <div className={styles.panel} style={{ '--material-color': config.color }}>
+            <h3 className={styles.title}>✏️ Draw</h3>
+
+            <label className={styles.field}>
+                <span className={styles.label}>Material</span>
+                <select
+                    className={styles.select}
+                    value={config.type}
+                    onChange={(e) => onChange(e.target.value)}
+                >
+                    {materialList.map((option) => (
+                        <option key={option.type} value={option.type}>
+                            {option.icon} {option.label}
+                        </option>
+                    ))}
+                </select>
+            </label>
+
+            <div className={styles.props}>
+                <span>Mass: {config.density > 0.005 ? '🔴 Heavy' : config.density < 0.0005 ? '🟢 Light' : '🟡 Normal'}</span>
+                <span>Bounce: {config.restitution > 0.7 ? '🔵 High' : '⚪ Low'}</span>
+                <span>Grip: {config.friction < 0.1 ? '🧊 Slippery' : config.friction > 0.7 ? '✋ Grippy' : '👌 Normal'}</span>
+            </div>
+
+            <p className={styles.hint}>Drag a closed outline on the canvas. Shapes you draw are kept under ✏️ mine.</p>
+        </div>
+    );
+}
@@ -0,0 +1,117 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { GEOMETRY, EDITOR } from '@/lib/constants';
+import styles from './EditorPanel.module.css';
+
+const pieceList = Object.values(GEOMETRY);
+
+function nextInCycle(values, current) {
+    return values[(values.indexOf(current) + 1) % values.length];
+}
+
+/**
+ * Level editor controls: pieces to place, snapping and Play/Stop. Edits to the
+ * selected bodies are in SelectionPanel, shown alongside while editing.
+ * @param {boolean} canEdit - The editor pauses only this player's world, so it is off in multiplayer rooms
+ */
+export default function EditorPanel({ gameWorld, canEdit = true }) {
+    const [editorState, setEditorState] = useState(null);
+
+    useEffect(() => {
+        if (!gameWorld) return;
+        return gameWorld.onEditorChange(setEditorState);
+    }, [gameWorld]);
+
+    const editor = editorState || gameWorld?.getEditorState();
+    const mode = editor?.mode || 'off';
+
+    // Esc goes back to picking; the selection has its own keys (SelectionPanel)
+    useEffect(() => {
+        if (!gameWorld || mode !== 'editing') return;
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                gameWorld.setEditorPiece(null);
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [gameWorld, mode]);
+
+    if (!gameWorld) return null;
+
+    return (
+        <div className={styles.panel}>
+            <h3 className={styles.title}>🛠️ Level Editor</h3>
+
+            {mode === 'off' && (
+                <button
+                    className={styles.modeBtn}
+                    onClick={() => gameWorld.enterEditor()}
+                    disabled={!canEdit}
+                    title={canEdit ? 'Pause and build a level' : 'The editor works in solo play'}
+                >
+                    🛠️ EDIT LEVEL
+                </button>
+            )}
+
+            {mode === 'editing' && (
+                <>
+                    <div className={styles.pieces}>
+                        {pieceList.map((config) => (
+                            <button
+                                key={config.type}
+                                className={`${styles.pieceBtn} ${editor.piece === config.type ? styles.active : ''}`}
+                                style={{ '--piece-color': config.color }}
+                                onClick={() => gameWorld.setEditorPiece(editor.piece === config.type ? null : config.type)}
+                                title={`Place ${config.label.toLowerCase()}s`}
+                            >
+                                <span className={styles.pieceIcon}>{config.icon}</span>
+                                <span>{config.label}</span>
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className={styles.row}>
+                        <button
+                            className={styles.btn}
+                            onClick={() => gameWorld.setGridSize(nextInCycle(EDITOR.GRID_SIZES, editor.gridSize))}
+                            title="Grid snapping"
+                        >
+                            GRID {editor.gridSize || 'OFF'}
+                        </button>
+                        <button
+                            className={styles.btn}
+                            onClick={() => gameWorld.setAngleStep(nextInCycle(EDITOR.ANGLE_STEPS, editor.angleStep))}
+                            title="Angle snapping"
+                        >
+                            ANGLE {editor.angleStep ? `${editor.angleStep}°` : 'OFF'}
+                        </button>
+                    </div>
+
+                    <div className={styles.row}>
+                        <button className={`${styles.btn} ${styles.play}`} onClick={() => gameWorld.playEditor()}>
+                            ▶️ PLAY
+                        </button>
+                        <button className={styles.btn} onClick={() => gameWorld.exitEditor()} title="Leave the editor and keep playing">
+                            ✖ DONE
+                        </button>
+                    </div>
+                </>
+            )}
+
+            {mode === 'playing' && (
+                <div className={styles.row}>
+                    <button className={`${styles.btn} ${styles.stop}`} onClick={() => gameWorld.stopEditor()}>
+                        ⏹️ STOP
+                    </button>
+                    <button className={styles.btn} onClick={() => gameWorld.exitEditor()} title="Leave the editor and keep playing">
+                        ✖ DONE
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,53 +1,400 @@
 'use client';
 
 import { useEffect, useRef, useCallback, useState } from 'react';
-import { initEngine, startEngine, stopEngine, clearWorld, getGravity, setGravity } from '@/lib/physics/engine';
-import { createObject } from '@/lib/physics/objects';
-import { executeTool, updateFloatyObjects, handleExplosiveCollision, toolPush } from '@/lib/physics/tools';
-import { CANVAS, TOOLS, OBJECTS } from '@/lib/constants';
+import { createGameWorld } from '@/lib/physics/engine';
+import { getJointConfig } from '@/lib/physics/joints';
+import { getMaterial, prepareOutline } from '@/lib/physics/shapes';
+import { traceBody } from '@/lib/render/drawers';
+import { CANVAS, CAMERA, TOOLS, OBJECTS, GEOMETRY, EDITOR, SELECTION, DRAW, FLUID, WATER_SHAPES } from '@/lib/constants';
 import styles from './GameCanvas.module.css';
 
+/**
+ * The body the inspect tool would pick - static ones too, but not the arena walls
+ */
+function getInspectableBody(gameWorld, position) {
+    return gameWorld.getBodyAtPosition(position, {
+        includeStatic: true,
+        filter: (body) => !gameWorld.isBoundary(body),
+    });
+}
+
+/**
+ * Outline the body open in the inspector
+ */
+function drawInspected(ctx, frame, gameWorld, inspectedId) {
+    const body = inspectedId && gameWorld.getAllBodies().find((b) => b.customId === inspectedId);
+    if (!body) return;
+
+    ctx.save();
+    traceBody(ctx, body);
+    ctx.lineWidth = 3 / frame.zoom;
+    ctx.strokeStyle = TOOLS.INSPECT.color;
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Where the first end of a joint being made is now: the point clicked on
+ * the first body, carried along as that body moved and turned
+ */
+function getJointStartPoint(start) {
+    const { body, offset, angle } = start;
+    const turn = body.angle - angle;
+    const cos = Math.cos(turn);
+    const sin = Math.sin(turn);
+    return {
+        x: body.position.x + offset.x * cos - offset.y * sin,
+        y: body.position.y + offset.x * sin + offset.y * cos,
+    };
+}
+
+/**
+ * Draw what the current tool is about to do at the hovered world position
+ */
+function drawToolPreview(ctx, frame, gameWorld, position, { tool, object, shape, picking, jointStart, jointType }) {
+    if (!position) return;
+
+    ctx.lineWidth = 2 / frame.zoom;
+    ctx.setLineDash([8 / frame.zoom, 6 / frame.zoom]);
+
+    // The joint tool highlights what it would hold and stretches the joint to the pointer
+    if (tool === 'joint' && !picking) {
+        const body = gameWorld.getJointBodyAt(position);
+        if (body && body !== jointStart?.body) {
+            traceBody(ctx, body);
+            ctx.strokeStyle = TOOLS.JOINT.color;
+            ctx.stroke();
+        }
+        if (jointStart) {
+            const from = getJointStartPoint(jointStart);
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(position.x, position.y);
+            ctx.strokeStyle = getJointConfig(jointType)?.color || TOOLS.JOINT.color;
+            ctx.stroke();
+        }
+        return;
+    }
+
+    // The delete tool marks a joint under the pointer first, else an object
+    if (tool === 'delete' && !picking) {
+        if (gameWorld.getJointAt(position)) {
+            ctx.beginPath();
+            ctx.arc(position.x, position.y, 8 / frame.zoom, 0, Math.PI * 2);
+            ctx.strokeStyle = TOOLS.DELETE.color;
+            ctx.stroke();
+            return;
+        }
+        const body = gameWorld.getSelectableBodyAt(position);
+        if (body) {
+            traceBody(ctx, body);
+            ctx.strokeStyle = TOOLS.DELETE.color;
+            ctx.stroke();
+        }
+        return;
+    }
+
+    // Tools that act on one body highlight it
+    if (picking || tool === 'scale' || tool === 'inspect' || tool === 'select') {
+        let body;
+        if (picking || tool === 'scale') {
+            body = gameWorld.getBodyAtPosition(position);
+        } else {
+            body = tool === 'inspect' ? getInspectableBody(gameWorld, position) : gameWorld.getSelectableBodyAt(position);
+        }
+        if (body) {
+            traceBody(ctx, body);
+            ctx.strokeStyle = picking ? '#00cec9' : TOOLS[tool.toUpperCase()].color;
+            ctx.stroke();
+        }
+        return;
+    }
+
+    ctx.beginPath();
+    switch (tool) {
+        case 'spawn': {
+            if (shape) {
+                shape.vertices.forEach((v, i) => {
+                    if (i === 0) ctx.moveTo(position.x + v.x, position.y + v.y);
+                    else ctx.lineTo(position.x + v.x, position.y + v.y);
+                });
+                ctx.closePath();
+                ctx.strokeStyle = getMaterial(shape.material).color;
+                break;
+            }
+            const config = Object.values(OBJECTS).find((o) => o.type === object) || OBJECTS.BOX;
+            if (config.segments) {
+                // Ropes and chains hang down from where they're placed
+                ctx.moveTo(position.x, position.y);
+                ctx.lineTo(position.x, position.y + config.segments * config.segmentLength);
+            } else if (config.radius) {
+                ctx.arc(position.x, position.y, config.radius, 0, Math.PI * 2);
+            } else {
+                const width = config.width || config.size;
+                const height = config.height || config.size;
+                ctx.rect(position.x - width / 2, position.y - height / 2, width, height);
+            }
+            ctx.strokeStyle = config.color;
+            break;
+        }
+        case 'push':
+            ctx.arc(position.x, position.y, TOOLS.PUSH.radius, 0, Math.PI * 2);
+            ctx.strokeStyle = TOOLS.PUSH.color;
+            break;
+        case 'explode':
+            ctx.arc(position.x, position.y, TOOLS.EXPLODE.radius, 0, Math.PI * 2);
+            ctx.strokeStyle = TOOLS.EXPLODE.color;
+            break;
+        default:
+            return;
+    }
+    ctx.globalAlpha = 0.8;
+    ctx.stroke();
+}
+
+/**
+ * Outline a piece of level geometry as it would be placed at a position
+ */
+function tracePiece(ctx, config, position) {
+    const { x, y } = position;
+    switch (config.type) {
+        case 'peg':
+            ctx.arc(x, y, config.radius, 0, Math.PI * 2);
+            break;
+        case 'ramp': {
+            // Placed by its centre of mass, a third of the way in from the right angle
+            const left = x - (config.width * 2) / 3;
+            const top = y - (config.height * 2) / 3;
+            ctx.moveTo(left, top + config.height);
+            ctx.lineTo(left + config.width, top + config.height);
+            ctx.lineTo(left + config.width, top);
+            ctx.closePath();
+            break;
+        }
+        case 'funnel':
+            ctx.moveTo(x - config.width / 2, y - config.height / 2);
+            ctx.lineTo(x - config.gap / 2, y + config.height / 2);
+            ctx.moveTo(x + config.width / 2, y - config.height / 2);
+            ctx.lineTo(x + config.gap / 2, y + config.height / 2);
+            break;
+        default:
+            ctx.rect(x - config.width / 2, y - config.height / 2, config.width, config.height);
+    }
+}
+
+/**
+ * The outline being sketched with the draw tool, closed back to where it started
+ */
+function drawStroke(ctx, frame, stroke) {
+    const { points } = stroke;
+    if (points.length < 2) return;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) {
+        ctx.lineTo(points[i].x, points[i].y);
+    }
+    ctx.strokeStyle = getMaterial(stroke.material).color;
+    ctx.lineWidth = 3 / frame.zoom;
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+
+    const last = points[points.length - 1];
+    ctx.beginPath();
+    ctx.moveTo(last.x, last.y);
+    ctx.lineTo(points[0].x, points[0].y);
+    ctx.setLineDash([6 / frame.zoom, 6 / frame.zoom]);
+    ctx.lineWidth = 2 / frame.zoom;
+    ctx.globalAlpha = 0.6;
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Where a water stroke would put water: the box from where it started to the
+ * pointer, or the outline so far
+ * @returns {Array} - World positions around the outline
+ */
+function getWaterOutline(stroke) {
+    const { points } = stroke;
+    if (stroke.shape !== WATER_SHAPES.BOX.id) return points;
+
+    const start = points[0];
+    const end = points[points.length - 1];
+    return [
+        { x: start.x, y: start.y },
+        { x: end.x, y: start.y },
+        { x: end.x, y: end.y },
+        { x: start.x, y: end.y },
+    ];
+}
+
+/**
+ * The water being painted with the water tool
+ */
+function drawWaterStroke(ctx, frame, stroke) {
+    const outline = getWaterOutline(stroke);
+    if (outline.length < 2) return;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(outline[0].x, outline[0].y);
+    for (let i = 1; i < outline.length; i++) {
+        ctx.lineTo(outline[i].x, outline[i].y);
+    }
+    ctx.closePath();
+    ctx.globalAlpha = 0.25;
+    ctx.fillStyle = FLUID.COLOR;
+    ctx.fill();
+    ctx.globalAlpha = 0.8;
+    ctx.setLineDash([6 / frame.zoom, 6 / frame.zoom]);
+    ctx.lineWidth = 2 / frame.zoom;
+    ctx.strokeStyle = FLUID.SURFACE_COLOR;
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Level editor overlay: the snapping grid, pinned bodies and the piece about
+ * to be placed
+ */
+function drawEditorOverlay(ctx, frame, gameWorld, position, editor) {
+    const arena = gameWorld.getArenaSize();
+
+    if (editor.gridSize) {
+        ctx.beginPath();
+        for (let x = 0; x <= arena.width; x += editor.gridSize) {
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, arena.height);
+        }
+        for (let y = 0; y <= arena.height; y += editor.gridSize) {
+            ctx.moveTo(0, y);
+            ctx.lineTo(arena.width, y);
+        }
+        ctx.strokeStyle = EDITOR.GRID_COLOR;
+        ctx.lineWidth = 1 / frame.zoom;
+        ctx.stroke();
+    }
+
+    ctx.lineWidth = 2 / frame.zoom;
+    ctx.setLineDash([4 / frame.zoom, 4 / frame.zoom]);
+    gameWorld.getAllBodies().forEach((body) => {
+        if (body.isStatic && !gameWorld.isBoundary(body)) {
+            traceBody(ctx, body);
+            ctx.strokeStyle = '#ffffff55';
+            ctx.stroke();
+        }
+    });
+
+    const config = Object.values(GEOMETRY).find((g) => g.type === editor.piece);
+    if (config && position) {
+        ctx.setLineDash([8 / frame.zoom, 6 / frame.zoom]);
+        ctx.beginPath();
+        tracePiece(ctx, config, gameWorld.snapToGrid(position));
+        ctx.strokeStyle = config.color;
+        ctx.globalAlpha = 0.8;
+        ctx.stroke();
+    }
+}
+
+/**
+ * Outline the selected bodies, and the box being dragged out to select more
+ */
+function drawSelection(ctx, frame, gameWorld, selectedIds, marquee) {
+    ctx.save();
+    ctx.lineWidth = 2 / frame.zoom;
+    ctx.setLineDash([4 / frame.zoom, 4 / frame.zoom]);
+    ctx.strokeStyle = EDITOR.SELECTION_COLOR;
+
+    if (selectedIds.length > 0) {
+        gameWorld.getAllBodies().forEach((body) => {
+            if (!selectedIds.includes(body.customId)) return;
+            traceBody(ctx, body);
+            ctx.stroke();
+        });
+    }
+
+    if (marquee) {
+        const { start, end } = marquee;
+        ctx.beginPath();
+        ctx.rect(start.x, start.y, end.x - start.x, end.y - start.y);
+        ctx.fillStyle = `${EDITOR.SELECTION_COLOR}22`;
+        ctx.fill();
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
 export default function GameCanvas({
     selectedTool = 'spawn',
     selectedObject = 'box',
     onToolUsed = () => { },
     remoteCursors = {},
     onSpawn = () => { },
+    onWorldReady = () => { },
+    inspectedId = null,
+    onInspect = () => { },
+    canSelect = true,
+    jointOptions = { jointType: 'rope' },
+    selectedShape = null,
+    drawMaterial = 'wood',
+    onShapeDrawn = () => { },
+    waterShape = WATER_SHAPES.BOX.id,
 }) {
+    const containerRef = useRef(null);
     const canvasRef = useRef(null);
-    const engineRef = useRef(null);
+    const gameWorldRef = useRef(null);
     const [isReady, setIsReady] = useState(false);
     const [gravityDirection, setGravityDirection] = useState('down');
+    const [cameraState, setCameraState] = useState(null);
+    const [pickingFollow, setPickingFollow] = useState(false);
     const lastMousePos = useRef({ x: 0, y: 0 });
+    const panRef = useRef(null);
+    const spaceHeldRef = useRef(false);
+    const hoverPosRef = useRef(null);
+    const previewRef = useRef({ tool: selectedTool, object: selectedObject, picking: false });
+    const [jointStart, setJointStart] = useState(null);
+    const [jointTool, setJointTool] = useState(selectedTool);
+    const inspectedRef = useRef(inspectedId);
+    const [editorState, setEditorState] = useState(null);
+    const editorRef = useRef(null);
+    const [selectionState, setSelectionState] = useState(null);
+    const selectionRef = useRef(null);
+    const selectingRef = useRef(false);
+    const selectDragRef = useRef(null);
+    const marqueeRef = useRef(null);
+    const drawingRef = useRef(false);
+    const strokeRef = useRef(null);
+    const waterRef = useRef(null);
 
     // Initialize physics engine
     useEffect(() => {
         if (!canvasRef.current) return;
 
         const handleCollision = (bodyA, bodyB) => {
-            const explosionResult = handleExplosiveCollision(bodyA, bodyB);
+            const explosionResult = gameWorld.handleExplosiveCollision(bodyA, bodyB);
             if (explosionResult) {
                 onToolUsed('explode', explosionResult);
             }
         };
 
-        const { engine, world, render, runner, mouse, mouseConstraint } = initEngine(
-            canvasRef.current,
-            handleCollision
-        );
+        const container = containerRef.current;
+        const gameWorld = createGameWorld({
+            canvas: canvasRef.current,
+            onCollision: handleCollision,
+            width: container.clientWidth || CANVAS.WIDTH,
+            height: container.clientHeight || CANVAS.HEIGHT,
+        });
 
-        engineRef.current = { engine, world, render, runner, mouse, mouseConstraint };
-        startEngine();
+        gameWorldRef.current = gameWorld;
+        gameWorld.start();
         setIsReady(true);
-
-        // Update floaty objects in game loop
-        const floatyInterval = setInterval(() => {
-            updateFloatyObjects();
-        }, 16);
+        onWorldReady(gameWorld);
 
         // Poll gravity direction to sync indicator
         const gravityInterval = setInterval(() => {
-            const g = getGravity();
+            const g = gameWorld.getGravity();
             if (Math.abs(g.y) > Math.abs(g.x)) {
                 setGravityDirection(g.y > 0 ? 'down' : 'up');
             } else {
@@ -55,85 +402,556 @@ export default function GameCanvas({
             }
         }, 100);
 
+        // Keep the converter with the state so overlays re-place whenever the view moves
+        const removePreview = gameWorld.addOverlay((ctx, frame) => {
+            drawInspected(ctx, frame, gameWorld, inspectedRef.current);
+            if (editorRef.current?.mode === 'editing') {
+                drawEditorOverlay(ctx, frame, gameWorld, hoverPosRef.current, editorRef.current);
+            } else {
+                drawToolPreview(ctx, frame, gameWorld, hoverPosRef.current, previewRef.current);
+            }
+            if (selectingRef.current) {
+                drawSelection(ctx, frame, gameWorld, selectionRef.current?.ids || [], marqueeRef.current);
+            }
+            if (strokeRef.current) {
+                drawStroke(ctx, frame, strokeRef.current);
+            }
+            if (waterRef.current) {
+                drawWaterStroke(ctx, frame, waterRef.current);
+            }
+        });
+
+        const unsubscribeCamera = gameWorld.onCameraChange((state) => {
+            setCameraState({ ...state, worldToScreen: gameWorld.worldToScreen });
+        });
+
+        // While the level is being edited, clicks place, pick and drag instead of using tools
+        const unsubscribeEditor = gameWorld.onEditorChange((state) => {
+            editorRef.current = state;
+            setEditorState(state);
+        });
+
+        const unsubscribeSelection = gameWorld.onSelectionChange((state) => {
+            selectionRef.current = state;
+            setSelectionState(state);
+        });
+
+        // The view fills the space the layout gives the canvas; the arena grows to
+        // cover it but never shrinks, so a smaller window doesn't crush anything
+        const resizeObserver = new ResizeObserver(() => {
+            const width = container.clientWidth;
+            const height = container.clientHeight;
+            if (width > 0 && height > 0) {
+                const arena = gameWorld.getArenaSize();
+                gameWorld.setViewportSize(width, height);
+                gameWorld.setArenaSize(Math.max(arena.width, width), Math.max(arena.height, height));
+            }
+        });
+        resizeObserver.observe(container);
+
         return () => {
-            clearInterval(floatyInterval);
+            resizeObserver.disconnect();
+            unsubscribeSelection();
+            unsubscribeEditor();
+            unsubscribeCamera();
+            removePreview();
             clearInterval(gravityInterval);
-            stopEngine();
+            onWorldReady(null);
+            gameWorld.destroy();
+            gameWorldRef.current = null;
         };
-    }, [onToolUsed]);
+    }, [onToolUsed, onWorldReady]);
+
+    // A joint half made with one tool is dropped when another is picked up
+    if (jointTool !== selectedTool) {
+        setJointTool(selectedTool);
+        setJointStart(null);
+    }
+
+    // Tool preview overlay reads the current selection from a ref
+    useEffect(() => {
+        previewRef.current = {
+            tool: selectedTool,
+            object: selectedObject,
+            shape: selectedShape,
+            picking: pickingFollow,
+            jointStart,
+            jointType: jointOptions.jointType,
+        };
+    }, [selectedTool, selectedObject, selectedShape, pickingFollow, jointStart, jointOptions.jointType]);
+
+    useEffect(() => {
+        inspectedRef.current = inspectedId;
+    }, [inspectedId]);
+
+    // Presses pick bodies rather than grab them while selecting, in the editor
+    // or with the select tool
+    const editing = editorState?.mode === 'editing';
+    const selecting = editing || (selectedTool === 'select' && canSelect && !pickingFollow);
+    // Presses sketch rather than grab with the draw and water tools
+    const drawing = !editing && (selectedTool === 'draw' || selectedTool === 'water') && !pickingFollow;
+
+    useEffect(() => {
+        selectingRef.current = selecting;
+        drawingRef.current = drawing;
+        if (isReady && !editing) {
+            gameWorldRef.current?.setMouseDragEnabled(!selecting && !drawing);
+        }
+    }, [isReady, editing, selecting, drawing]);
+
+    // Space held turns a left-drag into a camera pan
+    useEffect(() => {
+        const isTyping = (e) => e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA';
+
+        const handleKeyDown = (e) => {
+            if (e.code === 'Space' && !isTyping(e)) {
+                spaceHeldRef.current = true;
+                e.preventDefault();
+            }
+        };
+        const handleKeyUp = (e) => {
+            if (e.code === 'Space') {
+                spaceHeldRef.current = false;
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        window.addEventListener('keyup', handleKeyUp);
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            window.removeEventListener('keyup', handleKeyUp);
+        };
+    }, []);
+
+    // Map a pointer event to world coordinates through the camera
+    const toWorldPosition = useCallback((e) => {
+        return gameWorldRef.current.clientToWorld(e.clientX, e.clientY);
+    }, []);
 
     // Handle canvas click
     const handleClick = useCallback((e) => {
         if (!isReady) return;
 
-        const rect = canvasRef.current.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-        const position = { x, y };
+        // The click that ends a camera drag isn't a tool use
+        if (panRef.current) {
+            panRef.current = null;
+            return;
+        }
+
+        // Selecting acts on mouse down
+        if (selecting) return;
+
+        const position = toWorldPosition(e);
+
+        const gameWorld = gameWorldRef.current;
+
+        if (pickingFollow) {
+            gameWorld.followBody(gameWorld.getBodyAtPosition(position) || null);
+            setPickingFollow(false);
+            return;
+        }
 
         switch (selectedTool) {
-            case 'spawn':
-                const result = executeTool('spawn', { position, objectType: selectedObject });
-                onSpawn(selectedObject, position);
+            case 'spawn': {
+                // A saved drawing spawns from its outline
+                const objectType = selectedShape ? 'custom' : selectedObject;
+                const options = selectedShape
+                    ? { vertices: selectedShape.vertices, material: selectedShape.material }
+                    : undefined;
+                gameWorld.recordAction('Spawn');
+                const result = gameWorld.executeTool('spawn', { position, objectType, options });
+                onSpawn(objectType, position, options);
                 onToolUsed('spawn', result);
                 break;
+            }
 
             case 'explode':
-                const explodeResult = executeTool('explode', { position });
+                gameWorld.recordAction('Explosion');
+                const explodeResult = gameWorld.executeTool('explode', { position });
                 onToolUsed('explode', explodeResult);
                 break;
 
             case 'gravity':
-                const gravityResult = executeTool('gravity', {});
+                gameWorld.recordAction('Gravity flip');
+                const gravityResult = gameWorld.executeTool('gravity', {});
                 setGravityDirection((prev) => (prev === 'down' ? 'up' : 'down'));
                 onToolUsed('gravity', gravityResult);
                 break;
 
             case 'scale':
-                const scaleResult = executeTool('scale', { position, grow: !e.shiftKey });
+                // Clicking empty space scales nothing, so there is nothing to undo
+                if (gameWorld.getBodyAtPosition(position)) {
+                    gameWorld.recordAction('Scale');
+                }
+                const scaleResult = gameWorld.executeTool('scale', { position, grow: !e.shiftKey });
                 if (scaleResult) {
                     onToolUsed('scale', scaleResult);
                 }
                 break;
 
+            case 'inspect': {
+                const body = getInspectableBody(gameWorld, position);
+                onInspect(body ? body.customId : null);
+                break;
+            }
+
+            // The first click picks a body, the second another body or a
+            // place in the world to join it to
+            case 'joint': {
+                if (!jointStart) {
+                    const body = gameWorld.getJointBodyAt(position);
+                    if (body) {
+                        setJointStart({
+                            body,
+                            offset: { x: position.x - body.position.x, y: position.y - body.position.y },
+                            angle: body.angle,
+                        });
+                    }
+                    break;
+                }
+
+                setJointStart(null);
+                // Clicking the first body again lets it go
+                if (gameWorld.getJointBodyAt(position) === jointStart.body) break;
+
+                gameWorld.recordAction('Joint');
+                const jointResult = gameWorld.executeTool('joint', {
+                    ...jointOptions,
+                    from: getJointStartPoint(jointStart),
+                    position,
+                });
+                if (jointResult) {
+                    onToolUsed('joint', jointResult);
+                }
+                break;
+            }
+
+            case 'delete':
+                // Clicking empty space deletes nothing, so there is nothing to undo
+                if (!gameWorld.getJointAt(position) && !gameWorld.getSelectableBodyAt(position)) break;
+                gameWorld.recordAction('Delete');
+                const deleteResult = gameWorld.executeTool('delete', { position });
+                onToolUsed('delete', deleteResult);
+                break;
+
+            // Dragging paints water; Shift+Click drains it
+            case 'water': {
+                if (!e.shiftKey || !gameWorld.isWaterAt(position)) break;
+                gameWorld.recordAction('Drain');
+                const drainResult = gameWorld.executeTool('water', { position, remove: true });
+                onToolUsed('water', drainResult);
+                break;
+            }
+
             default:
                 break;
         }
-    }, [isReady, selectedTool, selectedObject, onToolUsed, onSpawn]);
+    }, [
+        isReady, selecting, pickingFollow, selectedTool, selectedObject, selectedShape, jointStart, jointOptions,
+        onToolUsed, onSpawn, onInspect, toWorldPosition,
+    ]);
 
-    // Handle mouse move for push tool
+    // Handle mouse move for push tool and camera panning
     const handleMouseMove = useCallback((e) => {
-        const rect = canvasRef.current.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+        if (!gameWorldRef.current) return;
+
+        const pan = panRef.current;
+        if (pan && pan.active) {
+            gameWorldRef.current.panBy(e.clientX - pan.lastX, e.clientY - pan.lastY);
+            pan.lastX = e.clientX;
+            pan.lastY = e.clientY;
+            pan.moved = true;
+        }
+
+        lastMousePos.current = toWorldPosition(e);
+        hoverPosRef.current = lastMousePos.current;
+
+        const marquee = marqueeRef.current;
+        if (marquee) {
+            marquee.end = lastMousePos.current;
+        }
+
+        const stroke = strokeRef.current;
+        if (stroke) {
+            const last = stroke.points[stroke.points.length - 1];
+            const position = lastMousePos.current;
+            if (Math.hypot(position.x - last.x, position.y - last.y) >= DRAW.POINT_SPACING) {
+                stroke.points.push(position);
+            }
+        }
+
+        // A box of water only needs where it started and where the pointer is
+        const water = waterRef.current;
+        if (water) {
+            const last = water.points[water.points.length - 1];
+            const position = lastMousePos.current;
+            if (water.shape === WATER_SHAPES.BOX.id) {
+                water.points = [water.points[0], position];
+            } else if (Math.hypot(position.x - last.x, position.y - last.y) >= DRAW.POINT_SPACING) {
+                water.points.push(position);
+            }
+        }
+
+        // Dragging moves the selection with the grabbed body; in the editor
+        // that body snaps to the grid
+        const drag = selectDragRef.current;
+        if (drag) {
+            const gameWorld = gameWorldRef.current;
+            const target = {
+                x: lastMousePos.current.x + drag.offset.x,
+                y: lastMousePos.current.y + drag.offset.y,
+            };
+            const snapped = drag.snap ? gameWorld.snapToGrid(target) : target;
+            const offset = { x: snapped.x - drag.body.position.x, y: snapped.y - drag.body.position.y };
+            if (offset.x === 0 && offset.y === 0) return;
+
+            if (!drag.moved) {
+                gameWorld.recordAction('Move');
+                drag.moved = true;
+            }
+            gameWorld.moveSelection(offset);
+        }
+    }, [toWorldPosition]);
+
+    const handleMouseLeave = useCallback(() => {
+        hoverPosRef.current = null;
+    }, []);
+
+    // A finished sketch becomes a body where it was drawn, and is kept under "My shapes"
+    const finishStroke = useCallback((stroke) => {
+        const gameWorld = gameWorldRef.current;
+        if (!gameWorld) return;
+
+        const outline = prepareOutline(stroke.points);
+        if (!outline) {
+            if (stroke.points.length > 1 && window.showChaosStatus) {
+                window.showChaosStatus('✏️ TOO SMALL - DRAW A BIGGER OUTLINE');
+            }
+            return;
+        }
+
+        const options = { vertices: outline.vertices, material: stroke.material };
+        gameWorld.recordAction('Draw');
+        gameWorld.executeTool('spawn', { position: outline.center, objectType: 'custom', options });
+        onSpawn('custom', outline.center, options);
+        onShapeDrawn(options);
+    }, [onSpawn, onShapeDrawn]);
+
+    // Painted water fills its box or outline
+    const finishWater = useCallback((stroke) => {
+        const gameWorld = gameWorldRef.current;
+        if (!gameWorld) return;
+
+        let vertices = null;
+        if (stroke.shape === WATER_SHAPES.BOX.id) {
+            const start = stroke.points[0];
+            const end = stroke.points[stroke.points.length - 1];
+            const width = Math.abs(end.x - start.x);
+            const height = Math.abs(end.y - start.y);
+            vertices = width >= FLUID.MIN_ZONE_SIZE && height >= FLUID.MIN_ZONE_SIZE ? getWaterOutline(stroke) : null;
+        } else {
+            const outline = prepareOutline(stroke.points);
+            vertices = outline && outline.vertices.map((v) => ({ x: outline.center.x + v.x, y: outline.center.y + v.y }));
+        }
+        if (!vertices) {
+            if (stroke.points.length > 1 && window.showChaosStatus) {
+                window.showChaosStatus('🌊 TOO SMALL - PAINT MORE WATER');
+            }
+            return;
+        }
+
+        gameWorld.recordAction('Water');
+        const result = gameWorld.executeTool('water', { vertices });
+        onToolUsed('water', result);
+    }, [onToolUsed]);
+
+    // Middle-drag or space-drag pans the camera
+    const handleMouseUp = useCallback((e) => {
+        selectDragRef.current = null;
 
-        lastMousePos.current = { x, y };
+        const stroke = strokeRef.current;
+        if (stroke) {
+            strokeRef.current = null;
+            finishStroke(stroke);
+        }
+
+        const water = waterRef.current;
+        if (water) {
+            waterRef.current = null;
+            finishWater(water);
+        }
+
+        // A box too small to mean anything is a click on empty space
+        const marquee = marqueeRef.current;
+        if (marquee) {
+            marqueeRef.current = null;
+            const gameWorld = gameWorldRef.current;
+            const dragged = Math.max(Math.abs(e.clientX - marquee.clientX), Math.abs(e.clientY - marquee.clientY));
+            if (gameWorld && dragged >= SELECTION.MIN_MARQUEE) {
+                gameWorld.selectRegion({
+                    min: { x: Math.min(marquee.start.x, marquee.end.x), y: Math.min(marquee.start.y, marquee.end.y) },
+                    max: { x: Math.max(marquee.start.x, marquee.end.x), y: Math.max(marquee.start.y, marquee.end.y) },
+                }, marquee.additive);
+            } else if (gameWorld && !marquee.additive) {
+                gameWorld.clearSelection();
+                onInspect(null);
+            }
+        }
+
+        const pan = panRef.current;
+        if (!pan || !pan.active) return;
+
+        pan.active = false;
+        gameWorldRef.current?.setMouseDragEnabled(!selectingRef.current && !drawingRef.current);
+        // Keep the pan around only if a click will follow and needs swallowing
+        if (pan.button !== 0) {
+            panRef.current = null;
+        }
+    }, [onInspect, finishStroke, finishWater]);
+
+    useEffect(() => {
+        window.addEventListener('mouseup', handleMouseUp);
+        return () => window.removeEventListener('mouseup', handleMouseUp);
+    }, [handleMouseUp]);
+
+    // Wheel zooms around the pointer
+    const handleWheel = useCallback((e) => {
+        const gameWorld = gameWorldRef.current;
+        if (!gameWorld) return;
+
+        const canvas = canvasRef.current;
+        const rect = canvas.getBoundingClientRect();
+        const screenPoint = {
+            x: (e.clientX - rect.left) * (canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (canvas.height / rect.height),
+        };
+        gameWorld.zoomAt(screenPoint, Math.exp(-e.deltaY * CAMERA.WHEEL_ZOOM_SPEED));
     }, []);
 
-    // Handle mouse down for push tool
+    // Selecting: a press on a body picks it (Shift adds or takes it out) and
+    // drags the selection; on empty space it starts a box to select what it
+    // touches. In the editor a chosen piece is placed instead.
+    const handleSelectMouseDown = useCallback((e) => {
+        const gameWorld = gameWorldRef.current;
+        const position = toWorldPosition(e);
+        const { mode, piece } = gameWorld.getEditorState();
+
+        if (mode === 'editing' && piece) {
+            const config = Object.values(GEOMETRY).find((g) => g.type === piece);
+            gameWorld.recordAction(`Place ${config.label.toLowerCase()}`);
+            gameWorld.placeGeometry(piece, gameWorld.snapToGrid(position));
+            return;
+        }
+
+        const body = gameWorld.getSelectableBodyAt(position);
+        if (!body) {
+            marqueeRef.current = {
+                start: position,
+                end: position,
+                clientX: e.clientX,
+                clientY: e.clientY,
+                additive: e.shiftKey,
+            };
+            return;
+        }
+
+        if (e.shiftKey) {
+            gameWorld.selectBodyAt(position, true);
+            return;
+        }
+
+        // Grabbing a selected body drags the whole selection
+        if (!gameWorld.getSelectionState().ids.includes(body.customId)) {
+            gameWorld.selectBodyAt(position);
+        }
+        selectDragRef.current = {
+            body,
+            offset: { x: body.position.x - position.x, y: body.position.y - position.y },
+            snap: mode === 'editing',
+            moved: false,
+        };
+        // What is picked is inspected too
+        onInspect(body.customId);
+    }, [onInspect, toWorldPosition]);
+
+    // Handle mouse down for camera panning and the push tool
     const handleMouseDown = useCallback((e) => {
-        if (selectedTool !== 'push') return;
+        if (!gameWorldRef.current) return;
+
+        if (e.button === 1 || (e.button === 0 && spaceHeldRef.current)) {
+            e.preventDefault();
+            panRef.current = { active: true, button: e.button, lastX: e.clientX, lastY: e.clientY };
+            gameWorldRef.current.setMouseDragEnabled(false);
+            return;
+        }
+        panRef.current = null;
+
+        if (e.button === 0 && selecting) {
+            handleSelectMouseDown(e);
+            return;
+        }
+
+        if (e.button === 0 && drawing) {
+            if (selectedTool === 'water') {
+                // Shift+Click drains instead
+                if (!e.shiftKey) {
+                    waterRef.current = { points: [toWorldPosition(e)], shape: waterShape };
+                }
+                return;
+            }
+            strokeRef.current = { points: [toWorldPosition(e)], material: drawMaterial };
+            return;
+        }
+
+        if (selectedTool !== 'push' || pickingFollow) return;
         if (e.button !== 0) return; // Only left click
 
-        const rect = canvasRef.current.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-        const position = { x, y };
+        const position = toWorldPosition(e);
 
-        // Push direction is from click point outward
-        const centerX = CANVAS.WIDTH / 2;
-        const centerY = CANVAS.HEIGHT / 2;
-        const dx = x - centerX;
-        const dy = y - centerY;
+        // Push direction is from the centre of the view outward through the click point
+        const view = gameWorldRef.current.getCameraState();
+        const dx = position.x - view.x;
+        const dy = position.y - view.y;
         const length = Math.sqrt(dx * dx + dy * dy) || 1;
         const direction = { x: dx / length, y: dy / length };
 
-        const pushResult = toolPush(position, direction);
+        const pushResult = gameWorldRef.current.toolPush(position, direction);
         onToolUsed('push', pushResult);
-    }, [selectedTool, onToolUsed]);
+    }, [
+        selecting, handleSelectMouseDown, drawing, drawMaterial, waterShape, selectedTool, pickingFollow, onToolUsed,
+        toWorldPosition,
+    ]);
+
+    const handleFollowClick = useCallback(() => {
+        const gameWorld = gameWorldRef.current;
+        if (!gameWorld) return;
+
+        if (gameWorld.getFollowedBody()) {
+            gameWorld.followBody(null);
+            setPickingFollow(false);
+        } else {
+            setPickingFollow((prev) => !prev);
+        }
+    }, []);
+
+    const handleFitAll = useCallback(() => {
+        gameWorldRef.current?.fitAll();
+        setPickingFollow(false);
+    }, []);
+
+    const handleResetView = useCallback(() => {
+        gameWorldRef.current?.resetCamera();
+        setPickingFollow(false);
+    }, []);
+
+    // Remote cursors arrive in world coordinates; place them through the camera
+    const toOverlayPosition = (position) => {
+        return cameraState ? cameraState.worldToScreen(position) : position;
+    };
+
 
     return (
-        <div className={styles.canvasContainer}>
+        <div ref={containerRef} className={styles.canvasContainer}>
             <canvas
                 ref={canvasRef}
                 width={CANVAS.WIDTH}
@@ -142,6 +960,8 @@ export default function GameCanvas({
                 onClick={handleClick}
                 onMouseMove={handleMouseMove}
                 onMouseDown={handleMouseDown}
+                onWheel={handleWheel}
+                onMouseLeave={handleMouseLeave}
             />
 
             {/* Gravity indicator */}
@@ -156,27 +976,74 @@ export default function GameCanvas({
             </div>
 
             {/* Remote cursors */}
-            {Object.entries(remoteCursors).map(([peerId, cursor]) => (
-                <div
-                    key={peerId}
-                    className={styles.remoteCursor}
-                    style={{
-                        left: cursor.position.x,
-                        top: cursor.position.y,
-                        backgroundColor: cursor.color || '#ff6b6b',
-                    }}
+            {Object.entries(remoteCursors).map(([peerId, cursor]) => {
+                const position = toOverlayPosition(cursor.position);
+                return (
+                    <div
+                        key={peerId}
+                        className={styles.remoteCursor}
+                        style={{
+                            left: position.x,
+                            top: position.y,
+                            backgroundColor: cursor.color || '#ff6b6b',
+                        }}
+                    >
+                        <span className={styles.cursorLabel}>{peerId.slice(-4)}</span>
+                    </div>
+                );
+            })}
+
+            {/* Camera controls */}
+            <div className={styles.cameraControls}>
+                <button
+                    className={`${styles.cameraBtn} ${pickingFollow || cameraState?.followingId ? styles.cameraBtnActive : ''}`}
+                    onClick={handleFollowClick}
+                    title="Follow an object (click it next)"
                 >
-                    <span className={styles.cursorLabel}>{peerId.slice(-4)}</span>
-                </div>
-            ))}
+                    🎯
+                </button>
+                <button className={styles.cameraBtn} onClick={handleFitAll} title="Fit all objects">
+                    🔲
+                </button>
+                <button className={styles.cameraBtn} onClick={handleResetView} title="Reset view">
+                    1:1
+                </button>
+                <span className={styles.zoomLabel}>
+                    {Math.round((cameraState?.zoom || 1) * 100)}%
+                </span>
+            </div>
 
             {/* Tool hint */}
             <div className={styles.toolHint}>
-                {selectedTool === 'spawn' && `Click to spawn ${selectedObject}`}
-                {selectedTool === 'push' && 'Click to push objects outward'}
-                {selectedTool === 'explode' && 'Click to create explosion'}
-                {selectedTool === 'gravity' && 'Click to flip gravity'}
-                {selectedTool === 'scale' && 'Click to grow (Shift+Click to shrink)'}
+                {editing && editorState.piece && 'Click to place (Esc to pick instead)'}
+                {selecting && !(editing && editorState.piece) && (
+                    selectionState?.count
+                        ? 'Drag to move, Shift+Click to add or remove, Ctrl+C / Ctrl+D to copy'
+                        : 'Click or drag a box to select, Shift to add'
+                )}
+                {!selecting && (
+                    <>
+                        {pickingFollow && 'Click an object to follow it'}
+                        {!pickingFollow && selectedTool === 'spawn' && `Click to spawn ${selectedShape ? 'your shape' : selectedObject}`}
+                        {!pickingFollow && selectedTool === 'spawn' && (selectedObject === 'rope' || selectedObject === 'chain')
+                            && ', then drag its loose end onto something to tie it'}
+                        {!pickingFollow && selectedTool === 'draw' && 'Drag to sketch a closed outline'}
+                        {!pickingFollow && selectedTool === 'water' && (
+                            waterShape === WATER_SHAPES.BOX.id ? 'Drag a box to fill it with water' : 'Drag an outline to fill it with water'
+                        )}
+                        {!pickingFollow && selectedTool === 'water' && ', Shift+Click water to drain it'}
+                        {!pickingFollow && selectedTool === 'push' && 'Click to push objects outward'}
+                        {!pickingFollow && selectedTool === 'explode' && 'Click to create explosion'}
+                        {!pickingFollow && selectedTool === 'gravity' && 'Click to flip gravity'}
+                        {!pickingFollow && selectedTool === 'scale' && 'Click to grow (Shift+Click to shrink)'}
+                        {!pickingFollow && selectedTool === 'inspect' && 'Click an object to inspect it'}
+                        {!pickingFollow && selectedTool === 'select' && 'Selecting works in solo play'}
+                        {!pickingFollow && selectedTool === 'joint' && (
+                            jointStart ? 'Click another object, or empty space to anchor it' : 'Click an object to start a joint'
+                        )}
+                        {!pickingFollow && selectedTool === 'delete' && 'Click a joint or an object to delete it'}
+                    </>
+                )}
             </div>
         </div>
     );
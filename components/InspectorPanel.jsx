@@ -0,0 +1,150 @@
+'use client';
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { INSPECTOR } from '@/lib/constants';
+import styles from './InspectorPanel.module.css';
+
+const DEGREES = 180 / Math.PI;
+
+// Editable numbers, in the units inspectBody reports unless shown differently
+const FIELDS = [
+    { key: 'mass', label: 'Mass', step: 0.1 },
+    { key: 'density', label: 'Density', step: 0.0005 },
+    { key: 'friction', label: 'Friction', step: 0.05 },
+    { key: 'frictionAir', label: 'Air drag', step: 0.005 },
+    { key: 'restitution', label: 'Bounce', step: 0.05 },
+    { key: 'scale', label: 'Scale', step: 0.1 },
+    { key: 'angle', label: 'Angle °', step: 5, scale: DEGREES },
+    { key: 'vx', label: 'Velocity X', step: 1 },
+    { key: 'vy', label: 'Velocity Y', step: 1 },
+    { key: 'angularVelocity', label: 'Spin', step: 0.05 },
+];
+
+const FLAGS = [
+    { key: 'isStatic', label: 'Static' },
+    { key: 'isExplosive', label: 'Explosive' },
+    { key: 'isFloaty', label: 'Floaty' },
+];
+
+function formatNumber(value) {
+    return value === null ? '∞' : String(Number(value.toPrecision(4)));
+}
+
+/**
+ * Live view of one body's properties, every one editable. Values are re-read
+ * a few times a second, so changes made by sudden rules show up too.
+ * @param {string} bodyId - customId of the body to inspect
+ * @param {Function} onClose - Called to close the inspector
+ * @param {boolean} canEdit - Edits aren't shared, so they are off in multiplayer rooms
+ */
+export default function InspectorPanel({ gameWorld, bodyId, onClose, canEdit = true }) {
+    const [reading, setReading] = useState(null);
+    const [draft, setDraft] = useState(null);
+    const editedKeyRef = useRef(null);
+
+    useEffect(() => {
+        if (!gameWorld || !bodyId) return;
+        const interval = setInterval(() => {
+            setReading({ id: bodyId, values: gameWorld.inspectBody(bodyId) });
+        }, INSPECTOR.REFRESH_MS);
+        return () => clearInterval(interval);
+    }, [gameWorld, bodyId]);
+
+    /**
+     * Apply a change; the first change to a field since it was focused can be undone
+     */
+    const applyChange = useCallback((key, label, value) => {
+        if (!gameWorld) return;
+        if (editedKeyRef.current !== key) {
+            gameWorld.recordAction(`Edit ${label.toLowerCase()}`);
+            editedKeyRef.current = key;
+        }
+        gameWorld.setBodyProperty(bodyId, key, value);
+        setReading({ id: bodyId, values: gameWorld.inspectBody(bodyId) });
+    }, [gameWorld, bodyId]);
+
+    const handleNumberChange = useCallback((field, text) => {
+        setDraft({ key: field.key, text });
+        const value = parseFloat(text);
+        if (Number.isFinite(value)) {
+            applyChange(field.key, field.label, field.scale ? value / field.scale : value);
+        }
+    }, [applyChange]);
+
+    const handleBlur = useCallback(() => {
+        setDraft(null);
+        editedKeyRef.current = null;
+    }, []);
+
+    if (!gameWorld || !bodyId) return null;
+
+    const values = reading?.id === bodyId ? reading.values : gameWorld.inspectBody(bodyId);
+    const locked = !canEdit || gameWorld.isReplaying();
+
+    return (
+        <div className={styles.panel}>
+            <div className={styles.header}>
+                <h3 className={styles.title}>🔎 {values ? values.type : 'Inspector'}</h3>
+                <button className={styles.closeBtn} onClick={onClose} title="Close">✖</button>
+            </div>
+
+            {!values ? (
+                <p className={styles.gone}>That object is gone</p>
+            ) : (
+                <>
+                    <div className={styles.id} title="customId">{values.id}</div>
+
+                    <div className={styles.fields}>
+                        {FIELDS.map((field) => {
+                            const value = values[field.key];
+                            const shown = value === null ? null : value * (field.scale || 1);
+                            return (
+                                <label key={field.key} className={styles.field}>
+                                    <span className={styles.label}>{field.label}</span>
+                                    <input
+                                        className={styles.input}
+                                        type={shown === null ? 'text' : 'number'}
+                                        step={field.step}
+                                        value={draft?.key === field.key ? draft.text : formatNumber(shown)}
+                                        disabled={locked || shown === null}
+                                        onChange={(e) => handleNumberChange(field, e.target.value)}
+                                        onBlur={handleBlur}
+                                    />
+                                </label>
+                            );
+                        })}
+
+                        <label className={styles.field}>
+                            <span className={styles.label}>Color</span>
+                            <input
+                                className={styles.colorInput}
+                                type="color"
+                                value={/^#[0-9a-f]{6}$/i.test(values.color) ? values.color : '#ffffff'}
+                                disabled={locked}
+                                onChange={(e) => applyChange('color', 'Color', e.target.value)}
+                                onBlur={handleBlur}
+                            />
+                        </label>
+                    </div>
+
+                    <div className={styles.flags}>
+                        {FLAGS.map((flag) => (
+                            <label key={flag.key} className={styles.flag}>
+                                <input
+                                    type="checkbox"
+                                    checked={values[flag.key]}
+                                    disabled={locked}
+                                    onChange={(e) => {
+                                        applyChange(flag.key, flag.label, e.target.checked);
+                                        editedKeyRef.current = null;
+                                    }}
+                                />
+                                {flag.label}
+                            </label>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,66 @@
+'use client';
+
+import { JOINTS, JOINT } from '@/lib/constants';
+import styles from './JointPanel.module.css';
+
+const jointList = Object.values(JOINTS);
+
+/**
+ * Joint tool settings: which joint the next two clicks make, and how stiff
+ * and damped a spring is
+ * @param {Object} jointOptions - { jointType, stiffness, damping }
+ * @param {Function} onChange - Called with the new options
+ * @param {boolean} active - The joint tool is in hand
+ */
+export default function JointPanel({ jointOptions, onChange, active = false }) {
+    if (!active) return null;
+
+    const update = (changes) => onChange({ ...jointOptions, ...changes });
+
+    return (
+        <div className={styles.panel}>
+            <h3 className={styles.title}>🔗 Joints</h3>
+
+            <div className={styles.types}>
+                {jointList.map((config) => (
+                    <button
+                        key={config.type}
+                        className={`${styles.typeBtn} ${jointOptions.jointType === config.type ? styles.active : ''}`}
+                        style={{ '--joint-color': config.color }}
+                        onClick={() => update({ jointType: config.type })}
+                    >
+                        <span className={styles.typeIcon}>{config.icon}</span>
+                        <span>{config.label}</span>
+                    </button>
+                ))}
+            </div>
+
+            {jointOptions.jointType === 'spring' && (
+                <>
+                    <label className={styles.slider}>
+                        <span className={styles.label}>Stiffness {jointOptions.stiffness.toFixed(3)}</span>
+                        <input
+                            type="range"
+                            min={JOINT.SPRING_STIFFNESS.min}
+                            max={JOINT.SPRING_STIFFNESS.max}
+                            step={JOINT.SPRING_STIFFNESS.step}
+                            value={jointOptions.stiffness}
+                            onChange={(e) => update({ stiffness: parseFloat(e.target.value) })}
+                        />
+                    </label>
+                    <label className={styles.slider}>
+                        <span className={styles.label}>Damping {jointOptions.damping.toFixed(2)}</span>
+                        <input
+                            type="range"
+                            min={JOINT.SPRING_DAMPING.min}
+                            max={JOINT.SPRING_DAMPING.max}
+                            step={JOINT.SPRING_DAMPING.step}
+                            value={jointOptions.damping}
+                            onChange={(e) => update({ damping: parseFloat(e.target.value) })}
+                        />
+                    </label>
+                </>
+            )}
+        </div>
+    );
+}
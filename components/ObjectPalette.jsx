@@ -2,6 +2,7 @@
 
 import { useState } from 'react';
 import { OBJECTS } from '@/lib/constants';
+import { getMaterial } from '@/lib/physics/shapes';
 import styles from './ObjectPalette.module.css';
 
 const objectList = Object.values(OBJECTS);
@@ -10,14 +11,38 @@ const categories = {
     basic: ['box', 'circle', 'triangle', 'plank'],
     chaos: ['balloon', 'jelly', 'explosive'],
     heavy: ['anvil'],
+    rigging: ['rope', 'chain'],
+    // Shapes drawn with the draw tool, listed from storage rather than OBJECTS
+    mine: [],
 };
 
-export default function ObjectPalette({ selectedObject, onSelectObject }) {
+/**
+ * A drawn shape's outline fitted into the preview square
+ */
+function ShapePreview({ shape }) {
+    const extent = Math.max(...shape.vertices.map((v) => Math.max(Math.abs(v.x), Math.abs(v.y))), 1);
+    const points = shape.vertices.map((v) => `${v.x / extent},${v.y / extent}`).join(' ');
+    return (
+        <svg className={styles.shapePreview} viewBox="-1.1 -1.1 2.2 2.2">
+            <polygon points={points} fill={getMaterial(shape.material).color} />
+        </svg>
+    );
+}
+
+/**
+ * @param {Array} shapes - Saved drawn shapes; picking one selects its id
+ * @param {Function} onDeleteShape - Called with a saved shape's id to forget it
+ */
+export default function ObjectPalette({ selectedObject, onSelectObject, shapes = [], onDeleteShape }) {
     const [activeCategory, setActiveCategory] = useState('basic');
 
     const filteredObjects = objectList.filter((obj) =>
         categories[activeCategory].includes(obj.type)
     );
+    const selectedShape = shapes.find((shape) => shape.id === selectedObject);
+    const selectedConfig = selectedShape
+        ? { ...getMaterial(selectedShape.material), label: 'My shape' }
+        : objectList.find((o) => o.type === selectedObject);
 
     return (
         <div className={styles.container}>
@@ -34,6 +59,8 @@ export default function ObjectPalette({ selectedObject, onSelectObject }) {
                         {category === 'basic' && '📦'}
                         {category === 'chaos' && '🎪'}
                         {category === 'heavy' && '🔨'}
+                        {category === 'rigging' && '🪢'}
+                        {category === 'mine' && '✏️'}
                         <span>{category}</span>
                     </button>
                 ))}
@@ -60,6 +87,10 @@ export default function ObjectPalette({ selectedObject, onSelectObject }) {
                                 <div className={styles.plankPreview} />
                             ) : obj.type === 'anvil' ? (
                                 <div className={styles.anvilPreview} />
+                            ) : obj.type === 'rope' ? (
+                                <div className={styles.ropePreview} />
+                            ) : obj.type === 'chain' ? (
+                                <div className={styles.chainPreview} />
                             ) : (
                                 <div className={styles.boxPreview} />
                             )}
@@ -71,16 +102,46 @@ export default function ObjectPalette({ selectedObject, onSelectObject }) {
                 ))}
             </div>
 
+            {/* Drawn shapes */}
+            {activeCategory === 'mine' && (
+                <div className={styles.grid}>
+                    {shapes.length === 0 && (
+                        <div className={styles.empty}>Shapes you draw with ✏️ Draw show up here</div>
+                    )}
+                    {shapes.map((shape) => (
+                        <div key={shape.id} className={styles.shapeRow}>
+                            <button
+                                className={`${styles.objectBtn} ${selectedObject === shape.id ? styles.selected : ''}`}
+                                style={{ '--obj-color': getMaterial(shape.material).color }}
+                                onClick={() => onSelectObject(shape.id)}
+                            >
+                                <div className={styles.preview}>
+                                    <ShapePreview shape={shape} />
+                                </div>
+                                <span className={styles.objectLabel}>{getMaterial(shape.material).label}</span>
+                            </button>
+                            <button
+                                className={styles.deleteBtn}
+                                onClick={() => onDeleteShape?.(shape.id)}
+                                title="Forget this shape"
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
             {/* Object info */}
             <div className={styles.info}>
-                {selectedObject && (
+                {selectedConfig && (
                     <>
                         <div className={styles.infoTitle}>
-                            {objectList.find((o) => o.type === selectedObject)?.label}
+                            {selectedConfig.label}
                         </div>
                         <div className={styles.infoProps}>
-                            <span>Mass: {objectList.find((o) => o.type === selectedObject)?.density > 0.005 ? '🔴 Heavy' : objectList.find((o) => o.type === selectedObject)?.density < 0.0005 ? '🟢 Light' : '🟡 Normal'}</span>
-                            <span>Bounce: {objectList.find((o) => o.type === selectedObject)?.restitution > 0.7 ? '🔵 High' : '⚪ Low'}</span>
+                            <span>Mass: {selectedConfig.density > 0.005 ? '🔴 Heavy' : selectedConfig.density < 0.0005 ? '🟢 Light' : '🟡 Normal'}</span>
+                            <span>Bounce: {selectedConfig.restitution > 0.7 ? '🔵 High' : '⚪ Low'}</span>
                         </div>
                     </>
                 )}
@@ -0,0 +1,149 @@
+'use client';
+
+import { useState, useCallback, useRef } from 'react';
+import { SCENES } from '@/lib/constants';
+import { downloadBlob } from '@/lib/render/clip';
+import {
+    listSceneSlots,
+    saveSceneSlot,
+    loadSceneSlot,
+    deleteSceneSlot,
+    sceneToFile,
+    getSceneFileName,
+    parseSceneFile,
+} from '@/lib/storage/scenes';
+import styles from './ScenePanel.module.css';
+
+/**
+ * Named save slots and .chaos.json import/export for the current world
+ * @param {Function} onLoadScene - onLoadScene(snapshot, name) replaces the world
+ * @param {boolean} canLoad - Loading is local only, so it is off in multiplayer rooms
+ */
+export default function ScenePanel({ gameWorld, onLoadScene, canLoad = true }) {
+    const [open, setOpen] = useState(false);
+    const [name, setName] = useState('');
+    const [slots, setSlots] = useState([]);
+    const fileInputRef = useRef(null);
+
+    const handleToggle = useCallback(() => {
+        if (!open) setSlots(listSceneSlots());
+        setOpen(!open);
+    }, [open]);
+
+    const handleSave = useCallback((e) => {
+        e.preventDefault();
+        if (!gameWorld || !name.trim()) return;
+        try {
+            const savedAs = saveSceneSlot(name, gameWorld.snapshotWorld());
+            setSlots(listSceneSlots());
+            setName('');
+            gameWorld.showStatus(`💾 SAVED ${savedAs.toUpperCase()}`);
+        } catch (error) {
+            console.error('Saving scene failed:', error);
+            gameWorld.showStatus('❌ SAVE FAILED - STORAGE FULL?');
+        }
+    }, [gameWorld, name]);
+
+    const handleLoad = useCallback((slotName) => {
+        const snapshot = loadSceneSlot(slotName);
+        if (snapshot) onLoadScene(snapshot, slotName);
+    }, [onLoadScene]);
+
+    const handleDelete = useCallback((slotName) => {
+        deleteSceneSlot(slotName);
+        setSlots(listSceneSlots());
+    }, []);
+
+    const handleExport = useCallback(() => {
+        if (!gameWorld) return;
+        const sceneName = name.trim() || 'My scene';
+        downloadBlob(sceneToFile(sceneName, gameWorld.snapshotWorld()), getSceneFileName(sceneName));
+    }, [gameWorld, name]);
+
+    const handleImport = useCallback(async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const scene = parseSceneFile(await file.text());
+            onLoadScene(scene.snapshot, scene.name);
+        } catch (error) {
+            console.error('Importing scene failed:', error);
+            gameWorld?.showStatus('❌ NOT A SCENE FILE');
+        }
+    }, [gameWorld, onLoadScene]);
+
+    return (
+        <div className={styles.panel}>
+            <button className={styles.header} onClick={handleToggle}>
+                💾 Scenes <span className={styles.arrow}>{open ? '▲' : '▼'}</span>
+            </button>
+
+            {open && (
+                <>
+                    <form className={styles.saveRow} onSubmit={handleSave}>
+                        <input
+                            className={styles.nameInput}
+                            type="text"
+                            placeholder="Scene name"
+                            value={name}
+                            maxLength={SCENES.MAX_NAME_LENGTH}
+                            onChange={(e) => setName(e.target.value)}
+                        />
+                        <button className={styles.btn} type="submit" disabled={!name.trim()}>
+                            SAVE
+                        </button>
+                    </form>
+
+                    {slots.length === 0 ? (
+                        <p className={styles.empty}>No saved scenes yet</p>
+                    ) : (
+                        <ul className={styles.slots}>
+                            {slots.map((slot) => (
+                                <li key={slot.name} className={styles.slot}>
+                                    <button
+                                        className={styles.slotLoad}
+                                        onClick={() => handleLoad(slot.name)}
+                                        disabled={!canLoad}
+                                        title={canLoad ? `Load (${slot.bodyCount} objects)` : 'Scenes load in solo play'}
+                                    >
+                                        <span className={styles.slotName}>{slot.name}</span>
+                                        <span className={styles.slotDate}>{new Date(slot.savedAt).toLocaleString()}</span>
+                                    </button>
+                                    <button
+                                        className={styles.slotDelete}
+                                        onClick={() => handleDelete(slot.name)}
+                                        title="Delete"
+                                    >
+                                        🗑️
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    <div className={styles.fileRow}>
+                        <button className={styles.btn} onClick={handleExport} title={`Download as ${SCENES.FILE_EXTENSION}`}>
+                            ⬇️ EXPORT
+                        </button>
+                        <button
+                            className={styles.btn}
+                            onClick={() => fileInputRef.current?.click()}
+                            disabled={!canLoad}
+                            title={canLoad ? `Open a ${SCENES.FILE_EXTENSION} file` : 'Scenes load in solo play'}
+                        >
+                            📂 IMPORT
+                        </button>
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept={`${SCENES.FILE_EXTENSION},application/json`}
+                            className={styles.hiddenInput}
+                            onChange={handleImport}
+                        />
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -5,12 +5,25 @@ import styles from './ScreenEffects.module.css';
 
 /**
  * Screen effects component - handles shake, particles, and status messages
+ * @param {Function} worldToClient - Camera conversion from world to page coordinates;
+ *   particle spawns are given in world coordinates
  */
-export default function ScreenEffects({ children }) {
+export default function ScreenEffects({ children, worldToClient = null }) {
     const [shake, setShake] = useState(0);
     const [particles, setParticles] = useState([]);
     const [statusMessage, setStatusMessage] = useState('');
     const particleIdRef = useRef(0);
+    const worldToClientRef = useRef(worldToClient);
+    const effectsRef = useRef({ particles: [], statusMessage: '' });
+
+    useEffect(() => {
+        worldToClientRef.current = worldToClient;
+    }, [worldToClient]);
+
+    // Clips paint the current effects into their frames
+    useEffect(() => {
+        effectsRef.current = { particles, statusMessage };
+    }, [particles, statusMessage]);
 
     // Expose effect triggers globally
     useEffect(() => {
@@ -20,10 +33,19 @@ export default function ScreenEffects({ children }) {
         };
 
         window.spawnParticles = (x, y, count = 10, color = '#ff6b6b') => {
-            // Get canvas offset from page - particles are in fixed position layer
-            const gameArea = document.querySelector('[data-game-area]');
-            const offsetX = gameArea ? gameArea.getBoundingClientRect().left : 0;
-            const offsetY = gameArea ? gameArea.getBoundingClientRect().top : 0;
+            // Particles are in a fixed position layer, so go through the camera to the page
+            let clientX = x;
+            let clientY = y;
+            if (worldToClientRef.current) {
+                ({ x: clientX, y: clientY } = worldToClientRef.current({ x, y }));
+            } else {
+                const gameArea = document.querySelector('[data-game-area]');
+                if (gameArea) {
+                    const rect = gameArea.getBoundingClientRect();
+                    clientX += rect.left;
+                    clientY += rect.top;
+                }
+            }
 
             const newParticles = [];
             for (let i = 0; i < count; i++) {
@@ -31,8 +53,8 @@ export default function ScreenEffects({ children }) {
                 const speed = 3 + Math.random() * 5;
                 newParticles.push({
                     id: particleIdRef.current++,
-                    x: x + offsetX, // Add canvas offset
-                    y: y + offsetY, // Add canvas offset
+                    x: clientX,
+                    y: clientY,
                     vx: Math.cos(angle) * speed,
                     vy: Math.sin(angle) * speed,
                     size: 4 + Math.random() * 8,
@@ -48,10 +70,13 @@ export default function ScreenEffects({ children }) {
             setTimeout(() => setStatusMessage(''), 2500);
         };
 
+        window.getScreenEffects = () => effectsRef.current;
+
         return () => {
             delete window.triggerScreenShake;
             delete window.spawnParticles;
             delete window.showChaosStatus;
+            delete window.getScreenEffects;
         };
     }, []);
 
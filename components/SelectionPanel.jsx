@@ -0,0 +1,195 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { SELECTION } from '@/lib/constants';
+import styles from './SelectionPanel.module.css';
+
+/**
+ * Group edits for the selected bodies, shown in the level editor and with the
+ * select tool. Ctrl+C / Ctrl+V / Ctrl+D copy, paste and duplicate, Delete
+ * removes and Esc lets go; in the editor Q/E turn, [ and ] resize and S freezes.
+ * @param {boolean} active - The select tool is in hand
+ * @param {Function} getCursorPosition - World position Ctrl+V pastes at
+ * @param {boolean} canEdit - Edits aren't shared, so they are off in multiplayer rooms
+ */
+export default function SelectionPanel({ gameWorld, active = false, getCursorPosition, canEdit = true }) {
+    const [selectionState, setSelectionState] = useState(null);
+    const [editorState, setEditorState] = useState(null);
+
+    useEffect(() => {
+        if (!gameWorld) return;
+        const unsubscribeSelection = gameWorld.onSelectionChange(setSelectionState);
+        const unsubscribeEditor = gameWorld.onEditorChange(setEditorState);
+        return () => {
+            unsubscribeSelection();
+            unsubscribeEditor();
+        };
+    }, [gameWorld]);
+
+    const selection = selectionState || gameWorld?.getSelectionState();
+    const editing = (editorState || gameWorld?.getEditorState())?.mode === 'editing';
+    const visible = canEdit && (active || editing);
+    const hasSelection = !!selection?.count;
+
+    const handleRotate = useCallback((direction) => {
+        if (!gameWorld?.getSelectionState().count) return;
+        gameWorld.recordAction('Rotate');
+        gameWorld.rotateSelection(gameWorld.getRotationStep(direction));
+    }, [gameWorld]);
+
+    const handleResize = useCallback((grow) => {
+        if (!gameWorld?.getSelectionState().count) return;
+        gameWorld.recordAction('Resize');
+        gameWorld.resizeSelection(grow);
+    }, [gameWorld]);
+
+    const handleToggleStatic = useCallback(() => {
+        if (!gameWorld?.getSelectionState().count) return;
+        gameWorld.recordAction(gameWorld.getSelectionState().allStatic ? 'Unfreeze' : 'Freeze');
+        gameWorld.toggleSelectionStatic();
+    }, [gameWorld]);
+
+    const handleDelete = useCallback(() => {
+        if (!gameWorld?.getSelectionState().count) return;
+        gameWorld.recordAction('Delete');
+        gameWorld.deleteSelection();
+    }, [gameWorld]);
+
+    const handleCopy = useCallback(() => {
+        const count = gameWorld?.copySelection();
+        if (count && window.showChaosStatus) {
+            window.showChaosStatus(`📋 COPIED ${count}`);
+        }
+    }, [gameWorld]);
+
+    /**
+     * Paste at a world position, or in the middle of the view
+     */
+    const handlePaste = useCallback((position) => {
+        if (!gameWorld?.getSelectionState().canPaste) return;
+        const view = gameWorld.getCameraState();
+        gameWorld.recordAction('Paste');
+        gameWorld.pasteClipboard(position || { x: view.x, y: view.y });
+    }, [gameWorld]);
+
+    const handleDuplicate = useCallback(() => {
+        if (!gameWorld?.getSelectionState().count) return;
+        gameWorld.recordAction('Duplicate');
+        gameWorld.duplicateSelection({ x: SELECTION.DUPLICATE_OFFSET, y: SELECTION.DUPLICATE_OFFSET });
+    }, [gameWorld]);
+
+    // Selection keys, only while the panel is shown
+    useEffect(() => {
+        if (!gameWorld || !visible) return;
+
+        const handleKeyDown = (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+
+            if (e.ctrlKey || e.metaKey) {
+                switch (e.key.toLowerCase()) {
+                    case 'c':
+                        handleCopy();
+                        break;
+                    case 'v':
+                        handlePaste(getCursorPosition?.());
+                        break;
+                    case 'd':
+                        // Not the browser's bookmark shortcut
+                        e.preventDefault();
+                        handleDuplicate();
+                        break;
+                }
+                return;
+            }
+
+            switch (e.key) {
+                case 'Delete':
+                case 'Backspace':
+                    handleDelete();
+                    return;
+                case 'Escape':
+                    gameWorld.clearSelection();
+                    return;
+            }
+
+            if (!editing) return;
+            switch (e.key) {
+                case 'q':
+                case 'Q':
+                    handleRotate(-1);
+                    break;
+                case 'e':
+                case 'E':
+                    handleRotate(1);
+                    break;
+                case '[':
+                    handleResize(false);
+                    break;
+                case ']':
+                    handleResize(true);
+                    break;
+                case 's':
+                case 'S':
+                    handleToggleStatic();
+                    break;
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [
+        gameWorld, visible, editing, getCursorPosition,
+        handleRotate, handleResize, handleToggleStatic, handleDelete, handleCopy, handlePaste, handleDuplicate,
+    ]);
+
+    if (!gameWorld || !visible) return null;
+
+    return (
+        <div className={styles.panel}>
+            <div className={styles.header}>
+                <h3 className={styles.title}>⬚ Selection</h3>
+                <span className={styles.count}>
+                    {hasSelection ? (selection.selectedType || `${selection.count} objects`) : 'Nothing'}
+                </span>
+            </div>
+
+            <div className={styles.row}>
+                <button className={styles.btn} onClick={() => handleRotate(-1)} disabled={!hasSelection} title="Turn left (Q in the editor)">
+                    ⟲
+                </button>
+                <button className={styles.btn} onClick={() => handleRotate(1)} disabled={!hasSelection} title="Turn right (E in the editor)">
+                    ⟳
+                </button>
+                <button className={styles.btn} onClick={() => handleResize(false)} disabled={!hasSelection} title="Shorten ([ in the editor)">
+                    ➖
+                </button>
+                <button className={styles.btn} onClick={() => handleResize(true)} disabled={!hasSelection} title="Lengthen (] in the editor)">
+                    ➕
+                </button>
+                <button
+                    className={`${styles.btn} ${selection?.allStatic ? styles.active : ''}`}
+                    onClick={handleToggleStatic}
+                    disabled={!hasSelection}
+                    title={selection?.allStatic ? 'Let it fall (S in the editor)' : 'Freeze in place (S in the editor)'}
+                >
+                    📌
+                </button>
+                <button className={styles.btn} onClick={handleDelete} disabled={!hasSelection} title="Delete (Del)">
+                    🗑️
+                </button>
+            </div>
+
+            <div className={styles.clipboardRow}>
+                <button className={styles.btn} onClick={handleCopy} disabled={!hasSelection} title="Copy (Ctrl+C)">
+                    📋 COPY
+                </button>
+                <button className={styles.btn} onClick={() => handlePaste(null)} disabled={!selection?.canPaste} title="Paste in the middle of the view (Ctrl+V pastes at the cursor)">
+                    📥 PASTE
+                </button>
+                <button className={styles.btn} onClick={handleDuplicate} disabled={!hasSelection} title="Duplicate (Ctrl+D)">
+                    ⧉ DUP
+                </button>
+            </div>
+        </div>
+    );
+}
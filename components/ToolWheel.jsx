@@ -7,13 +7,13 @@ import styles from './ToolWheel.module.css';
 const toolList = Object.values(TOOLS);
 
 export default function ToolWheel({ selectedTool, onSelectTool }) {
-    // Handle keyboard shortcuts (1-9 keys)
+    // Handle keyboard shortcuts (number keys, 0 for the tenth slot and - for the eleventh)
     useEffect(() => {
         const handleKeyDown = (e) => {
-            // Number keys 1-9 for quick tool selection
-            const toolIndex = parseInt(e.key) - 1;
-            if (toolIndex >= 0 && toolIndex < toolList.length) {
-                onSelectTool(toolList[toolIndex].id);
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+            const tool = toolList.find((t) => t.shortcut === e.key);
+            if (tool) {
+                onSelectTool(tool.id);
             }
         };
 
@@ -27,9 +27,9 @@ export default function ToolWheel({ selectedTool, onSelectTool }) {
 
     return (
         <div className={styles.hotbar}>
-            {toolList.map((tool, index) => {
+            {toolList.map((tool) => {
                 const isSelected = tool.id === selectedTool;
-                const slotNumber = index + 1;
+                const slotNumber = tool.shortcut;
 
                 return (
                     <button
@@ -0,0 +1,43 @@
+'use client';
+
+import { WATER_SHAPES } from '@/lib/constants';
+import styles from './WaterPanel.module.css';
+
+const shapeList = Object.values(WATER_SHAPES);
+
+/**
+ * Water tool settings: whether a drag paints a box or a freehand outline of
+ * water, and a button to let all of it out
+ * @param {string} shape - WATER_SHAPES id
+ * @param {Function} onChange - Called with the new shape id
+ * @param {Function} onDrain - Called to drain every zone and any flood
+ * @param {boolean} active - The water tool is in hand
+ */
+export default function WaterPanel({ shape, onChange, onDrain, active = false }) {
+    if (!active) return null;
+
+    return (
+        <div className={styles.panel}>
+            <h3 className={styles.title}>🌊 Water</h3>
+
+            <div className={styles.shapes}>
+                {shapeList.map((option) => (
+                    <button
+                        key={option.id}
+                        className={`${styles.shapeBtn} ${shape === option.id ? styles.active : ''}`}
+                        onClick={() => onChange(option.id)}
+                    >
+                        <span className={styles.shapeIcon}>{option.icon}</span>
+                        <span>{option.label}</span>
+                    </button>
+                ))}
+            </div>
+
+            <button className={styles.drainBtn} onClick={onDrain}>
+                🚿 Drain all
+            </button>
+
+            <p className={styles.hint}>Light things float, heavy ones sink. Shift+Click water to drain it.</p>
+        </div>
+    );
+}
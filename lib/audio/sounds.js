@@ -180,6 +180,15 @@ export function playBoingSound() {
     setTimeout(() => playTone(350, 0.15, 'sine', 0.15), 100);
 }
 
+/**
+ * Splash sound - something hits the water
+ */
+export function playSplashSound() {
+    playNoise(0.15, 0.3);
+    setTimeout(() => playTone(350, 0.06, 'sine', 0.15), 40);
+    setTimeout(() => playTone(550, 0.05, 'sine', 0.1), 90);
+}
+
 /**
  * UI click sound
  */
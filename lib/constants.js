@@ -9,6 +9,62 @@ export const CANVAS = {
 export const PHYSICS = {
   GRAVITY: { x: 0, y: 1 },
   TIME_SCALE: 1,
+  FIXED_STEP: 1000 / 60, // ms of simulation time per fixed-timestep update
+};
+
+// Arena boundary modes, switchable at runtime
+export const BOUNDARY_MODES = {
+  WALLS: { id: 'walls', label: 'Walls', icon: '🧱' },
+  WRAP: { id: 'wrap', label: 'Wrap', icon: '🌀' },
+  VOID: { id: 'void', label: 'Void', icon: '🕳️' },
+  BOUNCY: { id: 'bouncy', label: 'Bouncy Rim', icon: '🏓' },
+};
+
+export const BUDGET = {
+  MAX_BODIES: 200, // dynamic objects allowed before the oldest despawn
+  CHECK_INTERVAL: 250, // ms of simulation time between budget checks
+  FADE_MS: 400, // despawn fade length
+  TARGET_FRAME_MS: 20, // frame time the performance governor aims to stay under
+  MIN_PERFORMANCE_LEVEL: 0.2, // floor for throttled flood intensity and particle counts
+};
+
+export const HISTORY = {
+  MAX_DEPTH: 50, // undo steps kept; each holds a full world snapshot
+};
+
+export const REWIND = {
+  DEFAULT_MS: 20000, // simulation time kept for rewinding
+  MIN_MS: 10000,
+  MAX_MS: 30000,
+  PLAYBACK_SPEED: 1, // reverse playback rate when rewinding starts
+};
+
+export const REPLAY = {
+  SPEEDS: [0.5, 1, 2, 4], // playback rates the speed button cycles through
+  MAX_STEPS_PER_FRAME: 30, // cap on engine updates a replay runs per drawn frame
+  CHECKSUM_TOLERANCE: 1e-6, // how far a replayed update's pose checksum may stray from the recorded one
+};
+
+export const CLIP = {
+  LENGTHS: [5, 10, 15], // seconds of play a clip keeps
+  WIDTHS: [320, 480, 640], // output widths in pixels, height follows the canvas
+  FRAME_RATES: [10, 15, 20], // every frame is kept as a small canvas, so these stay modest
+  DEFAULT_LENGTH: 10,
+  DEFAULT_WIDTH: 480,
+  DEFAULT_FRAME_RATE: 15,
+  MAX_REPLAY_SECONDS: 20, // longest replay that is clipped from its start
+};
+
+export const INSPECTOR = {
+  REFRESH_MS: 150, // how often the open inspector re-reads its body
+};
+
+export const CAMERA = {
+  MIN_ZOOM: 0.25,
+  MAX_ZOOM: 4,
+  WHEEL_ZOOM_SPEED: 0.0015, // zoom change per wheel delta unit
+  FOLLOW_SMOOTHING: 0.15, // fraction of the distance to the followed body covered per frame
+  FIT_PADDING: 80, // world units kept around the bodies by "fit all"
 };
 
 export const COLORS = {
@@ -21,6 +77,8 @@ export const COLORS = {
   EXPLOSIVE: '#ff4757',
   JELLY: '#7bed9f',
   ANVIL: '#57606f',
+  ROPE: '#c8a165',
+  CHAIN: '#b2bec3',
   
   // UI colors
   PRIMARY: '#6c5ce7',
@@ -35,6 +93,12 @@ export const COLORS = {
   TOOL_EXPLODE: '#ff4757',
   TOOL_GRAVITY: '#ffeaa7',
   TOOL_SCALE: '#ff9ff3',
+  TOOL_INSPECT: '#74b9ff',
+  TOOL_SELECT: '#00cec9',
+  TOOL_JOINT: '#e17055',
+  TOOL_DELETE: '#d63031',
+  TOOL_DRAW: '#fd79a8',
+  TOOL_WATER: '#0984e3',
 };
 
 export const OBJECTS = {
@@ -47,6 +111,7 @@ export const OBJECTS = {
     friction: 0.5,
     restitution: 0.3,
     density: 0.001,
+    toughness: 22,
   },
   CIRCLE: {
     type: 'circle',
@@ -65,6 +130,7 @@ export const OBJECTS = {
     friction: 0.4,
     restitution: 0.2,
     density: 0.001,
+    toughness: 22,
   },
   PLANK: {
     type: 'plank',
@@ -75,6 +141,7 @@ export const OBJECTS = {
     friction: 0.8,
     restitution: 0.1,
     density: 0.002,
+    toughness: 18,
   },
   BALLOON: {
     type: 'balloon',
@@ -84,7 +151,9 @@ export const OBJECTS = {
     friction: 0.1,
     restitution: 0.8,
     density: 0.0001, // Very light
+    frictionAir: 0.04, // drifts up rather than shooting off
     floaty: true,
+    lift: 0.0008, // upward force; a handful on a rope carry a box
   },
   EXPLOSIVE: {
     type: 'explosive',
@@ -108,6 +177,11 @@ export const OBJECTS = {
     friction: 0.2,
     restitution: 0.9, // Very bouncy
     density: 0.0008,
+    // A soft body: a grid of cells filling width x height, held by springs
+    columns: 4,
+    rows: 4,
+    stiffness: 0.25, // of the springs between neighbouring cells
+    damping: 0.02, // how quickly a wobble dies down
   },
   ANVIL: {
     type: 'anvil',
@@ -119,6 +193,207 @@ export const OBJECTS = {
     restitution: 0.05,
     density: 0.01, // Very heavy
   },
+  // Segments linked end to end that hang from where they're spawned. Their
+  // loose ends tie to whatever they're dropped on, and two segments pulled
+  // further apart than tearGap world units tear the rope in two.
+  ROPE: {
+    type: 'rope',
+    label: 'Rope',
+    color: COLORS.ROPE,
+    segments: 12,
+    segmentLength: 16,
+    thickness: 5,
+    friction: 0.6,
+    restitution: 0,
+    density: 0.002,
+    stiffness: 0.9, // of the links between segments
+    tearGap: 8, // holds a box, not an anvil
+  },
+  CHAIN: {
+    type: 'chain',
+    label: 'Chain',
+    color: COLORS.CHAIN,
+    segments: 10,
+    segmentLength: 20,
+    thickness: 8,
+    friction: 0.4,
+    restitution: 0.05,
+    density: 0.006,
+    stiffness: 1,
+    tearGap: 24, // holds an anvil swinging
+  },
+};
+
+// Static level pieces placed in the editor. Kept apart from OBJECTS so floods
+// and the palette never drop them.
+export const GEOMETRY = {
+  PLATFORM: {
+    type: 'platform',
+    label: 'Platform',
+    icon: '▬',
+    width: 200,
+    height: 20,
+    color: '#636e72',
+    friction: 0.6,
+    restitution: 0.1,
+    density: 0.002,
+  },
+  RAMP: {
+    type: 'ramp',
+    label: 'Ramp',
+    icon: '◢',
+    width: 160,
+    height: 80,
+    color: '#b2bec3',
+    friction: 0.3,
+    restitution: 0.1,
+    density: 0.002,
+  },
+  FUNNEL: {
+    type: 'funnel',
+    label: 'Funnel',
+    icon: '⏷',
+    width: 200, // top opening
+    gap: 60, // bottom opening
+    height: 120,
+    thickness: 14,
+    color: '#74b9ff',
+    friction: 0.1,
+    restitution: 0.2,
+    density: 0.002,
+  },
+  PEG: {
+    type: 'peg',
+    label: 'Peg',
+    icon: '•',
+    radius: 8,
+    color: '#fdcb6e',
+    friction: 0.1,
+    restitution: 0.6,
+    density: 0.002,
+  },
+};
+
+// What drawn shapes are made of, picked from the draw tool's dropdown
+export const MATERIALS = {
+  WOOD: {
+    type: 'wood',
+    label: 'Wood',
+    icon: '🪵',
+    color: '#e1b12c',
+    friction: 0.6,
+    restitution: 0.2,
+    density: 0.0015,
+    toughness: 18,
+  },
+  STONE: {
+    type: 'stone',
+    label: 'Stone',
+    icon: '🪨',
+    color: '#a4b0be',
+    friction: 0.8,
+    restitution: 0.05,
+    density: 0.004,
+    toughness: 26,
+  },
+  METAL: {
+    type: 'metal',
+    label: 'Metal',
+    icon: '⚙️',
+    color: '#747d8c',
+    friction: 0.4,
+    restitution: 0.1,
+    density: 0.008,
+  },
+  RUBBER: {
+    type: 'rubber',
+    label: 'Rubber',
+    icon: '🏀',
+    color: '#e84393',
+    friction: 0.9,
+    restitution: 0.85,
+    density: 0.0012,
+  },
+  ICE: {
+    type: 'ice',
+    label: 'Ice',
+    icon: '🧊',
+    color: '#81ecec',
+    friction: 0.01,
+    restitution: 0.1,
+    density: 0.0009,
+    toughness: 12,
+  },
+  FOAM: {
+    type: 'foam',
+    label: 'Foam',
+    icon: '🧽',
+    color: '#ffeaa7',
+    friction: 0.5,
+    restitution: 0.3,
+    density: 0.0003,
+  },
+};
+
+export const EDITOR = {
+  GRID_SIZES: [0, 10, 20, 40], // world units; 0 turns snapping off
+  ANGLE_STEPS: [0, 5, 15, 45], // degrees; 0 turns snapping off
+  DEFAULT_GRID_SIZE: 20,
+  DEFAULT_ANGLE_STEP: 15,
+  RESIZE_FACTOR: 1.25, // per resize step
+  MIN_STRETCH: 0.25, // resize limits, relative to a piece's built size
+  MAX_STRETCH: 4,
+  GRID_COLOR: '#ffffff14',
+  SELECTION_COLOR: '#00cec9',
+};
+
+export const SELECTION = {
+  DUPLICATE_OFFSET: 40, // world units right and down; a whole grid step at every grid size
+  MIN_MARQUEE: 4, // screen pixels a drag must cover to select a box rather than click
+};
+
+export const DRAW = {
+  POINT_SPACING: 6, // world units the pointer moves before the stroke takes another point
+  SIMPLIFY_TOLERANCE: 3, // world units an outline may stray from the stroke when simplified
+  MAX_VERTICES: 40, // simplification loosens until the outline fits
+  MIN_AREA: 300, // square world units; smaller sketches are taken as slips
+  STORAGE_KEY: 'chaos-sandbox:shapes', // "My shapes" in the palette
+  MAX_SAVED: 24, // oldest saved shapes drop off past this
+};
+
+// Breakable bodies have a toughness (see OBJECTS and MATERIALS): the impact
+// speed, in world units per 1/60 s, a collision must change their velocity by
+// to shatter them. Anything without one never breaks.
+export const FRACTURE = {
+  MIN_FRAGMENTS: 3, // for a blow just past a body's toughness
+  MAX_FRAGMENTS: 7, // at twice its toughness, or at the heart of an explosion
+  MIN_FRAGMENT_AREA: 60, // square world units; smaller slivers are left out
+  EXPLOSION_REACH: 0.6, // share of a blast's radius close enough to shatter things
+  SPREAD: 1.5, // speed fragments fly apart at, away from the blow
+};
+
+// Water zones (see fluids.js). Bodies lighter than the water float, with as
+// much of them under the surface as their density is of its.
+export const FLUID = {
+  DENSITY: 0.003, // floats boxes, planks and wood; sinks stone, metal, chains and anvils
+  LINEAR_DRAG: 0.05, // share of a fully submerged body's velocity lost per step
+  ANGULAR_DRAG: 0.08, // same for its spin
+  SPLASH_SPEED: 3, // world units per 1/60 s a body must enter the water faster than to splash
+  SPLASH_COOLDOWN: 150, // ms of simulation time between splash sounds
+  MIN_ZONE_SIZE: 20, // world units; boxes painted narrower or shorter are taken as slips
+  FLOOD_DEPTH: 0.4, // share of the arena's height a flood rises to
+  FLOOD_SPEED: 120, // world units per second a flood rises or drains at
+  FLOOD_MARGIN: 200, // world units a flood reaches past the arena's sides and floor
+  RIPPLE_SPACING: 40, // world units between the ripples drawn across the water
+  COLOR: '#0984e3',
+  SURFACE_COLOR: '#74b9ff',
+  SPLASH_COLOR: '#81ecec',
+};
+
+// How the water tool paints a zone
+export const WATER_SHAPES = {
+  BOX: { id: 'box', label: 'Box', icon: '⬛' },
+  OUTLINE: { id: 'outline', label: 'Outline', icon: '✏️' },
 };
 
 export const TOOLS = {
@@ -136,6 +411,7 @@ export const TOOLS = {
     color: COLORS.TOOL_PUSH,
     shortcut: '2',
     force: 0.05,
+    radius: 120,
   },
   EXPLODE: {
     id: 'explode',
@@ -161,6 +437,101 @@ export const TOOLS = {
     shortcut: '5',
     scaleFactor: 1.5,
   },
+  INSPECT: {
+    id: 'inspect',
+    label: 'Inspect',
+    icon: '🔎',
+    color: COLORS.TOOL_INSPECT,
+    shortcut: '6',
+  },
+  SELECT: {
+    id: 'select',
+    label: 'Select',
+    icon: '⬚',
+    color: COLORS.TOOL_SELECT,
+    shortcut: '7',
+  },
+  JOINT: {
+    id: 'joint',
+    label: 'Joint',
+    icon: '🔗',
+    color: COLORS.TOOL_JOINT,
+    shortcut: '8',
+  },
+  DELETE: {
+    id: 'delete',
+    label: 'Delete',
+    icon: '🗑️',
+    color: COLORS.TOOL_DELETE,
+    shortcut: '9',
+  },
+  DRAW: {
+    id: 'draw',
+    label: 'Draw',
+    icon: '✏️',
+    color: COLORS.TOOL_DRAW,
+    shortcut: '0',
+  },
+  WATER: {
+    id: 'water',
+    label: 'Water',
+    icon: '🌊',
+    color: COLORS.TOOL_WATER,
+    shortcut: '-',
+  },
+};
+
+// Joints the joint tool makes between two bodies, or a body and the world.
+// A joint breaks once it is stretched past length * breakStretch + JOINT.BREAK_SLACK.
+export const JOINTS = {
+  ROPE: {
+    type: 'rope',
+    label: 'Rope',
+    icon: '🪢',
+    color: '#dfe6e9',
+    lineWidth: 2,
+    stiffness: 0.9, // only while taut; a slack rope pulls nothing
+    damping: 0,
+    breakStretch: 1.5,
+  },
+  SPRING: {
+    type: 'spring',
+    label: 'Spring',
+    icon: '🌀',
+    color: '#fdcb6e',
+    lineWidth: 2,
+    stiffness: 0.02,
+    damping: 0.05,
+    breakStretch: 4,
+  },
+  HINGE: {
+    type: 'hinge',
+    label: 'Hinge',
+    icon: '📍',
+    color: '#74b9ff',
+    lineWidth: 3,
+    stiffness: 1,
+    damping: 0,
+    breakStretch: 1,
+  },
+  WELD: {
+    type: 'weld',
+    label: 'Weld',
+    icon: '🔩',
+    color: '#ff7675',
+    lineWidth: 4,
+    stiffness: 1,
+    damping: 0,
+    breakStretch: 1,
+  },
+};
+
+export const JOINT = {
+  BREAK_SLACK: 40, // world units a joint may stretch past its limit before it snaps
+  MIN_WELD_SPAN: 12, // a weld holds at two points at least this far apart
+  PICK_DISTANCE: 10, // how close a click must be to a joint to delete it
+  SPRING_STIFFNESS: { min: 0.005, max: 0.2, step: 0.005 },
+  SPRING_DAMPING: { min: 0, max: 0.3, step: 0.01 },
 };
 
 export const SYNC_EVENTS = {
@@ -175,3 +546,14 @@ export const ROOM = {
   ID_LENGTH: 6,
   MAX_PLAYERS: 8,
 };
+
+export const SCENES = {
+  STORAGE_KEY: 'chaos-sandbox:scenes', // named save slots
+  LAST_SANDBOX_KEY: 'chaos-sandbox:last', // autosave behind "Continue last sandbox"
+  AUTOSAVE_INTERVAL: 5000,
+  FILE_EXTENSION: '.chaos.json',
+  MAX_NAME_LENGTH: 24,
+  LINK_PARAM: 'scene', // hash parameter of share links, /game#scene=...
+  LINK_VERSION: 2, // bump when the packed link layout changes
+  MAX_LINK_LENGTH: 30000, // longer links get cut off by chat apps; export a file instead
+};
@@ -0,0 +1,235 @@
+// Arena boundaries - walls, wrap-around, void and bouncy rim modes
+import Matter from 'matter-js';
+import { BOUNDARY_MODES } from '../constants';
+
+const { Bodies, Body, Composite, World } = Matter;
+
+// How far past the arena edge a body may fall in void mode before it is cleaned up
+const VOID_MARGIN = 300;
+
+// Minimum simulation time between "lost objects" announcements in void mode
+const VOID_NOTICE_COOLDOWN = 1000;
+
+/**
+ * Create the ground, walls and ceiling just outside an arena of the given size
+ */
+function buildWalls(width, height, style) {
+    const options = (label) => ({ isStatic: true, render: { fillStyle: style.color }, label });
+
+    const walls = [
+        Bodies.rectangle(width / 2, height + 30, width + 100, 60, options('ground')),
+        Bodies.rectangle(-30, height / 2, 60, height + 100, options('wall')),
+        Bodies.rectangle(width + 30, height / 2, 60, height + 100, options('wall')),
+        Bodies.rectangle(width / 2, -30, width + 100, 60, options('ceiling')),
+    ];
+
+    // Making a body static zeroes its restitution, so set it afterwards
+    walls.forEach((wall) => {
+        wall.restitution = style.restitution;
+    });
+
+    return walls;
+}
+
+const WALL_STYLES = {
+    [BOUNDARY_MODES.WALLS.id]: { restitution: 0, color: '#1a1a2e' },
+    [BOUNDARY_MODES.BOUNCY.id]: { restitution: 1, color: '#00cec9' },
+};
+
+/**
+ * Create the boundary system for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createBoundaries(gameWorld) {
+    const { world, getArenaSize, showStatus, playSound } = gameWorld;
+
+    let mode = BOUNDARY_MODES.WALLS.id;
+    let walls = [];
+    let lostSinceNotice = 0;
+    let noticeCooldown = 0;
+    let listeners = [];
+
+    /**
+     * Replace the boundary bodies to match the current mode and arena size
+     */
+    function rebuildBoundaries() {
+        World.remove(world, walls);
+        walls = [];
+
+        const style = WALL_STYLES[mode];
+        if (style) {
+            const { width, height } = getArenaSize();
+            walls = buildWalls(width, height, style);
+            World.add(world, walls);
+        }
+    }
+
+    /**
+     * Switch boundary mode at runtime
+     * @param {string} newMode - A BOUNDARY_MODES id
+     */
+    function setBoundaryMode(newMode) {
+        if (!Object.values(BOUNDARY_MODES).some((m) => m.id === newMode)) return;
+        mode = newMode;
+        rebuildBoundaries();
+        listeners.forEach((listener) => listener(mode));
+    }
+
+    function getBoundaryMode() {
+        return mode;
+    }
+
+    /**
+     * Subscribe to boundary mode changes, whether from the player, a Sudden
+     * Rule or a restored world
+     * @returns {Function} - Unsubscribe function
+     */
+    function onBoundaryModeChange(listener) {
+        listeners.push(listener);
+        return () => {
+            listeners = listeners.filter((l) => l !== listener);
+        };
+    }
+
+    /**
+     * Whether a body is one of the arena's own walls
+     */
+    function isBoundary(body) {
+        return walls.includes(body);
+    }
+
+    // ============================================
+    // CONNECTED OBJECTS
+    // ============================================
+
+    /**
+     * Split dynamic bodies into objects that must move as one: bodies sharing a
+     * groupId or joined by a constraint. Objects pinned to the world by a constraint
+     * are flagged as anchored. The mouse drag constraint doesn't join anything.
+     */
+    function getConnectedObjects() {
+        const bodies = Composite.allBodies(world).filter((body) => !body.isStatic);
+        const parent = new Map(bodies.map((body) => [body, body]));
+        const anchored = new Set();
+
+        const find = (body) => {
+            while (parent.get(body) !== body) body = parent.get(body);
+            return body;
+        };
+        const join = (a, b) => parent.set(find(a), find(b));
+
+        const byGroup = new Map();
+        bodies.forEach((body) => {
+            if (!body.groupId) return;
+            if (byGroup.has(body.groupId)) join(body, byGroup.get(body.groupId));
+            else byGroup.set(body.groupId, body);
+        });
+
+        Composite.allConstraints(world).forEach((constraint) => {
+            if (constraint === gameWorld.mouseConstraint?.constraint) return;
+            const { bodyA, bodyB } = constraint;
+            const a = bodyA && parent.has(bodyA) ? bodyA : null;
+            const b = bodyB && parent.has(bodyB) ? bodyB : null;
+            if (a && b) join(a, b);
+            else if (a || b) anchored.add(a || b);
+        });
+
+        const objects = new Map();
+        bodies.forEach((body) => {
+            const root = find(body);
+            if (!objects.has(root)) objects.set(root, { bodies: [], anchored: false });
+            const object = objects.get(root);
+            object.bodies.push(body);
+            if (anchored.has(body)) object.anchored = true;
+        });
+        return Array.from(objects.values());
+    }
+
+    function getCenter(bodies) {
+        const sum = bodies.reduce((acc, body) => ({
+            x: acc.x + body.position.x,
+            y: acc.y + body.position.y,
+        }), { x: 0, y: 0 });
+        return { x: sum.x / bodies.length, y: sum.y / bodies.length };
+    }
+
+    // ============================================
+    // PER-STEP BEHAVIOUR
+    // ============================================
+
+    /**
+     * Carry objects whose centre left the arena across to the opposite edge,
+     * moving every connected body by the same amount so ragdolls stay intact
+     */
+    function wrapObjects() {
+        const { width, height } = getArenaSize();
+
+        getConnectedObjects().forEach((object) => {
+            if (object.anchored) return;
+
+            const center = getCenter(object.bodies);
+            const shift = { x: 0, y: 0 };
+            if (center.x < 0) shift.x = width;
+            else if (center.x > width) shift.x = -width;
+            if (center.y < 0) shift.y = height;
+            else if (center.y > height) shift.y = -height;
+
+            if (shift.x !== 0 || shift.y !== 0) {
+                // Body.translate keeps each body's velocity
+                object.bodies.forEach((body) => Body.translate(body, shift));
+            }
+        });
+    }
+
+    /**
+     * Remove objects that fell well outside the arena, with their constraints
+     */
+    function cleanUpVoid(delta) {
+        const { width, height } = getArenaSize();
+
+        getConnectedObjects().forEach((object) => {
+            const outside = object.bodies.every((body) => (
+                body.bounds.min.y > height + VOID_MARGIN
+                || body.bounds.max.y < -VOID_MARGIN
+                || body.bounds.min.x > width + VOID_MARGIN
+                || body.bounds.max.x < -VOID_MARGIN
+            ));
+            if (!outside) return;
+
+            World.remove(world, gameWorld.getAttachedConstraints(object.bodies));
+            World.remove(world, object.bodies);
+            lostSinceNotice++;
+        });
+
+        noticeCooldown = Math.max(0, noticeCooldown - delta);
+        if (lostSinceNotice > 0 && noticeCooldown === 0) {
+            showStatus(lostSinceNotice === 1 ? '🕳️ LOST TO THE VOID!' : `🕳️ ${lostSinceNotice} LOST TO THE VOID!`);
+            playSound('pop');
+            lostSinceNotice = 0;
+            noticeCooldown = VOID_NOTICE_COOLDOWN;
+        }
+    }
+
+    /**
+     * Fixed-step update for the modes that act on bodies
+     * @param {number} delta - Fixed step length in ms of simulation time
+     */
+    function updateBoundaries(delta) {
+        if (mode === BOUNDARY_MODES.WRAP.id) {
+            wrapObjects();
+        } else if (mode === BOUNDARY_MODES.VOID.id) {
+            cleanUpVoid(delta);
+        }
+    }
+
+    rebuildBoundaries();
+
+    return {
+        setBoundaryMode,
+        getBoundaryMode,
+        onBoundaryModeChange,
+        isBoundary,
+        rebuildBoundaries,
+        updateBoundaries,
+    };
+}
@@ -0,0 +1,283 @@
+// Body budget and performance governor
+// Keeps long chaos sessions playable: once there are more dynamic objects than
+// the budget allows, off-screen and then the oldest ones fade out with a poof,
+// and flood intensity and particle counts throttle when frames get slow.
+import Matter from 'matter-js';
+import { BUDGET } from '../constants';
+
+const { Composite, Events, World } = Matter;
+
+/**
+ * Create the body budget and performance governor for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createBodyBudget(gameWorld) {
+    const { engine, world, render, mouseConstraint, spawnParticles } = gameWorld;
+
+    let maxBodies = BUDGET.MAX_BODIES;
+    let despawning = [];
+
+    let performanceLevel = 1;
+    let performanceOverride = null;
+    let averageFrameMs = 0;
+    let lastFrameTime = null;
+
+    // Recordings need despawn choices that don't depend on this player's view
+    let ignoreCamera = false;
+    let checkTimer = null;
+
+    // Stamp bodies with when they arrived so the oldest can go first
+    function handleAfterAdd(event) {
+        const objects = Array.isArray(event.object) ? event.object : [event.object];
+        objects.forEach((object) => {
+            if (object.type === 'body' && object.spawnTime === undefined) {
+                object.spawnTime = engine.timing.timestamp;
+            }
+        });
+    }
+
+    Events.on(world, 'afterAdd', handleAfterAdd);
+
+    // ============================================
+    // BUDGET
+    // ============================================
+
+    /**
+     * Set how many dynamic objects may exist at once (Infinity for no limit)
+     */
+    function setBodyBudget(count) {
+        maxBodies = Math.max(1, count);
+        enforceBodyBudget();
+    }
+
+    function getBodyBudget() {
+        return maxBodies;
+    }
+
+    /**
+     * Dynamic objects in the world, with multi-body objects (ragdolls) as one entry
+     */
+    function getObjectGroups() {
+        const groups = new Map();
+        Composite.allBodies(world).forEach((body) => {
+            if (body.isStatic || body.isDespawning) return;
+
+            const key = body.groupId || body.id;
+            if (!groups.has(key)) {
+                groups.set(key, { bodies: [], spawnTime: body.spawnTime || 0 });
+            }
+            groups.get(key).bodies.push(body);
+        });
+        return Array.from(groups.values());
+    }
+
+    /**
+     * How many objects count against the budget right now
+     */
+    function getObjectCount() {
+        return getObjectGroups().length;
+    }
+
+    function isProtected(group) {
+        const followed = ignoreCamera ? null : gameWorld.getFollowedBody();
+        const dragged = mouseConstraint && mouseConstraint.body;
+        return group.bodies.some((body) => body === followed || body === dragged);
+    }
+
+    function isOffScreen(group) {
+        if (ignoreCamera) return false;
+
+        const view = gameWorld.getCameraState();
+        const viewport = gameWorld.getViewportSize();
+        const halfWidth = viewport.width / view.zoom / 2;
+        const halfHeight = viewport.height / view.zoom / 2;
+
+        return group.bodies.every((body) => (
+            body.bounds.max.x < view.x - halfWidth
+            || body.bounds.min.x > view.x + halfWidth
+            || body.bounds.max.y < view.y - halfHeight
+            || body.bounds.min.y > view.y + halfHeight
+        ));
+    }
+
+    /**
+     * Despawn objects over the budget: off-screen ones first, then the oldest
+     */
+    function enforceBodyBudget() {
+        const groups = getObjectGroups();
+        const excess = groups.length - maxBodies;
+        if (excess <= 0) return;
+
+        const candidates = groups
+            .filter((group) => !isProtected(group))
+            .map((group) => ({ group, offScreen: isOffScreen(group) }))
+            .sort((a, b) => (b.offScreen - a.offScreen) || (a.group.spawnTime - b.group.spawnTime));
+
+        candidates.slice(0, excess).forEach(({ group, offScreen }) => {
+            if (offScreen) {
+                // Nobody can see it go, so skip the fade
+                removeGroup(group.bodies);
+            } else {
+                startDespawn(group.bodies);
+            }
+        });
+    }
+
+    function startDespawn(bodies) {
+        bodies.forEach((body) => {
+            body.isDespawning = true;
+            body.despawnMask = body.collisionFilter.mask;
+            body.collisionFilter.mask = 0;
+        });
+        despawning.push({ bodies, remaining: BUDGET.FADE_MS });
+    }
+
+    /**
+     * Bring fading (or already removed) bodies back to normal, e.g. when rewinding
+     * to before they started to fade. Their whole despawn group comes back.
+     */
+    function cancelDespawn(bodies) {
+        const revived = new Set(bodies.filter((body) => body.isDespawning));
+        if (revived.size === 0) return;
+
+        despawning = despawning.filter((entry) => {
+            if (!entry.bodies.some((body) => revived.has(body))) return true;
+            entry.bodies.forEach((body) => revived.add(body));
+            return false;
+        });
+
+        revived.forEach((body) => {
+            body.isDespawning = false;
+            body.collisionFilter.mask = body.despawnMask;
+            body.render.opacity = 1;
+        });
+    }
+
+    /**
+     * Remove bodies along with any constraints holding them
+     */
+    function removeGroup(bodies) {
+        World.remove(world, gameWorld.getAttachedConstraints(bodies));
+        World.remove(world, bodies);
+    }
+
+    /**
+     * Fade despawning objects out, then remove them with a poof
+     * @param {number} delta - Fixed step length in ms of simulation time
+     */
+    function updateDespawns(delta) {
+        if (despawning.length === 0) return;
+
+        despawning = despawning.filter((entry) => {
+            entry.remaining -= delta;
+            const opacity = Math.max(0, entry.remaining / BUDGET.FADE_MS);
+            entry.bodies.forEach((body) => {
+                body.render.opacity = opacity;
+            });
+
+            if (entry.remaining > 0) return true;
+
+            removeGroup(entry.bodies);
+            const { x, y } = entry.bodies[0].position;
+            spawnParticles(x, y, 6, entry.bodies[0].render.fillStyle || '#dfe6e9');
+            return false;
+        });
+    }
+
+    // ============================================
+    // PERFORMANCE GOVERNOR
+    // ============================================
+
+    /**
+     * Track real frame time and ease the performance level down when frames run
+     * over target, back up when there is headroom. Headless worlds stay at full level.
+     */
+    function handleAfterRender() {
+        const now = performance.now();
+        if (lastFrameTime !== null) {
+            const frameMs = now - lastFrameTime;
+            // Ignore stalls like a backgrounded tab - they aren't load
+            if (frameMs < 250) {
+                averageFrameMs = averageFrameMs ? averageFrameMs * 0.9 + frameMs * 0.1 : frameMs;
+
+                if (averageFrameMs > BUDGET.TARGET_FRAME_MS) {
+                    performanceLevel = Math.max(BUDGET.MIN_PERFORMANCE_LEVEL, performanceLevel - 0.02);
+                } else if (averageFrameMs < BUDGET.TARGET_FRAME_MS * 0.8) {
+                    performanceLevel = Math.min(1, performanceLevel + 0.005);
+                }
+            }
+        }
+        lastFrameTime = now;
+    }
+
+    if (render) {
+        Events.on(render, 'afterRender', handleAfterRender);
+    }
+
+    /**
+     * How much effect work the frame rate allows, from MIN_PERFORMANCE_LEVEL to 1.
+     * Multiply flood intensity and particle counts by this.
+     */
+    function getPerformanceLevel() {
+        return performanceOverride ?? performanceLevel;
+    }
+
+    /**
+     * Pin the performance level (null to follow the frame rate again), e.g. so a
+     * replay throttles the flood exactly as the recorded session did
+     */
+    function overridePerformanceLevel(level) {
+        performanceOverride = level;
+    }
+
+    /**
+     * Choose what to despawn without looking at the camera: nothing counts as
+     * off-screen and following a body doesn't protect it
+     */
+    function setIgnoreCamera(ignore) {
+        ignoreCamera = ignore;
+    }
+
+    /**
+     * Start the periodic budget check over from a full interval
+     */
+    function restartBudgetChecks() {
+        if (checkTimer) gameWorld.clearTimer(checkTimer);
+        checkTimer = gameWorld.setRepeatingTimer(enforceBodyBudget, BUDGET.CHECK_INTERVAL);
+    }
+
+    /**
+     * Smoothed frame time in ms (0 until frames have been drawn)
+     */
+    function getAverageFrameTime() {
+        return averageFrameMs;
+    }
+
+    /**
+     * Drop render and world hooks when the world is destroyed
+     */
+    function destroyBodyBudget() {
+        despawning = [];
+        Events.off(world, 'afterAdd', handleAfterAdd);
+        if (render) {
+            Events.off(render, 'afterRender', handleAfterRender);
+        }
+    }
+
+    restartBudgetChecks();
+
+    return {
+        setBodyBudget,
+        getBodyBudget,
+        getObjectCount,
+        enforceBodyBudget,
+        cancelDespawn,
+        updateDespawns,
+        getPerformanceLevel,
+        overridePerformanceLevel,
+        setIgnoreCamera,
+        restartBudgetChecks,
+        getAverageFrameTime,
+        destroyBodyBudget,
+    };
+}
@@ -0,0 +1,321 @@
+// Camera - pan, zoom and follow over the arena
+// Everything outside the renderer works in world coordinates; the camera is the
+// one place that converts between world, canvas and page (client) positions.
+import Matter from 'matter-js';
+import { CAMERA } from '../constants';
+
+const { Mouse, Events, Composite } = Matter;
+
+function clampZoom(zoom) {
+    return Math.min(Math.max(zoom, CAMERA.MIN_ZOOM), CAMERA.MAX_ZOOM);
+}
+
+/**
+ * Create the camera for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createCamera(gameWorld) {
+    const { world, render, mouse, mouseConstraint, getArenaSize } = gameWorld;
+
+    const arena = getArenaSize();
+    let viewportWidth = arena.width;
+    let viewportHeight = arena.height;
+    let center = { x: arena.width / 2, y: arena.height / 2 };
+    let zoom = 1;
+    let followedBody = null;
+    let listeners = [];
+    let lastNotified = null;
+
+    if (render) {
+        Events.on(render, 'beforeRender', updateCamera);
+    }
+
+    // ============================================
+    // CONVERSIONS
+    // ============================================
+
+    /**
+     * Convert a point on the canvas (in canvas pixels) to world coordinates
+     */
+    function screenToWorld(point) {
+        return {
+            x: center.x + (point.x - viewportWidth / 2) / zoom,
+            y: center.y + (point.y - viewportHeight / 2) / zoom,
+        };
+    }
+
+    /**
+     * Convert a world position to a point on the canvas (in canvas pixels)
+     */
+    function worldToScreen(point) {
+        return {
+            x: (point.x - center.x) * zoom + viewportWidth / 2,
+            y: (point.y - center.y) * zoom + viewportHeight / 2,
+        };
+    }
+
+    /**
+     * Convert page (client) coordinates, e.g. from a pointer event, to world coordinates.
+     * Allows for the canvas being scaled by CSS. Headless worlds treat them as canvas pixels.
+     */
+    function clientToWorld(clientX, clientY) {
+        if (!render) {
+            return screenToWorld({ x: clientX, y: clientY });
+        }
+        const canvas = render.canvas;
+        const rect = canvas.getBoundingClientRect();
+        return screenToWorld({
+            x: (clientX - rect.left) * (canvas.width / rect.width),
+            y: (clientY - rect.top) * (canvas.height / rect.height),
+        });
+    }
+
+    /**
+     * Convert a world position to page (client) coordinates, for DOM overlays
+     */
+    function worldToClient(point) {
+        const screen = worldToScreen(point);
+        if (!render) return screen;
+
+        const canvas = render.canvas;
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: rect.left + screen.x * (rect.width / canvas.width),
+            y: rect.top + screen.y * (rect.height / canvas.height),
+        };
+    }
+
+    // ============================================
+    // CONTROLS
+    // ============================================
+
+    /**
+     * Resize the area the camera draws into (in canvas pixels).
+     * The top-left corner of the view stays put, like resizing a window.
+     */
+    function setViewportSize(width, height) {
+        const topLeft = screenToWorld({ x: 0, y: 0 });
+        viewportWidth = Math.max(1, Math.round(width));
+        viewportHeight = Math.max(1, Math.round(height));
+        center = {
+            x: topLeft.x + viewportWidth / zoom / 2,
+            y: topLeft.y + viewportHeight / zoom / 2,
+        };
+        if (render) {
+            render.setSize(viewportWidth, viewportHeight);
+        }
+        updateCamera();
+    }
+
+    function getViewportSize() {
+        return { width: viewportWidth, height: viewportHeight };
+    }
+
+    /**
+     * Move the view by a distance in canvas pixels; stops following
+     */
+    function panBy(dx, dy) {
+        followedBody = null;
+        center = { x: center.x - dx / zoom, y: center.y - dy / zoom };
+        updateCamera();
+    }
+
+    /**
+     * Centre the view on a world position
+     */
+    function lookAt(position) {
+        center = { x: position.x, y: position.y };
+        updateCamera();
+    }
+
+    /**
+     * Zoom by a factor, keeping the world point under screenPoint where it is
+     */
+    function zoomAt(screenPoint, factor) {
+        const anchor = screenToWorld(screenPoint);
+        zoom = clampZoom(zoom * factor);
+        center = {
+            x: anchor.x - (screenPoint.x - viewportWidth / 2) / zoom,
+            y: anchor.y - (screenPoint.y - viewportHeight / 2) / zoom,
+        };
+        updateCamera();
+    }
+
+    /**
+     * Set the zoom level around the centre of the view
+     */
+    function setZoom(newZoom) {
+        zoom = clampZoom(newZoom);
+        updateCamera();
+    }
+
+    /**
+     * Keep a body centred in the view; pass null to stop following
+     */
+    function followBody(body) {
+        followedBody = body && !body.isStatic ? body : null;
+        updateCamera();
+    }
+
+    function getFollowedBody() {
+        return followedBody;
+    }
+
+    /**
+     * Zoom and centre so every dynamic body is in view, or the whole arena if there are none
+     */
+    function fitAll(padding = CAMERA.FIT_PADDING) {
+        const bodies = Composite.allBodies(world).filter((body) => !body.isStatic);
+        let bounds;
+
+        if (bodies.length > 0) {
+            bounds = {
+                min: { x: Infinity, y: Infinity },
+                max: { x: -Infinity, y: -Infinity },
+            };
+            bodies.forEach((body) => {
+                bounds.min.x = Math.min(bounds.min.x, body.bounds.min.x);
+                bounds.min.y = Math.min(bounds.min.y, body.bounds.min.y);
+                bounds.max.x = Math.max(bounds.max.x, body.bounds.max.x);
+                bounds.max.y = Math.max(bounds.max.y, body.bounds.max.y);
+            });
+        } else {
+            const size = getArenaSize();
+            bounds = { min: { x: 0, y: 0 }, max: { x: size.width, y: size.height } };
+            padding = 0;
+        }
+
+        const width = bounds.max.x - bounds.min.x + padding * 2;
+        const height = bounds.max.y - bounds.min.y + padding * 2;
+
+        followedBody = null;
+        zoom = clampZoom(Math.min(viewportWidth / width, viewportHeight / height));
+        center = {
+            x: (bounds.min.x + bounds.max.x) / 2,
+            y: (bounds.min.y + bounds.max.y) / 2,
+        };
+        updateCamera();
+    }
+
+    /**
+     * Back to 1:1 over the centre of the arena
+     */
+    function resetCamera() {
+        const size = getArenaSize();
+        followedBody = null;
+        zoom = 1;
+        center = { x: size.width / 2, y: size.height / 2 };
+        updateCamera();
+    }
+
+    /**
+     * Current view: centre in world coordinates, zoom and the followed body id
+     */
+    function getCameraState() {
+        return {
+            x: center.x,
+            y: center.y,
+            zoom,
+            followingId: followedBody ? followedBody.customId || followedBody.id : null,
+        };
+    }
+
+    /**
+     * Listen for view changes (pan, zoom, follow, resize)
+     * @returns {Function} - Unsubscribe function
+     */
+    function onCameraChange(listener) {
+        listeners.push(listener);
+        return () => {
+            listeners = listeners.filter((l) => l !== listener);
+        };
+    }
+
+    // ============================================
+    // PER-FRAME UPDATE
+    // ============================================
+
+    /**
+     * Ease towards the followed body, point the renderer and mouse at the view
+     * and tell listeners when it moved. Runs before every render.
+     */
+    function updateCamera() {
+        if (followedBody) {
+            if (!Composite.get(world, followedBody.id, 'body')) {
+                followedBody = null;
+            } else {
+                center = {
+                    x: center.x + (followedBody.position.x - center.x) * CAMERA.FOLLOW_SMOOTHING,
+                    y: center.y + (followedBody.position.y - center.y) * CAMERA.FOLLOW_SMOOTHING,
+                };
+            }
+        }
+
+        if (render) {
+            const halfWidth = viewportWidth / zoom / 2;
+            const halfHeight = viewportHeight / zoom / 2;
+            render.bounds.min.x = center.x - halfWidth;
+            render.bounds.min.y = center.y - halfHeight;
+            render.bounds.max.x = center.x + halfWidth;
+            render.bounds.max.y = center.y + halfHeight;
+
+            Mouse.setScale(mouse, { x: 1 / zoom, y: 1 / zoom });
+            Mouse.setOffset(mouse, render.bounds.min);
+        }
+
+        const state = getCameraState();
+        const changed = !lastNotified
+            || Math.abs(state.x - lastNotified.x) > 0.01
+            || Math.abs(state.y - lastNotified.y) > 0.01
+            || state.zoom !== lastNotified.zoom
+            || state.followingId !== lastNotified.followingId
+            || viewportWidth !== lastNotified.width
+            || viewportHeight !== lastNotified.height;
+
+        if (changed) {
+            lastNotified = { ...state, width: viewportWidth, height: viewportHeight };
+            listeners.forEach((listener) => listener(state));
+        }
+    }
+
+    /**
+     * Let MouseConstraint grab bodies or not - off while the view is being dragged
+     */
+    function setMouseDragEnabled(enabled) {
+        if (mouseConstraint) {
+            mouseConstraint.collisionFilter.mask = enabled ? 0xFFFFFFFF : 0;
+        }
+    }
+
+    /**
+     * Drop listeners and the render hook when the world is destroyed
+     */
+    function destroyCamera() {
+        listeners = [];
+        followedBody = null;
+        if (render) {
+            Events.off(render, 'beforeRender', updateCamera);
+        }
+    }
+
+    return {
+        screenToWorld,
+        worldToScreen,
+        clientToWorld,
+        worldToClient,
+        setViewportSize,
+        getViewportSize,
+        panBy,
+        lookAt,
+        zoomAt,
+        setZoom,
+        followBody,
+        getFollowedBody,
+        fitAll,
+        resetCamera,
+        getCameraState,
+        onCameraChange,
+        setMouseDragEnabled,
+        destroyCamera,
+    };
+}
@@ -0,0 +1,212 @@
+// Level editor - build static levels with the simulation paused
+// While editing, the world holds still: pieces of level geometry (platforms,
+// ramps, funnels, pegs) are placed, then dragged, turned and stretched through
+// the selection with grid and angle snapping, and any body can be pinned in
+// place or let go. Play snapshots the layout and runs it; Stop restores that
+// snapshot and pauses again.
+import Matter from 'matter-js';
+import { EDITOR } from '../constants';
+import { createObject } from './objects';
+
+const { World } = Matter;
+
+/**
+ * Create the level editor for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createEditor(gameWorld) {
+    const { world, showStatus } = gameWorld;
+
+    let mode = 'off'; // 'off' | 'editing' | 'playing'
+    let layout = null;
+    let piece = null;
+    let gridSize = EDITOR.DEFAULT_GRID_SIZE;
+    let angleStep = EDITOR.DEFAULT_ANGLE_STEP;
+    let listeners = [];
+
+    function notify() {
+        const state = getEditorState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    // ============================================
+    // MODES
+    // ============================================
+
+    /**
+     * Pause the world for editing. Dragging bodies with the mouse is left to the editor.
+     */
+    function enterEditor() {
+        if (mode !== 'off') return;
+        mode = 'editing';
+        gameWorld.setPaused(true);
+        gameWorld.setMouseDragEnabled(false);
+        showStatus('🛠️ EDITOR');
+        notify();
+    }
+
+    /**
+     * Leave the editor and let the world carry on from the layout as it is
+     */
+    function exitEditor() {
+        if (mode === 'off') return;
+        mode = 'off';
+        layout = null;
+        piece = null;
+        gameWorld.clearSelection();
+        gameWorld.setPaused(false);
+        gameWorld.setMouseDragEnabled(true);
+        notify();
+    }
+
+    /**
+     * Remember the edited layout and simulate it
+     */
+    function playEditor() {
+        if (mode !== 'editing') return;
+        layout = gameWorld.snapshotWorld();
+        mode = 'playing';
+        gameWorld.clearSelection();
+        gameWorld.setPaused(false);
+        gameWorld.setMouseDragEnabled(true);
+        showStatus('▶️ PLAY!');
+        notify();
+    }
+
+    /**
+     * Stop simulating and put the layout back as it was when Play was pressed
+     */
+    function stopEditor() {
+        if (mode !== 'playing') return;
+        mode = 'editing';
+        gameWorld.restoreWorld(layout);
+        gameWorld.setPaused(true);
+        gameWorld.setMouseDragEnabled(false);
+        showStatus('⏹️ RESET');
+        notify();
+    }
+
+    // ============================================
+    // SNAPPING
+    // ============================================
+
+    /**
+     * Round a world position to the editor grid (unchanged when snapping is off).
+     * Snapping is up to the caller, so edits replay the same whatever the settings.
+     */
+    function snapToGrid(position) {
+        if (!gridSize) return { x: position.x, y: position.y };
+        return {
+            x: Math.round(position.x / gridSize) * gridSize,
+            y: Math.round(position.y / gridSize) * gridSize,
+        };
+    }
+
+    /**
+     * How far one angle step (a degree with snapping off) turns the selection,
+     * for rotateSelection. A single body lands on a multiple of the step.
+     * @param {number} direction - 1 clockwise, -1 anticlockwise
+     */
+    function getRotationStep(direction) {
+        const step = (angleStep || 1) * Math.PI / 180;
+        const bodies = gameWorld.getSelectedBodies();
+        if (bodies.length !== 1) return step * direction;
+
+        const { angle } = bodies[0];
+        return Math.round(angle / step + direction) * step - angle;
+    }
+
+    /**
+     * @param {number} size - One of EDITOR.GRID_SIZES; 0 turns snapping off
+     */
+    function setGridSize(size) {
+        gridSize = size;
+        notify();
+    }
+
+    /**
+     * @param {number} degrees - One of EDITOR.ANGLE_STEPS; 0 turns snapping off
+     */
+    function setAngleStep(degrees) {
+        angleStep = degrees;
+        notify();
+    }
+
+    // ============================================
+    // EDITING
+    // ============================================
+
+    /**
+     * Choose the piece of level geometry clicks place, or null to select instead
+     * @param {string|null} type - GEOMETRY type, e.g. 'ramp'
+     */
+    function setEditorPiece(type) {
+        piece = type;
+        notify();
+    }
+
+    /**
+     * Place a piece of level geometry and select it
+     * @param {string} type - GEOMETRY type, e.g. 'platform'
+     */
+    function placeGeometry(type, position) {
+        if (mode !== 'editing') return null;
+
+        const body = createObject(type, position.x, position.y);
+        World.add(world, body);
+        gameWorld.invalidateQueries();
+        gameWorld.setSelection([body]);
+        return body;
+    }
+
+    // ============================================
+    // STATE
+    // ============================================
+
+    /**
+     * Editor mode, the piece being placed and snapping
+     */
+    function getEditorState() {
+        return {
+            mode,
+            piece,
+            gridSize,
+            angleStep,
+        };
+    }
+
+    /**
+     * Subscribe to editor changes
+     * @returns {Function} - Unsubscribe function
+     */
+    function onEditorChange(listener) {
+        listeners.push(listener);
+        return () => {
+            listeners = listeners.filter((l) => l !== listener);
+        };
+    }
+
+    /**
+     * Drop listeners and the kept layout when the world is destroyed
+     */
+    function destroyEditor() {
+        listeners = [];
+        layout = null;
+    }
+
+    return {
+        enterEditor,
+        exitEditor,
+        playEditor,
+        stopEditor,
+        snapToGrid,
+        getRotationStep,
+        setGridSize,
+        setAngleStep,
+        setEditorPiece,
+        placeGeometry,
+        getEditorState,
+        onEditorChange,
+        destroyEditor,
+    };
+}
@@ -1,87 +1,120 @@
 // Matter.js Physics Engine Setup
 import Matter from 'matter-js';
 import { CANVAS, PHYSICS } from '../constants';
+import { createBoundaries } from './boundaries';
+import { createQueries } from './query';
+import { createTools } from './tools';
+import { createSpecialObjects } from './special';
+import { createChaos } from './chaos';
+import { createCamera } from './camera';
+import { createBodyBudget } from './budget';
+import { createSnapshots } from './snapshot';
+import { createHistory } from './history';
+import { createRewind } from './rewind';
+import { createJoints } from './joints';
+import { createRopes } from './ropes';
+import { createFracture } from './fracture';
+import { createFluids } from './fluids';
+import { createSelection } from './selection';
+import { createEditor } from './editor';
+import { createInspector } from './inspector';
+import { createReplay } from './replay';
+import { createRenderer } from '../render/renderer';
+import { createClips } from '../render/clip';
 
-const { Engine, Render, Runner, World, Bodies, Mouse, MouseConstraint, Events } = Matter;
+const { Engine, Runner, World, Body, Mouse, MouseConstraint, Events } = Matter;
 
-let engine = null;
-let render = null;
-let runner = null;
-let mouseConstraint = null;
+const FIXED_STEP = PHYSICS.FIXED_STEP;
+
+// Cap on catch-up steps per engine update so a long stall can't spiral
+const MAX_STEPS_PER_UPDATE = 5;
+
+/**
+ * Seedable pseudo-random generator (mulberry32), so a world's randomness can be replayed
+ * @returns {Function} - Returns a number in [0, 1) per call, like Math.random
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Remove the DOM listeners Mouse.create attached to its element
+ */
+function detachMouse(mouse) {
+    const element = mouse.element;
+    element.removeEventListener('mousemove', mouse.mousemove);
+    element.removeEventListener('mousedown', mouse.mousedown);
+    element.removeEventListener('mouseup', mouse.mouseup);
+    element.removeEventListener('wheel', mouse.mousewheel);
+    element.removeEventListener('touchmove', mouse.mousemove);
+    element.removeEventListener('touchstart', mouse.mousedown);
+    element.removeEventListener('touchend', mouse.mouseup);
+}
 
 /**
- * Initialize the physics engine
+ * Create an independent game world.
+ * Each world owns its engine, renderer, runner, fixed-step updaters, timers and
+ * effect callbacks, plus the boundary, query, tool, special object, chaos, camera,
+ * budget, snapshot, history, rewind, clip, joint, rope, fracture, fluid,
+ * selection, editor, inspector and replay systems bound to it, so several worlds can run
+ * side by side and each can be torn down completely.
+ *
+ * Without a canvas the world is headless: no renderer, no Mouse and no DOM access,
+ * effects go to no-op sinks until callbacks are registered, and the simulation
+ * is advanced with step()/advance() or a plain timer loop from start().
+ * @param {Object} options - { canvas, onCollision(bodyA, bodyB), width, height }
+ * @returns {Object} - The game world; every engine/tool/special/chaos action is a method on it
  */
-export function initEngine(canvas, onCollision = null) {
-    engine = Engine.create({
+export function createGameWorld({
+    canvas = null,
+    onCollision = null,
+    width = CANVAS.WIDTH,
+    height = CANVAS.HEIGHT,
+} = {}) {
+    const headless = !canvas;
+
+    const engine = Engine.create({
         gravity: PHYSICS.GRAVITY,
     });
 
     const world = engine.world;
 
-    render = Render.create({
-        canvas: canvas,
-        engine: engine,
-        options: {
-            width: CANVAS.WIDTH,
-            height: CANVAS.HEIGHT,
-            background: CANVAS.BACKGROUND,
-            wireframes: false,
-            showAngleIndicator: false,
-            showCollisions: false,
-            showVelocity: false,
-        },
+    const render = headless ? null : createRenderer({
+        canvas,
+        engine,
+        width,
+        height,
+        background: CANVAS.BACKGROUND,
     });
 
-    // Create ground and walls
-    const ground = Bodies.rectangle(
-        CANVAS.WIDTH / 2,
-        CANVAS.HEIGHT + 30,
-        CANVAS.WIDTH + 100,
-        60,
-        { isStatic: true, render: { fillStyle: '#1a1a2e' }, label: 'ground' }
-    );
-
-    const leftWall = Bodies.rectangle(
-        -30,
-        CANVAS.HEIGHT / 2,
-        60,
-        CANVAS.HEIGHT + 100,
-        { isStatic: true, render: { fillStyle: '#1a1a2e' }, label: 'wall' }
-    );
-
-    const rightWall = Bodies.rectangle(
-        CANVAS.WIDTH + 30,
-        CANVAS.HEIGHT / 2,
-        60,
-        CANVAS.HEIGHT + 100,
-        { isStatic: true, render: { fillStyle: '#1a1a2e' }, label: 'wall' }
-    );
-
-    const ceiling = Bodies.rectangle(
-        CANVAS.WIDTH / 2,
-        -30,
-        CANVAS.WIDTH + 100,
-        60,
-        { isStatic: true, render: { fillStyle: '#1a1a2e' }, label: 'ceiling' }
-    );
-
-    World.add(world, [ground, leftWall, rightWall, ceiling]);
+    // Arena size in world units; boundaries are rebuilt when it changes
+    let arenaWidth = width;
+    let arenaHeight = height;
 
     // Add mouse control
-    const mouse = Mouse.create(canvas);
-    mouseConstraint = MouseConstraint.create(engine, {
-        mouse: mouse,
-        constraint: {
-            stiffness: 0.2,
-            render: {
-                visible: false,
+    let mouse = null;
+    let mouseConstraint = null;
+    if (!headless) {
+        mouse = Mouse.create(canvas);
+        mouseConstraint = MouseConstraint.create(engine, {
+            mouse: mouse,
+            constraint: {
+                stiffness: 0.2,
+                render: {
+                    visible: false,
+                },
             },
-        },
-    });
+        });
 
-    World.add(world, mouseConstraint);
-    render.mouse = mouse;
+        World.add(world, mouseConstraint);
+    }
 
     // Collision events
     if (onCollision) {
@@ -92,165 +125,619 @@ export function initEngine(canvas, onCollision = null) {
         });
     }
 
-    runner = Runner.create();
+    const runner = headless ? null : Runner.create();
+    let headlessLoop = null;
 
-    return {
+    // Per-world state
+    let updaters = [];
+    let stepAccumulator = 0;
+    let pendingSteps = 0;
+    let stepping = false;
+    let paused = false;
+    let timers = [];
+    let nextTimerId = 1;
+
+    let randomSeed = Math.floor(Math.random() * 4294967296);
+    let nextRandom = createRandom(randomSeed);
+
+    let screenShakeCallback = null;
+    let particleCallback = null;
+    let statusCallback = null;
+    let soundCallback = null;
+
+    const gameWorld = {
         engine,
         world,
         render,
         runner,
         mouse,
         mouseConstraint,
+        headless,
     };
-}
 
-/**
- * Get the engine instance
- */
-export function getEngine() {
-    return engine;
-}
+    // ============================================
+    // FIXED-TIMESTEP LOOP
+    // ============================================
 
-/**
- * Start the physics simulation
- */
-export function startEngine() {
-    if (render && runner && engine) {
-        Render.run(render);
-        Runner.run(runner, engine);
+    /**
+     * Work out how many fixed steps are due and run the 'before' updaters.
+     * event.delta is already multiplied by engine.timing.timeScale, so slow
+     * motion produces fewer steps and a frozen world produces none.
+     */
+    function handleBeforeUpdate(event) {
+        stepping = true;
+        stepAccumulator += event.delta;
+
+        pendingSteps = 0;
+        // Small epsilon so 5 x 0.2 slow-mo deltas still add up to a full step
+        while (stepAccumulator >= FIXED_STEP - 1e-6 && pendingSteps < MAX_STEPS_PER_UPDATE) {
+            stepAccumulator -= FIXED_STEP;
+            pendingSteps++;
+        }
+        if (pendingSteps === MAX_STEPS_PER_UPDATE) {
+            stepAccumulator = 0;
+        }
+
+        runUpdaters('before', pendingSteps);
     }
-}
 
-/**
- * Stop the physics simulation
- */
-export function stopEngine() {
-    if (render) {
-        Render.stop(render);
+    /**
+     * Run the 'after' updaters for the steps scheduled in beforeUpdate
+     */
+    function handleAfterUpdate() {
+        runUpdaters('after', pendingSteps);
+        stepping = false;
+    }
+
+    /**
+     * Whether an engine update is in progress - true for anything called from
+     * updaters, timers or collision events rather than from outside the world
+     */
+    function isStepping() {
+        return stepping;
+    }
+
+    function runUpdaters(phase, steps) {
+        for (let i = 0; i < steps; i++) {
+            updaters.forEach((entry) => {
+                if (entry.phase === phase) {
+                    entry.update(FIXED_STEP);
+                }
+            });
+        }
+    }
+
+    Events.on(engine, 'beforeUpdate', handleBeforeUpdate);
+    Events.on(engine, 'afterUpdate', handleAfterUpdate);
+
+    /**
+     * Register a system with the fixed-timestep game loop
+     * @param {Function} update - Called with the step length in ms once per fixed step
+     * @param {Object} options - { phase: 'before' (default) runs ahead of the physics
+     *   step so forces apply to it, 'after' runs once bodies have moved }
+     * @returns {Function} - Unregister function
+     */
+    function registerUpdater(update, options = {}) {
+        const entry = { update, phase: options.phase || 'before' };
+        updaters.push(entry);
+        return () => {
+            updaters = updaters.filter((e) => e !== entry);
+        };
     }
-    if (runner) {
+
+    // ============================================
+    // SIMULATION TIMERS
+    // ============================================
+
+    /**
+     * Run a callback after delayMs of simulation time.
+     * Timers count fixed steps rather than wall-clock time, so they pause while
+     * frozen, stretch in slow motion and fire on schedule when stepped headless.
+     * @returns {number} - Timer id for clearTimer
+     */
+    function setTimer(callback, delayMs) {
+        const timer = { id: nextTimerId++, remaining: delayMs, interval: 0, callback };
+        timers.push(timer);
+        return timer.id;
+    }
+
+    /**
+     * Run a callback every intervalMs of simulation time
+     * @param {number} firstDelayMs - Delay before the first run (defaults to intervalMs),
+     *   e.g. to resume a restored timer part-way through its interval
+     * @returns {number} - Timer id for clearTimer
+     */
+    function setRepeatingTimer(callback, intervalMs, firstDelayMs = intervalMs) {
+        const timer = { id: nextTimerId++, remaining: firstDelayMs, interval: intervalMs, callback };
+        timers.push(timer);
+        return timer.id;
+    }
+
+    /**
+     * Cancel a timer started with setTimer or setRepeatingTimer
+     */
+    function clearTimer(id) {
+        timers = timers.filter((timer) => timer.id !== id);
+    }
+
+    /**
+     * Simulation time in ms until a timer next fires, or null if it isn't pending
+     */
+    function getTimerRemaining(id) {
+        const timer = timers.find((t) => t.id === id);
+        return timer ? timer.remaining : null;
+    }
+
+    /**
+     * Cancel every pending one-shot timer (staggered spawns, particle bursts).
+     * Repeating timers belong to systems that manage their own, so they are kept.
+     */
+    function cancelPendingTimers() {
+        timers = timers.filter((timer) => timer.interval > 0);
+    }
+
+    function updateTimers(delta) {
+        // Callbacks may add or clear timers, so walk a copy
+        timers.slice().forEach((timer) => {
+            if (!timers.includes(timer)) return;
+
+            timer.remaining -= delta;
+            if (timer.remaining > 1e-6) return;
+
+            if (timer.interval > 0) {
+                timer.remaining += timer.interval;
+            } else {
+                timers = timers.filter((t) => t !== timer);
+            }
+            timer.callback();
+        });
+    }
+
+    // ============================================
+    // RANDOMNESS
+    // ============================================
+
+    /**
+     * The world's random number source. Everything that affects the simulation
+     * uses this instead of Math.random, so a recorded session replays exactly.
+     */
+    function random() {
+        return nextRandom();
+    }
+
+    /**
+     * Restart the random sequence from a seed
+     */
+    function setRandomSeed(seed) {
+        randomSeed = seed >>> 0;
+        nextRandom = createRandom(randomSeed);
+    }
+
+    function getRandomSeed() {
+        return randomSeed;
+    }
+
+    // ============================================
+    // LIFECYCLE
+    // ============================================
+
+    /**
+     * Start the physics simulation
+     * Headless worlds have no requestAnimationFrame, so they tick on a plain timer
+     */
+    function start() {
+        if (headless) {
+            if (!headlessLoop) {
+                headlessLoop = setInterval(() => step(), FIXED_STEP);
+            }
+            return;
+        }
+        render.run();
+        Runner.run(runner, engine);
+    }
+
+    /**
+     * Stop the physics simulation
+     */
+    function stop() {
+        if (headless) {
+            clearInterval(headlessLoop);
+            headlessLoop = null;
+            return;
+        }
+        render.stop();
         Runner.stop(runner);
     }
-}
 
-/**
- * Clear the world of all non-static bodies
- */
-export function clearWorld() {
-    if (engine) {
-        const bodies = Matter.Composite.allBodies(engine.world);
+    /**
+     * Advance the simulation by one engine update
+     * @param {number} delta - Step length in ms (before timeScale is applied)
+     */
+    function step(delta = FIXED_STEP) {
+        if (paused) return;
+        Engine.update(engine, delta);
+    }
+
+    /**
+     * Hold the simulation still, e.g. while a level is edited. Unlike freeze this
+     * leaves the time scale alone, so snapshots taken meanwhile aren't frozen.
+     * The renderer keeps drawing; the runner and step() stop updating the engine.
+     */
+    function setPaused(shouldPause) {
+        paused = shouldPause;
+        if (runner) {
+            runner.enabled = !paused;
+        }
+    }
+
+    function isPaused() {
+        return paused;
+    }
+
+    /**
+     * Advance the simulation by durationMs in fixed steps - for scripted scenarios
+     */
+    function advance(durationMs) {
+        const steps = Math.round(durationMs / FIXED_STEP);
+        for (let i = 0; i < steps; i++) {
+            step();
+        }
+    }
+
+    /**
+     * Stop everything this world runs and release its engine.
+     * The world can't be used after this.
+     */
+    function destroy() {
+        stop();
+        gameWorld.stopObjectFlood();
+        gameWorld.stopSuddenRules();
+        gameWorld.stopExplosionChain();
+        gameWorld.clearSpecialObjects();
+        gameWorld.destroyCamera();
+        gameWorld.destroyBodyBudget();
+        gameWorld.destroyQueries();
+        gameWorld.destroyHistory();
+        gameWorld.destroyRewind();
+        gameWorld.destroyReplay();
+        gameWorld.destroyClips();
+        gameWorld.destroySelection();
+        gameWorld.destroyEditor();
+        gameWorld.destroyFracture();
+        gameWorld.destroyRopes();
+        gameWorld.destroyFluids();
+
+        timers = [];
+        updaters = [];
+
+        screenShakeCallback = null;
+        particleCallback = null;
+        statusCallback = null;
+        soundCallback = null;
+
+        if (mouse) {
+            detachMouse(mouse);
+        }
+        Events.off(engine);
+        World.clear(world, false);
+        Engine.clear(engine);
+    }
+
+    // ============================================
+    // EFFECT CALLBACKS
+    // ============================================
+
+    /**
+     * Register callbacks for effects
+     */
+    function registerEffectCallbacks(onShake, onParticle, onStatus, onSound = null) {
+        screenShakeCallback = onShake;
+        particleCallback = onParticle;
+        statusCallback = onStatus;
+        soundCallback = onSound;
+    }
+
+    /**
+     * Trigger screen shake
+     */
+    function triggerScreenShake(intensity = 1) {
+        if (screenShakeCallback) {
+            screenShakeCallback(intensity);
+        }
+    }
+
+    /**
+     * Spawn particles at position
+     * The count is scaled down by the performance governor when frames run slow
+     */
+    function spawnParticles(x, y, count = 10, color = '#ff6b6b') {
+        if (particleCallback) {
+            const scaled = Math.max(1, Math.round(count * gameWorld.getPerformanceLevel()));
+            particleCallback(x, y, scaled, color);
+        }
+    }
+
+    /**
+     * Show status message
+     */
+    function showStatus(message) {
+        if (statusCallback) {
+            statusCallback(message);
+        }
+    }
+
+    /**
+     * Play a named sound effect, e.g. 'pop'
+     */
+    function playSound(name) {
+        if (soundCallback) {
+            soundCallback(name);
+        }
+    }
+
+    // ============================================
+    // WORLD ACCESS
+    // ============================================
+
+    /**
+     * Clear the world of all non-static bodies
+     */
+    function clearWorld() {
+        const bodies = Matter.Composite.allBodies(world);
         const toRemove = bodies.filter((body) => !body.isStatic);
-        World.remove(engine.world, toRemove);
+        // Joints and rope links go with the bodies they held
+        World.remove(world, getAttachedConstraints(toRemove));
+        World.remove(world, toRemove);
     }
-}
 
-/**
- * Set world gravity
- */
-export function setGravity(gravity) {
-    if (engine) {
+    /**
+     * Constraints holding any of the given bodies, for removing along with them.
+     * The mouse drag is left out: it belongs to the player, not the body, and
+     * dragging stops working for good once it leaves the world.
+     * @param {Array} bodies - Matter bodies
+     * @returns {Array} - Matter constraints
+     */
+    function getAttachedConstraints(bodies) {
+        const held = new Set(bodies);
+        return Matter.Composite.allConstraints(world).filter((constraint) => (
+            constraint !== mouseConstraint?.constraint
+            && (held.has(constraint.bodyA) || held.has(constraint.bodyB))
+        ));
+    }
+
+    /**
+     * Resize the arena at runtime.
+     * Boundary bodies are rebuilt around the new size and any dynamic body left
+     * outside is pulled back in so nothing falls out of the world. What is on
+     * screen is up to the camera (setViewportSize), not the arena.
+     */
+    function setArenaSize(newWidth, newHeight) {
+        newWidth = Math.max(1, Math.round(newWidth));
+        newHeight = Math.max(1, Math.round(newHeight));
+        if (newWidth === arenaWidth && newHeight === arenaHeight) return;
+
+        arenaWidth = newWidth;
+        arenaHeight = newHeight;
+
+        gameWorld.rebuildBoundaries();
+
+        Matter.Composite.allBodies(world).forEach((body) => {
+            if (body.isStatic) return;
+
+            const halfWidth = Math.min((body.bounds.max.x - body.bounds.min.x) / 2, arenaWidth / 2);
+            const halfHeight = Math.min((body.bounds.max.y - body.bounds.min.y) / 2, arenaHeight / 2);
+            const x = Math.min(Math.max(body.position.x, halfWidth), arenaWidth - halfWidth);
+            const y = Math.min(Math.max(body.position.y, halfHeight), arenaHeight - halfHeight);
+            if (x !== body.position.x || y !== body.position.y) {
+                Body.setPosition(body, { x, y });
+            }
+        });
+    }
+
+    /**
+     * Get the current arena size in world units
+     */
+    function getArenaSize() {
+        return { width: arenaWidth, height: arenaHeight };
+    }
+
+    /**
+     * Set world gravity
+     */
+    function setGravity(gravity) {
         engine.gravity.x = gravity.x;
         engine.gravity.y = gravity.y;
     }
-}
 
-/**
- * Flip gravity (invert Y)
- */
-export function flipGravity() {
-    if (engine) {
+    /**
+     * Flip gravity (invert Y)
+     */
+    function flipGravity() {
         engine.gravity.y *= -1;
         return { x: engine.gravity.x, y: engine.gravity.y };
     }
-}
 
-/**
- * Get current gravity
- */
-export function getGravity() {
-    if (engine) {
+    /**
+     * Get current gravity
+     */
+    function getGravity() {
         return { x: engine.gravity.x, y: engine.gravity.y };
     }
-    return PHYSICS.GRAVITY;
-}
 
-/**
- * Get all bodies in the world
- */
-export function getAllBodies() {
-    if (engine) {
-        return Matter.Composite.allBodies(engine.world);
+    /**
+     * Get all bodies in the world
+     */
+    function getAllBodies() {
+        return Matter.Composite.allBodies(world);
     }
-    return [];
-}
 
-/**
- * Get body at position
- */
-export function getBodyAtPosition(position) {
-    if (engine) {
-        const bodies = Matter.Composite.allBodies(engine.world);
-        return bodies.find((body) => {
-            if (body.isStatic) return false;
-            return Matter.Bounds.contains(body.bounds, position);
-        });
+    /**
+     * Add body to world. Multi-body objects like jelly come as a composite;
+     * their bodies and constraints are added loose, like a ragdoll's, so
+     * everything that finds or removes bodies in the world sees them.
+     */
+    function addBody(body) {
+        if (body.type === 'composite') {
+            World.add(world, [...Matter.Composite.allBodies(body), ...Matter.Composite.allConstraints(body)]);
+            return;
+        }
+        World.add(world, body);
     }
-    return null;
-}
 
-/**
- * Add body to world
- */
-export function addBody(body) {
-    if (engine) {
-        World.add(engine.world, body);
+    /**
+     * Remove body from world
+     */
+    function removeBody(body) {
+        World.remove(world, body);
     }
-}
 
-/**
- * Remove body from world
- */
-export function removeBody(body) {
-    if (engine) {
-        World.remove(engine.world, body);
+    /**
+     * How many bodies share a force on one: the cells of a soft body or the
+     * segments of a rope, so the whole thing moves like one body of its mass
+     */
+    function getForceShare(body) {
+        if (body.softBody) return body.softBody.cells.length;
+        if (body.groupType === 'rope') {
+            return Matter.Composite.allBodies(world).filter((other) => other.groupId === body.groupId).length;
+        }
+        return 1;
     }
-}
 
-/**
- * Apply force to a body
- */
-export function applyForce(body, force) {
-    if (body) {
-        Matter.Body.applyForce(body, body.position, force);
+    /**
+     * Apply force to a body
+     */
+    function applyForce(body, force) {
+        if (body) {
+            const share = getForceShare(body);
+            Matter.Body.applyForce(body, body.position, { x: force.x / share, y: force.y / share });
+        }
     }
-}
 
-/**
- * Scale a body
- */
-export function scaleBody(body, scaleX, scaleY) {
-    if (body) {
-        Matter.Body.scale(body, scaleX, scaleY);
+    /**
+     * Apply a continuous force for one fixed step.
+     * Body.applyForce only lasts a single engine update, whose length shrinks with
+     * timeScale, so the force is converted to a velocity change instead. That keeps
+     * it in proportion to gravity in slow motion and stops it when frozen.
+     * Soft bodies and ropes share it out, as with applyForce.
+     */
+    function applyStepForce(body, force, delta = FIXED_STEP) {
+        if (body) {
+            const velocity = Body.getVelocity(body);
+            const scale = (delta * delta) / body.mass / getForceShare(body);
+            Body.setVelocity(body, {
+                x: velocity.x + force.x * scale,
+                y: velocity.y + force.y * scale,
+            });
+        }
     }
-}
 
-/**
- * Set time scale (for slow motion)
- */
-export function setTimeScale(scale) {
-    if (engine) {
+    /**
+     * Scale a body
+     */
+    function scaleBody(body, scaleX, scaleY) {
+        if (body) {
+            Matter.Body.scale(body, scaleX, scaleY);
+        }
+    }
+
+    /**
+     * Set time scale (for slow motion)
+     */
+    function setTimeScale(scale) {
         engine.timing.timeScale = scale;
     }
-}
 
-/**
- * Get current time scale
- */
-export function getTimeScale() {
-    if (engine) {
+    /**
+     * Get current time scale
+     */
+    function getTimeScale() {
         return engine.timing.timeScale;
     }
-    return 1;
+
+    /**
+     * Draw on top of the world each frame, e.g. a tool preview (see createRenderer).
+     * Headless worlds draw nothing, so this is a no-op there.
+     * @returns {Function} - Remove function
+     */
+    function addOverlay(draw, options) {
+        return render ? render.addOverlay(draw, options) : () => { };
+    }
+
+    Object.assign(gameWorld, {
+        registerUpdater,
+        isStepping,
+        setTimer,
+        setRepeatingTimer,
+        clearTimer,
+        getTimerRemaining,
+        cancelPendingTimers,
+        random,
+        setRandomSeed,
+        getRandomSeed,
+        start,
+        stop,
+        step,
+        advance,
+        setPaused,
+        isPaused,
+        destroy,
+        registerEffectCallbacks,
+        addOverlay,
+        triggerScreenShake,
+        spawnParticles,
+        showStatus,
+        playSound,
+        clearWorld,
+        getAttachedConstraints,
+        setArenaSize,
+        getArenaSize,
+        setGravity,
+        flipGravity,
+        getGravity,
+        getAllBodies,
+        addBody,
+        removeBody,
+        applyForce,
+        applyStepForce,
+        scaleBody,
+        setTimeScale,
+        getTimeScale,
+    });
+
+    // Systems bound to this world
+    Object.assign(gameWorld, createBoundaries(gameWorld));
+    Object.assign(gameWorld, createQueries(gameWorld));
+    Object.assign(gameWorld, createTools(gameWorld));
+    Object.assign(gameWorld, createSpecialObjects(gameWorld));
+    Object.assign(gameWorld, createChaos(gameWorld));
+    Object.assign(gameWorld, createCamera(gameWorld));
+    Object.assign(gameWorld, createBodyBudget(gameWorld));
+    Object.assign(gameWorld, createSnapshots(gameWorld));
+    Object.assign(gameWorld, createHistory(gameWorld));
+    Object.assign(gameWorld, createRewind(gameWorld));
+    Object.assign(gameWorld, createClips(gameWorld));
+    Object.assign(gameWorld, createJoints(gameWorld));
+    Object.assign(gameWorld, createRopes(gameWorld));
+    Object.assign(gameWorld, createFracture(gameWorld));
+    Object.assign(gameWorld, createFluids(gameWorld));
+    Object.assign(gameWorld, createSelection(gameWorld));
+    Object.assign(gameWorld, createEditor(gameWorld));
+    Object.assign(gameWorld, createInspector(gameWorld));
+    // Last, since it wraps the action methods the systems above added
+    Object.assign(gameWorld, createReplay(gameWorld));
+
+    // Per-frame systems
+    registerUpdater(gameWorld.updateFloatyObjects);
+    registerUpdater(gameWorld.updateSpecialObjects);
+    registerUpdater(gameWorld.updateFluids);
+    registerUpdater(gameWorld.updateJoints, { phase: 'after' });
+    registerUpdater(gameWorld.updateRopes, { phase: 'after' });
+    registerUpdater(gameWorld.updateFractures, { phase: 'after' });
+    registerUpdater(gameWorld.updateDespawns, { phase: 'after' });
+    registerUpdater(gameWorld.updateBoundaries, { phase: 'after' });
+    registerUpdater(updateTimers, { phase: 'after' });
+
+    return gameWorld;
 }
 
 export { Matter };
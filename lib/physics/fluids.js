@@ -0,0 +1,404 @@
+// Fluids - water zones that float, slow and splash what falls into them
+// A zone is a polygon of water painted with the water tool, kept as convex
+// pieces so the part of a body under water can be clipped out of it. The
+// submerged area pushes up against gravity like Archimedes says, at the
+// centre of what is under water so floating things turn upright, and the
+// water drags on whatever is in it. A flood is one more zone, spanning the
+// arena from its floor to a level that rises and drains over time.
+import Matter from 'matter-js';
+import decomp from 'poly-decomp';
+import { FLUID } from '../constants';
+import { drawWaterZone } from '../render/drawers';
+
+const { Body, Composite, Vertices } = Matter;
+
+const NO_WATER = { zones: [], flood: null };
+
+let zoneIdCounter = 0;
+
+function generateZoneId() {
+    return `water_${Date.now()}_${zoneIdCounter++}`;
+}
+
+/**
+ * Which side of a convex polygon's edges counts as inside, whichever way round it winds
+ */
+function getWinding(polygon) {
+    return Vertices.area(polygon, true) < 0 ? -1 : 1;
+}
+
+function isInsidePiece(piece, point) {
+    const winding = getWinding(piece);
+    return piece.every((start, i) => {
+        const end = piece[(i + 1) % piece.length];
+        return winding * ((end.x - start.x) * (point.y - start.y) - (end.y - start.y) * (point.x - start.x)) >= 0;
+    });
+}
+
+/**
+ * Cut a convex polygon down to what lies inside a convex piece of water
+ * (Sutherland-Hodgman against each of its edges)
+ */
+function clipToPiece(polygon, piece) {
+    const winding = getWinding(piece);
+    let clipped = polygon;
+
+    for (let i = 0; i < piece.length && clipped.length >= 3; i++) {
+        const start = piece[i];
+        const end = piece[(i + 1) % piece.length];
+        const side = (point) => winding * ((end.x - start.x) * (point.y - start.y) - (end.y - start.y) * (point.x - start.x));
+
+        const input = clipped;
+        clipped = [];
+        input.forEach((current, j) => {
+            const next = input[(j + 1) % input.length];
+            const currentSide = side(current);
+            const nextSide = side(next);
+            if (currentSide >= 0) clipped.push(current);
+            if ((currentSide > 0 && nextSide < 0) || (currentSide < 0 && nextSide > 0)) {
+                const t = currentSide / (currentSide - nextSide);
+                clipped.push({
+                    x: current.x + (next.x - current.x) * t,
+                    y: current.y + (next.y - current.y) * t,
+                });
+            }
+        });
+    }
+    return clipped;
+}
+
+/**
+ * Split an outline into convex pieces; concave ones go through poly-decomp
+ * like a drawn body's outline does
+ */
+function getConvexPieces(vertices) {
+    if (Vertices.isConvex(vertices)) return [vertices];
+
+    const polygon = vertices.map((v) => [v.x, v.y]);
+    decomp.makeCCW(polygon);
+    decomp.removeCollinearPoints(polygon, 0.01);
+    const pieces = decomp.quickDecomp(polygon);
+    if (pieces.length === 0) return [Vertices.hull(vertices)];
+    return pieces.map((piece) => piece.map(([x, y]) => ({ x, y })));
+}
+
+function buildZone(id, vertices) {
+    const outline = vertices.map((v) => ({ x: v.x, y: v.y }));
+    const xs = outline.map((v) => v.x);
+    const ys = outline.map((v) => v.y);
+    return {
+        id,
+        vertices: outline,
+        pieces: getConvexPieces(outline),
+        bounds: {
+            min: { x: Math.min(...xs), y: Math.min(...ys) },
+            max: { x: Math.max(...xs), y: Math.max(...ys) },
+        },
+    };
+}
+
+/**
+ * Create the fluid system for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createFluids(gameWorld) {
+    const { engine, world, getArenaSize, spawnParticles, playSound } = gameWorld;
+
+    // Replaced rather than changed, so rewind frames can share it
+    let zones = [];
+    // { depth, targetDepth } in world units up from the arena's floor
+    let flood = null;
+    // Bodies in the water after the last step, to splash those that fall in.
+    // null after a restore: whatever is in the water then was in it already.
+    let wetBodies = new Set();
+    let splashCooldown = 0;
+
+    const removeOverlay = gameWorld.addOverlay((ctx, frame) => {
+        getZones().forEach((zone) => drawWaterZone(ctx, zone, frame));
+    }, { zIndex: -1 });
+
+    /**
+     * The flood as a zone of its own, filling the arena up to its level
+     */
+    function getFloodZone() {
+        const { width, height } = getArenaSize();
+        const top = height - flood.depth;
+        const bottom = height + FLUID.FLOOD_MARGIN;
+        const left = -FLUID.FLOOD_MARGIN;
+        const right = width + FLUID.FLOOD_MARGIN;
+        return buildZone('flood', [
+            { x: left, y: top },
+            { x: right, y: top },
+            { x: right, y: bottom },
+            { x: left, y: bottom },
+        ]);
+    }
+
+    function getZones() {
+        return flood && flood.depth > 0 ? [...zones, getFloodZone()] : zones;
+    }
+
+    // ============================================
+    // ZONES
+    // ============================================
+
+    /**
+     * Fill a polygon with water, without any effects
+     * @param {Array} vertices - World positions around the outline, in order
+     * @param {Object} options - { id } to keep one from a snapshot
+     * @returns {Object} - The zone: { id, vertices, pieces, bounds }
+     */
+    function addWaterZone(vertices, options = {}) {
+        const zone = buildZone(options.id || generateZoneId(), vertices);
+        zones = [...zones, zone];
+        return zone;
+    }
+
+    /**
+     * The painted zone at a position, topmost first; the flood doesn't count
+     */
+    function getWaterZoneAt(position) {
+        for (let i = zones.length - 1; i >= 0; i--) {
+            if (zones[i].pieces.some((piece) => isInsidePiece(piece, position))) {
+                return zones[i];
+            }
+        }
+        return null;
+    }
+
+    function isFloodedAt(position) {
+        return !!flood && flood.depth > 0 && position.y >= getArenaSize().height - flood.depth;
+    }
+
+    /**
+     * Whether there is any water at a position, painted or flood
+     */
+    function isWaterAt(position) {
+        return !!getWaterZoneAt(position) || isFloodedAt(position);
+    }
+
+    /**
+     * Drain the painted zone at a position, or else the flood if it's there
+     * @returns {string|null} - 'zone', 'flood', or null if the position is dry
+     */
+    function removeWaterAt(position) {
+        const zone = getWaterZoneAt(position);
+        if (zone) {
+            zones = zones.filter((other) => other !== zone);
+            return 'zone';
+        }
+        if (isFloodedAt(position)) {
+            drainFlood();
+            return 'flood';
+        }
+        return null;
+    }
+
+    /**
+     * Remove every zone and the flood at once
+     */
+    function clearWater() {
+        zones = [];
+        flood = null;
+    }
+
+    function hasWater() {
+        return zones.length > 0 || !!flood;
+    }
+
+    // ============================================
+    // FLOOD
+    // ============================================
+
+    /**
+     * Raise the water across the whole arena to FLUID.FLOOD_DEPTH of its height
+     */
+    function floodArena() {
+        const targetDepth = getArenaSize().height * FLUID.FLOOD_DEPTH;
+        flood = { depth: flood ? flood.depth : 0, targetDepth };
+    }
+
+    /**
+     * Let the flood out; it is gone once it has drained to the floor
+     */
+    function drainFlood() {
+        if (flood) {
+            flood = { ...flood, targetDepth: 0 };
+        }
+    }
+
+    function updateFlood(delta) {
+        if (!flood) return;
+
+        const change = (FLUID.FLOOD_SPEED * delta) / 1000;
+        const depth = flood.depth < flood.targetDepth
+            ? Math.min(flood.targetDepth, flood.depth + change)
+            : Math.max(flood.targetDepth, flood.depth - change);
+        flood = depth > 0 || flood.targetDepth > 0 ? { ...flood, depth } : null;
+    }
+
+    // ============================================
+    // BUOYANCY AND DRAG
+    // ============================================
+
+    /**
+     * How much of a body is inside a zone
+     * @returns {Object} - { area, center } of the submerged part, center null if none is
+     */
+    function getSubmerged(body, zone) {
+        const parts = body.parts.length > 1 ? body.parts.slice(1) : body.parts;
+        let area = 0;
+        let x = 0;
+        let y = 0;
+
+        parts.forEach((part) => {
+            zone.pieces.forEach((piece) => {
+                const wet = clipToPiece(part.vertices, piece);
+                if (wet.length < 3) return;
+                const wetArea = Vertices.area(wet, false);
+                if (wetArea <= 0) return;
+                const center = Vertices.centre(wet);
+                area += wetArea;
+                x += center.x * wetArea;
+                y += center.y * wetArea;
+            });
+        });
+        return { area, center: area > 0 ? { x: x / area, y: y / area } : null };
+    }
+
+    function overlaps(body, zone) {
+        return body.bounds.min.x < zone.bounds.max.x && body.bounds.max.x > zone.bounds.min.x
+            && body.bounds.min.y < zone.bounds.max.y && body.bounds.max.y > zone.bounds.min.y;
+    }
+
+    /**
+     * Splash a body that fell into the water fast enough, with a sound now and then
+     */
+    function splash(body, point) {
+        const speed = Body.getSpeed(body);
+        if (speed <= FLUID.SPLASH_SPEED) return;
+
+        spawnParticles(point.x, point.y, Math.min(16, Math.round(speed * 1.5)), FLUID.SPLASH_COLOR);
+        if (splashCooldown === 0) {
+            playSound('splash');
+            splashCooldown = FLUID.SPLASH_COOLDOWN;
+        }
+    }
+
+    /**
+     * Float and drag everything in the water. Where zones overlap, a body is
+     * in the one it is deepest in. Runs before every physics step.
+     * @param {number} delta - Fixed step length in ms of simulation time
+     */
+    function updateFluids(delta) {
+        updateFlood(delta);
+        splashCooldown = Math.max(0, splashCooldown - delta);
+
+        const waters = getZones();
+        const wasWet = wetBodies;
+        wetBodies = new Set();
+        if (waters.length === 0) return;
+
+        const gravity = engine.gravity;
+        Composite.allBodies(world).forEach((body) => {
+            if (body.isStatic || body.isSensor) return;
+
+            let submerged = null;
+            waters.forEach((zone) => {
+                if (!overlaps(body, zone)) return;
+                const inZone = getSubmerged(body, zone);
+                if (inZone.area > 0 && (!submerged || inZone.area > submerged.area)) {
+                    submerged = inZone;
+                }
+            });
+            if (!submerged) return;
+
+            wetBodies.add(body);
+            if (wasWet && !wasWet.has(body)) {
+                splash(body, submerged.center);
+            }
+
+            // The weight of the water pushed aside, against gravity. Each part
+            // of a soft body or rope floats on its own, so unlike
+            // applyStepForce nothing is shared out.
+            const lift = FLUID.DENSITY * submerged.area * gravity.scale;
+            const force = { x: -gravity.x * lift, y: -gravity.y * lift };
+            const scale = (delta * delta) / body.mass;
+            const velocity = Body.getVelocity(body);
+            const fraction = Math.min(1, submerged.area / body.area);
+            const drag = 1 - FLUID.LINEAR_DRAG * fraction;
+            Body.setVelocity(body, {
+                x: (velocity.x + force.x * scale) * drag,
+                y: (velocity.y + force.y * scale) * drag,
+            });
+
+            // Pushing at the middle of what's under water turns it upright
+            const arm = { x: submerged.center.x - body.position.x, y: submerged.center.y - body.position.y };
+            const torque = arm.x * force.y - arm.y * force.x;
+            const spin = Body.getAngularVelocity(body) + (torque * delta * delta) / body.inertia;
+            Body.setAngularVelocity(body, spin * (1 - FLUID.ANGULAR_DRAG * fraction));
+        });
+    }
+
+    // ============================================
+    // SNAPSHOTS
+    // ============================================
+
+    /**
+     * Plain-data water for a world snapshot
+     */
+    function snapshotFluids() {
+        return {
+            zones: zones.map((zone) => ({ id: zone.id, vertices: zone.vertices.map((v) => ({ x: v.x, y: v.y })) })),
+            flood: flood ? { ...flood } : null,
+        };
+    }
+
+    /**
+     * Replace the water with that from snapshotFluids, quietly.
+     * Older snapshots have none.
+     */
+    function restoreFluids(state = NO_WATER) {
+        zones = state.zones.map((record) => buildZone(record.id, record.vertices));
+        flood = state.flood ? { ...state.flood } : null;
+        wetBodies = null;
+    }
+
+    /**
+     * The live water, for rewind to put back as it was at a past moment
+     */
+    function captureFluids() {
+        return { zones, flood: flood ? { ...flood } : null };
+    }
+
+    function resumeFluids(state) {
+        zones = state.zones;
+        flood = state.flood ? { ...state.flood } : null;
+        wetBodies = null;
+    }
+
+    /**
+     * Stop drawing the water when the world is destroyed
+     */
+    function destroyFluids() {
+        removeOverlay();
+        clearWater();
+    }
+
+    return {
+        addWaterZone,
+        getWaterZoneAt,
+        isWaterAt,
+        removeWaterAt,
+        clearWater,
+        hasWater,
+        floodArena,
+        drainFlood,
+        updateFluids,
+        snapshotFluids,
+        restoreFluids,
+        captureFluids,
+        resumeFluids,
+        destroyFluids,
+    };
+}
@@ -0,0 +1,267 @@
+// Fracture - breakable bodies shatter into Voronoi fragments on hard impacts
+// A body is breakable when its object type or material gives it a toughness:
+// the impact speed, in world units per 1/60 s, a collision has to change its
+// velocity by to break it. Fragments are convex cells around random seeds in
+// the body, carry on with its motion and colour, and are ordinary drawn-shape
+// bodies, so snapshots, copies and links rebuild them like anything else.
+import Matter from 'matter-js';
+import { FRACTURE } from '../constants';
+import { createObject } from './objects';
+
+const { Body, Composite, Events, Vertices, World } = Matter;
+
+/**
+ * Cut a convex polygon down to the side of a line nearer a seed than its
+ * neighbour (Sutherland-Hodgman against the bisector of the two)
+ */
+function clipToSeed(polygon, seed, other) {
+    const normal = { x: other.x - seed.x, y: other.y - seed.y };
+    const middle = { x: (seed.x + other.x) / 2, y: (seed.y + other.y) / 2 };
+    const side = (point) => (point.x - middle.x) * normal.x + (point.y - middle.y) * normal.y;
+
+    const clipped = [];
+    polygon.forEach((current, i) => {
+        const next = polygon[(i + 1) % polygon.length];
+        const currentSide = side(current);
+        const nextSide = side(next);
+        if (currentSide <= 0) clipped.push(current);
+        if ((currentSide < 0 && nextSide > 0) || (currentSide > 0 && nextSide < 0)) {
+            const t = currentSide / (currentSide - nextSide);
+            clipped.push({
+                x: current.x + (next.x - current.x) * t,
+                y: current.y + (next.y - current.y) * t,
+            });
+        }
+    });
+    return clipped;
+}
+
+/**
+ * Create the fracture system for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createFracture(gameWorld) {
+    const { engine, world, random, spawnParticles } = gameWorld;
+
+    // Bodies hit hard during an engine update, broken once it is over:
+    // body -> { point, count } for the hardest blow
+    let pending = new Map();
+
+    function isBreakable(body) {
+        return !!body.toughness && !body.isStatic && !body.isDespawning && !gameWorld.isBoundary(body);
+    }
+
+    /**
+     * Parts of a body as convex polygons in world coordinates
+     */
+    function getPolygons(body) {
+        const parts = body.parts.length > 1 ? body.parts.slice(1) : body.parts;
+        return parts.map((part) => part.vertices.map((v) => ({ x: v.x, y: v.y })));
+    }
+
+    /**
+     * Random points inside a body to grow fragments around, one of them where it was hit
+     */
+    function pickSeeds(body, polygons, point, count) {
+        const seeds = [];
+        if (polygons.some((polygon) => Vertices.contains(polygon, point))) {
+            seeds.push({ x: point.x, y: point.y });
+        }
+
+        const { min, max } = body.bounds;
+        for (let tries = 0; seeds.length < count && tries < count * 20; tries++) {
+            const seed = {
+                x: min.x + random() * (max.x - min.x),
+                y: min.y + random() * (max.y - min.y),
+            };
+            if (polygons.some((polygon) => Vertices.contains(polygon, seed))) {
+                seeds.push(seed);
+            }
+        }
+        return seeds;
+    }
+
+    /**
+     * How many fragments the body budget leaves room for; a body that breaks
+     * makes way for one of them
+     */
+    function getFragmentRoom() {
+        return gameWorld.getBodyBudget() - gameWorld.getObjectCount() + 1;
+    }
+
+    /**
+     * Shatter a body into fragments now. Fragments keep its velocity and spin,
+     * plus a push away from the break, and its colour and material.
+     * @param {Object} body - Matter body with a toughness
+     * @param {Object} point - World position of the blow; fragments are smallest there
+     * @param {number} count - Fragments wanted, before the body budget has its say
+     * @returns {Array} - The fragments, or none if the body didn't break
+     */
+    function shatterBody(body, point, count) {
+        if (!isBreakable(body)) return [];
+
+        const fragmentCount = Math.min(count, FRACTURE.MAX_FRAGMENTS, getFragmentRoom());
+        if (fragmentCount < 2) return [];
+
+        const polygons = getPolygons(body);
+        const seeds = pickSeeds(body, polygons, point, fragmentCount);
+        if (seeds.length < 2) return [];
+
+        const velocity = Body.getVelocity(body);
+        const spin = Body.getAngularVelocity(body);
+        const material = body.customShape?.material || null;
+        const fragments = [];
+
+        seeds.forEach((seed) => {
+            polygons.forEach((polygon) => {
+                let cell = polygon;
+                for (let i = 0; i < seeds.length && cell.length >= 3; i++) {
+                    if (seeds[i] !== seed) cell = clipToSeed(cell, seed, seeds[i]);
+                }
+                if (cell.length < 3 || Math.abs(Vertices.area(cell, true)) < FRACTURE.MIN_FRAGMENT_AREA) return;
+
+                const center = Vertices.centre(cell);
+                const fragment = createObject('fragment', center.x, center.y, {
+                    vertices: cell.map((v) => ({ x: v.x - center.x, y: v.y - center.y })),
+                    material,
+                });
+                fragment.render.fillStyle = body.render.fillStyle;
+                fragment.friction = body.friction;
+                fragment.restitution = body.restitution;
+                fragment.frictionAir = body.frictionAir;
+                Body.setDensity(fragment, body.density);
+
+                // The body's spin carries each piece along at its distance from the middle
+                const offset = { x: center.x - body.position.x, y: center.y - body.position.y };
+                const away = { x: center.x - point.x, y: center.y - point.y };
+                const distance = Math.hypot(away.x, away.y) || 1;
+                Body.setVelocity(fragment, {
+                    x: velocity.x - spin * offset.y + (away.x / distance) * FRACTURE.SPREAD,
+                    y: velocity.y + spin * offset.x + (away.y / distance) * FRACTURE.SPREAD,
+                });
+                Body.setAngularVelocity(fragment, spin);
+                fragments.push(fragment);
+            });
+        });
+
+        // Whatever was joined to the body lets go with it
+        World.remove(world, gameWorld.getAttachedConstraints([body]));
+        World.remove(world, body);
+        World.add(world, fragments);
+        gameWorld.invalidateQueries();
+
+        spawnParticles(point.x, point.y, 8, body.render.fillStyle);
+        return fragments;
+    }
+
+    /**
+     * Shatter a body now, or once the engine update in progress is over, so
+     * bodies aren't swapped out in the middle of one
+     */
+    function breakBody(body, point, count) {
+        if (!gameWorld.isStepping()) {
+            shatterBody(body, point, count);
+            return;
+        }
+        if (!pending.has(body) || pending.get(body).count < count) {
+            pending.set(body, { point: { x: point.x, y: point.y }, count });
+        }
+    }
+
+    /**
+     * Fragments for a blow: the minimum at strength 0, the maximum at 1
+     */
+    function getFragmentCount(strength) {
+        const range = FRACTURE.MAX_FRAGMENTS - FRACTURE.MIN_FRAGMENTS;
+        return FRACTURE.MIN_FRAGMENTS + Math.round(Math.min(1, strength) * range);
+    }
+
+    /**
+     * Break breakable bodies near a blast, e.g. from toolExplode. Those closer
+     * than FRACTURE.EXPLOSION_REACH of its radius shatter, the nearest most.
+     * @returns {number} - How many bodies were hit hard enough to break
+     */
+    function fractureNear(position, radius) {
+        const reach = radius * FRACTURE.EXPLOSION_REACH;
+        const hits = gameWorld.queryRadius(position, reach, { filter: isBreakable });
+
+        hits.forEach(({ body, distance }) => {
+            breakBody(body, position, getFragmentCount(1 - distance / reach));
+        });
+        return hits.length;
+    }
+
+    // ============================================
+    // IMPACTS
+    // ============================================
+
+    /**
+     * How much a collision changes one body's velocity: the closing speed
+     * along the contact normal, shared out by mass (all of it against a static body)
+     */
+    function getImpactSpeed(body, other, closingSpeed) {
+        if (other.isStatic) return closingSpeed;
+        return closingSpeed * (other.mass / (body.mass + other.mass));
+    }
+
+    function handleCollisionStart(event) {
+        event.pairs.forEach((pair) => {
+            if (pair.isSensor) return;
+
+            const bodyA = pair.bodyA.parent;
+            const bodyB = pair.bodyB.parent;
+            if (!isBreakable(bodyA) && !isBreakable(bodyB)) return;
+
+            const { collision } = pair;
+            const velocityA = Body.getVelocity(bodyA);
+            const velocityB = Body.getVelocity(bodyB);
+            const closingSpeed = Math.abs(
+                (velocityA.x - velocityB.x) * collision.normal.x + (velocityA.y - velocityB.y) * collision.normal.y
+            );
+            const support = collision.supportCount > 0 ? collision.supports[0] : null;
+
+            [[bodyA, bodyB], [bodyB, bodyA]].forEach(([body, other]) => {
+                if (!isBreakable(body)) return;
+
+                // Twice the toughness shatters a body as far as it goes
+                const impact = getImpactSpeed(body, other, closingSpeed);
+                if (impact <= body.toughness) return;
+                breakBody(body, support || body.position, getFragmentCount(impact / body.toughness - 1));
+            });
+        });
+    }
+
+    Events.on(engine, 'collisionStart', handleCollisionStart);
+
+    /**
+     * Break what was hit hard enough during the last engine update, unless it
+     * is gone already. Runs after every physics step.
+     */
+    function updateFractures() {
+        if (pending.size === 0) return;
+
+        const hits = pending;
+        pending = new Map();
+        hits.forEach(({ point, count }, body) => {
+            if (Composite.get(world, body.id, 'body')) {
+                shatterBody(body, point, count);
+            }
+        });
+    }
+
+    /**
+     * Stop listening for impacts when the world is destroyed
+     */
+    function destroyFracture() {
+        pending = new Map();
+        Events.off(engine, 'collisionStart', handleCollisionStart);
+    }
+
+    return {
+        isBreakable,
+        shatterBody,
+        fractureNear,
+        updateFractures,
+        destroyFracture,
+    };
+}
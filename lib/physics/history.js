@@ -0,0 +1,117 @@
+// Action history - undo/redo for sandbox actions
+// Before an undoable action runs, the caller records it and the world is
+// snapshotted; undo restores that snapshot and keeps the current state for redo.
+import { HISTORY } from '../constants';
+
+/**
+ * Create the undo/redo history for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createHistory(gameWorld) {
+    const { showStatus } = gameWorld;
+
+    let undoStack = [];
+    let redoStack = [];
+    let listeners = [];
+
+    function notify() {
+        const state = getHistoryState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    /**
+     * Remember the world as it is now, before an undoable action changes it.
+     * Recording a new action drops anything that could be redone.
+     * @param {string} label - Short name shown when it is undone, e.g. 'Spawn'
+     */
+    function recordAction(label) {
+        undoStack.push({ label, snapshot: gameWorld.snapshotWorld() });
+        if (undoStack.length > HISTORY.MAX_DEPTH) {
+            undoStack.shift();
+        }
+        redoStack = [];
+        notify();
+    }
+
+    /**
+     * Undo the most recent recorded action
+     * @returns {string|null} - Its label, or null if there was nothing to undo
+     */
+    function undo() {
+        const entry = undoStack.pop();
+        if (!entry) return null;
+
+        redoStack.push({ label: entry.label, snapshot: gameWorld.snapshotWorld() });
+        gameWorld.restoreWorld(entry.snapshot);
+        showStatus(`↩️ UNDO ${entry.label.toUpperCase()}`);
+        notify();
+        return entry.label;
+    }
+
+    /**
+     * Redo the most recently undone action
+     * @returns {string|null} - Its label, or null if there was nothing to redo
+     */
+    function redo() {
+        const entry = redoStack.pop();
+        if (!entry) return null;
+
+        undoStack.push({ label: entry.label, snapshot: gameWorld.snapshotWorld() });
+        gameWorld.restoreWorld(entry.snapshot);
+        showStatus(`↪️ REDO ${entry.label.toUpperCase()}`);
+        notify();
+        return entry.label;
+    }
+
+    /**
+     * Forget all recorded actions
+     */
+    function clearHistory() {
+        undoStack = [];
+        redoStack = [];
+        notify();
+    }
+
+    /**
+     * How many steps can be undone and redone, and what the next ones are
+     */
+    function getHistoryState() {
+        return {
+            undoDepth: undoStack.length,
+            redoDepth: redoStack.length,
+            nextUndo: undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null,
+            nextRedo: redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null,
+        };
+    }
+
+    /**
+     * Subscribe to history changes, including the world being restored by undo/redo
+     * @param {Function} listener - Called with getHistoryState()
+     * @returns {Function} - Unsubscribe function
+     */
+    function onHistoryChange(listener) {
+        listeners.push(listener);
+        return () => {
+            listeners = listeners.filter((l) => l !== listener);
+        };
+    }
+
+    /**
+     * Drop recorded snapshots and listeners when the world is destroyed
+     */
+    function destroyHistory() {
+        undoStack = [];
+        redoStack = [];
+        listeners = [];
+    }
+
+    return {
+        recordAction,
+        undo,
+        redo,
+        clearHistory,
+        getHistoryState,
+        onHistoryChange,
+        destroyHistory,
+    };
+}
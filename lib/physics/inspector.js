@@ -0,0 +1,149 @@
+// Object inspector - read and change any body's properties by id
+// A live view of what a body is made of right now, so changes made out of
+// sight (sudden rules zeroing friction, bodies made bouncy) can be seen and
+// undone by hand. Changes go through one method, so they can be recorded.
+import Matter from 'matter-js';
+import { setBodyStatic } from './objects';
+
+const { Body, Composite } = Matter;
+
+/**
+ * Create the inspector for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createInspector(gameWorld) {
+    const { world } = gameWorld;
+
+    function findBody(id) {
+        return Composite.allBodies(world).find((body) => body.customId === id) || null;
+    }
+
+    // How each editable property is applied; each returns false for a value it can't take
+    const SETTERS = {
+        mass: (body, value) => {
+            if (body.isStatic || !(value > 0)) return false;
+            Body.setMass(body, value);
+            return true;
+        },
+        density: (body, value) => {
+            if (body.isStatic || !(value > 0)) return false;
+            Body.setDensity(body, value);
+            return true;
+        },
+        friction: (body, value) => {
+            if (!(value >= 0)) return false;
+            body.friction = value;
+            return true;
+        },
+        frictionAir: (body, value) => {
+            if (!(value >= 0)) return false;
+            body.frictionAir = value;
+            return true;
+        },
+        restitution: (body, value) => {
+            if (!(value >= 0)) return false;
+            body.restitution = value;
+            return true;
+        },
+        color: (body, value) => {
+            if (typeof value !== 'string' || !value) return false;
+            body.render.fillStyle = value;
+            return true;
+        },
+        scale: (body, value) => {
+            if (!(value > 0)) return false;
+            const factor = value / (body.customScale || 1);
+            Body.scale(body, factor, factor);
+            body.customScale = value;
+            return true;
+        },
+        angle: (body, value) => {
+            if (!Number.isFinite(value)) return false;
+            Body.setAngle(body, value);
+            return true;
+        },
+        vx: (body, value) => {
+            if (body.isStatic || !Number.isFinite(value)) return false;
+            Body.setVelocity(body, { x: value, y: Body.getVelocity(body).y });
+            return true;
+        },
+        vy: (body, value) => {
+            if (body.isStatic || !Number.isFinite(value)) return false;
+            Body.setVelocity(body, { x: Body.getVelocity(body).x, y: value });
+            return true;
+        },
+        angularVelocity: (body, value) => {
+            if (body.isStatic || !Number.isFinite(value)) return false;
+            Body.setAngularVelocity(body, value);
+            return true;
+        },
+        isStatic: (body, value) => {
+            if (body.isStatic !== !!value) setBodyStatic(body, !!value);
+            return true;
+        },
+        isExplosive: (body, value) => {
+            body.isExplosive = !!value;
+            return true;
+        },
+        isFloaty: (body, value) => {
+            body.isFloaty = !!value;
+            return true;
+        },
+    };
+
+    /**
+     * What a body is made of right now. Static bodies have infinite mass and
+     * density, which JSON can't hold, so those come back as null.
+     * @param {string} id - The body's customId
+     * @returns {Object|null} - Plain values, or null if no body has that id
+     */
+    function inspectBody(id) {
+        const body = findBody(id);
+        if (!body) return null;
+
+        const velocity = Body.getVelocity(body);
+        return {
+            id: body.customId,
+            type: body.label,
+            mass: body.isStatic ? null : body.mass,
+            density: body.isStatic ? null : body.density,
+            friction: body.friction,
+            frictionAir: body.frictionAir,
+            restitution: body.restitution,
+            color: body.render.fillStyle,
+            scale: body.customScale || 1,
+            angle: body.angle,
+            vx: velocity.x,
+            vy: velocity.y,
+            angularVelocity: Body.getAngularVelocity(body),
+            isStatic: body.isStatic,
+            isExplosive: !!body.isExplosive,
+            isFloaty: !!body.isFloaty,
+        };
+    }
+
+    /**
+     * Change one property of a body, in the units inspectBody reports
+     * (angles in radians, velocities per step)
+     * @param {string} id - The body's customId
+     * @param {string} property - A property from inspectBody, e.g. 'restitution'
+     * @returns {boolean} - Whether it changed; false for a missing body or an unusable value
+     */
+    function setBodyProperty(id, property, value) {
+        const set = SETTERS[property];
+        if (!set) {
+            throw new Error(`Unknown body property: ${property}`);
+        }
+
+        const body = findBody(id);
+        if (!body || !set(body, value)) return false;
+
+        gameWorld.invalidateQueries();
+        return true;
+    }
+
+    return {
+        inspectBody,
+        setBodyProperty,
+    };
+}
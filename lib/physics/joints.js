@@ -0,0 +1,241 @@
+// Joints - ropes, springs, hinges and welds between bodies
+// A joint is one or more Matter constraints sharing a jointId and jointType
+// (a weld holds at two points), so snapshots, copies and links carry joints
+// like any other constraint. Joints snap when stretched too far.
+import Matter from 'matter-js';
+import { JOINTS, JOINT } from '../constants';
+
+const { Composite, Constraint, World } = Matter;
+
+let jointIdCounter = 0;
+
+/**
+ * Generate unique joint ID
+ */
+export function generateJointId() {
+    return `joint_${Date.now()}_${jointIdCounter++}`;
+}
+
+/**
+ * Joint settings by type
+ * @param {string} type - e.g. 'spring'
+ */
+export function getJointConfig(type) {
+    return Object.values(JOINTS).find((config) => config.type === type) || null;
+}
+
+/**
+ * World positions of a constraint's two ends
+ */
+export function getConstraintEnds(constraint) {
+    const { bodyA, bodyB, pointA, pointB } = constraint;
+    return {
+        start: bodyA ? { x: bodyA.position.x + pointA.x, y: bodyA.position.y + pointA.y } : pointA,
+        end: bodyB ? { x: bodyB.position.x + pointB.x, y: bodyB.position.y + pointB.y } : pointB,
+    };
+}
+
+function distanceToSegment(point, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0
+        ? 0
+        : Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSq));
+    return Math.hypot(point.x - (start.x + dx * t), point.y - (start.y + dy * t));
+}
+
+/**
+ * Create the joint system for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createJoints(gameWorld) {
+    const { world, spawnParticles } = gameWorld;
+
+    function getJointConstraints() {
+        return Composite.allConstraints(world).filter((constraint) => constraint.jointId);
+    }
+
+    /**
+     * The body a joint end at a position holds: static level pieces too, but
+     * not the arena walls, which a world anchor stands in for
+     */
+    function getJointBodyAt(position) {
+        return gameWorld.getBodyAtPosition(position, {
+            includeStatic: true,
+            filter: (body) => !gameWorld.isBoundary(body) && !body.isDespawning,
+        }) || null;
+    }
+
+    /**
+     * One constraint of a joint between two world points. Points on a body are
+     * stored relative to it, as Matter expects; a world anchor stays as it is.
+     */
+    function attach(config, id, bodyA, worldA, bodyB, worldB, length, stiffness, damping) {
+        const relative = (body, point) => (
+            body ? { x: point.x - body.position.x, y: point.y - body.position.y } : { x: point.x, y: point.y }
+        );
+        const constraint = Constraint.create({
+            label: 'joint',
+            bodyA,
+            bodyB,
+            pointA: relative(bodyA, worldA),
+            pointB: relative(bodyB, worldB),
+            length,
+            stiffness,
+            damping,
+            render: { visible: true, strokeStyle: config.color, lineWidth: config.lineWidth },
+        });
+        constraint.jointId = id;
+        constraint.jointType = config.type;
+        return constraint;
+    }
+
+    /**
+     * Join the body at one position to the body at another, or to the world
+     * there if there is none. Ropes and springs run between the two points, a
+     * hinge pins both bodies at the second and a weld holds them at both.
+     * @param {string} type - JOINTS type: 'rope', 'spring', 'hinge' or 'weld'
+     * @param {Object} from - World position on the first body
+     * @param {Object} to - World position on the second body, or the world anchor
+     * @param {Object} options - { stiffness, damping } for springs
+     * @returns {Object|null} - { id, type, constraints }, or null with no first body or the same body twice
+     */
+    function createJoint(type, from, to, options = {}) {
+        if (!getJointConfig(type)) {
+            throw new Error(`Unknown joint type: ${type}`);
+        }
+
+        const bodyA = getJointBodyAt(from);
+        const bodyB = getJointBodyAt(to);
+        if (!bodyA || bodyA === bodyB) return null;
+
+        return connectBodies(type, bodyA, from, bodyB, to, options);
+    }
+
+    /**
+     * Join two given bodies with a joint, as createJoint does for the bodies
+     * under two positions
+     * @param {Object} bodyB - Second body, or null to anchor to the world at to
+     * @returns {Object} - { id, type, constraints }
+     */
+    function connectBodies(type, bodyA, from, bodyB, to, options = {}) {
+        const config = getJointConfig(type);
+        if (!config) {
+            throw new Error(`Unknown joint type: ${type}`);
+        }
+
+        const id = generateJointId();
+        const span = Math.hypot(to.x - from.x, to.y - from.y);
+        let constraints;
+
+        switch (type) {
+            case 'hinge':
+                constraints = [attach(config, id, bodyA, to, bodyB, to, 0, config.stiffness, config.damping)];
+                break;
+            case 'weld': {
+                // Two pins some way apart hold the angle as well as the place
+                const second = span >= JOINT.MIN_WELD_SPAN ? to : { x: from.x + JOINT.MIN_WELD_SPAN, y: from.y };
+                constraints = [
+                    attach(config, id, bodyA, from, bodyB, from, 0, config.stiffness, config.damping),
+                    attach(config, id, bodyA, second, bodyB, second, 0, config.stiffness, config.damping),
+                ];
+                break;
+            }
+            default:
+                constraints = [attach(
+                    config, id, bodyA, from, bodyB, to, span,
+                    options.stiffness ?? config.stiffness,
+                    options.damping ?? config.damping,
+                )];
+        }
+
+        World.add(world, constraints);
+        return { id, type, constraints };
+    }
+
+    /**
+     * The joint nearest a position, within JOINT.PICK_DISTANCE of it
+     * @returns {string|null} - The joint's id
+     */
+    function getJointAt(position) {
+        let nearest = null;
+        let nearestDistance = JOINT.PICK_DISTANCE;
+
+        getJointConstraints().forEach((constraint) => {
+            const { start, end } = getConstraintEnds(constraint);
+            const distance = distanceToSegment(position, start, end);
+            if (distance <= nearestDistance) {
+                nearest = constraint.jointId;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Remove a joint, every constraint of it
+     * @returns {boolean} - Whether there was such a joint
+     */
+    function removeJoint(id) {
+        const constraints = getJointConstraints().filter((constraint) => constraint.jointId === id);
+        if (constraints.length === 0) return false;
+
+        World.remove(world, constraints);
+        return true;
+    }
+
+    /**
+     * Remove the joint nearest a position, if one is close enough
+     * @returns {boolean} - Whether a joint was removed
+     */
+    function removeJointAt(position) {
+        const id = getJointAt(position);
+        return id ? removeJoint(id) : false;
+    }
+
+    /**
+     * Slacken ropes that aren't taut and snap joints stretched past their limit.
+     * Runs after every physics step.
+     */
+    function updateJoints() {
+        const broken = new Map();
+
+        getJointConstraints().forEach((constraint) => {
+            const config = getJointConfig(constraint.jointType);
+            if (!config) return;
+
+            const { start, end } = getConstraintEnds(constraint);
+            const length = Math.hypot(end.x - start.x, end.y - start.y);
+
+            // A rope only pulls
+            if (constraint.jointType === 'rope') {
+                constraint.stiffness = length < constraint.length ? 0 : config.stiffness;
+            }
+
+            if (length > constraint.length * config.breakStretch + JOINT.BREAK_SLACK) {
+                broken.set(constraint.jointId, {
+                    x: (start.x + end.x) / 2,
+                    y: (start.y + end.y) / 2,
+                    color: config.color,
+                });
+            }
+        });
+
+        broken.forEach((at, id) => {
+            removeJoint(id);
+            spawnParticles(at.x, at.y, 6, at.color);
+        });
+    }
+
+    return {
+        getJointBodyAt,
+        createJoint,
+        connectBodies,
+        getJointAt,
+        removeJoint,
+        removeJointAt,
+        updateJoints,
+    };
+}
@@ -1,8 +1,13 @@
 // Object creation and management
 import Matter from 'matter-js';
-import { OBJECTS, COLORS } from '../constants';
+import decomp from 'poly-decomp';
+import { OBJECTS, GEOMETRY, COLORS } from '../constants';
+import { getMaterial } from './shapes';
 
-const { Bodies, Body } = Matter;
+const { Bodies, Body, Common, Composite, Constraint } = Matter;
+
+// Bodies.fromVertices splits concave outlines into convex parts with this
+Common.setDecomp(decomp);
 
 let objectIdCounter = 0;
 
@@ -22,6 +27,7 @@ export function createBox(x, y, options = {}) {
         friction: config.friction,
         restitution: config.restitution,
         density: config.density,
+        toughness: config.toughness,
         render: {
             fillStyle: config.color,
             strokeStyle: '#ffffff22',
@@ -62,6 +68,7 @@ export function createTriangle(x, y, options = {}) {
         friction: config.friction,
         restitution: config.restitution,
         density: config.density,
+        toughness: config.toughness,
         render: {
             fillStyle: config.color,
             strokeStyle: '#ffffff22',
@@ -82,6 +89,7 @@ export function createPlank(x, y, options = {}) {
         friction: config.friction,
         restitution: config.restitution,
         density: config.density,
+        toughness: config.toughness,
         render: {
             fillStyle: config.color,
             strokeStyle: '#ffffff22',
@@ -107,6 +115,7 @@ export function createBalloon(x, y, options = {}) {
             strokeStyle: '#ffffff44',
             lineWidth: 3,
         },
+        frictionAir: config.frictionAir,
         label: 'balloon',
         customId: generateId(),
         isFloaty: true,
@@ -138,24 +147,86 @@ export function createExplosive(x, y, options = {}) {
 }
 
 /**
- * Create a jelly block (very bouncy)
+ * Create a jelly block: a grid of small circles held together by springs, so it
+ * squishes on impact and wobbles after. The cells share a group, like a
+ * ragdoll's parts, and a softBody record of the cells around the edge for
+ * drawing one smooth outline.
+ * @returns {Object} - Composite of the cells and springs, to add with addBody
  */
 export function createJelly(x, y, options = {}) {
     const config = { ...OBJECTS.JELLY, ...options };
-    const body = Bodies.rectangle(x, y, config.width, config.height, {
-        friction: config.friction,
-        restitution: config.restitution,
-        density: config.density,
-        chamfer: { radius: 10 }, // Rounded corners for jelly effect
-        render: {
-            fillStyle: config.color,
-            strokeStyle: '#ffffff44',
-            lineWidth: 2,
-        },
-        label: 'jelly',
-        customId: generateId(),
+    const { columns, rows } = config;
+    const spacingX = config.width / columns;
+    const spacingY = config.height / rows;
+    const groupId = generateId();
+    // Cells of one block pass through each other and only meet through the springs
+    const collisionGroup = Body.nextGroup(true);
+
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < columns; col++) {
+            const cell = Bodies.circle(
+                x + (col - (columns - 1) / 2) * spacingX,
+                y + (row - (rows - 1) / 2) * spacingY,
+                Math.min(spacingX, spacingY) / 2,
+                {
+                    friction: config.friction,
+                    restitution: config.restitution,
+                    density: config.density,
+                    inertia: Infinity, // the block turns by deforming, not by its cells rolling
+                    collisionFilter: { group: collisionGroup },
+                    render: {
+                        fillStyle: config.color,
+                        strokeStyle: '#ffffff44',
+                        lineWidth: 2,
+                    },
+                    label: 'jelly',
+                    customId: generateId(),
+                }
+            );
+            cell.groupId = groupId;
+            cell.groupType = 'jelly';
+            cells.push(cell);
+        }
+    }
+
+    // Springs to the neighbours right, below and on both diagonals below
+    const cellAt = (col, row) => cells[row * columns + col];
+    const springs = [];
+    const link = (bodyA, bodyB) => {
+        const spring = Constraint.create({
+            bodyA,
+            bodyB,
+            stiffness: config.stiffness,
+            damping: config.damping,
+            render: { visible: false },
+        });
+        spring.groupId = groupId;
+        springs.push(spring);
+    };
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < columns; col++) {
+            if (col < columns - 1) link(cellAt(col, row), cellAt(col + 1, row));
+            if (row === rows - 1) continue;
+            link(cellAt(col, row), cellAt(col, row + 1));
+            if (col < columns - 1) link(cellAt(col, row), cellAt(col + 1, row + 1));
+            if (col > 0) link(cellAt(col, row), cellAt(col - 1, row + 1));
+        }
+    }
+
+    // The edge clockwise from the top left corner
+    const hull = [];
+    for (let col = 0; col < columns; col++) hull.push(cellAt(col, 0));
+    for (let row = 1; row < rows; row++) hull.push(cellAt(columns - 1, row));
+    for (let col = columns - 2; col >= 0; col--) hull.push(cellAt(col, rows - 1));
+    for (let row = rows - 2; row > 0; row--) hull.push(cellAt(0, row));
+
+    const softBody = { cells, hull };
+    cells.forEach((cell) => {
+        cell.softBody = softBody;
     });
-    return body;
+
+    return Composite.create({ label: 'jelly', bodies: cells, constraints: springs });
 }
 
 /**
@@ -183,9 +254,263 @@ export function createAnvil(x, y, options = {}) {
     return body;
 }
 
+/**
+ * Build a body from an outline around its centre of mass
+ */
+function createOutlineBody(x, y, vertices, material, label) {
+    if (!vertices || vertices.length < 3) {
+        throw new Error('A drawn shape needs an outline');
+    }
+
+    return Bodies.fromVertices(x, y, [vertices.map((v) => ({ x: v.x, y: v.y }))], {
+        friction: material.friction,
+        restitution: material.restitution,
+        density: material.density,
+        render: {
+            fillStyle: material.color,
+            strokeStyle: '#ffffff44',
+            lineWidth: 2,
+        },
+        label,
+        customId: generateId(),
+    });
+}
+
+/**
+ * Create a drawn shape from its outline. Concave outlines become a compound
+ * of convex parts; the outline itself is kept for drawing and rebuilding.
+ * Shapes of a breakable material get its toughness.
+ * @param {Object} options - { vertices, material }: the outline around its
+ *   centre of mass (see prepareOutline) and a MATERIALS type
+ */
+export function createCustomShape(x, y, options = {}) {
+    const material = getMaterial(options.material);
+    const body = createOutlineBody(x, y, options.vertices, material, 'custom');
+    body.toughness = material.toughness;
+    body.customShape = { vertices: options.vertices, material: material.type };
+    return body;
+}
+
+/**
+ * Create a fragment of a shattered body. Fragments don't break again; the
+ * fracture system gives them the broken body's colour and surface.
+ * @param {Object} options - { vertices, material }: a convex outline around
+ *   its centre of mass, and the broken body's MATERIALS type if it had one
+ */
+export function createFragment(x, y, options = {}) {
+    const body = createOutlineBody(x, y, options.vertices, getMaterial(options.material), 'fragment');
+    body.customShape = { vertices: options.vertices, material: options.material || null };
+    return body;
+}
+
+/**
+ * Segments hanging straight down from (x, y), each linked to the next at
+ * their touching ends
+ */
+function createSegments(x, y, config) {
+    const length = config.segmentLength;
+    const groupId = generateId();
+    // A rope's segments pass through each other and only meet at their links
+    const collisionGroup = Body.nextGroup(true);
+
+    const segments = [];
+    for (let i = 0; i < config.segments; i++) {
+        const segment = Bodies.rectangle(x, y + (i + 0.5) * length, config.thickness, length, {
+            friction: config.friction,
+            restitution: config.restitution,
+            density: config.density,
+            chamfer: { radius: config.thickness / 2 - 0.5 },
+            collisionFilter: { group: collisionGroup },
+            render: {
+                fillStyle: config.color,
+                strokeStyle: '#00000044',
+                lineWidth: 1,
+            },
+            label: config.type,
+            customId: generateId(),
+        });
+        segment.groupId = groupId;
+        segment.groupType = 'rope';
+        segments.push(segment);
+    }
+
+    const links = [];
+    for (let i = 1; i < segments.length; i++) {
+        const link = Constraint.create({
+            label: 'rope-link',
+            bodyA: segments[i - 1],
+            bodyB: segments[i],
+            pointA: { x: 0, y: length / 2 },
+            pointB: { x: 0, y: -length / 2 },
+            length: 0,
+            stiffness: config.stiffness,
+            render: { visible: false },
+        });
+        link.groupId = groupId;
+        links.push(link);
+    }
+
+    return Composite.create({ label: config.type, bodies: segments, constraints: links });
+}
+
+/**
+ * Create a rope hanging down from (x, y), top segment first
+ * @param {Object} options - Overrides, e.g. { segments } for a shorter rope
+ * @returns {Object} - Composite of the segments and links, to add with addBody
+ */
+export function createRope(x, y, options = {}) {
+    return createSegments(x, y, { ...OBJECTS.ROPE, ...options });
+}
+
+/**
+ * Create a chain hanging down from (x, y): heavier than a rope and harder to tear
+ * @returns {Object} - Composite of the links, to add with addBody
+ */
+export function createChain(x, y, options = {}) {
+    return createSegments(x, y, { ...OBJECTS.CHAIN, ...options });
+}
+
+// ============================================
+// LEVEL GEOMETRY
+// ============================================
+
+/**
+ * Pin a body in place or let it go, keeping its material (setStatic resets it).
+ * Mass is worked out again on release, as the body may have been resized while static.
+ */
+export function setBodyStatic(body, isStatic) {
+    const { restitution, friction } = body;
+    Body.setStatic(body, isStatic);
+    if (!isStatic) {
+        Body.setDensity(body, body.density);
+    }
+    body.restitution = restitution;
+    body.friction = friction;
+}
+
+/**
+ * Create a static platform
+ */
+export function createPlatform(x, y, options = {}) {
+    const config = { ...GEOMETRY.PLATFORM, ...options };
+    const body = Bodies.rectangle(x, y, config.width, config.height, {
+        friction: config.friction,
+        restitution: config.restitution,
+        density: config.density,
+        render: {
+            fillStyle: config.color,
+            strokeStyle: '#ffffff33',
+            lineWidth: 2,
+        },
+        label: 'platform',
+        customId: generateId(),
+    });
+    setBodyStatic(body, true);
+    return body;
+}
+
+/**
+ * Create a static ramp - a right-angled wedge rising to the right
+ */
+export function createRamp(x, y, options = {}) {
+    const config = { ...GEOMETRY.RAMP, ...options };
+    const body = Bodies.fromVertices(x, y, [[
+        { x: 0, y: config.height },
+        { x: config.width, y: config.height },
+        { x: config.width, y: 0 },
+    ]], {
+        friction: config.friction,
+        restitution: config.restitution,
+        density: config.density,
+        render: {
+            fillStyle: config.color,
+            strokeStyle: '#ffffff33',
+            lineWidth: 2,
+        },
+        label: 'ramp',
+        customId: generateId(),
+    });
+    setBodyStatic(body, true);
+    return body;
+}
+
+/**
+ * Create a static funnel - two walls slanting in from the top opening to the gap
+ */
+export function createFunnel(x, y, options = {}) {
+    const config = { ...GEOMETRY.FUNNEL, ...options };
+    const inset = (config.width - config.gap) / 2;
+    const length = Math.sqrt(inset * inset + config.height * config.height);
+    const tilt = Math.atan2(inset, config.height);
+
+    const wall = (side) => Bodies.rectangle(
+        x + side * (config.width + config.gap) / 4,
+        y,
+        config.thickness,
+        length,
+        { angle: side * tilt }
+    );
+
+    const body = Body.create({
+        parts: [wall(-1), wall(1)],
+        friction: config.friction,
+        restitution: config.restitution,
+        density: config.density,
+        render: {
+            fillStyle: config.color,
+            strokeStyle: '#ffffff33',
+            lineWidth: 2,
+        },
+        label: 'funnel',
+        customId: generateId(),
+    });
+    setBodyStatic(body, true);
+    return body;
+}
+
+/**
+ * Create a static peg for balls to bounce off
+ */
+export function createPeg(x, y, options = {}) {
+    const config = { ...GEOMETRY.PEG, ...options };
+    const body = Bodies.circle(x, y, config.radius, {
+        friction: config.friction,
+        restitution: config.restitution,
+        density: config.density,
+        render: {
+            fillStyle: config.color,
+            strokeStyle: '#ffffff44',
+            lineWidth: 2,
+        },
+        label: 'peg',
+        customId: generateId(),
+    });
+    setBodyStatic(body, true);
+    return body;
+}
+
+/**
+ * Stretch a body along its own x axis, e.g. to lengthen a tilted platform.
+ * Body.scale works along world axes, so the body is levelled first. Circles
+ * can't stretch, so they grow evenly and keep it in customScale instead.
+ */
+export function stretchBody(body, factor) {
+    if (body.circleRadius) {
+        Body.scale(body, factor, factor);
+        body.customScale = (body.customScale || 1) * factor;
+        return;
+    }
+
+    const angle = body.angle;
+    Body.setAngle(body, 0);
+    Body.scale(body, factor, 1);
+    Body.setAngle(body, angle);
+    body.customStretch = (body.customStretch || 1) * factor;
+}
+
 /**
  * Create object by type
- * @param {string} type - Object type from OBJECTS
+ * @param {string} type - Object type from OBJECTS or GEOMETRY
  * @param {number} x - X position
  * @param {number} y - Y position
  * @param {Object} options - Override options
@@ -208,6 +533,22 @@ export function createObject(type, x, y, options = {}) {
             return createJelly(x, y, options);
         case 'anvil':
             return createAnvil(x, y, options);
+        case 'custom':
+            return createCustomShape(x, y, options);
+        case 'fragment':
+            return createFragment(x, y, options);
+        case 'rope':
+            return createRope(x, y, options);
+        case 'chain':
+            return createChain(x, y, options);
+        case 'platform':
+            return createPlatform(x, y, options);
+        case 'ramp':
+            return createRamp(x, y, options);
+        case 'funnel':
+            return createFunnel(x, y, options);
+        case 'peg':
+            return createPeg(x, y, options);
         default:
             return createBox(x, y, options);
     }
@@ -215,10 +556,14 @@ export function createObject(type, x, y, options = {}) {
 
 /**
  * Get random object type
+ * @param {Function} random - Random source, e.g. a world's seeded random()
  */
-export function getRandomObjectType() {
-    const types = Object.keys(OBJECTS).map((key) => OBJECTS[key].type);
-    return types[Math.floor(Math.random() * types.length)];
+export function getRandomObjectType(random = Math.random) {
+    // Ropes and chains hang from where they're spawned, which a flood has no use for
+    const types = Object.keys(OBJECTS)
+        .filter((key) => !OBJECTS[key].segments)
+        .map((key) => OBJECTS[key].type);
+    return types[Math.floor(random() * types.length)];
 }
 
 /**
@@ -0,0 +1,254 @@
+// Spatial queries - point, radius, region and ray tests over the world
+// Backed by a uniform broadphase grid that is rebuilt lazily once per physics
+// step (or after bodies are added/removed), so tools, special objects and chaos
+// effects all agree on what they hit and crowded scenes stay cheap.
+import Matter from 'matter-js';
+
+const { Composite, Events, Vertices, Bounds } = Matter;
+
+// World units per grid cell; roughly the size of a typical object's reach
+const GRID_CELL_SIZE = 100;
+
+/**
+ * The parts to test against (skips the hull of compound bodies)
+ */
+function getParts(body) {
+    return body.parts.length > 1 ? body.parts.slice(1) : body.parts;
+}
+
+/**
+ * Where segment p→q first crosses segment a→b, as a fraction along p→q, or null
+ */
+function segmentIntersection(p, q, a, b) {
+    const rx = q.x - p.x;
+    const ry = q.y - p.y;
+    const sx = b.x - a.x;
+    const sy = b.y - a.y;
+    const denominator = rx * sy - ry * sx;
+    if (denominator === 0) return null;
+
+    const t = ((a.x - p.x) * sy - (a.y - p.y) * sx) / denominator;
+    const u = ((a.x - p.x) * ry - (a.y - p.y) * rx) / denominator;
+    return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+/**
+ * Create the spatial query system for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createQueries(gameWorld) {
+    const { engine, world } = gameWorld;
+
+    let grid = new Map();
+    let gridTimestamp = null;
+    let worldChanged = true;
+
+    function markWorldChanged() {
+        worldChanged = true;
+    }
+
+    Events.on(world, 'afterAdd', markWorldChanged);
+    Events.on(world, 'afterRemove', markWorldChanged);
+
+    // ============================================
+    // BROADPHASE GRID
+    // ============================================
+
+    function cellRange(bounds) {
+        return {
+            minX: Math.floor(bounds.min.x / GRID_CELL_SIZE),
+            minY: Math.floor(bounds.min.y / GRID_CELL_SIZE),
+            maxX: Math.floor(bounds.max.x / GRID_CELL_SIZE),
+            maxY: Math.floor(bounds.max.y / GRID_CELL_SIZE),
+        };
+    }
+
+    /**
+     * Rebuild the grid if bodies have moved (a step ran) or the world changed since the last build
+     */
+    function refreshGrid() {
+        if (!worldChanged && gridTimestamp === engine.timing.timestamp) return;
+
+        grid = new Map();
+        Composite.allBodies(world).forEach((body) => {
+            const range = cellRange(body.bounds);
+            for (let cx = range.minX; cx <= range.maxX; cx++) {
+                for (let cy = range.minY; cy <= range.maxY; cy++) {
+                    const key = `${cx},${cy}`;
+                    if (!grid.has(key)) grid.set(key, []);
+                    grid.get(key).push(body);
+                }
+            }
+        });
+
+        gridTimestamp = engine.timing.timestamp;
+        worldChanged = false;
+    }
+
+    /**
+     * Bodies whose grid cells overlap the bounds, each once, in world order.
+     * Very large bounds skip the grid and scan the world.
+     */
+    function getCandidates(bounds, options = {}) {
+        refreshGrid();
+
+        const { includeStatic = false, filter = null } = options;
+        const range = cellRange(bounds);
+        const cellCount = (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+        let candidates;
+
+        if (!Number.isFinite(cellCount) || cellCount > grid.size) {
+            candidates = Composite.allBodies(world);
+        } else {
+            const seen = new Set();
+            for (let cx = range.minX; cx <= range.maxX; cx++) {
+                for (let cy = range.minY; cy <= range.maxY; cy++) {
+                    const cell = grid.get(`${cx},${cy}`);
+                    if (cell) cell.forEach((body) => seen.add(body));
+                }
+            }
+            candidates = Array.from(seen).sort((a, b) => a.id - b.id);
+        }
+
+        return candidates.filter((body) => (
+            (includeStatic || !body.isStatic) && (!filter || filter(body))
+        ));
+    }
+
+    // ============================================
+    // QUERIES
+    // ============================================
+
+    /**
+     * Bodies whose actual shape contains the point, topmost (most recently added) first
+     * @param {Object} options - { includeStatic: false, filter(body) }
+     */
+    function queryPoint(point, options = {}) {
+        const bounds = { min: point, max: point };
+        return getCandidates(bounds, options)
+            .filter((body) => (
+                Bounds.contains(body.bounds, point)
+                && getParts(body).some((part) => Vertices.contains(part.vertices, point))
+            ))
+            .reverse();
+    }
+
+    /**
+     * Bodies whose centre is within radius of a point, nearest first
+     * @param {Object} options - { includeStatic: false, filter(body) }
+     * @returns {Array} - [{ body, distance, direction }] where direction points from
+     *   the centre to the body and is not normalised
+     */
+    function queryRadius(center, radius, options = {}) {
+        const bounds = {
+            min: { x: center.x - radius, y: center.y - radius },
+            max: { x: center.x + radius, y: center.y + radius },
+        };
+
+        const results = [];
+        getCandidates(bounds, options).forEach((body) => {
+            const direction = { x: body.position.x - center.x, y: body.position.y - center.y };
+            const distance = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+            if (distance < radius) {
+                results.push({ body, distance, direction });
+            }
+        });
+
+        return results.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Bodies overlapping a rectangular region
+     * @param {Object} bounds - { min: { x, y }, max: { x, y } }
+     * @param {Object} options - { includeStatic: false, filter(body), contained: false }
+     *   contained requires the whole body inside the region
+     */
+    function queryRegion(bounds, options = {}) {
+        return getCandidates(bounds, options).filter((body) => {
+            if (options.contained) {
+                return Bounds.contains(bounds, body.bounds.min) && Bounds.contains(bounds, body.bounds.max);
+            }
+            return Bounds.overlaps(body.bounds, bounds);
+        });
+    }
+
+    /**
+     * Bodies a segment passes through, nearest first, with where it enters each
+     * @param {Object} options - { includeStatic: false, filter(body) }
+     * @returns {Array} - [{ body, point, distance }]; a body containing start is hit at distance 0
+     */
+    function raycast(start, end, options = {}) {
+        const bounds = {
+            min: { x: Math.min(start.x, end.x), y: Math.min(start.y, end.y) },
+            max: { x: Math.max(start.x, end.x), y: Math.max(start.y, end.y) },
+        };
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+
+        const hits = [];
+        getCandidates(bounds, options).forEach((body) => {
+            if (!Bounds.overlaps(body.bounds, bounds)) return;
+
+            let nearest = null;
+            getParts(body).forEach((part) => {
+                if (Vertices.contains(part.vertices, start)) {
+                    nearest = 0;
+                    return;
+                }
+                const vertices = part.vertices;
+                for (let i = 0; i < vertices.length; i++) {
+                    const t = segmentIntersection(start, end, vertices[i], vertices[(i + 1) % vertices.length]);
+                    if (t !== null && (nearest === null || t < nearest)) {
+                        nearest = t;
+                    }
+                }
+            });
+
+            if (nearest !== null) {
+                hits.push({
+                    body,
+                    point: {
+                        x: start.x + (end.x - start.x) * nearest,
+                        y: start.y + (end.y - start.y) * nearest,
+                    },
+                    distance: nearest * length,
+                });
+            }
+        });
+
+        return hits.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Topmost dynamic body under a position, using its exact shape
+     */
+    function getBodyAtPosition(position, options = {}) {
+        return queryPoint(position, options)[0];
+    }
+
+    /**
+     * Rebuild the grid on the next query - for bodies moved outside a physics
+     * step, e.g. dragged in the level editor while the world is paused
+     */
+    function invalidateQueries() {
+        worldChanged = true;
+    }
+
+    /**
+     * Drop world hooks when the world is destroyed
+     */
+    function destroyQueries() {
+        Events.off(world, 'afterAdd', markWorldChanged);
+        Events.off(world, 'afterRemove', markWorldChanged);
+        grid = new Map();
+    }
+
+    return {
+        queryPoint,
+        queryRadius,
+        queryRegion,
+        raycast,
+        getBodyAtPosition,
+        invalidateQueries,
+        destroyQueries,
+    };
+}
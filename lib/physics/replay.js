@@ -0,0 +1,542 @@
+// Session recording and deterministic replay
+// The simulation is deterministic from a given start: fixed-length engine
+// updates and the world's seeded random(). So a recording is the starting
+// snapshot and seed plus everything that came from outside, stamped with the
+// engine update (tick) it happened before:
+// - actions: calls to the world's action methods by players, the UI or peers
+// - mouse: drag input, whenever it changes
+// - performance: the frame-rate governor's level, which throttles the flood
+// - keyframes: a fresh snapshot and seed after undo, redo, rewind or restore
+// Chaos decisions the simulation makes itself (rule picks, flood waves) are
+// logged as events too, and a checksum of the bodies' poses after every
+// update; a replay checks both to spot where it desyncs.
+import Matter from 'matter-js';
+import { PHYSICS, REPLAY } from '../constants';
+
+const { Composite, Events } = Matter;
+
+export const RECORDING_VERSION = 1;
+
+// World methods logged as actions when called from outside the simulation
+const RECORDED_ACTIONS = [
+    'executeTool',
+    'toolSpawn',
+    'toolPush',
+    'toolExplode',
+    'toolGravityFlip',
+    'toolScale',
+    'toolJoint',
+    'toolDelete',
+    'toolWater',
+    'toolDrain',
+    'createJoint',
+    'removeJoint',
+    'removeJointAt',
+    'setGravity',
+    'flipGravity',
+    'setTimeScale',
+    'clearWorld',
+    'setArenaSize',
+    'setBoundaryMode',
+    'setBodyBudget',
+    'toggleChaos',
+    'enableChaos',
+    'disableChaos',
+    'startObjectFlood',
+    'stopObjectFlood',
+    'startSuddenRules',
+    'stopSuddenRules',
+    'startExplosionChain',
+    'stopExplosionChain',
+    'spawnExplosiveRain',
+    'megaExplosion',
+    'balloonParty',
+    'anvilDrop',
+    'createBlackHole',
+    'createRagdoll',
+    'ragdollRain',
+    'createMagnet',
+    'magnetMadness',
+    'clearSpecialObjects',
+    'addWaterZone',
+    'removeWaterAt',
+    'clearWater',
+    'floodArena',
+    'drainFlood',
+    'toggleSlowMotion',
+    'toggleFreeze',
+    'dramaticSlowMo',
+    'enterEditor',
+    'exitEditor',
+    'playEditor',
+    'stopEditor',
+    'placeGeometry',
+    'selectBodyAt',
+    'selectRegion',
+    'clearSelection',
+    'moveSelection',
+    'rotateSelection',
+    'resizeSelection',
+    'toggleSelectionStatic',
+    'deleteSelection',
+    'pasteBodies',
+    'duplicateSelection',
+    'setBodyProperty',
+];
+
+// Methods that jump the world to another state; a keyframe follows them
+const KEYFRAME_ACTIONS = ['undo', 'redo', 'resumeFromRewind', 'restoreWorld'];
+
+// Methods that aren't recorded but mustn't run while a replay drives the world
+const BLOCKED_DURING_REPLAY = ['startRewind', 'recordAction'];
+
+function newSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Deep copy of a snapshot. Restoring hands parts of a snapshot to the live
+ * simulation, so a recording restores from copies and keeps its own intact.
+ */
+function copySnapshot(snapshot) {
+    return JSON.parse(JSON.stringify(snapshot));
+}
+
+/**
+ * Create the recording and replay system for a game world.
+ * Composed last, since it wraps the action methods of every other system.
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createReplay(gameWorld) {
+    const { engine, world, render, runner, mouse, showStatus } = gameWorld;
+
+    const original = {};
+
+    let recording = null;
+    let replay = null;
+    let tick = 0;
+    let depth = 0;
+    let lastMouse = null;
+    let lastPerformance = null;
+    let listeners = [];
+
+    function notify() {
+        const state = getReplayState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    /**
+     * Run world methods on the recorder's own behalf: not logged, never blocked
+     */
+    function runInternal(fn) {
+        depth++;
+        try {
+            return fn();
+        } finally {
+            depth--;
+        }
+    }
+
+    /**
+     * Rebuild the world from a snapshot and reseed it. Recording and replay both
+     * start this way, so they run from identical freshly-built worlds.
+     */
+    function startFresh(snapshot, seed) {
+        runInternal(() => {
+            original.restoreWorld(copySnapshot(snapshot));
+            gameWorld.setRandomSeed(seed);
+            gameWorld.restartBudgetChecks();
+        });
+    }
+
+    // ============================================
+    // ACTION WRAPPERS
+    // ============================================
+
+    function wrap(name, kind) {
+        const method = gameWorld[name];
+        original[name] = method;
+
+        gameWorld[name] = (...args) => {
+            // Calls made by the simulation itself, or by another action, pass straight through
+            if (depth > 0 || gameWorld.isStepping()) return method(...args);
+            // Players can't act on a world a replay is driving
+            if (replay) return undefined;
+
+            depth++;
+            try {
+                if (recording && kind === 'recorded') {
+                    recording.inputs.push({ tick, action: name, args: JSON.parse(JSON.stringify(args)) });
+                }
+                const result = method(...args);
+                if (recording && kind === 'keyframe') {
+                    addKeyframe();
+                }
+                return result;
+            } finally {
+                depth--;
+            }
+        };
+    }
+
+    function addKeyframe() {
+        const seed = newSeed();
+        const snapshot = gameWorld.snapshotWorld();
+        startFresh(snapshot, seed);
+        recording.inputs.push({ tick, keyframe: { seed, snapshot } });
+    }
+
+    // ============================================
+    // RECORDING
+    // ============================================
+
+    /**
+     * Log what the simulation decided, e.g. a sudden-rule pick, so a replay can check it
+     * @param {string} type - Event type, e.g. 'rule'
+     * @param {Object} data - Plain data describing the decision
+     */
+    function noteEvent(type, data) {
+        if (recording) {
+            recording.inputs.push({ tick, event: type, data });
+        } else if (replay) {
+            checkEvent(type, data);
+        }
+    }
+
+    /**
+     * Log drag input and the performance level ahead of each engine update
+     */
+    function handleBeforeUpdate() {
+        if (!recording) return;
+
+        if (mouse) {
+            const state = { x: mouse.position.x, y: mouse.position.y, button: mouse.button };
+            if (!lastMouse || state.x !== lastMouse.x || state.y !== lastMouse.y || state.button !== lastMouse.button) {
+                recording.inputs.push({ tick, mouse: state });
+                lastMouse = state;
+            }
+        }
+
+        const performance = gameWorld.getPerformanceLevel();
+        if (performance !== lastPerformance) {
+            recording.inputs.push({ tick, performance });
+            lastPerformance = performance;
+        }
+    }
+
+    /**
+     * Sum of every body's position and angle, enough to tell when a replay's
+     * physics drifts from what was recorded
+     */
+    function getChecksum() {
+        return Composite.allBodies(world).reduce((sum, body) => (
+            gameWorld.isBoundary(body) ? sum : sum + body.position.x + body.position.y + body.angle
+        ), 0);
+    }
+
+    function handleAfterUpdate() {
+        if (recording) {
+            recording.checksums.push(getChecksum());
+            tick++;
+        }
+    }
+
+    /**
+     * Start recording from the world as it is now. The world is rebuilt from its
+     * own snapshot first, which drops pending staggered spawns and the rewind buffer.
+     * Snapshots don't hold the level editor's mode, so it can't be open either.
+     * @returns {boolean} - Whether recording started (not while a replay runs)
+     */
+    function startRecording() {
+        if (replay || recording || gameWorld.getEditorState().mode !== 'off') return false;
+
+        const seed = newSeed();
+        const snapshot = gameWorld.snapshotWorld();
+        startFresh(snapshot, seed);
+        gameWorld.setIgnoreCamera(true);
+
+        recording = {
+            version: RECORDING_VERSION,
+            seed,
+            delta: runner ? runner.delta : PHYSICS.FIXED_STEP,
+            recordedAt: Date.now(),
+            ticks: 0,
+            snapshot,
+            inputs: [],
+            checksums: [],
+        };
+        tick = 0;
+        lastMouse = null;
+        lastPerformance = null;
+
+        showStatus('⏺️ RECORDING!');
+        notify();
+        return true;
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object|null} - The JSON-safe recording for playRecording
+     */
+    function stopRecording() {
+        if (!recording) return null;
+
+        const finished = recording;
+        finished.ticks = tick;
+        recording = null;
+        gameWorld.setIgnoreCamera(false);
+
+        showStatus('⏹️ RECORDING SAVED');
+        notify();
+        return finished;
+    }
+
+    // ============================================
+    // REPLAY
+    // ============================================
+
+    function markDesync() {
+        replay.desyncTick = replay.tick;
+        showStatus('⚠️ REPLAY DESYNC!');
+    }
+
+    function checkEvent(type, data) {
+        if (replay.desyncTick !== null) return;
+
+        const expected = replay.events[replay.eventCursor];
+        replay.eventCursor++;
+        if (
+            !expected
+            || expected.tick !== replay.tick
+            || expected.event !== type
+            || JSON.stringify(expected.data) !== JSON.stringify(data)
+        ) {
+            markDesync();
+        }
+    }
+
+    /**
+     * Compare the bodies after an update with the checksum recorded for it.
+     * Older recordings have no checksums.
+     */
+    function checkPoses() {
+        const expected = replay.recording.checksums?.[replay.tick];
+        if (replay.desyncTick !== null || expected === undefined) return;
+
+        if (Math.abs(getChecksum() - expected) > REPLAY.CHECKSUM_TOLERANCE) {
+            markDesync();
+        }
+    }
+
+    function applyInput(input) {
+        if (input.action) {
+            runInternal(() => original[input.action](...input.args));
+        } else if (input.mouse) {
+            replay.mouse = input.mouse;
+        } else if (input.performance !== undefined) {
+            gameWorld.overridePerformanceLevel(input.performance);
+        } else if (input.keyframe) {
+            startFresh(input.keyframe.snapshot, input.keyframe.seed);
+        }
+    }
+
+    /**
+     * Take over the world and play a recording from its start. The live
+     * simulation pauses; pan and zoom still work but tools don't.
+     * @param {Object} data - Recording from stopRecording (parsed from JSON)
+     */
+    function playRecording(data) {
+        if (!data || data.version !== RECORDING_VERSION) {
+            throw new Error(`Unsupported recording version: ${data?.version}`);
+        }
+        if (recording) stopRecording();
+        if (gameWorld.isRewinding()) runInternal(() => original.resumeFromRewind());
+        // Recordings start with the editor closed
+        runInternal(() => original.exitEditor());
+
+        replay = {
+            recording: data,
+            tick: 0,
+            cursor: 0,
+            events: data.inputs.filter((input) => input.event),
+            eventCursor: 0,
+            desyncTick: null,
+            mouse: { x: 0, y: 0, button: -1 },
+            speed: 1,
+            paused: false,
+            lastFrameTime: null,
+            timeBuffer: 0,
+        };
+
+        if (runner) {
+            runner.enabled = false;
+        }
+        gameWorld.setIgnoreCamera(true);
+        startFresh(data.snapshot, data.seed);
+
+        showStatus('▶️ REPLAY!');
+        notify();
+    }
+
+    /**
+     * Run the replay forward by a number of engine updates, feeding in the
+     * recorded input for each. Pauses itself at the end of the recording.
+     */
+    function advanceReplay(ticks = 1) {
+        if (!replay) return;
+
+        const { recording: data } = replay;
+        for (let i = 0; i < ticks && replay.tick < data.ticks; i++) {
+            while (replay.cursor < data.inputs.length && data.inputs[replay.cursor].tick <= replay.tick) {
+                const input = data.inputs[replay.cursor];
+                replay.cursor++;
+                if (!input.event) applyInput(input);
+            }
+            // Set every update, so the player's own clicks can't grab anything
+            if (mouse) {
+                mouse.position.x = replay.mouse.x;
+                mouse.position.y = replay.mouse.y;
+                mouse.button = replay.mouse.button;
+            }
+            gameWorld.step(data.delta);
+            checkPoses();
+            replay.tick++;
+        }
+
+        if (replay.tick >= data.ticks && !replay.paused) {
+            replay.paused = true;
+            showStatus(replay.desyncTick === null ? '⏹️ REPLAY FINISHED' : '⏹️ REPLAY FINISHED (DESYNCED)');
+        }
+        notify();
+    }
+
+    function setReplayPaused(paused) {
+        if (!replay) return;
+        replay.paused = paused;
+        replay.lastFrameTime = null;
+        notify();
+    }
+
+    /**
+     * @param {number} speed - Playback rate, e.g. one of REPLAY.SPEEDS
+     */
+    function setReplaySpeed(speed) {
+        if (!replay) return;
+        replay.speed = speed;
+        notify();
+    }
+
+    /**
+     * Stop replaying and hand the world back to the live simulation, which
+     * carries on from wherever the replay got to
+     */
+    function stopReplay() {
+        if (!replay) return;
+
+        replay = null;
+        if (mouse) {
+            mouse.button = -1;
+        }
+        if (runner) {
+            runner.enabled = !gameWorld.isPaused();
+        }
+        gameWorld.overridePerformanceLevel(null);
+        gameWorld.setIgnoreCamera(false);
+        notify();
+    }
+
+    /**
+     * Play the replay in real time (times its speed) as frames are drawn
+     */
+    function updatePlayback() {
+        if (!replay || replay.paused) return;
+
+        const now = performance.now();
+        if (replay.lastFrameTime !== null) {
+            replay.timeBuffer += (now - replay.lastFrameTime) * replay.speed;
+        }
+        replay.lastFrameTime = now;
+
+        const delta = replay.recording.delta;
+        const steps = Math.min(REPLAY.MAX_STEPS_PER_FRAME, Math.floor(replay.timeBuffer / delta));
+        replay.timeBuffer = Math.min(replay.timeBuffer - steps * delta, delta);
+        if (steps > 0) {
+            advanceReplay(steps);
+        }
+    }
+
+    if (render) {
+        Events.on(render, 'beforeRender', updatePlayback);
+    }
+
+    // ============================================
+    // STATE
+    // ============================================
+
+    function isReplaying() {
+        return replay !== null;
+    }
+
+    /**
+     * Recording and playback status
+     */
+    function getReplayState() {
+        return {
+            recording: recording !== null,
+            recordedTicks: recording ? tick : 0,
+            replaying: replay !== null,
+            paused: replay ? replay.paused : false,
+            speed: replay ? replay.speed : 1,
+            tick: replay ? replay.tick : 0,
+            totalTicks: replay ? replay.recording.ticks : 0,
+            desyncTick: replay ? replay.desyncTick : null,
+        };
+    }
+
+    /**
+     * Subscribe to recording and playback changes
+     * @returns {Function} - Unsubscribe function
+     */
+    function onReplayChange(listener) {
+        listeners.push(listener);
+        return () => {
+            listeners = listeners.filter((l) => l !== listener);
+        };
+    }
+
+    /**
+     * Drop hooks and any recording when the world is destroyed
+     */
+    function destroyReplay() {
+        recording = null;
+        replay = null;
+        listeners = [];
+        Events.off(engine, 'beforeUpdate', handleBeforeUpdate);
+        Events.off(engine, 'afterUpdate', handleAfterUpdate);
+        if (render) {
+            Events.off(render, 'beforeRender', updatePlayback);
+        }
+    }
+
+    Events.on(engine, 'beforeUpdate', handleBeforeUpdate);
+    Events.on(engine, 'afterUpdate', handleAfterUpdate);
+
+    RECORDED_ACTIONS.forEach((name) => wrap(name, 'recorded'));
+    KEYFRAME_ACTIONS.forEach((name) => wrap(name, 'keyframe'));
+    BLOCKED_DURING_REPLAY.forEach((name) => wrap(name, 'blocked'));
+
+    return {
+        noteEvent,
+        startRecording,
+        stopRecording,
+        playRecording,
+        advanceReplay,
+        setReplayPaused,
+        setReplaySpeed,
+        stopReplay,
+        isReplaying,
+        getReplayState,
+        onReplayChange,
+        destroyReplay,
+    };
+}
@@ -0,0 +1,349 @@
+// Time rewind - scrub back through the last seconds of simulation
+// After every engine update a frame is sampled: which bodies and constraints
+// were in the world, each body's pose and velocity, live special objects,
+// water, gravity and the boundary mode. Frames keep references to the bodies
+// themselves, so anything exploded, swallowed or despawned since can be put
+// back. While rewinding the simulation is paused and the chosen frame is
+// applied to the world; resuming continues from there and drops the future.
+import Matter from 'matter-js';
+import { PHYSICS, REWIND } from '../constants';
+
+const { Body, Composite, Events, World } = Matter;
+
+// Numbers stored per body in a frame: x, y, angle, vx, vy, angular velocity
+const POSE_SIZE = 6;
+
+/**
+ * Create the rewind system for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createRewind(gameWorld) {
+    const { engine, world, render, runner, showStatus } = gameWorld;
+
+    let bufferMs = REWIND.DEFAULT_MS;
+    let frames = [];
+    let membershipChanged = true;
+
+    let rewinding = false;
+    let playing = false;
+    let frameIndex = -1;
+    let resumeTimeScale = 1;
+    let lastPlaybackTime = null;
+    let playbackTarget = 0;
+    let listeners = [];
+
+    function markMembershipChanged() {
+        membershipChanged = true;
+    }
+
+    Events.on(world, 'afterAdd', markMembershipChanged);
+    Events.on(world, 'afterRemove', markMembershipChanged);
+
+    function notify() {
+        const state = getRewindState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    // ============================================
+    // SAMPLING
+    // ============================================
+
+    /**
+     * Record a frame once at least a fixed step of simulation time has passed,
+     * so slow motion doesn't fill the buffer with near-identical frames
+     */
+    function sampleFrame() {
+        if (rewinding) return;
+
+        const time = engine.timing.timestamp;
+        const last = frames[frames.length - 1];
+        if (last && time - last.time < PHYSICS.FIXED_STEP - 1e-6) return;
+
+        // Bodies and constraints are shared with the previous frame until something is added or removed
+        let bodies;
+        let constraints;
+        if (!last || membershipChanged) {
+            bodies = Composite.allBodies(world).filter((body) => !gameWorld.isBoundary(body));
+            constraints = Composite.allConstraints(world)
+                .filter((constraint) => constraint !== gameWorld.mouseConstraint?.constraint);
+            membershipChanged = false;
+        } else {
+            bodies = last.bodies;
+            constraints = last.constraints;
+        }
+
+        const poses = new Float64Array(bodies.length * POSE_SIZE);
+        bodies.forEach((body, i) => {
+            const velocity = Body.getVelocity(body);
+            const offset = i * POSE_SIZE;
+            poses[offset] = body.position.x;
+            poses[offset + 1] = body.position.y;
+            poses[offset + 2] = body.angle;
+            poses[offset + 3] = velocity.x;
+            poses[offset + 4] = velocity.y;
+            poses[offset + 5] = Body.getAngularVelocity(body);
+        });
+
+        frames.push({
+            time,
+            bodies,
+            constraints,
+            poses,
+            special: gameWorld.captureSpecialObjects(),
+            fluids: gameWorld.captureFluids(),
+            gravity: gameWorld.getGravity(),
+            boundaryMode: gameWorld.getBoundaryMode(),
+        });
+
+        while (frames.length > 1 && time - frames[0].time > bufferMs) {
+            frames.shift();
+        }
+    }
+
+    Events.on(engine, 'afterUpdate', sampleFrame);
+
+    // ============================================
+    // APPLYING FRAMES
+    // ============================================
+
+    /**
+     * Make the world hold exactly the frame's bodies and constraints, posed as they were
+     */
+    function applyFrame(frame) {
+        const frameBodies = new Set(frame.bodies);
+        const frameConstraints = new Set(frame.constraints);
+
+        const bodiesNow = Composite.allBodies(world).filter((body) => !gameWorld.isBoundary(body));
+        const constraintsNow = Composite.allConstraints(world)
+            .filter((constraint) => constraint !== gameWorld.mouseConstraint?.constraint);
+        const presentBodies = new Set(bodiesNow);
+        const presentConstraints = new Set(constraintsNow);
+
+        World.remove(world, constraintsNow.filter((constraint) => !frameConstraints.has(constraint)));
+        World.remove(world, bodiesNow.filter((body) => !frameBodies.has(body)));
+        World.add(world, frame.bodies.filter((body) => !presentBodies.has(body)));
+        World.add(world, frame.constraints.filter((constraint) => !presentConstraints.has(constraint)));
+
+        frame.bodies.forEach((body, i) => {
+            const offset = i * POSE_SIZE;
+            Body.setPosition(body, { x: frame.poses[offset], y: frame.poses[offset + 1] });
+            Body.setAngle(body, frame.poses[offset + 2]);
+            if (!body.isStatic) {
+                Body.setVelocity(body, { x: frame.poses[offset + 3], y: frame.poses[offset + 4] });
+                Body.setAngularVelocity(body, frame.poses[offset + 5]);
+            }
+        });
+    }
+
+    function showFrame(index) {
+        const clamped = Math.max(0, Math.min(frames.length - 1, index));
+        if (clamped === frameIndex) return;
+        frameIndex = clamped;
+        applyFrame(frames[frameIndex]);
+    }
+
+    // ============================================
+    // CONTROLS
+    // ============================================
+
+    /**
+     * Pause the simulation and start playing it backwards from now.
+     * Scrubbing with scrubRewind stops the playback.
+     * @returns {boolean} - Whether there was anything to rewind
+     */
+    function startRewind() {
+        if (rewinding) return true;
+        if (frames.length < 2) return false;
+
+        // Rewinding and resuming elsewhere can be undone like any other action
+        gameWorld.recordAction('Rewind');
+
+        rewinding = true;
+        playing = true;
+        frameIndex = frames.length - 1;
+        lastPlaybackTime = null;
+        resumeTimeScale = engine.timing.timeScale;
+        engine.timing.timeScale = 0;
+        if (runner) {
+            runner.enabled = false;
+        }
+
+        showStatus('⏪ REWIND!');
+        notify();
+        return true;
+    }
+
+    /**
+     * Show the world as it was msAgo before rewinding started
+     */
+    function scrubRewind(msAgo) {
+        if (!rewinding) return;
+        playing = false;
+
+        const newest = frames[frames.length - 1].time;
+        const target = newest - msAgo;
+        let index = frames.length - 1;
+        while (index > 0 && frames[index].time > target) index--;
+        showFrame(index);
+        notify();
+    }
+
+    /**
+     * Play backwards from the current frame (or stop with false)
+     */
+    function setRewindPlaying(shouldPlay) {
+        if (!rewinding) return;
+        playing = shouldPlay;
+        lastPlaybackTime = null;
+        notify();
+    }
+
+    /**
+     * Carry on simulating from the frame on show. Frames after it are dropped,
+     * special objects, water, gravity and edges go back to how they were
+     * then, and anything that was fading out under the body budget comes back.
+     */
+    function resumeFromRewind() {
+        if (!rewinding) return;
+
+        const frame = frames[frameIndex];
+        applyFrame(frame);
+        frames = frames.slice(0, frameIndex + 1);
+        membershipChanged = true;
+        engine.timing.timestamp = frame.time;
+
+        gameWorld.cancelDespawn(frame.bodies);
+        gameWorld.resumeSpecialObjects(frame.special);
+        gameWorld.resumeFluids(frame.fluids);
+        gameWorld.setGravity(frame.gravity);
+        if (frame.boundaryMode !== gameWorld.getBoundaryMode()) {
+            gameWorld.setBoundaryMode(frame.boundaryMode);
+        }
+        // Staggered spawns and bursts were scheduled in the discarded future
+        gameWorld.cancelPendingTimers();
+
+        endRewind();
+        showStatus('▶️ RESUMED!');
+    }
+
+    function endRewind() {
+        rewinding = false;
+        playing = false;
+        frameIndex = -1;
+        engine.timing.timeScale = resumeTimeScale;
+        if (runner) {
+            runner.enabled = !gameWorld.isPaused();
+        }
+        notify();
+    }
+
+    /**
+     * Forget every recorded frame, leaving rewind mode without changing the
+     * world - used when the world is replaced by restoreWorld
+     */
+    function clearRewindBuffer() {
+        frames = [];
+        membershipChanged = true;
+        if (rewinding) {
+            endRewind();
+        } else {
+            notify();
+        }
+    }
+
+    /**
+     * Set how much simulation time is kept, between REWIND.MIN_MS and REWIND.MAX_MS
+     */
+    function setRewindLength(ms) {
+        bufferMs = Math.max(REWIND.MIN_MS, Math.min(REWIND.MAX_MS, ms));
+    }
+
+    function isRewinding() {
+        return rewinding;
+    }
+
+    /**
+     * Rewind status: how much time is buffered and how far back the view is, in ms
+     */
+    function getRewindState() {
+        const newest = frames.length > 0 ? frames[frames.length - 1].time : 0;
+        const oldest = frames.length > 0 ? frames[0].time : 0;
+        return {
+            rewinding,
+            playing,
+            available: newest - oldest,
+            position: rewinding ? newest - frames[frameIndex].time : 0,
+        };
+    }
+
+    /**
+     * Subscribe to rewind changes (start, every scrubbed frame, resume)
+     * @returns {Function} - Unsubscribe function
+     */
+    function onRewindChange(listener) {
+        listeners.push(listener);
+        return () => {
+            listeners = listeners.filter((l) => l !== listener);
+        };
+    }
+
+    // ============================================
+    // REVERSE PLAYBACK
+    // ============================================
+
+    /**
+     * Step backwards through frames in real time while playing
+     */
+    function updatePlayback() {
+        if (!rewinding || !playing) return;
+
+        const now = performance.now();
+        if (lastPlaybackTime === null) {
+            playbackTarget = frames[frameIndex].time;
+        } else {
+            playbackTarget -= (now - lastPlaybackTime) * REWIND.PLAYBACK_SPEED;
+        }
+        lastPlaybackTime = now;
+
+        let index = frameIndex;
+        while (index > 0 && frames[index].time > playbackTarget) index--;
+        if (index === frameIndex) return;
+
+        showFrame(index);
+        if (frameIndex === 0) {
+            playing = false;
+        }
+        notify();
+    }
+
+    if (render) {
+        Events.on(render, 'beforeRender', updatePlayback);
+    }
+
+    /**
+     * Drop engine, world and render hooks when the world is destroyed
+     */
+    function destroyRewind() {
+        frames = [];
+        listeners = [];
+        Events.off(engine, 'afterUpdate', sampleFrame);
+        Events.off(world, 'afterAdd', markMembershipChanged);
+        Events.off(world, 'afterRemove', markMembershipChanged);
+        if (render) {
+            Events.off(render, 'beforeRender', updatePlayback);
+        }
+    }
+
+    return {
+        startRewind,
+        scrubRewind,
+        setRewindPlaying,
+        resumeFromRewind,
+        clearRewindBuffer,
+        setRewindLength,
+        isRewinding,
+        getRewindState,
+        onRewindChange,
+        destroyRewind,
+    };
+}
@@ -0,0 +1,173 @@
+// Ropes and chains - segments linked end to end, tied to things by their ends
+// A rope is a group of segments (see createRope) held by 'rope-link'
+// constraints. Its ends are tied with hinge joints, so they are drawn, deleted
+// and saved like any other joint: a spawned rope ties its top end where it was
+// placed, and a loose end dropped with the mouse ties to the body it was
+// dropped on, or to the world there. A link pulled too far apart tears, and the
+// segments past it become a rope of their own.
+import Matter from 'matter-js';
+import { OBJECTS } from '../constants';
+
+const { Composite, Events, World } = Matter;
+
+/**
+ * Rope settings for a segment, by its label
+ */
+function getRopeConfig(body) {
+    return Object.values(OBJECTS).find((config) => config.type === body.label && config.segments) || null;
+}
+
+/**
+ * Create the rope system for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createRopes(gameWorld) {
+    const { world, mouseConstraint, spawnParticles } = gameWorld;
+
+    let ropeIdCounter = 0;
+
+    function isRopeSegment(body) {
+        return body.groupType === 'rope';
+    }
+
+    function getLinks(body) {
+        return Composite.allConstraints(world).filter((constraint) => (
+            constraint.label === 'rope-link' && (constraint.bodyA === body || constraint.bodyB === body)
+        ));
+    }
+
+    /**
+     * Whether a body is a segment at either end of a rope
+     */
+    function isRopeEnd(body) {
+        return isRopeSegment(body) && getLinks(body).length < 2;
+    }
+
+    /**
+     * The far tip of an end segment: the end away from the rest of the rope,
+     * or for a rope of one segment the end nearer a position
+     */
+    function getTip(segment, near) {
+        const config = getRopeConfig(segment);
+        const half = (config ? config.segmentLength : 0) / 2;
+        const axis = { x: -Math.sin(segment.angle) * half, y: Math.cos(segment.angle) * half };
+        const tips = [
+            { x: segment.position.x - axis.x, y: segment.position.y - axis.y },
+            { x: segment.position.x + axis.x, y: segment.position.y + axis.y },
+        ];
+
+        const [link] = getLinks(segment);
+        const neighbour = link ? (link.bodyA === segment ? link.bodyB : link.bodyA).position : null;
+        const distance = (tip, point) => Math.hypot(tip.x - point.x, tip.y - point.y);
+        if (neighbour) {
+            return distance(tips[0], neighbour) > distance(tips[1], neighbour) ? tips[0] : tips[1];
+        }
+        return distance(tips[0], near) < distance(tips[1], near) ? tips[0] : tips[1];
+    }
+
+    /**
+     * Tie an end of a rope: to the body at a position if there is one, else to
+     * the body at the end's tip, else to the world at the tip. Whatever the
+     * end was tied to before lets go.
+     * @param {Object} segment - End segment of a rope
+     * @param {Object} position - Where it was dropped or spawned
+     * @returns {Object|null} - The new hinge joint, or null if segment isn't a rope end
+     */
+    function attachRopeEnd(segment, position = segment.position) {
+        if (!isRopeEnd(segment)) return null;
+
+        const tip = getTip(segment, position);
+        const options = {
+            includeStatic: true,
+            filter: (body) => (
+                body.groupId !== segment.groupId && !gameWorld.isBoundary(body) && !body.isDespawning
+            ),
+        };
+        const target = gameWorld.getBodyAtPosition(position, options)
+            || gameWorld.getBodyAtPosition(tip, options)
+            || null;
+
+        const ties = Composite.allConstraints(world).filter((constraint) => (
+            constraint.jointId && (constraint.bodyA === segment || constraint.bodyB === segment)
+        ));
+        World.remove(world, ties);
+
+        return gameWorld.connectBodies('hinge', segment, tip, target, tip);
+    }
+
+    /**
+     * A dragged rope end is tied where it's let go
+     */
+    function handleEndDrag(event) {
+        if (event.body && isRopeEnd(event.body)) {
+            attachRopeEnd(event.body, { x: event.mouse.position.x, y: event.mouse.position.y });
+        }
+    }
+
+    if (mouseConstraint) {
+        Events.on(mouseConstraint, 'enddrag', handleEndDrag);
+    }
+
+    // ============================================
+    // TEARING
+    // ============================================
+
+    /**
+     * Give the segments still linked to one past a tear a group of their own
+     */
+    function splitRope(segment) {
+        const groupId = `rope_${Date.now()}_${ropeIdCounter++}`;
+        const queue = [segment];
+        const seen = new Set(queue);
+        while (queue.length > 0) {
+            const current = queue.shift();
+            current.groupId = groupId;
+            getLinks(current).forEach((link) => {
+                link.groupId = groupId;
+                [link.bodyA, link.bodyB].forEach((other) => {
+                    if (!seen.has(other)) {
+                        seen.add(other);
+                        queue.push(other);
+                    }
+                });
+            });
+        }
+    }
+
+    /**
+     * Tear links pulled further apart than their rope's tearGap. Runs after
+     * every physics step.
+     */
+    function updateRopes() {
+        Composite.allConstraints(world).forEach((link) => {
+            if (link.label !== 'rope-link') return;
+
+            const config = getRopeConfig(link.bodyA);
+            if (!config) return;
+
+            const start = { x: link.bodyA.position.x + link.pointA.x, y: link.bodyA.position.y + link.pointA.y };
+            const end = { x: link.bodyB.position.x + link.pointB.x, y: link.bodyB.position.y + link.pointB.y };
+            if (Math.hypot(end.x - start.x, end.y - start.y) <= config.tearGap) return;
+
+            World.remove(world, link);
+            splitRope(link.bodyB);
+            spawnParticles((start.x + end.x) / 2, (start.y + end.y) / 2, 6, config.color);
+        });
+    }
+
+    /**
+     * Stop listening for dropped rope ends when the world is destroyed
+     */
+    function destroyRopes() {
+        if (mouseConstraint) {
+            Events.off(mouseConstraint, 'enddrag', handleEndDrag);
+        }
+    }
+
+    return {
+        isRopeEnd,
+        attachRopeEnd,
+        updateRopes,
+        destroyRopes,
+    };
+}
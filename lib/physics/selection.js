@@ -0,0 +1,345 @@
+// Selection - pick several bodies and move, turn, pin, delete or copy them together
+// Bodies are picked by clicking, shift-clicking or dragging a box, in the
+// level editor or with the select tool. A ragdoll is always picked whole, and
+// copies bring the constraints between picked bodies along, so a pasted
+// ragdoll or chain stays assembled.
+import Matter from 'matter-js';
+import { EDITOR } from '../constants';
+import { setBodyStatic, stretchBody } from './objects';
+
+const { Body, Composite, World } = Matter;
+
+// Kept by the special object system rather than as bodies (see snapshotSpecialObjects)
+const SPECIAL_LABELS = ['blackhole', 'magnet'];
+
+/**
+ * Create the selection for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createSelection(gameWorld) {
+    const { world } = gameWorld;
+
+    let selectedIds = new Set();
+    let clipboard = null;
+    let listeners = [];
+
+    function notify() {
+        const state = getSelectionState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    function isSelectable(body) {
+        return !gameWorld.isBoundary(body) && !SPECIAL_LABELS.includes(body.label) && !body.isDespawning;
+    }
+
+    /**
+     * A body and, if it is part of a ragdoll, the rest of it
+     */
+    function withGroup(body) {
+        if (!body.groupId) return [body];
+        return Composite.allBodies(world).filter((other) => other.groupId === body.groupId);
+    }
+
+    /**
+     * Selected bodies still in the world
+     */
+    function getSelectedBodies() {
+        if (selectedIds.size === 0) return [];
+        return Composite.allBodies(world).filter((body) => selectedIds.has(body.customId) && isSelectable(body));
+    }
+
+    /**
+     * Bodies were changed by hand; queries shouldn't wait for a physics step to notice
+     */
+    function bodiesEdited() {
+        gameWorld.invalidateQueries();
+        notify();
+    }
+
+    // ============================================
+    // PICKING
+    // ============================================
+
+    /**
+     * The topmost body a click would select, static or not
+     */
+    function getSelectableBodyAt(position) {
+        return gameWorld.getBodyAtPosition(position, { includeStatic: true, filter: isSelectable }) || null;
+    }
+
+    /**
+     * Select the body at a position, or nothing if there is none
+     * @param {boolean} additive - Add the body to the selection, or take it out if it is in already
+     * @returns {Object|null} - The body clicked
+     */
+    function selectBodyAt(position, additive = false) {
+        const body = getSelectableBodyAt(position);
+
+        if (!additive) {
+            selectedIds = new Set();
+        }
+        if (body) {
+            const ids = withGroup(body).map((part) => part.customId);
+            const remove = additive && selectedIds.has(body.customId);
+            ids.forEach((id) => (remove ? selectedIds.delete(id) : selectedIds.add(id)));
+        }
+
+        notify();
+        return body;
+    }
+
+    /**
+     * Select every body touching a rectangle
+     * @param {Object} bounds - { min: { x, y }, max: { x, y } }
+     * @param {boolean} additive - Keep what is selected already
+     * @returns {number} - How many bodies are selected now
+     */
+    function selectRegion(bounds, additive = false) {
+        if (!additive) {
+            selectedIds = new Set();
+        }
+        gameWorld.queryRegion(bounds, { includeStatic: true, filter: isSelectable }).forEach((body) => {
+            withGroup(body).forEach((part) => selectedIds.add(part.customId));
+        });
+
+        notify();
+        return selectedIds.size;
+    }
+
+    /**
+     * Select exactly these bodies, e.g. ones just placed or pasted
+     */
+    function setSelection(bodies) {
+        selectedIds = new Set(bodies.map((body) => body.customId));
+        notify();
+    }
+
+    function clearSelection() {
+        if (selectedIds.size === 0) return;
+        selectedIds = new Set();
+        notify();
+    }
+
+    // ============================================
+    // TRANSFORMS
+    // ============================================
+
+    /**
+     * Move the selection by an offset
+     * @param {Object} offset - { x, y }
+     */
+    function moveSelection(offset) {
+        const bodies = getSelectedBodies();
+        if (bodies.length === 0) return;
+
+        bodies.forEach((body) => {
+            Body.setPosition(body, { x: body.position.x + offset.x, y: body.position.y + offset.y });
+        });
+        bodiesEdited();
+    }
+
+    /**
+     * Turn the selection about its middle; one body turns in place
+     * @param {number} angle - Radians, clockwise
+     */
+    function rotateSelection(angle) {
+        const bodies = getSelectedBodies();
+        if (bodies.length === 0) return;
+
+        const center = getSelectionCenter(bodies);
+        bodies.forEach((body) => {
+            Body.rotate(body, angle, center);
+        });
+        bodiesEdited();
+    }
+
+    /**
+     * Lengthen or shorten each selected body along its own axis, within
+     * EDITOR.MIN_STRETCH..MAX_STRETCH of its built size. Circles grow evenly;
+     * ragdoll parts are left alone so their joints still meet.
+     */
+    function resizeSelection(grow) {
+        const factor = grow ? EDITOR.RESIZE_FACTOR : 1 / EDITOR.RESIZE_FACTOR;
+        const bodies = getSelectedBodies().filter((body) => {
+            if (body.groupId) return false;
+            const current = body.circleRadius ? (body.customScale || 1) : (body.customStretch || 1);
+            const next = current * factor;
+            return next >= EDITOR.MIN_STRETCH && next <= EDITOR.MAX_STRETCH;
+        });
+        if (bodies.length === 0) return;
+
+        bodies.forEach((body) => stretchBody(body, factor));
+        bodiesEdited();
+    }
+
+    /**
+     * Freeze the selection in place, or let it go if all of it is frozen already
+     */
+    function toggleSelectionStatic() {
+        const bodies = getSelectedBodies();
+        if (bodies.length === 0) return;
+
+        const freeze = bodies.some((body) => !body.isStatic);
+        bodies.forEach((body) => {
+            if (body.isStatic !== freeze) setBodyStatic(body, freeze);
+        });
+        bodiesEdited();
+    }
+
+    /**
+     * Remove the selected bodies and every constraint attached to them
+     */
+    function deleteSelection() {
+        const bodies = getSelectedBodies();
+        if (bodies.length === 0) return;
+
+        World.remove(world, gameWorld.getAttachedConstraints(bodies));
+        World.remove(world, bodies);
+        selectedIds = new Set();
+        bodiesEdited();
+    }
+
+    // ============================================
+    // COPY AND PASTE
+    // ============================================
+
+    /**
+     * Middle of the selection's bounding box
+     */
+    function getSelectionCenter(bodies = getSelectedBodies()) {
+        if (bodies.length === 0) return null;
+
+        const min = { x: Infinity, y: Infinity };
+        const max = { x: -Infinity, y: -Infinity };
+        bodies.forEach((body) => {
+            min.x = Math.min(min.x, body.bounds.min.x);
+            min.y = Math.min(min.y, body.bounds.min.y);
+            max.x = Math.max(max.x, body.bounds.max.x);
+            max.y = Math.max(max.y, body.bounds.max.y);
+        });
+        return { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2 };
+    }
+
+    /**
+     * Keep the selection, with the constraints between its bodies, for pasteClipboard
+     * @returns {number} - How many bodies were copied
+     */
+    function copySelection() {
+        const bodies = getSelectedBodies();
+        if (bodies.length === 0) return 0;
+
+        clipboard = {
+            content: gameWorld.snapshotBodies(bodies),
+            center: getSelectionCenter(bodies),
+        };
+        notify();
+        return bodies.length;
+    }
+
+    /**
+     * Paste copied bodies with their middle at a position and select them
+     * @param {Object} position - World position
+     * @returns {Array} - The pasted bodies
+     */
+    function pasteClipboard(position) {
+        if (!clipboard) return [];
+        // Through the world, so a recording sees the paste with what was pasted
+        return gameWorld.pasteBodies(clipboard, position);
+    }
+
+    /**
+     * Add copies of bodies from copySelection with their middle at a position,
+     * and select them. The copy travels as an argument so a recording can
+     * paste it again without the clipboard it came from.
+     * @param {Object} copied - { content, center } from copySelection
+     * @returns {Array} - The pasted bodies
+     */
+    function pasteBodies(copied, position) {
+        const offset = { x: position.x - copied.center.x, y: position.y - copied.center.y };
+        const bodies = gameWorld.addBodyCopies(copied.content, offset);
+        setSelection(bodies);
+        return bodies;
+    }
+
+    /**
+     * Copy the selection in place, moved by an offset, and select the copy.
+     * The clipboard is left as it was.
+     * @param {Object} offset - { x, y }
+     * @returns {Array} - The new bodies
+     */
+    function duplicateSelection(offset) {
+        const bodies = getSelectedBodies();
+        if (bodies.length === 0) return [];
+
+        const copies = gameWorld.addBodyCopies(gameWorld.snapshotBodies(bodies), offset);
+        setSelection(copies);
+        return copies;
+    }
+
+    // ============================================
+    // STATE
+    // ============================================
+
+    /**
+     * What is selected and whether there is anything to paste
+     */
+    function getSelectionState() {
+        const bodies = getSelectedBodies();
+        return {
+            ids: bodies.map((body) => body.customId),
+            count: bodies.length,
+            selectedType: bodies.length === 1 ? bodies[0].label : null,
+            allStatic: bodies.length > 0 && bodies.every((body) => body.isStatic),
+            canPaste: !!clipboard,
+        };
+    }
+
+    /**
+     * Subscribe to selection changes, including edits to selected bodies
+     * @returns {Function} - Unsubscribe function
+     */
+    function onSelectionChange(listener) {
+        listeners.push(listener);
+        return () => {
+            listeners = listeners.filter((l) => l !== listener);
+        };
+    }
+
+    // Undo, redo and loaded scenes rebuild every body; restored bodies keep their
+    // ids, so the selection survives apart from bodies that are gone
+    const unsubscribeRestore = gameWorld.onWorldRestored(() => {
+        selectedIds = new Set(getSelectedBodies().map((body) => body.customId));
+        notify();
+    });
+
+    /**
+     * Drop listeners and the clipboard when the world is destroyed
+     */
+    function destroySelection() {
+        unsubscribeRestore();
+        listeners = [];
+        clipboard = null;
+    }
+
+    return {
+        getSelectableBodyAt,
+        getSelectedBodies,
+        getSelectionCenter,
+        selectBodyAt,
+        selectRegion,
+        setSelection,
+        clearSelection,
+        moveSelection,
+        rotateSelection,
+        resizeSelection,
+        toggleSelectionStatic,
+        deleteSelection,
+        copySelection,
+        pasteClipboard,
+        pasteBodies,
+        duplicateSelection,
+        getSelectionState,
+        onSelectionChange,
+        destroySelection,
+    };
+}
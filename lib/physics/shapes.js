@@ -0,0 +1,105 @@
+// Drawn shapes - turning a freehand stroke into an outline a body can be built from
+// The stroke is closed, simplified and centred on its centre of mass, so the
+// outline alone rebuilds the body wherever it is spawned, saved or sent.
+import Matter from 'matter-js';
+import decomp from 'poly-decomp';
+import { DRAW, MATERIALS } from '../constants';
+
+const { Vertices } = Matter;
+
+/**
+ * Material settings by type, wood for anything unknown
+ * @param {string} type - e.g. 'rubber'
+ */
+export function getMaterial(type) {
+    return Object.values(MATERIALS).find((material) => material.type === type) || MATERIALS.WOOD;
+}
+
+function distanceToLine(point, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const length = Math.hypot(dx, dy);
+    if (length === 0) return Math.hypot(point.x - start.x, point.y - start.y);
+    return Math.abs(dy * point.x - dx * point.y + end.x * start.y - end.y * start.x) / length;
+}
+
+/**
+ * Ramer-Douglas-Peucker: drop points that stray less than tolerance from the
+ * line through their neighbours. Both ends are kept.
+ */
+function simplifyPath(points, tolerance) {
+    if (points.length < 3) return points;
+
+    const start = points[0];
+    const end = points[points.length - 1];
+    let farthest = 0;
+    let farthestDistance = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        const distance = distanceToLine(points[i], start, end);
+        if (distance > farthestDistance) {
+            farthest = i;
+            farthestDistance = distance;
+        }
+    }
+
+    if (farthestDistance <= tolerance) return [start, end];
+    return [
+        ...simplifyPath(points.slice(0, farthest + 1), tolerance).slice(0, -1),
+        ...simplifyPath(points.slice(farthest), tolerance),
+    ];
+}
+
+/**
+ * Simplify a closed loop by splitting it at the point farthest from its first
+ */
+function simplifyLoop(points, tolerance) {
+    let split = 0;
+    let splitDistance = 0;
+    points.forEach((point, i) => {
+        const distance = Math.hypot(point.x - points[0].x, point.y - points[0].y);
+        if (distance > splitDistance) {
+            split = i;
+            splitDistance = distance;
+        }
+    });
+    if (split === 0) return [];
+
+    return [
+        ...simplifyPath(points.slice(0, split + 1), tolerance).slice(0, -1),
+        ...simplifyPath([...points.slice(split), points[0]], tolerance).slice(0, -1),
+    ];
+}
+
+/**
+ * Turn a freehand stroke into the outline of a drawn shape. The stroke is
+ * closed from its last point back to its first. Sketches that cross
+ * themselves can't be split into convex parts, so they take their hull.
+ * @param {Array} points - World positions along the stroke
+ * @returns {Object|null} - { center, vertices } with vertices around the
+ *   centre of mass, or null if the sketch is too small to build
+ */
+export function prepareOutline(points) {
+    if (points.length < 3) return null;
+
+    let tolerance = DRAW.SIMPLIFY_TOLERANCE;
+    let outline = simplifyLoop(points, tolerance);
+    while (outline.length > DRAW.MAX_VERTICES) {
+        tolerance *= 1.5;
+        outline = simplifyLoop(points, tolerance);
+    }
+    if (outline.length < 3) return null;
+
+    if (!decomp.isSimple(outline.map((point) => [point.x, point.y]))) {
+        outline = Vertices.hull(outline);
+    }
+    if (Math.abs(Vertices.area(outline, true)) < DRAW.MIN_AREA) return null;
+
+    const center = Vertices.centre(outline);
+    return {
+        center: { x: center.x, y: center.y },
+        vertices: outline.map((point) => ({
+            x: Math.round((point.x - center.x) * 10) / 10,
+            y: Math.round((point.y - center.y) * 10) / 10,
+        })),
+    };
+}
@@ -0,0 +1,420 @@
+// World snapshots - the complete simulation state as versioned plain JSON
+// A snapshot holds every body with its scale and material tweaks, multi-body
+// objects like ragdolls, loose constraints, special objects and their timers,
+// water, chaos timers, gravity, time scale and the arena. Restoring one rebuilds the
+// world through the normal object factories, so it is the basis for saved
+// scenes and for bringing late joiners up to date.
+import Matter from 'matter-js';
+import { createObject, setBodyStatic, stretchBody } from './objects';
+import { generateJointId } from './joints';
+
+const { Body, Composite, Constraint, Detector, Pairs, World } = Matter;
+
+export const SNAPSHOT_VERSION = 1;
+
+function getBodyId(body) {
+    return body.customId || `body_${body.id}`;
+}
+
+/**
+ * Create the snapshot system for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createSnapshots(gameWorld) {
+    const { engine, world } = gameWorld;
+
+    let restoreListeners = [];
+
+    // Multi-body objects rebuilt by their own factory, by body.groupType.
+    // Each returns the new parts in the order they were snapshotted.
+    const GROUP_BUILDERS = {
+        ragdoll: (group) => {
+            const torso = group.parts[1] || group.parts[0];
+            return gameWorld.createRagdoll(torso.x, torso.y, group.scale).parts;
+        },
+        jelly: (group) => {
+            const x = group.parts.reduce((sum, part) => sum + part.x, 0) / group.parts.length;
+            const y = group.parts.reduce((sum, part) => sum + part.y, 0) / group.parts.length;
+            const jelly = createObject('jelly', x, y);
+            gameWorld.addBody(jelly);
+            return jelly.bodies;
+        },
+        // Ropes are split where they tear, so a group is always one unbroken rope
+        rope: (group) => {
+            const [first] = group.parts;
+            const rope = createObject(first.type, first.x, first.y, { segments: group.parts.length });
+            gameWorld.addBody(rope);
+            return rope.bodies;
+        },
+    };
+
+    // ============================================
+    // SNAPSHOT
+    // ============================================
+
+    function snapshotBody(body) {
+        const velocity = Body.getVelocity(body);
+        return {
+            id: getBodyId(body),
+            type: body.label,
+            x: body.position.x,
+            y: body.position.y,
+            angle: body.angle,
+            vx: velocity.x,
+            vy: velocity.y,
+            angularVelocity: Body.getAngularVelocity(body),
+            scale: body.customScale || 1,
+            stretch: body.customStretch || 1,
+            isStatic: body.isStatic,
+            restitution: body.restitution,
+            friction: body.friction,
+            frictionAir: body.frictionAir,
+            // Infinite while static, and JSON can't hold that
+            density: body.isStatic ? null : body.density,
+            isFloaty: !!body.isFloaty,
+            isExplosive: !!body.isExplosive,
+            color: body.render.fillStyle,
+            spawnTime: body.spawnTime ?? null,
+            // Drawn shapes are rebuilt from their outline
+            shape: body.customShape
+                ? {
+                    vertices: body.customShape.vertices.map((v) => ({ x: v.x, y: v.y })),
+                    material: body.customShape.material,
+                }
+                : null,
+        };
+    }
+
+    function snapshotConstraint(constraint) {
+        return {
+            label: constraint.label,
+            bodyA: constraint.bodyA ? getBodyId(constraint.bodyA) : null,
+            bodyB: constraint.bodyB ? getBodyId(constraint.bodyB) : null,
+            pointA: { x: constraint.pointA.x, y: constraint.pointA.y },
+            pointB: { x: constraint.pointB.x, y: constraint.pointB.y },
+            length: constraint.length,
+            stiffness: constraint.stiffness,
+            damping: constraint.damping,
+            render: {
+                visible: constraint.render.visible,
+                strokeStyle: constraint.render.strokeStyle,
+                lineWidth: constraint.render.lineWidth,
+            },
+            jointId: constraint.jointId || null,
+            jointType: constraint.jointType || null,
+        };
+    }
+
+    /**
+     * Snapshot some bodies on their own: loose bodies, multi-body groups and the
+     * constraints holding them, but not ones reaching bodies outside the set.
+     * Parts of a ragdoll are only rebuilt whole, so pass every part or none.
+     * @param {Array} bodies - Matter bodies
+     * @returns {Object} - JSON-safe { bodies, groups, constraints } for addBodyCopies
+     */
+    function snapshotBodies(bodies) {
+        const records = [];
+        const groups = new Map();
+        const included = new Set(bodies);
+
+        bodies.forEach((body) => {
+            if (body.groupId && GROUP_BUILDERS[body.groupType]) {
+                if (!groups.has(body.groupId)) {
+                    groups.set(body.groupId, {
+                        id: body.groupId,
+                        type: body.groupType,
+                        scale: body.groupScale || 1,
+                        parts: [],
+                    });
+                }
+                groups.get(body.groupId).parts.push(snapshotBody(body));
+            } else {
+                records.push(snapshotBody(body));
+            }
+        });
+
+        // Constraints inside a group come back with it; the rest are saved as they are
+        const constraints = Composite.allConstraints(world)
+            .filter((constraint) => (
+                constraint !== gameWorld.mouseConstraint?.constraint
+                && !(constraint.groupId && groups.has(constraint.groupId))
+                && (constraint.bodyA || constraint.bodyB)
+                && (!constraint.bodyA || included.has(constraint.bodyA))
+                && (!constraint.bodyB || included.has(constraint.bodyB))
+            ))
+            .map(snapshotConstraint);
+
+        return {
+            bodies: records,
+            groups: Array.from(groups.values()),
+            constraints,
+        };
+    }
+
+    /**
+     * Capture the complete simulation state.
+     * Bodies fading out under the body budget are left out, as are pending
+     * one-shot effects like staggered spawns and particle bursts.
+     * @returns {Object} - A JSON-safe snapshot for restoreWorld
+     */
+    function snapshotWorld() {
+        const special = gameWorld.snapshotSpecialObjects();
+        const specialIds = new Set([
+            ...special.blackHoles.map((bh) => bh.id),
+            ...special.magnets.map((magnet) => magnet.id),
+        ]);
+
+        const bodies = Composite.allBodies(world).filter((body) => (
+            !gameWorld.isBoundary(body) && !body.isDespawning && !specialIds.has(body.customId)
+        ));
+
+        return {
+            version: SNAPSHOT_VERSION,
+            time: engine.timing.timestamp,
+            arena: gameWorld.getArenaSize(),
+            boundaryMode: gameWorld.getBoundaryMode(),
+            gravity: gameWorld.getGravity(),
+            timeScale: gameWorld.getTimeScale(),
+            ...snapshotBodies(bodies),
+            special,
+            fluids: gameWorld.snapshotFluids(),
+            chaos: gameWorld.snapshotChaos(),
+        };
+    }
+
+    // ============================================
+    // RESTORE
+    // ============================================
+
+    /**
+     * Put a freshly built body into the state of its snapshot record
+     */
+    function applyBodyState(body, record) {
+        body.customId = record.id;
+
+        if (record.scale !== 1) {
+            Body.scale(body, record.scale, record.scale);
+            body.customScale = record.scale;
+        }
+        // Older snapshots have no stretch
+        if (record.stretch && record.stretch !== 1) {
+            stretchBody(body, record.stretch);
+        }
+        // Level pieces are built static and may have been made dynamic, and the other way round
+        if (body.isStatic !== record.isStatic) {
+            setBodyStatic(body, record.isStatic);
+        }
+
+        Body.setPosition(body, { x: record.x, y: record.y });
+        Body.setAngle(body, record.angle);
+        if (!record.isStatic) {
+            Body.setVelocity(body, { x: record.vx, y: record.vy });
+            Body.setAngularVelocity(body, record.angularVelocity);
+        }
+
+        // Set after setStatic, which resets material properties.
+        // Older snapshots have no density or explosive flag; the factory's stand.
+        if (typeof record.density === 'number' && !record.isStatic) {
+            Body.setDensity(body, record.density);
+        }
+        body.restitution = record.restitution;
+        body.friction = record.friction;
+        body.frictionAir = record.frictionAir;
+        body.isFloaty = record.isFloaty;
+        if (record.isExplosive !== undefined) {
+            body.isExplosive = record.isExplosive;
+        }
+        body.render.fillStyle = record.color;
+        if (record.spawnTime !== null) {
+            body.spawnTime = record.spawnTime;
+        }
+    }
+
+    /**
+     * Build bodies, groups and constraints from snapshot records.
+     * Copies are moved by offset and keep the new ids their factories give
+     * them; otherwise the records' ids are kept.
+     * @returns {Map} - Record id to the body built for it
+     */
+    function addContent(content, { copy = false, offset = { x: 0, y: 0 } } = {}) {
+        const restored = new Map();
+
+        const place = (record) => {
+            if (!copy) return record;
+            return { ...record, x: record.x + offset.x, y: record.y + offset.y };
+        };
+        // Copies arrive now, for the body budget, and under their own ids
+        const stateFor = (body, record) => (
+            copy ? { ...place(record), id: body.customId, spawnTime: null } : record
+        );
+
+        content.bodies.forEach((record) => {
+            const { x, y } = place(record);
+            const body = createObject(record.type, x, y, record.shape || {});
+
+            // Jelly was a single body before it went soft; older snapshots get a
+            // fresh block moving the way the old one was
+            if (body.type === 'composite') {
+                gameWorld.addBody(body);
+                body.bodies.forEach((cell) => {
+                    Body.setVelocity(cell, { x: record.vx, y: record.vy });
+                    cell.render.fillStyle = record.color;
+                });
+                restored.set(record.id, body.bodies[0]);
+                return;
+            }
+
+            World.add(world, body);
+            applyBodyState(body, stateFor(body, record));
+            restored.set(record.id, body);
+        });
+
+        content.groups.forEach((group) => {
+            const build = GROUP_BUILDERS[group.type];
+            if (!build) return;
+
+            // The builder gives a copy its own group id
+            const parts = build({ ...group, parts: group.parts.map(place) });
+            parts.forEach((part, i) => {
+                const record = group.parts[i];
+                if (!record) return;
+                if (!copy) part.groupId = group.id;
+                applyBodyState(part, stateFor(part, record));
+                restored.set(record.id, part);
+            });
+            if (!copy) {
+                Composite.allConstraints(world).forEach((constraint) => {
+                    if (parts.includes(constraint.bodyA) || parts.includes(constraint.bodyB)) {
+                        constraint.groupId = group.id;
+                    }
+                });
+            }
+        });
+
+        // Copied joints need ids of their own; a weld's two constraints still share one
+        const jointIds = new Map();
+        const jointIdFor = (id) => {
+            if (!copy) return id;
+            if (!jointIds.has(id)) {
+                jointIds.set(id, generateJointId());
+            }
+            return jointIds.get(id);
+        };
+
+        content.constraints.forEach((record) => {
+            const bodyA = record.bodyA ? restored.get(record.bodyA) : null;
+            const bodyB = record.bodyB ? restored.get(record.bodyB) : null;
+            if ((record.bodyA && !bodyA) || (record.bodyB && !bodyB)) return;
+
+            // A point with no body is a world position, and moves with a copy.
+            // Matter turns points in place as their bodies turn, so the
+            // constraint gets its own and the record stays as it was saved.
+            const anchor = (body, point) => (
+                copy && !body ? { x: point.x + offset.x, y: point.y + offset.y } : { ...point }
+            );
+
+            const constraint = Constraint.create({
+                label: record.label,
+                bodyA,
+                bodyB,
+                pointA: anchor(bodyA, record.pointA),
+                pointB: anchor(bodyB, record.pointB),
+                length: record.length,
+                stiffness: record.stiffness,
+                damping: record.damping,
+                render: { ...record.render },
+            });
+            // Older snapshots have no joints
+            if (record.jointId) {
+                constraint.jointId = jointIdFor(record.jointId);
+                constraint.jointType = record.jointType;
+            }
+            World.add(world, constraint);
+        });
+
+        return restored;
+    }
+
+    /**
+     * Remove every body and constraint except the arena walls and mouse drag
+     */
+    function clearSimulation() {
+        gameWorld.clearSpecialObjects();
+
+        const constraints = Composite.allConstraints(world)
+            .filter((constraint) => constraint !== gameWorld.mouseConstraint?.constraint);
+        World.remove(world, constraints);
+
+        const bodies = Composite.allBodies(world).filter((body) => !gameWorld.isBoundary(body));
+        World.remove(world, bodies);
+    }
+
+    /**
+     * Replace the whole simulation with a snapshot from snapshotWorld.
+     * Nothing is announced: no status, particles or sounds.
+     * @param {Object} snapshot - Snapshot object (already parsed from JSON)
+     */
+    function restoreWorld(snapshot) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version: ${snapshot?.version}`);
+        }
+
+        // Recorded frames refer to bodies that are about to be thrown away
+        gameWorld.clearRewindBuffer();
+        clearSimulation();
+        gameWorld.cancelPendingTimers();
+
+        // Contacts between the bodies just thrown away would never end
+        Pairs.clear(engine.pairs);
+        Detector.clear(engine.detector);
+
+        engine.timing.timestamp = snapshot.time;
+        gameWorld.setArenaSize(snapshot.arena.width, snapshot.arena.height);
+        gameWorld.setBoundaryMode(snapshot.boundaryMode);
+
+        const restored = addContent(snapshot);
+
+        gameWorld.restoreSpecialObjects(snapshot.special, (id) => restored.get(id));
+        // Older snapshots have no water
+        gameWorld.restoreFluids(snapshot.fluids);
+        gameWorld.restoreChaos(snapshot.chaos);
+
+        gameWorld.setGravity(snapshot.gravity);
+        gameWorld.setTimeScale(snapshot.timeScale);
+
+        restoreListeners.forEach((listener) => listener(snapshot));
+    }
+
+    /**
+     * Add copies of snapshotBodies records to the world, moved by an offset.
+     * Copies get new ids; constraints between copied bodies join the copies.
+     * @param {Object} content - From snapshotBodies (already parsed from JSON)
+     * @param {Object} offset - { x, y } to move the copies by
+     * @returns {Array} - The new bodies
+     */
+    function addBodyCopies(content, offset = { x: 0, y: 0 }) {
+        const added = addContent(content, { copy: true, offset });
+        gameWorld.invalidateQueries();
+        return Array.from(added.values());
+    }
+
+    /**
+     * Subscribe to whole-world restores (loaded scenes, undo/redo, replays),
+     * after which modes like chaos toggles and gravity may have changed
+     * @returns {Function} - Unsubscribe function
+     */
+    function onWorldRestored(listener) {
+        restoreListeners.push(listener);
+        return () => {
+            restoreListeners = restoreListeners.filter((l) => l !== listener);
+        };
+    }
+
+    return {
+        snapshotWorld,
+        snapshotBodies,
+        restoreWorld,
+        addBodyCopies,
+        onWorldRestored,
+    };
+}
@@ -1,8 +1,7 @@
 // Special Objects - Black Holes, Ragdolls, Magnets, Time Control
 // Using direct Matter.js access for reliable physics manipulation
 import Matter from 'matter-js';
-import { CANVAS } from '../constants';
-import { getEngine } from './engine';
+import { PHYSICS } from '../constants';
 
 const { Bodies, Body, Constraint, Vector, World, Composite } = Matter;
 
@@ -11,658 +10,696 @@ function generateId() {
     return `special_${Date.now()}_${objectIdCounter++}`;
 }
 
-// Helper to get world from engine
-function getWorld() {
-    const engine = getEngine();
-    return engine ? engine.world : null;
-}
-
-// Helper to get all bodies
-function getAllBodiesInternal() {
-    const engine = getEngine();
-    if (!engine) return [];
-    return Composite.allBodies(engine.world);
-}
-
-// Helper to add body
-function addBodyInternal(body) {
-    const world = getWorld();
-    if (world && body) {
-        World.add(world, body);
-        return true;
+/**
+ * Create the special object system (black holes, ragdolls, magnets, time control) for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createSpecialObjects(gameWorld) {
+    const {
+        engine,
+        world,
+        getArenaSize,
+        queryRadius,
+        random,
+        spawnParticles,
+        triggerScreenShake,
+        showStatus,
+    } = gameWorld;
+
+    // Helper to remove body
+    function removeBodyInternal(body) {
+        if (body) {
+            World.remove(world, body);
+        }
     }
-    return false;
-}
 
-// Helper to remove body
-function removeBodyInternal(body) {
-    const world = getWorld();
-    if (world && body) {
-        World.remove(world, body);
-    }
-}
+    // ============================================
+    // BLACK HOLE
+    // ============================================
+
+    let activeBlackHoles = [];
+
+    /**
+     * Build a black hole and add it to the world, without any effects
+     */
+    function addBlackHole(x, y, options = {}) {
+        const radius = options.radius || 40;
+        const pullRadius = options.pullRadius || 350;
+        const pullStrength = options.pullStrength || 0.008; // Much stronger pull!
+        const lifetime = options.lifetime || 6000;
+
+        const body = Bodies.circle(x, y, radius, {
+            isStatic: true,
+            isSensor: true,
+            render: {
+                fillStyle: '#0a0a1a',
+                strokeStyle: '#9b59b6',
+                lineWidth: 10,
+            },
+            label: 'blackhole',
+            customId: options.id || generateId(),
+        });
 
-// ============================================
-// BLACK HOLE
-// ============================================
+        World.add(world, body);
 
-let activeBlackHoles = [];
+        const blackHole = {
+            body,
+            radius,
+            pullRadius,
+            pullStrength,
+            age: options.age || 0, // Simulation time alive, so freeze and slow-mo stretch the lifetime
+            lifetime,
+            x,
+            y,
+            consumedBodies: [], // Track bodies that got sucked in
+            eventHorizon: 60, // Distance at which objects get consumed
+        };
 
-/**
- * Create a black hole that TRULY sucks in nearby objects
- */
-export function createBlackHole(x, y, options = {}) {
-    const world = getWorld();
-    if (!world) {
-        console.error('Black hole: No physics world available');
-        return null;
+        activeBlackHoles.push(blackHole);
+        return blackHole;
     }
 
-    const radius = options.radius || 40;
-    const pullRadius = options.pullRadius || 350;
-    const pullStrength = options.pullStrength || 0.008; // Much stronger pull!
-    const lifetime = options.lifetime || 6000;
-
-    const body = Bodies.circle(x, y, radius, {
-        isStatic: true,
-        isSensor: true,
-        render: {
-            fillStyle: '#0a0a1a',
-            strokeStyle: '#9b59b6',
-            lineWidth: 10,
-        },
-        label: 'blackhole',
-        customId: generateId(),
-    });
-
-    World.add(world, body);
-
-    const blackHole = {
-        body,
-        pullRadius,
-        pullStrength,
-        createdAt: Date.now(),
-        lifetime,
-        x,
-        y,
-        consumedBodies: [], // Track bodies that got sucked in
-        eventHorizon: 60, // Distance at which objects get consumed
-    };
+    /**
+     * Create a black hole that TRULY sucks in nearby objects
+     */
+    function createBlackHole(x, y, options = {}) {
+        const blackHole = addBlackHole(x, y, options);
 
-    activeBlackHoles.push(blackHole);
+        // Status
+        showStatus('🕳️ BLACK HOLE SPAWNED!');
+        triggerScreenShake(0.8);
+        spawnParticles(x, y, 30, '#9b59b6');
 
-    // Status
-    if (window.showChaosStatus) {
-        window.showChaosStatus('🕳️ BLACK HOLE SPAWNED!');
-    }
-    if (window.triggerScreenShake) {
-        window.triggerScreenShake(0.8);
+        return blackHole;
     }
-    if (window.spawnParticles) {
-        window.spawnParticles(x, y, 30, '#9b59b6');
-    }
-
-    // Explode at end of lifetime
-    setTimeout(() => {
-        explodeBlackHole(blackHole);
-    }, lifetime);
 
-    return blackHole;
-}
-
-/**
- * Update all black holes - POWERFUL gravitational pull!
- * Uses direct velocity manipulation for visible effect
- */
-export function updateBlackHoles() {
-    const now = Date.now();
-    const bodies = getAllBodiesInternal();
+    /**
+     * Update all black holes - POWERFUL gravitational pull!
+     * Uses direct velocity manipulation for visible effect
+     * @param {number} delta - Fixed step length in ms of simulation time
+     */
+    function updateBlackHoles(delta = PHYSICS.FIXED_STEP) {
+        activeBlackHoles = activeBlackHoles.filter((bh) => {
+            if (!bh.body || !bh.body.position) return false;
+
+            // Check if lifetime expired - if so, explode it!
+            bh.age += delta;
+            if (bh.age > bh.lifetime) {
+                explodeBlackHole(bh);
+                return false;
+            }
 
-    if (!bodies.length) return;
+            const bhPos = bh.body.position;
+
+            // Apply POWERFUL gravitational pull to everything within reach!
+            // Static objects and other black holes are skipped, but NOT ragdoll parts
+            const inReach = queryRadius(bhPos, bh.pullRadius, { filter: (body) => body.label !== 'blackhole' });
+            inReach.forEach(({ body, distance, direction: outward }) => {
+                const direction = Vector.neg(outward);
+
+                // Skip if already at center
+                if (distance < 20) {
+                    // Objects at center get frozen in place
+                    Body.setVelocity(body, { x: 0, y: 0 });
+                    if (!bh.consumedBodies.includes(body)) {
+                        bh.consumedBodies.push(body);
+                    }
+                    return;
+                }
 
-    activeBlackHoles = activeBlackHoles.filter((bh) => {
-        if (!bh.body || !bh.body.position) return false;
+                const normalizedDir = Vector.normalise(direction);
 
-        // Check if lifetime expired - if so, explode it!
-        if (now - bh.createdAt > bh.lifetime) {
-            explodeBlackHole(bh);
-            return false;
-        }
+                // MUCH STRONGER PULL - directly add velocity toward black hole!
+                // Closer = faster pull
+                const pullStrength = Math.min(8, 400 / distance); // Max speed of 8, stronger when closer
 
-        const bhPos = bh.body.position;
+                // Get current velocity (time-scale independent units)
+                const vel = Body.getVelocity(body);
 
-        // Apply POWERFUL gravitational pull to ALL objects!
-        bodies.forEach((body) => {
-            // Skip static objects and other special objects, but NOT ragdoll parts
-            if (body.isStatic || body.label === 'blackhole') return;
+                // Add velocity toward the black hole
+                const newVelX = vel.x + normalizedDir.x * pullStrength * 0.3;
+                const newVelY = vel.y + normalizedDir.y * pullStrength * 0.3;
 
-            const direction = Vector.sub(bhPos, body.position);
-            const distance = Vector.magnitude(direction);
+                Body.setVelocity(body, {
+                    x: newVelX,
+                    y: newVelY,
+                });
 
-            // Skip if already at center
-            if (distance < 20) {
-                // Objects at center get frozen in place
-                Body.setVelocity(body, { x: 0, y: 0 });
-                if (!bh.consumedBodies.includes(body)) {
+                // Track objects that get very close for the explosion
+                if (distance < 80 && !bh.consumedBodies.includes(body)) {
                     bh.consumedBodies.push(body);
                 }
-                return;
-            }
-
-            const normalizedDir = Vector.normalise(direction);
-
-            // MUCH STRONGER PULL - directly add velocity toward black hole!
-            // Closer = faster pull
-            const pullStrength = Math.min(8, 400 / distance); // Max speed of 8, stronger when closer
-
-            // Get current velocity
-            const vel = body.velocity;
 
-            // Add velocity toward the black hole
-            const newVelX = vel.x + normalizedDir.x * pullStrength * 0.3;
-            const newVelY = vel.y + normalizedDir.y * pullStrength * 0.3;
-
-            Body.setVelocity(body, {
-                x: newVelX,
-                y: newVelY,
+                // Add spin as objects get sucked in
+                if (distance < 250) {
+                    Body.setAngularVelocity(body, Body.getAngularVelocity(body) + (random() - 0.5) * 0.15);
+                }
             });
 
-            // Track objects that get very close for the explosion
-            if (distance < 80 && !bh.consumedBodies.includes(body)) {
-                bh.consumedBodies.push(body);
-            }
-
-            // Add spin as objects get sucked in
-            if (distance < 250) {
-                Body.setAngularVelocity(body, body.angularVelocity + (Math.random() - 0.5) * 0.15);
-            }
+            return true;
         });
+    }
 
-        return true;
-    });
-}
-
-/**
- * Explode a black hole - CHAOTIC EXPLOSION!
- */
-function explodeBlackHole(blackHole) {
-    if (!blackHole.body) return;
-
-    const pos = { x: blackHole.x, y: blackHole.y };
-    const bodies = getAllBodiesInternal();
-
-    // CHAOTIC EXPLOSION - throw everything violently in random directions!
-    bodies.forEach((body) => {
-        if (body.isStatic || body.label === 'blackhole') return;
-
-        const wasConsumed = blackHole.consumedBodies.includes(body);
-
-        // Random explosion angle for true chaos
-        const randomAngle = Math.random() * Math.PI * 2;
-        const randomDir = {
-            x: Math.cos(randomAngle),
-            y: Math.sin(randomAngle),
-        };
-
-        const direction = Vector.sub(body.position, pos);
-        const distance = Vector.magnitude(direction);
+    /**
+     * Explode a black hole - CHAOTIC EXPLOSION!
+     */
+    function explodeBlackHole(blackHole) {
+        if (!blackHole.body) return;
+
+        const pos = { x: blackHole.x, y: blackHole.y };
+
+        // Everything in the blast reach, plus whatever it swallowed wherever that drifted
+        const inWorld = new Set(Composite.allBodies(world));
+        const bodies = new Set(
+            queryRadius(pos, blackHole.pullRadius * 2, { filter: (body) => body.label !== 'blackhole' })
+                .map(({ body }) => body)
+        );
+        blackHole.consumedBodies.forEach((body) => {
+            if (inWorld.has(body) && !body.isStatic) bodies.add(body);
+        });
 
-        if (wasConsumed || distance < blackHole.pullRadius * 2) {
-            // Consumed objects explode with MAXIMUM chaos
-            const explosionPower = wasConsumed ? 0.25 : 0.15 * (1 - distance / (blackHole.pullRadius * 2));
+        // CHAOTIC EXPLOSION - throw everything violently in random directions!
+        bodies.forEach((body) => {
+            const wasConsumed = blackHole.consumedBodies.includes(body);
 
-            // Mix random direction with outward direction for semi-random explosion
-            const outwardDir = distance > 0 ? Vector.normalise(direction) : randomDir;
-            const chaosDir = {
-                x: outwardDir.x * 0.3 + randomDir.x * 0.7,
-                y: outwardDir.y * 0.3 + randomDir.y * 0.7,
+            // Random explosion angle for true chaos
+            const randomAngle = random() * Math.PI * 2;
+            const randomDir = {
+                x: Math.cos(randomAngle),
+                y: Math.sin(randomAngle),
             };
 
-            Body.applyForce(body, body.position, {
-                x: chaosDir.x * explosionPower,
-                y: chaosDir.y * explosionPower,
-            });
+            const direction = Vector.sub(body.position, pos);
+            const distance = Vector.magnitude(direction);
 
-            // WILD spinning
-            Body.setAngularVelocity(body, (Math.random() - 0.5) * 4);
+            if (wasConsumed || distance < blackHole.pullRadius * 2) {
+                // Consumed objects explode with MAXIMUM chaos
+                const explosionPower = wasConsumed ? 0.25 : 0.15 * (1 - distance / (blackHole.pullRadius * 2));
 
-            // If consumed, scatter them around the explosion point first
-            if (wasConsumed) {
-                const scatterDist = 50 + Math.random() * 100;
-                Body.setPosition(body, {
-                    x: pos.x + randomDir.x * scatterDist,
-                    y: pos.y + randomDir.y * scatterDist,
-                });
+                // Mix random direction with outward direction for semi-random explosion
+                const outwardDir = distance > 0 ? Vector.normalise(direction) : randomDir;
+                const chaosDir = {
+                    x: outwardDir.x * 0.3 + randomDir.x * 0.7,
+                    y: outwardDir.y * 0.3 + randomDir.y * 0.7,
+                };
 
-                // Give them a massive velocity boost too
-                Body.setVelocity(body, {
-                    x: chaosDir.x * 30,
-                    y: chaosDir.y * 30,
+                Body.applyForce(body, body.position, {
+                    x: chaosDir.x * explosionPower,
+                    y: chaosDir.y * explosionPower,
                 });
+
+                // WILD spinning
+                Body.setAngularVelocity(body, (random() - 0.5) * 4);
+
+                // If consumed, scatter them around the explosion point first
+                if (wasConsumed) {
+                    const scatterDist = 50 + random() * 100;
+                    Body.setPosition(body, {
+                        x: pos.x + randomDir.x * scatterDist,
+                        y: pos.y + randomDir.y * scatterDist,
+                    });
+
+                    // Give them a massive velocity boost too
+                    Body.setVelocity(body, {
+                        x: chaosDir.x * 30,
+                        y: chaosDir.y * 30,
+                    });
+                }
             }
-        }
-    });
+        });
 
-    // MASSIVE visual feedback
-    if (window.triggerScreenShake) {
-        window.triggerScreenShake(5);
-    }
-    if (window.spawnParticles) {
+        // MASSIVE visual feedback
+        triggerScreenShake(5);
         // Multiple particle bursts for epic explosion
-        window.spawnParticles(pos.x, pos.y, 60, '#9b59b6');
-        setTimeout(() => window.spawnParticles(pos.x, pos.y, 40, '#e056fd'), 50);
-        setTimeout(() => window.spawnParticles(pos.x, pos.y, 30, '#ff6b6b'), 100);
+        spawnParticles(pos.x, pos.y, 60, '#9b59b6');
+        gameWorld.setTimer(() => spawnParticles(pos.x, pos.y, 40, '#e056fd'), 50);
+        gameWorld.setTimer(() => spawnParticles(pos.x, pos.y, 30, '#ff6b6b'), 100);
+        showStatus('💥💥 SUPERNOVA EXPLOSION! 💥💥');
+
+        // Remove the black hole body
+        removeBodyInternal(blackHole.body);
+        activeBlackHoles = activeBlackHoles.filter((bh) => bh !== blackHole);
     }
-    if (window.showChaosStatus) {
-        window.showChaosStatus('💥💥 SUPERNOVA EXPLOSION! 💥💥');
-    }
-
-    // Remove the black hole body
-    removeBodyInternal(blackHole.body);
-    activeBlackHoles = activeBlackHoles.filter((bh) => bh !== blackHole);
-}
 
-// ============================================
-// RAGDOLL
-// ============================================
+    // ============================================
+    // RAGDOLL
+    // ============================================
+
+    /**
+     * Create a ragdoll stick figure - Properly positioned and falls with gravity!
+     */
+    function createRagdoll(x, y, scale = 1) {
+        const parts = [];
+
+        // Scale factor - keep reasonable size
+        const s = scale * 1.5;
+
+        // Position body parts CENTERED around y (not above it)
+        // Head at top
+        const head = Bodies.circle(x, y - 40 * s, 15 * s, {
+            render: {
+                fillStyle: '#ffe66d',
+                strokeStyle: '#f1c40f',
+                lineWidth: 3,
+            },
+            label: 'ragdoll-head',
+            restitution: 0.5,
+            friction: 0.4,
+            density: 0.001,
+        });
 
-/**
- * Create a ragdoll stick figure - Properly positioned and falls with gravity!
- */
-export function createRagdoll(x, y, scale = 1) {
-    const world = getWorld();
-    if (!world) {
-        console.error('Ragdoll: No physics world available');
-        return null;
-    }
+        // Torso in middle
+        const torso = Bodies.rectangle(x, y, 18 * s, 40 * s, {
+            render: {
+                fillStyle: '#e74c3c',
+                strokeStyle: '#c0392b',
+                lineWidth: 2,
+            },
+            label: 'ragdoll-torso',
+            restitution: 0.4,
+            friction: 0.4,
+            density: 0.001,
+        });
 
-    const parts = [];
-
-    // Scale factor - keep reasonable size
-    const s = scale * 1.5;
-
-    // Position body parts CENTERED around y (not above it)
-    // Head at top
-    const head = Bodies.circle(x, y - 40 * s, 15 * s, {
-        render: {
-            fillStyle: '#ffe66d',
-            strokeStyle: '#f1c40f',
-            lineWidth: 3,
-        },
-        label: 'ragdoll-head',
-        restitution: 0.5,
-        friction: 0.4,
-        density: 0.001,
-    });
-
-    // Torso in middle
-    const torso = Bodies.rectangle(x, y, 18 * s, 40 * s, {
-        render: {
-            fillStyle: '#e74c3c',
-            strokeStyle: '#c0392b',
-            lineWidth: 2,
-        },
-        label: 'ragdoll-torso',
-        restitution: 0.4,
-        friction: 0.4,
-        density: 0.001,
-    });
-
-    // Arms at shoulder level
-    const leftArm = Bodies.rectangle(x - 25 * s, y - 12 * s, 25 * s, 10 * s, {
-        render: {
-            fillStyle: '#1abc9c',
-            strokeStyle: '#16a085',
-            lineWidth: 2,
-        },
-        label: 'ragdoll-arm',
-        restitution: 0.4,
-        density: 0.001,
-    });
-    const rightArm = Bodies.rectangle(x + 25 * s, y - 12 * s, 25 * s, 10 * s, {
-        render: {
-            fillStyle: '#1abc9c',
-            strokeStyle: '#16a085',
-            lineWidth: 2,
-        },
-        label: 'ragdoll-arm',
-        restitution: 0.4,
-        density: 0.001,
-    });
-
-    // Legs at bottom
-    const leftLeg = Bodies.rectangle(x - 8 * s, y + 35 * s, 10 * s, 35 * s, {
-        render: {
-            fillStyle: '#9b59b6',
-            strokeStyle: '#8e44ad',
-            lineWidth: 2,
-        },
-        label: 'ragdoll-leg',
-        restitution: 0.4,
-        density: 0.001,
-    });
-    const rightLeg = Bodies.rectangle(x + 8 * s, y + 35 * s, 10 * s, 35 * s, {
-        render: {
-            fillStyle: '#9b59b6',
-            strokeStyle: '#8e44ad',
-            lineWidth: 2,
-        },
-        label: 'ragdoll-leg',
-        restitution: 0.4,
-        density: 0.001,
-    });
-
-    parts.push(head, torso, leftArm, rightArm, leftLeg, rightLeg);
-
-    // Constraints to connect body parts - looser for floppy ragdoll effect
-    const constraints = [
-        // Head to torso
-        Constraint.create({
-            bodyA: head,
-            bodyB: torso,
-            pointA: { x: 0, y: 15 * s },
-            pointB: { x: 0, y: -20 * s },
-            stiffness: 0.8,
-            length: 2,
-            render: { visible: false },
-        }),
-        // Left arm to torso
-        Constraint.create({
-            bodyA: leftArm,
-            bodyB: torso,
-            pointA: { x: 12 * s, y: 0 },
-            pointB: { x: -9 * s, y: -15 * s },
-            stiffness: 0.5,
-            length: 3,
-            render: { visible: false },
-        }),
-        // Right arm to torso
-        Constraint.create({
-            bodyA: rightArm,
-            bodyB: torso,
-            pointA: { x: -12 * s, y: 0 },
-            pointB: { x: 9 * s, y: -15 * s },
-            stiffness: 0.5,
-            length: 3,
-            render: { visible: false },
-        }),
-        // Left leg to torso
-        Constraint.create({
-            bodyA: leftLeg,
-            bodyB: torso,
-            pointA: { x: 0, y: -17 * s },
-            pointB: { x: -5 * s, y: 20 * s },
-            stiffness: 0.6,
-            length: 2,
-            render: { visible: false },
-        }),
-        // Right leg to torso
-        Constraint.create({
-            bodyA: rightLeg,
-            bodyB: torso,
-            pointA: { x: 0, y: -17 * s },
-            pointB: { x: 5 * s, y: 20 * s },
-            stiffness: 0.6,
-            length: 2,
-            render: { visible: false },
-        }),
-    ];
-
-    // Add all to world
-    World.add(world, parts);
-    World.add(world, constraints);
-
-    // Apply velocity to ALL parts so they fall together!
-    const velX = (Math.random() - 0.5) * 8;
-    const velY = 8 + Math.random() * 6; // Strong downward velocity
-    const angVel = (Math.random() - 0.5) * 0.3;
-
-    parts.forEach(part => {
-        Body.setVelocity(part, { x: velX + (Math.random() - 0.5) * 2, y: velY });
-        Body.setAngularVelocity(part, angVel + (Math.random() - 0.5) * 0.1);
-    });
-
-    return { parts, constraints };
-}
+        // Arms at shoulder level
+        const leftArm = Bodies.rectangle(x - 25 * s, y - 12 * s, 25 * s, 10 * s, {
+            render: {
+                fillStyle: '#1abc9c',
+                strokeStyle: '#16a085',
+                lineWidth: 2,
+            },
+            label: 'ragdoll-arm',
+            restitution: 0.4,
+            density: 0.001,
+        });
+        const rightArm = Bodies.rectangle(x + 25 * s, y - 12 * s, 25 * s, 10 * s, {
+            render: {
+                fillStyle: '#1abc9c',
+                strokeStyle: '#16a085',
+                lineWidth: 2,
+            },
+            label: 'ragdoll-arm',
+            restitution: 0.4,
+            density: 0.001,
+        });
 
-/**
- * Spawn multiple ragdolls
- */
-export function ragdollRain(count = 5) {
-    const world = getWorld();
-    if (!world) {
-        console.error('Ragdoll rain: No physics world available');
-        return;
-    }
+        // Legs at bottom
+        const leftLeg = Bodies.rectangle(x - 8 * s, y + 35 * s, 10 * s, 35 * s, {
+            render: {
+                fillStyle: '#9b59b6',
+                strokeStyle: '#8e44ad',
+                lineWidth: 2,
+            },
+            label: 'ragdoll-leg',
+            restitution: 0.4,
+            density: 0.001,
+        });
+        const rightLeg = Bodies.rectangle(x + 8 * s, y + 35 * s, 10 * s, 35 * s, {
+            render: {
+                fillStyle: '#9b59b6',
+                strokeStyle: '#8e44ad',
+                lineWidth: 2,
+            },
+            label: 'ragdoll-leg',
+            restitution: 0.4,
+            density: 0.001,
+        });
 
-    if (window.showChaosStatus) {
-        window.showChaosStatus('🎭 RAGDOLL RAIN!');
-    }
-    if (window.triggerScreenShake) {
-        window.triggerScreenShake(0.4);
-    }
+        parts.push(head, torso, leftArm, rightArm, leftLeg, rightLeg);
+
+        // Constraints to connect body parts - looser for floppy ragdoll effect
+        const constraints = [
+            // Head to torso
+            Constraint.create({
+                bodyA: head,
+                bodyB: torso,
+                pointA: { x: 0, y: 15 * s },
+                pointB: { x: 0, y: -20 * s },
+                stiffness: 0.8,
+                length: 2,
+                render: { visible: false },
+            }),
+            // Left arm to torso
+            Constraint.create({
+                bodyA: leftArm,
+                bodyB: torso,
+                pointA: { x: 12 * s, y: 0 },
+                pointB: { x: -9 * s, y: -15 * s },
+                stiffness: 0.5,
+                length: 3,
+                render: { visible: false },
+            }),
+            // Right arm to torso
+            Constraint.create({
+                bodyA: rightArm,
+                bodyB: torso,
+                pointA: { x: -12 * s, y: 0 },
+                pointB: { x: 9 * s, y: -15 * s },
+                stiffness: 0.5,
+                length: 3,
+                render: { visible: false },
+            }),
+            // Left leg to torso
+            Constraint.create({
+                bodyA: leftLeg,
+                bodyB: torso,
+                pointA: { x: 0, y: -17 * s },
+                pointB: { x: -5 * s, y: 20 * s },
+                stiffness: 0.6,
+                length: 2,
+                render: { visible: false },
+            }),
+            // Right leg to torso
+            Constraint.create({
+                bodyA: rightLeg,
+                bodyB: torso,
+                pointA: { x: 0, y: -17 * s },
+                pointB: { x: 5 * s, y: 20 * s },
+                stiffness: 0.6,
+                length: 2,
+                render: { visible: false },
+            }),
+        ];
+
+        // Parts share a group so the body budget treats the ragdoll as one object,
+        // and remember how it was built so a snapshot can rebuild it
+        const groupId = generateId();
+        parts.forEach((part) => {
+            part.customId = generateId();
+            part.groupId = groupId;
+            part.groupType = 'ragdoll';
+            part.groupScale = scale;
+        });
+        constraints.forEach((constraint) => {
+            constraint.groupId = groupId;
+        });
 
-    for (let i = 0; i < count; i++) {
-        setTimeout(() => {
-            const x = 100 + Math.random() * (CANVAS.WIDTH - 200);
-            // Spawn at y=150 so entire ragdoll is visible on screen
-            createRagdoll(x, 150, 1.0 + Math.random() * 0.3);
-        }, i * 200);
-    }
-}
+        // Add all to world
+        World.add(world, parts);
+        World.add(world, constraints);
 
-// ============================================
-// TIME CONTROL
-// ============================================
+        // Apply velocity to ALL parts so they fall together!
+        const velX = (random() - 0.5) * 8;
+        const velY = 8 + random() * 6; // Strong downward velocity
+        const angVel = (random() - 0.5) * 0.3;
 
-let isSlowMo = false;
-let isFrozen = false;
+        parts.forEach(part => {
+            Body.setVelocity(part, { x: velX + (random() - 0.5) * 2, y: velY });
+            Body.setAngularVelocity(part, angVel + (random() - 0.5) * 0.1);
+        });
 
-/**
- * Toggle slow motion
- */
-export function toggleSlowMotion() {
-    const engine = getEngine();
-    if (!engine) {
-        console.error('Time control: No physics engine available');
-        return false;
+        return { parts, constraints };
     }
 
-    if (isSlowMo) {
-        engine.timing.timeScale = 1;
-        isSlowMo = false;
-        if (window.showChaosStatus) {
-            window.showChaosStatus('⏩ NORMAL SPEED');
-        }
-    } else {
-        engine.timing.timeScale = 0.2;
-        isSlowMo = true;
-        if (window.showChaosStatus) {
-            window.showChaosStatus('⏰ SLOW MOTION!');
+    /**
+     * Spawn multiple ragdolls
+     */
+    function ragdollRain(count = 5) {
+        showStatus('🎭 RAGDOLL RAIN!');
+        triggerScreenShake(0.4);
+
+        for (let i = 0; i < count; i++) {
+            gameWorld.setTimer(() => {
+                const x = 100 + random() * (getArenaSize().width - 200);
+                // Spawn at y=150 so entire ragdoll is visible on screen
+                createRagdoll(x, 150, 1.0 + random() * 0.3);
+            }, i * 200);
         }
     }
-    return isSlowMo;
-}
 
-/**
- * Toggle freeze
- */
-export function toggleFreeze() {
-    const engine = getEngine();
-    if (!engine) return false;
-
-    if (isFrozen) {
-        engine.timing.timeScale = 1;
-        isFrozen = false;
-        if (window.showChaosStatus) {
-            window.showChaosStatus('▶️ UNFROZEN');
+    // ============================================
+    // TIME CONTROL
+    // ============================================
+
+    let isSlowMo = false;
+    let isFrozen = false;
+
+    /**
+     * Toggle slow motion
+     */
+    function toggleSlowMotion() {
+        if (isSlowMo) {
+            engine.timing.timeScale = 1;
+            isSlowMo = false;
+            showStatus('⏩ NORMAL SPEED');
+        } else {
+            engine.timing.timeScale = 0.2;
+            isSlowMo = true;
+            showStatus('⏰ SLOW MOTION!');
         }
-    } else {
-        engine.timing.timeScale = 0;
-        isFrozen = true;
-        if (window.showChaosStatus) {
-            window.showChaosStatus('⏸️ FROZEN!');
+        return isSlowMo;
+    }
+
+    /**
+     * Toggle freeze
+     */
+    function toggleFreeze() {
+        if (isFrozen) {
+            engine.timing.timeScale = 1;
+            isFrozen = false;
+            showStatus('▶️ UNFROZEN');
+        } else {
+            engine.timing.timeScale = 0;
+            isFrozen = true;
+            showStatus('⏸️ FROZEN!');
         }
+        return isFrozen;
     }
-    return isFrozen;
-}
 
-/**
- * Dramatic slow-mo for a duration
- */
-export function dramaticSlowMo(durationMs = 2000) {
-    const engine = getEngine();
-    if (!engine) return;
+    /**
+     * Dramatic slow-mo for a duration
+     */
+    function dramaticSlowMo(durationMs = 2000) {
+        engine.timing.timeScale = 0.1;
+        isSlowMo = true;
 
-    engine.timing.timeScale = 0.1;
-    isSlowMo = true;
+        showStatus('⏰ DRAMATIC MOMENT...');
 
-    if (window.showChaosStatus) {
-        window.showChaosStatus('⏰ DRAMATIC MOMENT...');
+        gameWorld.setTimer(() => {
+            engine.timing.timeScale = 1;
+            isSlowMo = false;
+        }, durationMs);
     }
 
-    setTimeout(() => {
-        const eng = getEngine();
-        if (eng) {
-            eng.timing.timeScale = 1;
-        }
-        isSlowMo = false;
-    }, durationMs);
-}
+    // ============================================
+    // MAGNET OBJECTS
+    // ============================================
+
+    let activeMagnets = [];
+
+    /**
+     * Build a magnet and add it to the world, without any effects
+     */
+    function addMagnet(x, y, polarity = 1, options = {}) {
+        // Make magnet STATIC and BIGGER so it stays in place!
+        const body = Bodies.rectangle(x, y, 80, 40, {
+            isStatic: true, // IMPORTANT: stays in place!
+            render: {
+                fillStyle: polarity > 0 ? '#e74c3c' : '#3498db',
+                strokeStyle: '#fff',
+                lineWidth: 4,
+            },
+            label: 'magnet',
+            customId: options.id || generateId(),
+            magnetPolarity: polarity,
+        });
 
-// ============================================
-// MAGNET OBJECTS
-// ============================================
+        World.add(world, body);
 
-let activeMagnets = [];
+        const magnet = {
+            body,
+            polarity, // positive = attract, negative = repel
+            strength: options.strength || 0.008, // Much stronger!
+            range: options.range || 400, // Much larger range!
+        };
 
-/**
- * Create a magnet that attracts/repels objects
- */
-export function createMagnet(x, y, polarity = 1) {
-    const world = getWorld();
-    if (!world) {
-        console.error('Magnet: No physics world available');
-        return null;
+        activeMagnets.push(magnet);
+        return magnet;
     }
 
-    // Make magnet STATIC and BIGGER so it stays in place!
-    const body = Bodies.rectangle(x, y, 80, 40, {
-        isStatic: true, // IMPORTANT: stays in place!
-        render: {
-            fillStyle: polarity > 0 ? '#e74c3c' : '#3498db',
-            strokeStyle: '#fff',
-            lineWidth: 4,
-        },
-        label: 'magnet',
-        customId: generateId(),
-    });
-
-    World.add(world, body);
-
-    const magnet = {
-        body,
-        polarity, // positive = attract, negative = repel
-        strength: 0.008, // Much stronger!
-        range: 400, // Much larger range!
-    };
+    /**
+     * Create a magnet that attracts/repels objects
+     */
+    function createMagnet(x, y, polarity = 1) {
+        const magnet = addMagnet(x, y, polarity);
 
-    activeMagnets.push(magnet);
+        spawnParticles(x, y, 10, polarity > 0 ? '#e74c3c' : '#3498db');
 
-    if (window.spawnParticles) {
-        window.spawnParticles(x, y, 10, polarity > 0 ? '#e74c3c' : '#3498db');
+        return magnet;
     }
 
-    return magnet;
-}
+    /**
+     * Update all magnets - POWERFUL magnetic force!
+     * Uses direct velocity manipulation for visible effect
+     */
+    function updateMagnets() {
+        activeMagnets = activeMagnets.filter((magnet) => {
+            if (!magnet.body || !magnet.body.position) return false;
 
-/**
- * Update all magnets - POWERFUL magnetic force!
- * Uses direct velocity manipulation for visible effect
- */
-export function updateMagnets() {
-    const bodies = getAllBodiesInternal();
-    if (!bodies.length) return;
+            const magnetPos = magnet.body.position;
 
-    activeMagnets = activeMagnets.filter((magnet) => {
-        if (!magnet.body || !magnet.body.position) return false;
+            // Static objects and other specials are skipped, but NOT ragdoll parts
+            const inRange = queryRadius(magnetPos, magnet.range, {
+                filter: (body) => body.label !== 'magnet' && body.label !== 'blackhole',
+            });
+            inRange.forEach(({ body, distance, direction: outward }) => {
+                const direction = Vector.neg(outward);
 
-        const magnetPos = magnet.body.position;
+                if (distance > 30) {
+                    const normalizedDir = Vector.normalise(direction);
 
-        bodies.forEach((body) => {
-            // Skip static objects and other magnets, but NOT ragdoll parts
-            if (body.isStatic || body.label === 'magnet' || body.label === 'blackhole') return;
+                    // MUCH STRONGER - directly modify velocity!
+                    // Polarity: positive = attract (toward magnet), negative = repel (away from magnet)
+                    const pullStrength = Math.min(5, 200 / distance) * magnet.polarity;
 
-            const direction = Vector.sub(magnetPos, body.position);
-            const distance = Vector.magnitude(direction);
+                    // Get current velocity (time-scale independent units)
+                    const vel = Body.getVelocity(body);
 
-            if (distance < magnet.range && distance > 30) {
-                const normalizedDir = Vector.normalise(direction);
+                    // Add velocity toward/away from the magnet
+                    Body.setVelocity(body, {
+                        x: vel.x + normalizedDir.x * pullStrength * 0.25,
+                        y: vel.y + normalizedDir.y * pullStrength * 0.25,
+                    });
+
+                    // Add some spin for fun
+                    Body.setAngularVelocity(body, Body.getAngularVelocity(body) + (random() - 0.5) * 0.1);
+                }
+            });
 
-                // MUCH STRONGER - directly modify velocity!
-                // Polarity: positive = attract (toward magnet), negative = repel (away from magnet)
-                const pullStrength = Math.min(5, 200 / distance) * magnet.polarity;
+            return true;
+        });
+    }
 
-                // Get current velocity
-                const vel = body.velocity;
+    /**
+     * Spawn attract and repel magnets
+     */
+    function magnetMadness() {
+        const { width, height } = getArenaSize();
+        createMagnet(150, height / 2, 1);  // Left side - attract
+        createMagnet(width - 150, height / 2, -1);  // Right side - repel
 
-                // Add velocity toward/away from the magnet
-                Body.setVelocity(body, {
-                    x: vel.x + normalizedDir.x * pullStrength * 0.25,
-                    y: vel.y + normalizedDir.y * pullStrength * 0.25,
-                });
+        showStatus('🧲 MAGNET MADNESS!');
+        triggerScreenShake(0.4);
+    }
 
-                // Add some spin for fun
-                Body.setAngularVelocity(body, body.angularVelocity + (Math.random() - 0.5) * 0.1);
-            }
+    // ============================================
+    // SNAPSHOTS
+    // ============================================
+
+    /**
+     * Plain-data state of black holes, magnets and time control for a world snapshot.
+     * Bodies are referred to by customId.
+     */
+    function snapshotSpecialObjects() {
+        return {
+            blackHoles: activeBlackHoles.map((bh) => ({
+                id: bh.body.customId,
+                x: bh.x,
+                y: bh.y,
+                radius: bh.radius,
+                pullRadius: bh.pullRadius,
+                pullStrength: bh.pullStrength,
+                age: bh.age,
+                lifetime: bh.lifetime,
+                eventHorizon: bh.eventHorizon,
+                consumedIds: bh.consumedBodies.map((body) => body.customId).filter(Boolean),
+            })),
+            magnets: activeMagnets.map((magnet) => ({
+                id: magnet.body.customId,
+                x: magnet.body.position.x,
+                y: magnet.body.position.y,
+                angle: magnet.body.angle,
+                polarity: magnet.polarity,
+                strength: magnet.strength,
+                range: magnet.range,
+            })),
+            slowMotion: isSlowMo,
+            frozen: isFrozen,
+        };
+    }
+
+    /**
+     * Replace special objects with those from snapshotSpecialObjects, quietly
+     * @param {Object} state - Snapshot state
+     * @param {Function} findBody - Looks up a restored body by customId
+     */
+    function restoreSpecialObjects(state, findBody) {
+        clearSpecialObjects();
+
+        state.blackHoles.forEach((record) => {
+            const blackHole = addBlackHole(record.x, record.y, record);
+            blackHole.eventHorizon = record.eventHorizon;
+            blackHole.consumedBodies = record.consumedIds.map(findBody).filter(Boolean);
         });
 
-        return true;
-    });
-}
+        state.magnets.forEach((record) => {
+            const magnet = addMagnet(record.x, record.y, record.polarity, record);
+            Body.setAngle(magnet.body, record.angle);
+        });
 
-/**
- * Spawn attract and repel magnets
- */
-export function magnetMadness() {
-    const world = getWorld();
-    if (!world) {
-        console.error('Magnet madness: No physics world available');
-        return;
+        isSlowMo = state.slowMotion;
+        isFrozen = state.frozen;
     }
 
-    createMagnet(150, CANVAS.HEIGHT / 2, 1);  // Left side - attract
-    createMagnet(CANVAS.WIDTH - 150, CANVAS.HEIGHT / 2, -1);  // Right side - repel
-
-    if (window.showChaosStatus) {
-        window.showChaosStatus('🧲 MAGNET MADNESS!');
+    /**
+     * Copy of the live black hole and magnet records, bodies included, so
+     * rewind can put them back exactly as they were at a past moment
+     */
+    function captureSpecialObjects() {
+        return {
+            blackHoles: activeBlackHoles.map((bh) => ({ ...bh, consumedBodies: [...bh.consumedBodies] })),
+            magnets: activeMagnets.map((magnet) => ({ ...magnet })),
+        };
     }
-    if (window.triggerScreenShake) {
-        window.triggerScreenShake(0.4);
+
+    /**
+     * Make records from captureSpecialObjects live again. Their bodies must
+     * already be back in the world.
+     */
+    function resumeSpecialObjects(state) {
+        activeBlackHoles = state.blackHoles.map((bh) => ({ ...bh, consumedBodies: [...bh.consumedBodies] }));
+        activeMagnets = state.magnets.map((magnet) => ({ ...magnet }));
     }
-}
 
-// Clean up function
-export function clearSpecialObjects() {
-    const world = getWorld();
+    // Clean up function
+    function clearSpecialObjects() {
+        activeBlackHoles.forEach((bh) => {
+            if (bh.body) {
+                World.remove(world, bh.body);
+            }
+        });
+        activeBlackHoles = [];
 
-    activeBlackHoles.forEach((bh) => {
-        if (bh.body && world) {
-            World.remove(world, bh.body);
-        }
-    });
-    activeBlackHoles = [];
+        activeMagnets.forEach((m) => {
+            if (m.body) {
+                World.remove(world, m.body);
+            }
+        });
+        activeMagnets = [];
+    }
 
-    activeMagnets.forEach((m) => {
-        if (m.body && world) {
-            World.remove(world, m.body);
-        }
-    });
-    activeMagnets = [];
-}
+    // Master update - run by the world's fixed-timestep loop
+    function updateSpecialObjects(delta = PHYSICS.FIXED_STEP) {
+        updateBlackHoles(delta);
+        updateMagnets();
+    }
 
-// Master update - call in game loop
-export function updateSpecialObjects() {
-    updateBlackHoles();
-    updateMagnets();
+    return {
+        createBlackHole,
+        updateBlackHoles,
+        createRagdoll,
+        ragdollRain,
+        toggleSlowMotion,
+        toggleFreeze,
+        dramaticSlowMo,
+        createMagnet,
+        updateMagnets,
+        magnetMadness,
+        snapshotSpecialObjects,
+        restoreSpecialObjects,
+        captureSpecialObjects,
+        resumeSpecialObjects,
+        clearSpecialObjects,
+        updateSpecialObjects,
+    };
 }
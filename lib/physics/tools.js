@@ -1,61 +1,77 @@
 // Tool implementations with visual effects
 import Matter from 'matter-js';
-import { TOOLS, CANVAS } from '../constants';
-import { flipGravity, getAllBodies, applyForce, scaleBody, getBodyAtPosition, addBody, removeBody } from './engine';
+import { FLUID, OBJECTS, TOOLS } from '../constants';
 import { createObject } from './objects';
+import { getJointConfig } from './joints';
 
-const { Body, Vector } = Matter;
+const { Body, Vector, Vertices, World } = Matter;
 
 /**
- * Apply push force at position with visual feedback
+ * Get tool by ID
  */
-export function toolPush(position, direction, force = TOOLS.PUSH.force) {
-    const bodies = getAllBodies();
-    const radius = 120;
-    let affectedCount = 0;
-
-    bodies.forEach((body) => {
-        if (body.isStatic) return;
+export function getTool(toolId) {
+    return Object.values(TOOLS).find((tool) => tool.id === toolId);
+}
 
-        const distance = Vector.magnitude(Vector.sub(body.position, position));
-        if (distance < radius) {
+/**
+ * Create the tool system for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createTools(gameWorld) {
+    const {
+        getAllBodies,
+        getArenaSize,
+        queryRadius,
+        applyForce,
+        applyStepForce,
+        scaleBody,
+        getBodyAtPosition,
+        random,
+        addBody,
+        removeBody,
+        spawnParticles,
+        triggerScreenShake,
+        showStatus,
+    } = gameWorld;
+
+    /**
+     * Apply push force at position with visual feedback
+     */
+    function toolPush(position, direction, force = TOOLS.PUSH.force) {
+        const radius = TOOLS.PUSH.radius;
+        const hits = queryRadius(position, radius);
+
+        hits.forEach(({ body, distance }) => {
             const falloff = 1 - distance / radius;
             const pushForce = {
                 x: direction.x * force * falloff * 1.5,
                 y: direction.y * force * falloff * 1.5,
             };
             applyForce(body, pushForce);
-            affectedCount++;
-        }
-    });
+        });
+        const affectedCount = hits.length;
 
-    // Visual feedback
-    if (affectedCount > 0) {
-        if (window.spawnParticles) {
-            window.spawnParticles(position.x, position.y, 8, '#6c5ce7');
-        }
-        if (window.triggerScreenShake) {
-            window.triggerScreenShake(0.2);
+        // Visual feedback
+        if (affectedCount > 0) {
+            spawnParticles(position.x, position.y, 8, '#6c5ce7');
+            triggerScreenShake(0.2);
         }
-    }
 
-    return { position, direction, force, affectedCount };
-}
+        return { position, direction, force, affectedCount };
+    }
 
-/**
- * Explode at position with visual effects
- */
-export function toolExplode(position, force = TOOLS.EXPLODE.force, radius = TOOLS.EXPLODE.radius) {
-    const bodies = getAllBodies();
-    let affectedCount = 0;
+    /**
+     * Explode at position with visual effects
+     */
+    function toolExplode(position, force = TOOLS.EXPLODE.force, radius = TOOLS.EXPLODE.radius) {
+        let affectedCount = 0;
 
-    bodies.forEach((body) => {
-        if (body.isStatic) return;
+        // Break what's near enough first, so the blast throws the pieces
+        gameWorld.fractureNear(position, radius);
 
-        const direction = Vector.sub(body.position, position);
-        const distance = Vector.magnitude(direction);
+        queryRadius(position, radius).forEach(({ body, distance, direction }) => {
+            if (distance === 0) return;
 
-        if (distance < radius && distance > 0) {
             const falloff = 1 - distance / radius;
             const normalizedDir = Vector.normalise(direction);
             const explosionForce = {
@@ -63,166 +79,251 @@ export function toolExplode(position, force = TOOLS.EXPLODE.force, radius = TOOL
                 y: normalizedDir.y * force * falloff * 1.2,
             };
             applyForce(body, explosionForce);
-            Body.setAngularVelocity(body, (Math.random() - 0.5) * 0.8 * falloff);
+            Body.setAngularVelocity(body, (random() - 0.5) * 0.8 * falloff);
             affectedCount++;
-        }
-    });
+        });
 
-    // Visual feedback - always show explosion
-    if (window.spawnParticles) {
-        window.spawnParticles(position.x, position.y, 25, '#ff6b6b');
-    }
-    if (window.triggerScreenShake) {
-        window.triggerScreenShake(1.2);
+        // Visual feedback - always show explosion
+        spawnParticles(position.x, position.y, 25, '#ff6b6b');
+        triggerScreenShake(1.2);
+
+        return { position, force, radius, affectedCount };
     }
 
-    return { position, force, radius, affectedCount };
-}
+    /**
+     * Flip world gravity with visual feedback
+     */
+    function toolGravityFlip() {
+        const newGravity = gameWorld.flipGravity();
 
-/**
- * Flip world gravity with visual feedback
- */
-export function toolGravityFlip() {
-    const newGravity = flipGravity();
+        // Visual feedback
+        triggerScreenShake(0.8);
+        showStatus(newGravity.y < 0 ? '⬆️ GRAVITY UP!' : '⬇️ GRAVITY DOWN!');
+        const { width, height } = getArenaSize();
+        spawnParticles(width / 2, height / 2, 15, '#ffeaa7');
 
-    // Visual feedback
-    if (window.triggerScreenShake) {
-        window.triggerScreenShake(0.8);
-    }
-    if (window.showChaosStatus) {
-        window.showChaosStatus(newGravity.y < 0 ? '⬆️ GRAVITY UP!' : '⬇️ GRAVITY DOWN!');
-    }
-    if (window.spawnParticles) {
-        window.spawnParticles(CANVAS.WIDTH / 2, CANVAS.HEIGHT / 2, 15, '#ffeaa7');
+        return newGravity;
     }
 
-    return newGravity;
-}
+    /**
+     * Scale object at position with visual feedback
+     */
+    function toolScale(position, grow = true) {
+        const body = getBodyAtPosition(position);
 
-/**
- * Scale object at position with visual feedback
- */
-export function toolScale(position, grow = true) {
-    const body = getBodyAtPosition(position);
+        if (body && !body.isStatic) {
+            const factor = grow ? TOOLS.SCALE.scaleFactor : 1 / TOOLS.SCALE.scaleFactor;
+            const currentScale = body.customScale || 1;
+            const newScale = currentScale * factor;
 
-    if (body && !body.isStatic) {
-        const factor = grow ? TOOLS.SCALE.scaleFactor : 1 / TOOLS.SCALE.scaleFactor;
-        const currentScale = body.customScale || 1;
-        const newScale = currentScale * factor;
+            if (newScale >= 0.3 && newScale <= 3) {
+                scaleBody(body, factor, factor);
+                body.customScale = newScale;
 
-        if (newScale >= 0.3 && newScale <= 3) {
-            scaleBody(body, factor, factor);
-            body.customScale = newScale;
+                // Visual feedback
+                spawnParticles(body.position.x, body.position.y, 8, grow ? '#00cec9' : '#ff9ff3');
 
-            // Visual feedback
-            if (window.spawnParticles) {
-                window.spawnParticles(body.position.x, body.position.y, 8, grow ? '#00cec9' : '#ff9ff3');
+                return { bodyId: body.customId, scale: newScale, grow };
             }
-
-            return { bodyId: body.customId, scale: newScale, grow };
         }
-    }
 
-    return null;
-}
+        return null;
+    }
 
-/**
- * Spawn object at position with visual feedback
- */
-export function toolSpawn(type, position, options = {}) {
-    const body = createObject(type, position.x, position.y, options);
-    addBody(body);
+    /**
+     * Spawn object at position with visual feedback
+     */
+    function toolSpawn(type, position, options = {}) {
+        const object = createObject(type, position.x, position.y, options);
+        addBody(object);
+        // A soft body or rope answers for itself with its first part
+        const body = object.type === 'composite' ? object.bodies[0] : object;
+        // Ropes and chains hang from where they're placed
+        if (gameWorld.isRopeEnd(body)) {
+            gameWorld.attachRopeEnd(body, position);
+        }
 
-    // Visual feedback
-    if (window.spawnParticles) {
+        // Visual feedback
         const color = body.render?.fillStyle || '#4ecdc4';
-        window.spawnParticles(position.x, position.y, 5, color);
+        spawnParticles(position.x, position.y, 5, color);
+
+        return {
+            type,
+            position,
+            id: body.customId,
+        };
     }
 
-    return {
-        type,
-        position,
-        id: body.customId,
-    };
-}
+    /**
+     * Join the body at one position to the body (or the world) at another
+     * @param {string} jointType - JOINTS type, e.g. 'rope'
+     * @param {Object} from - World position on the first body
+     * @param {Object} position - World position on the second body, or the anchor
+     * @param {Object} options - { stiffness, damping } for springs
+     */
+    function toolJoint(jointType, from, position, options = {}) {
+        const joint = gameWorld.createJoint(jointType, from, position, options);
+        if (!joint) return null;
+
+        // Visual feedback
+        const { color } = getJointConfig(jointType);
+        spawnParticles(from.x, from.y, 4, color);
+        spawnParticles(position.x, position.y, 4, color);
+
+        return {
+            jointType,
+            from,
+            position,
+            stiffness: options.stiffness,
+            damping: options.damping,
+            id: joint.id,
+        };
+    }
 
-/**
- * Trigger explosion for explosive objects on collision
- */
-export function handleExplosiveCollision(bodyA, bodyB) {
-    const explosive = bodyA.isExplosive ? bodyA : bodyB.isExplosive ? bodyB : null;
+    /**
+     * Remove the joint at a position, or else the object there with its joints
+     */
+    function toolDelete(position) {
+        if (gameWorld.removeJointAt(position)) {
+            spawnParticles(position.x, position.y, 4, TOOLS.DELETE.color);
+            return { position, removed: 'joint' };
+        }
 
-    if (explosive) {
-        const relativeVelocity = Vector.sub(bodyA.velocity, bodyB.velocity);
-        const impactForce = Vector.magnitude(relativeVelocity);
+        const body = gameWorld.getSelectableBodyAt(position);
+        if (!body) return null;
 
-        if (impactForce > 5) {
-            const pos = { ...explosive.position };
+        World.remove(gameWorld.world, gameWorld.getAttachedConstraints([body]));
+        removeBody(body);
 
-            toolExplode(
-                pos,
-                explosive.explosionForce || TOOLS.EXPLODE.force,
-                explosive.explosionRadius || TOOLS.EXPLODE.radius
-            );
+        // Visual feedback
+        spawnParticles(body.position.x, body.position.y, 8, body.render?.fillStyle || TOOLS.DELETE.color);
 
-            removeBody(explosive);
+        return { position, removed: body.label };
+    }
 
-            // Extra visual feedback for chain explosions
-            if (window.spawnParticles) {
-                window.spawnParticles(pos.x, pos.y, 30, '#ff4757');
-            }
+    /**
+     * Fill an outline with water
+     * @param {Array} vertices - World positions around the outline, in order
+     */
+    function toolWater(vertices) {
+        if (!vertices || vertices.length < 3) return null;
 
-            return {
-                position: pos,
-                force: explosive.explosionForce,
-                radius: explosive.explosionRadius,
-            };
-        }
+        const zone = gameWorld.addWaterZone(vertices);
+        const center = Vertices.centre(zone.vertices);
+
+        // Visual feedback
+        spawnParticles(center.x, center.y, 10, FLUID.SPLASH_COLOR);
+
+        return { position: { x: center.x, y: center.y }, vertices: zone.vertices, id: zone.id };
     }
 
-    return null;
-}
+    /**
+     * Drain the water at a position: a painted zone, or else the flood
+     */
+    function toolDrain(position) {
+        const removed = gameWorld.removeWaterAt(position);
+        if (!removed) return null;
 
-/**
- * Apply upward force to floaty objects (balloons)
- */
-export function updateFloatyObjects() {
-    const bodies = getAllBodies();
-
-    bodies.forEach((body) => {
-        if (body.isFloaty && !body.isStatic) {
-            applyForce(body, { x: 0, y: -0.00015 });
-            // Add slight wobble
-            if (Math.random() < 0.1) {
-                applyForce(body, { x: (Math.random() - 0.5) * 0.0001, y: 0 });
+        // Visual feedback
+        spawnParticles(position.x, position.y, 8, FLUID.COLOR);
+
+        return { position, remove: true, removed };
+    }
+
+    /**
+     * Trigger explosion for explosive objects on collision
+     */
+    function handleExplosiveCollision(bodyA, bodyB) {
+        const explosive = bodyA.isExplosive ? bodyA : bodyB.isExplosive ? bodyB : null;
+
+        if (explosive) {
+            const relativeVelocity = Vector.sub(bodyA.velocity, bodyB.velocity);
+            const impactForce = Vector.magnitude(relativeVelocity);
+
+            if (impactForce > 5) {
+                const pos = { ...explosive.position };
+
+                toolExplode(
+                    pos,
+                    explosive.explosionForce || TOOLS.EXPLODE.force,
+                    explosive.explosionRadius || TOOLS.EXPLODE.radius
+                );
+
+                removeBody(explosive);
+
+                // Extra visual feedback for chain explosions
+                spawnParticles(pos.x, pos.y, 30, '#ff4757');
+
+                return {
+                    position: pos,
+                    force: explosive.explosionForce,
+                    radius: explosive.explosionRadius,
+                };
             }
         }
-    });
-}
 
-/**
- * Get tool by ID
- */
-export function getTool(toolId) {
-    return Object.values(TOOLS).find((tool) => tool.id === toolId);
-}
+        return null;
+    }
 
-/**
- * Execute tool action with visual effects
- */
-export function executeTool(toolId, params) {
-    switch (toolId) {
-        case 'spawn':
-            return toolSpawn(params.objectType || 'box', params.position);
-        case 'push':
-            return toolPush(params.position, params.direction || { x: 0, y: -1 });
-        case 'explode':
-            return toolExplode(params.position);
-        case 'gravity':
-            return toolGravityFlip();
-        case 'scale':
-            return toolScale(params.position, params.grow);
-        default:
-            return null;
+    /**
+     * Apply upward force to floaty objects (balloons)
+     * Registered with the fixed-timestep loop, so lift follows the time scale
+     */
+    function updateFloatyObjects(delta) {
+        const bodies = getAllBodies();
+
+        bodies.forEach((body) => {
+            if (body.isFloaty && !body.isStatic) {
+                applyStepForce(body, { x: 0, y: -OBJECTS.BALLOON.lift }, delta);
+                // Add slight wobble
+                if (random() < 0.1) {
+                    applyStepForce(body, { x: (random() - 0.5) * 0.0001, y: 0 }, delta);
+                }
+            }
+        });
     }
+
+    /**
+     * Execute tool action with visual effects
+     */
+    function executeTool(toolId, params) {
+        switch (toolId) {
+            case 'spawn':
+                return toolSpawn(params.objectType || 'box', params.position, params.options);
+            case 'push':
+                return toolPush(params.position, params.direction || { x: 0, y: -1 });
+            case 'explode':
+                return toolExplode(params.position);
+            case 'gravity':
+                return toolGravityFlip();
+            case 'scale':
+                return toolScale(params.position, params.grow);
+            case 'joint':
+                return toolJoint(params.jointType, params.from, params.position, {
+                    stiffness: params.stiffness,
+                    damping: params.damping,
+                });
+            case 'delete':
+                return toolDelete(params.position);
+            case 'water':
+                return params.remove ? toolDrain(params.position) : toolWater(params.vertices);
+            default:
+                return null;
+        }
+    }
+
+    return {
+        toolPush,
+        toolExplode,
+        toolGravityFlip,
+        toolScale,
+        toolSpawn,
+        toolJoint,
+        toolDelete,
+        toolWater,
+        toolDrain,
+        handleExplosiveCollision,
+        updateFloatyObjects,
+        executeTool,
+    };
 }
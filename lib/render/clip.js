@@ -0,0 +1,424 @@
+// Clips - the last seconds of the canvas, exported as an animated GIF or WebM
+// While a world is drawn, frames are copied at the clip frame rate into a ring
+// of small canvases, so capturing costs one drawImage per frame and nothing is
+// read back until a clip is exported. Screen effects (particles and the status
+// banner live in the DOM, not on the canvas) are painted into each frame as it
+// is captured when the clip options ask for them.
+import Matter from 'matter-js';
+import { CLIP } from '../constants';
+import { createGifEncoder } from './gif';
+
+const { Events } = Matter;
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+function getWebmType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+// Options that change what is captured, so changing them starts a fresh clip
+const CAPTURE_OPTIONS = ['seconds', 'width', 'frameRate', 'includeEffects'];
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Save a blob as a file download
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Create the clip system for a game world
+ * @param {Object} gameWorld - World from createGameWorld
+ */
+export function createClips(gameWorld) {
+    const { render } = gameWorld;
+
+    let options = {
+        seconds: CLIP.DEFAULT_LENGTH,
+        width: CLIP.DEFAULT_WIDTH,
+        frameRate: CLIP.DEFAULT_FRAME_RATE,
+        includeEffects: true,
+        format: 'gif',
+    };
+    let capacity = options.seconds * options.frameRate;
+
+    // Ring of captured frames; `next` is where the next one goes
+    let frames = [];
+    let next = 0;
+    let count = 0;
+    let size = null;
+    let lastCapture = null;
+    let exporting = false;
+    let clippingReplay = false;
+    let getEffects = null;
+    let listeners = [];
+
+    function notify() {
+        const state = getClipState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    function resetBuffer() {
+        frames = [];
+        next = 0;
+        count = 0;
+        size = null;
+        lastCapture = null;
+    }
+
+    function getOutputSize() {
+        const { canvas } = render;
+        const width = Math.min(options.width, canvas.width);
+        // Video encoders want even dimensions
+        const height = Math.max(2, Math.round((width * canvas.height) / canvas.width / 2) * 2);
+        return { width, height };
+    }
+
+    // ============================================
+    // SCREEN EFFECTS
+    // ============================================
+
+    /**
+     * Paint the DOM particles and status banner over a captured frame.
+     * Effects are in page coordinates, so they go through the canvas' position on the page.
+     */
+    function drawEffects(ctx, width, height) {
+        const effects = getEffects && getEffects();
+        if (!effects) return;
+
+        const rect = render.canvas.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+        const scale = width / rect.width;
+
+        ctx.save();
+        effects.particles.forEach((p) => {
+            const particleSize = p.size * scale;
+            ctx.globalAlpha = Math.max(0, p.life);
+            ctx.fillStyle = p.color;
+            ctx.fillRect(
+                (p.x - rect.left) * scale - particleSize / 2,
+                (p.y - rect.top) * scale - particleSize / 2,
+                particleSize,
+                particleSize,
+            );
+        });
+        ctx.restore();
+
+        if (effects.statusMessage) {
+            const fontSize = Math.max(8, Math.round(height / 22));
+            ctx.save();
+            ctx.font = `${fontSize}px ${getComputedStyle(render.canvas).getPropertyValue('--font-pixel') || 'monospace'}`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+
+            const textWidth = ctx.measureText(effects.statusMessage).width;
+            const boxWidth = textWidth + fontSize * 2;
+            const boxHeight = fontSize * 2.2;
+            const x = width / 2;
+            const y = height * 0.15;
+
+            ctx.fillStyle = '#e74c3c';
+            ctx.strokeStyle = '#ff6666';
+            ctx.lineWidth = Math.max(1, fontSize / 4);
+            ctx.fillRect(x - boxWidth / 2, y - boxHeight / 2, boxWidth, boxHeight);
+            ctx.strokeRect(x - boxWidth / 2, y - boxHeight / 2, boxWidth, boxHeight);
+
+            ctx.fillStyle = '#990000';
+            ctx.fillText(effects.statusMessage, x + 1, y + 1);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(effects.statusMessage, x, y);
+            ctx.restore();
+        }
+    }
+
+    // ============================================
+    // CAPTURE
+    // ============================================
+
+    /**
+     * Copy the freshly drawn canvas into the ring, at most once per clip frame
+     */
+    function captureFrame() {
+        if (exporting) return;
+
+        const now = performance.now();
+        const interval = 1000 / options.frameRate;
+        if (lastCapture !== null && now - lastCapture < interval) return;
+        // Keep to the frame rate on average rather than drifting with each late frame
+        lastCapture = lastCapture !== null && now - lastCapture < interval * 2 ? lastCapture + interval : now;
+
+        // A resized canvas starts a fresh clip, as old frames no longer fit
+        const { width, height } = getOutputSize();
+        if (!size || size.width !== width || size.height !== height) {
+            resetBuffer();
+            size = { width, height };
+            lastCapture = now;
+        }
+
+        if (!frames[next]) {
+            const frameCanvas = document.createElement('canvas');
+            frameCanvas.width = width;
+            frameCanvas.height = height;
+            frames[next] = frameCanvas;
+        }
+
+        const ctx = frames[next].getContext('2d');
+        ctx.drawImage(render.canvas, 0, 0, width, height);
+        if (options.includeEffects) {
+            drawEffects(ctx, width, height);
+        }
+
+        next = (next + 1) % capacity;
+        count = Math.min(count + 1, capacity);
+    }
+
+    if (render) {
+        Events.on(render, 'afterRender', captureFrame);
+    }
+
+    /**
+     * Captured frames, oldest first
+     */
+    function getFrames() {
+        const ordered = [];
+        for (let i = 0; i < count; i++) {
+            ordered.push(frames[(next - count + i + capacity) % capacity]);
+        }
+        return ordered;
+    }
+
+    // ============================================
+    // ENCODING
+    // ============================================
+
+    async function encodeGif(clipFrames) {
+        const { width, height } = size;
+        const encoder = createGifEncoder(width, height);
+        const delay = 1000 / options.frameRate;
+
+        for (const frame of clipFrames) {
+            encoder.addFrame(frame.getContext('2d').getImageData(0, 0, width, height).data, delay);
+            // Let the page breathe between frames
+            await wait(0);
+        }
+        return encoder.finish();
+    }
+
+    /**
+     * WebM goes through MediaRecorder, which records in real time, so the
+     * frames are played onto a canvas at the clip frame rate
+     */
+    async function encodeWebm(clipFrames) {
+        const type = getWebmType();
+        if (!type) {
+            throw new Error('WebM recording is not supported in this browser');
+        }
+
+        const { width, height } = size;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(clipFrames[0], 0, 0);
+
+        const stream = canvas.captureStream(options.frameRate);
+        const recorder = new MediaRecorder(stream, { mimeType: type });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        const stopped = new Promise((resolve) => {
+            recorder.onstop = resolve;
+        });
+
+        recorder.start();
+        const interval = 1000 / options.frameRate;
+        const start = performance.now();
+        for (let i = 0; i < clipFrames.length; i++) {
+            ctx.drawImage(clipFrames[i], 0, 0);
+            await wait(Math.max(0, start + (i + 1) * interval - performance.now()));
+        }
+        recorder.stop();
+        await stopped;
+        stream.getTracks().forEach((track) => track.stop());
+
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    /**
+     * Encode the captured frames. Capturing pauses until the clip is done.
+     * @param {string} format - 'gif' or 'webm'
+     * @returns {Promise<Blob>}
+     */
+    async function encodeFrames(format) {
+        const clipFrames = getFrames();
+        if (clipFrames.length === 0) {
+            throw new Error('Nothing has been captured yet');
+        }
+
+        exporting = true;
+        notify();
+        try {
+            return format === 'webm' ? await encodeWebm(clipFrames) : await encodeGif(clipFrames);
+        } finally {
+            exporting = false;
+            lastCapture = null;
+            notify();
+        }
+    }
+
+    // ============================================
+    // CONTROLS
+    // ============================================
+
+    /**
+     * Change clip options. Changing anything but the format drops what was
+     * already captured, since those frames were made with the old options.
+     * @param {Object} changes - { seconds, width, frameRate, includeEffects, format: 'gif' | 'webm' }
+     */
+    function setClipOptions(changes) {
+        const recapture = CAPTURE_OPTIONS.some((key) => key in changes && changes[key] !== options[key]);
+        options = { ...options, ...changes };
+        // A replay being clipped keeps going; the new options apply once it is done
+        if (recapture && !clippingReplay) {
+            capacity = Math.max(1, Math.round(options.seconds * options.frameRate));
+            resetBuffer();
+        }
+        notify();
+    }
+
+    function getClipOptions() {
+        return { ...options };
+    }
+
+    /**
+     * Clip status: the options, whether a clip is being encoded and whether
+     * a replay is being captured for one
+     */
+    function getClipState() {
+        return { ...options, exporting, clippingReplay };
+    }
+
+    /**
+     * Subscribe to clip option and export changes
+     * @returns {Function} - Unsubscribe function
+     */
+    function onClipChange(listener) {
+        listeners.push(listener);
+        return () => {
+            listeners = listeners.filter((l) => l !== listener);
+        };
+    }
+
+    /**
+     * Where screen effects come from
+     * @param {Function} source - () => { particles: [{ x, y, size, color, life }], statusMessage }
+     *   with particle positions in page coordinates
+     */
+    function setClipEffectsSource(source) {
+        getEffects = source;
+    }
+
+    /**
+     * Whether this browser can make WebM clips
+     */
+    function canExportWebm() {
+        return getWebmType() !== null;
+    }
+
+    /**
+     * Export the last seconds of play (as set by setClipOptions)
+     * @param {string} format - 'gif' or 'webm', defaults to the format option
+     * @returns {Promise<Blob>}
+     */
+    async function exportClip(format = options.format) {
+        if (!render) {
+            throw new Error('Clips need a rendered world');
+        }
+        if (exporting || clippingReplay) {
+            throw new Error('A clip is already being exported');
+        }
+        return encodeFrames(format);
+    }
+
+    /**
+     * Play a recording from its start and export it as a clip, stopping after
+     * CLIP.MAX_REPLAY_SECONDS. The replay is left open (paused) where it stopped.
+     * @param {Object} recording - Recording from stopRecording
+     * @param {string} format - 'gif' or 'webm', defaults to the format option
+     * @returns {Promise<Blob>}
+     */
+    async function clipReplay(recording, format = options.format) {
+        if (!render) {
+            throw new Error('Clips need a rendered world');
+        }
+        if (exporting || clippingReplay) {
+            throw new Error('A clip is already being exported');
+        }
+
+        // Capture the whole replay instead of a rolling window
+        capacity = Math.round(CLIP.MAX_REPLAY_SECONDS * options.frameRate);
+        resetBuffer();
+        clippingReplay = true;
+        notify();
+
+        try {
+            await new Promise((resolve, reject) => {
+                const unsubscribe = gameWorld.onReplayChange((state) => {
+                    const full = count >= capacity;
+                    if (!state.replaying || state.tick >= state.totalTicks || full) {
+                        unsubscribe();
+                        if (full && state.replaying) gameWorld.setReplayPaused(true);
+                        resolve();
+                    }
+                });
+                try {
+                    gameWorld.playRecording(recording);
+                } catch (error) {
+                    unsubscribe();
+                    reject(error);
+                }
+            });
+            return await encodeFrames(format);
+        } finally {
+            clippingReplay = false;
+            capacity = Math.max(1, Math.round(options.seconds * options.frameRate));
+            resetBuffer();
+            notify();
+        }
+    }
+
+    /**
+     * Drop the render hook and captured frames when the world is destroyed
+     */
+    function destroyClips() {
+        resetBuffer();
+        getEffects = null;
+        listeners = [];
+        if (render) {
+            Events.off(render, 'afterRender', captureFrame);
+        }
+    }
+
+    return {
+        setClipOptions,
+        getClipOptions,
+        getClipState,
+        onClipChange,
+        setClipEffectsSource,
+        canExportWebm,
+        exportClip,
+        clipReplay,
+        destroyClips,
+    };
+}
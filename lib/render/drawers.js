@@ -0,0 +1,584 @@
+// Per-type draw functions for the world renderer
+// Drawers are looked up by body label. Object types register their own with
+// registerDrawer(), so new looks never need changes to the renderer or engine.
+import { FLUID } from '../constants';
+
+const drawers = new Map();
+
+/**
+ * Register how bodies of a type are drawn
+ * @param {string} type - Body label, e.g. 'explosive'
+ * @param {Function} draw - draw(ctx, body, frame); frame is { time, zoom }
+ * @param {Object} options - { zIndex, glow: { color, blur } } defaults for the type;
+ *   a body's own render.zIndex / render.glow win over these
+ */
+export function registerDrawer(type, draw, options = {}) {
+    drawers.set(type, { draw, zIndex: options.zIndex || 0, glow: options.glow || null });
+}
+
+/**
+ * Get the drawer registered for a type, or null to use the default shape drawing
+ */
+export function getDrawer(type) {
+    return drawers.get(type) || null;
+}
+
+// ============================================
+// SHAPE HELPERS
+// ============================================
+
+/**
+ * The parts that make up a body's outline (skips the hull of compound bodies)
+ */
+function getParts(body) {
+    return body.parts.length > 1 ? body.parts.slice(1) : body.parts;
+}
+
+/**
+ * Trace a body's outline as the current path, in world coordinates
+ */
+export function traceBody(ctx, body) {
+    ctx.beginPath();
+    getParts(body).forEach((part) => {
+        if (part.circleRadius) {
+            ctx.moveTo(part.position.x + part.circleRadius, part.position.y);
+            ctx.arc(part.position.x, part.position.y, part.circleRadius, 0, Math.PI * 2);
+            return;
+        }
+        const vertices = part.vertices;
+        ctx.moveTo(vertices[0].x, vertices[0].y);
+        for (let i = 1; i < vertices.length; i++) {
+            ctx.lineTo(vertices[i].x, vertices[i].y);
+        }
+        ctx.closePath();
+    });
+}
+
+/**
+ * Extent of a body in its own rotated frame, relative to its centre of mass,
+ * so scaled bodies draw at their current size
+ */
+export function getLocalBounds(body) {
+    if (body.circleRadius) {
+        const r = body.circleRadius;
+        return { minX: -r, minY: -r, maxX: r, maxY: r, width: r * 2, height: r * 2 };
+    }
+
+    const cos = Math.cos(-body.angle);
+    const sin = Math.sin(-body.angle);
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+    body.vertices.forEach((v) => {
+        const dx = v.x - body.position.x;
+        const dy = v.y - body.position.y;
+        const x = dx * cos - dy * sin;
+        const y = dx * sin + dy * cos;
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+    });
+
+    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Width and height of a body in its own rotated frame
+ */
+export function getLocalSize(body) {
+    const { width, height } = getLocalBounds(body);
+    return { width, height };
+}
+
+/**
+ * Move the context into a body's frame: origin at its centre, rotated with it
+ */
+function enterBodyFrame(ctx, body) {
+    ctx.translate(body.position.x, body.position.y);
+    ctx.rotate(body.angle);
+}
+
+/**
+ * Default look: the body's outline filled and stroked from its render style
+ */
+export function drawShape(ctx, body) {
+    const style = body.render;
+
+    traceBody(ctx, body);
+    if (style.fillStyle) {
+        ctx.fillStyle = style.fillStyle;
+        ctx.fill();
+    }
+    if (style.strokeStyle && style.lineWidth) {
+        ctx.strokeStyle = style.strokeStyle;
+        ctx.lineWidth = style.lineWidth;
+        ctx.stroke();
+    }
+}
+
+// ============================================
+// BUILT-IN DRAWERS
+// ============================================
+
+/**
+ * Explosive barrel - metal body with hazard stripes and rims
+ */
+function drawBarrel(ctx, body) {
+    const { width, height } = getLocalSize(body);
+
+    ctx.save();
+    enterBodyFrame(ctx, body);
+
+    ctx.fillStyle = body.render.fillStyle;
+    ctx.fillRect(-width / 2, -height / 2, width, height);
+
+    // Hazard band
+    const bandHeight = height * 0.3;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(-width / 2, -bandHeight / 2, width, bandHeight);
+    ctx.clip();
+    ctx.fillStyle = '#ffeaa7';
+    ctx.fillRect(-width / 2, -bandHeight / 2, width, bandHeight);
+    ctx.fillStyle = '#2d3436';
+    const stripe = width / 4;
+    for (let x = -width / 2 - bandHeight; x < width / 2; x += stripe) {
+        ctx.beginPath();
+        ctx.moveTo(x, bandHeight / 2);
+        ctx.lineTo(x + stripe / 2, bandHeight / 2);
+        ctx.lineTo(x + stripe / 2 + bandHeight, -bandHeight / 2);
+        ctx.lineTo(x + bandHeight, -bandHeight / 2);
+        ctx.closePath();
+        ctx.fill();
+    }
+    ctx.restore();
+
+    // Rims
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    ctx.fillRect(-width / 2, -height / 2, width, height * 0.1);
+    ctx.fillRect(-width / 2, height / 2 - height * 0.1, width, height * 0.1);
+
+    ctx.strokeStyle = body.render.strokeStyle;
+    ctx.lineWidth = body.render.lineWidth;
+    ctx.strokeRect(-width / 2, -height / 2, width, height);
+
+    ctx.restore();
+}
+
+/**
+ * Balloon - shiny circle with a knot and a string that sways
+ */
+function drawBalloon(ctx, body, frame) {
+    const radius = getLocalSize(body).width / 2;
+
+    ctx.save();
+    enterBodyFrame(ctx, body);
+
+    // String
+    const sway = Math.sin(frame.time / 300 + body.id) * radius * 0.3;
+    ctx.beginPath();
+    ctx.moveTo(0, radius);
+    ctx.quadraticCurveTo(sway, radius * 1.8, -sway * 0.5, radius * 2.6);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    // Knot
+    ctx.beginPath();
+    ctx.moveTo(-radius * 0.15, radius + radius * 0.15);
+    ctx.lineTo(radius * 0.15, radius + radius * 0.15);
+    ctx.lineTo(0, radius * 0.9);
+    ctx.closePath();
+    ctx.fillStyle = body.render.fillStyle;
+    ctx.fill();
+
+    // Body and highlight
+    ctx.beginPath();
+    ctx.arc(0, 0, radius, 0, Math.PI * 2);
+    ctx.fillStyle = body.render.fillStyle;
+    ctx.fill();
+    ctx.strokeStyle = body.render.strokeStyle;
+    ctx.lineWidth = body.render.lineWidth;
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.ellipse(-radius * 0.35, -radius * 0.35, radius * 0.2, radius * 0.3, -0.6, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.45)';
+    ctx.fill();
+
+    ctx.restore();
+}
+
+/**
+ * Magnet - split into coloured poles with N/S marks; repelling magnets swap them
+ */
+function drawMagnet(ctx, body) {
+    const { width, height } = getLocalSize(body);
+    const attract = (body.magnetPolarity || 1) > 0;
+    const left = attract ? '#e74c3c' : '#3498db';
+    const right = attract ? '#3498db' : '#e74c3c';
+
+    ctx.save();
+    enterBodyFrame(ctx, body);
+
+    ctx.fillStyle = left;
+    ctx.fillRect(-width / 2, -height / 2, width / 2, height);
+    ctx.fillStyle = right;
+    ctx.fillRect(0, -height / 2, width / 2, height);
+
+    ctx.strokeStyle = body.render.strokeStyle;
+    ctx.lineWidth = body.render.lineWidth;
+    ctx.strokeRect(-width / 2, -height / 2, width, height);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `bold ${Math.round(height * 0.5)}px monospace`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(attract ? 'N' : 'S', -width / 4, 0);
+    ctx.fillText(attract ? 'S' : 'N', width / 4, 0);
+
+    ctx.restore();
+}
+
+/**
+ * Black hole - dark core inside a swirling accretion ring
+ */
+function drawBlackHole(ctx, body, frame) {
+    const radius = body.circleRadius;
+    const { x, y } = body.position;
+    const spin = frame.time / 400;
+
+    ctx.save();
+
+    // Halo
+    const halo = ctx.createRadialGradient(x, y, radius * 0.5, x, y, radius * 2.5);
+    halo.addColorStop(0, 'rgba(155, 89, 182, 0.6)');
+    halo.addColorStop(1, 'rgba(155, 89, 182, 0)');
+    ctx.fillStyle = halo;
+    ctx.beginPath();
+    ctx.arc(x, y, radius * 2.5, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Accretion ring - arcs at different speeds
+    ctx.lineCap = 'round';
+    for (let i = 0; i < 6; i++) {
+        const ringRadius = radius * (1.15 + (i % 3) * 0.25);
+        const start = spin * (1 + i * 0.3) + (i * Math.PI) / 3;
+        ctx.beginPath();
+        ctx.arc(x, y, ringRadius, start, start + Math.PI * 0.7);
+        ctx.strokeStyle = i % 2 ? '#ff9ff3' : '#9b59b6';
+        ctx.lineWidth = 4 - (i % 3);
+        ctx.stroke();
+    }
+
+    // Core
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = body.render.fillStyle;
+    ctx.fill();
+
+    ctx.restore();
+}
+
+/**
+ * Anvil - cartoon silhouette with a horn, waist and foot over the trapezoid body
+ */
+function drawAnvil(ctx, body) {
+    const bounds = getLocalBounds(body);
+    const w = bounds.width;
+    const h = bounds.height;
+
+    ctx.save();
+    enterBodyFrame(ctx, body);
+    // The centre of mass sits low in the trapezoid; draw around the middle of its extent
+    ctx.translate((bounds.minX + bounds.maxX) / 2, (bounds.minY + bounds.maxY) / 2);
+
+    ctx.beginPath();
+    // Face, with the horn out to the left
+    ctx.moveTo(-w * 0.5, -h * 0.5);
+    ctx.lineTo(w * 0.5, -h * 0.5);
+    ctx.lineTo(w * 0.5, -h * 0.22);
+    ctx.lineTo(w * 0.2, -h * 0.12);
+    // Waist
+    ctx.lineTo(w * 0.15, h * 0.25);
+    // Foot
+    ctx.lineTo(w * 0.38, h * 0.35);
+    ctx.lineTo(w * 0.38, h * 0.5);
+    ctx.lineTo(-w * 0.38, h * 0.5);
+    ctx.lineTo(-w * 0.38, h * 0.35);
+    ctx.lineTo(-w * 0.15, h * 0.25);
+    ctx.lineTo(-w * 0.2, -h * 0.12);
+    ctx.quadraticCurveTo(-w * 0.45, -h * 0.15, -w * 0.5, -h * 0.5);
+    ctx.closePath();
+
+    ctx.fillStyle = body.render.fillStyle;
+    ctx.fill();
+    ctx.strokeStyle = body.render.strokeStyle;
+    ctx.lineWidth = body.render.lineWidth;
+    ctx.stroke();
+
+    // Shine along the face
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.18)';
+    ctx.fillRect(-w * 0.3, -h * 0.45, w * 0.75, h * 0.08);
+
+    ctx.restore();
+}
+
+// Soft bodies already outlined this frame, so only their first visible cell draws them
+const drawnSoftBodies = new WeakMap();
+
+/**
+ * Jelly - one smooth outline around the whole block, swelling and squashing
+ * with its cells, with a wet highlight
+ */
+function drawJelly(ctx, body, frame) {
+    const { softBody } = body;
+    if (!softBody) {
+        drawShape(ctx, body);
+        return;
+    }
+    if (drawnSoftBodies.get(softBody) === frame) return;
+    drawnSoftBodies.set(softBody, frame);
+
+    // Edge cells pushed out by their radius, away from the middle of the block
+    const { cells, hull } = softBody;
+    const middle = {
+        x: cells.reduce((sum, cell) => sum + cell.position.x, 0) / cells.length,
+        y: cells.reduce((sum, cell) => sum + cell.position.y, 0) / cells.length,
+    };
+    const points = hull.map((cell) => {
+        const dx = cell.position.x - middle.x;
+        const dy = cell.position.y - middle.y;
+        const distance = Math.hypot(dx, dy) || 1;
+        return {
+            x: cell.position.x + (dx / distance) * cell.circleRadius,
+            y: cell.position.y + (dy / distance) * cell.circleRadius,
+        };
+    });
+
+    // Curve through the midpoints between edge points, bending at each point
+    const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+    const start = midpoint(points[points.length - 1], points[0]);
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    points.forEach((point, i) => {
+        const next = midpoint(point, points[(i + 1) % points.length]);
+        ctx.quadraticCurveTo(point.x, point.y, next.x, next.y);
+    });
+    ctx.closePath();
+
+    ctx.fillStyle = body.render.fillStyle;
+    ctx.fill();
+    ctx.strokeStyle = body.render.strokeStyle;
+    ctx.lineWidth = body.render.lineWidth;
+    ctx.stroke();
+
+    const width = Math.max(...points.map((p) => p.x)) - Math.min(...points.map((p) => p.x));
+    const height = Math.max(...points.map((p) => p.y)) - Math.min(...points.map((p) => p.y));
+    ctx.beginPath();
+    ctx.ellipse(middle.x - width * 0.2, middle.y - height * 0.2, width * 0.18, height * 0.12, 0, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.fill();
+}
+
+/**
+ * Rope segment - a rounded strand with a twist across it
+ */
+function drawRopeSegment(ctx, body) {
+    const { width, height } = getLocalSize(body);
+
+    ctx.save();
+    enterBodyFrame(ctx, body);
+    ctx.lineCap = 'round';
+    ctx.strokeStyle = body.render.fillStyle;
+    ctx.lineWidth = width;
+    ctx.beginPath();
+    ctx.moveTo(0, -height / 2 + width / 2);
+    ctx.lineTo(0, height / 2 - width / 2);
+    ctx.stroke();
+
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(-width / 2, -height * 0.2);
+    ctx.lineTo(width / 2, height * 0.05);
+    ctx.moveTo(-width / 2, height * 0.2);
+    ctx.lineTo(width / 2, height * 0.45);
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Chain link - an open oval, every other one seen edge on
+ */
+function drawChainLink(ctx, body) {
+    const { width, height } = getLocalSize(body);
+    const thickness = width * 0.35;
+
+    ctx.save();
+    enterBodyFrame(ctx, body);
+    ctx.strokeStyle = body.render.fillStyle;
+    ctx.lineWidth = thickness;
+    ctx.beginPath();
+    if (body.id % 2) {
+        ctx.moveTo(0, -height / 2);
+        ctx.lineTo(0, height / 2);
+    } else {
+        ctx.ellipse(0, 0, (width - thickness) / 2, (height - thickness) / 2 + thickness, 0, 0, Math.PI * 2);
+    }
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Drawn shape - the outline as sketched rather than the convex parts it was
+ * split into, at the body's current scale and stretch
+ */
+function drawCustomShape(ctx, body) {
+    const outline = body.customShape?.vertices;
+    if (!outline) {
+        drawShape(ctx, body);
+        return;
+    }
+
+    const scale = body.customScale || 1;
+    const stretch = body.customStretch || 1;
+    ctx.save();
+    enterBodyFrame(ctx, body);
+    ctx.beginPath();
+    outline.forEach((v, i) => {
+        const x = v.x * scale * stretch;
+        const y = v.y * scale;
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+    ctx.fillStyle = body.render.fillStyle;
+    ctx.fill();
+    ctx.strokeStyle = body.render.strokeStyle;
+    ctx.lineWidth = body.render.lineWidth;
+    ctx.stroke();
+    ctx.restore();
+}
+
+// ============================================
+// JOINTS
+// ============================================
+
+const SPRING_COILS = 8;
+
+/**
+ * Draw a joint constraint between its two world-space ends: a rope sags when
+ * slack, a spring zigzags, and hinges and welds are pins where they hold
+ */
+export function drawJoint(ctx, constraint, start, end) {
+    const { strokeStyle, lineWidth } = constraint.render;
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const distance = Math.hypot(dx, dy);
+
+    ctx.save();
+    ctx.strokeStyle = strokeStyle;
+    ctx.fillStyle = strokeStyle;
+    ctx.lineWidth = lineWidth;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+
+    switch (constraint.jointType) {
+        case 'rope': {
+            // Hang the slack below the midpoint
+            const sag = distance < constraint.length ? Math.sqrt(constraint.length ** 2 - distance ** 2) / 2 : 0;
+            ctx.moveTo(start.x, start.y);
+            ctx.quadraticCurveTo((start.x + end.x) / 2, (start.y + end.y) / 2 + sag, end.x, end.y);
+            ctx.stroke();
+            break;
+        }
+        case 'spring': {
+            const normal = distance > 0 ? { x: -dy / distance, y: dx / distance } : { x: 0, y: 0 };
+            const width = lineWidth * 3;
+            ctx.moveTo(start.x, start.y);
+            for (let i = 1; i < SPRING_COILS * 2; i++) {
+                const t = i / (SPRING_COILS * 2);
+                const side = i % 2 ? width : -width;
+                ctx.lineTo(start.x + dx * t + normal.x * side, start.y + dy * t + normal.y * side);
+            }
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
+            break;
+        }
+        case 'hinge':
+            ctx.arc(end.x, end.y, lineWidth * 1.5, 0, Math.PI * 2);
+            ctx.stroke();
+            break;
+        case 'weld':
+            ctx.rect(end.x - lineWidth, end.y - lineWidth, lineWidth * 2, lineWidth * 2);
+            ctx.fill();
+            break;
+        default:
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
+    }
+
+    ctx.restore();
+}
+
+// ============================================
+// WATER
+// ============================================
+
+/**
+ * Draw a water zone (see fluids.js): see-through water with an edge, and
+ * ripples drifting across it with simulation time
+ * @param {Object} zone - { vertices, bounds } in world coordinates
+ */
+export function drawWaterZone(ctx, zone, frame) {
+    const { vertices, bounds } = zone;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(vertices[0].x, vertices[0].y);
+    for (let i = 1; i < vertices.length; i++) {
+        ctx.lineTo(vertices[i].x, vertices[i].y);
+    }
+    ctx.closePath();
+    ctx.globalAlpha = 0.35;
+    ctx.fillStyle = FLUID.COLOR;
+    ctx.fill();
+    ctx.globalAlpha = 0.8;
+    ctx.lineWidth = 2 / frame.zoom;
+    ctx.strokeStyle = FLUID.SURFACE_COLOR;
+    ctx.stroke();
+
+    // Only the part on screen is worth rippling; a flood reaches well past it
+    const left = Math.max(bounds.min.x, frame.bounds.min.x);
+    const right = Math.min(bounds.max.x, frame.bounds.max.x);
+    const top = Math.max(bounds.min.y, frame.bounds.min.y - FLUID.RIPPLE_SPACING);
+    const bottom = Math.min(bounds.max.y, frame.bounds.max.y);
+    const phase = bounds.min.y % FLUID.RIPPLE_SPACING;
+
+    ctx.clip();
+    ctx.globalAlpha = 0.25;
+    ctx.lineWidth = 1.5 / frame.zoom;
+    ctx.beginPath();
+    for (let y = top - ((top - phase) % FLUID.RIPPLE_SPACING) + FLUID.RIPPLE_SPACING / 2; y < bottom; y += FLUID.RIPPLE_SPACING) {
+        for (let x = left; x <= right + 20; x += 20) {
+            const wave = Math.sin((x + y) * 0.05 + frame.time * 0.002) * 3;
+            if (x === left) ctx.moveTo(x, y + wave);
+            else ctx.lineTo(x, y + wave);
+        }
+    }
+    ctx.stroke();
+    ctx.restore();
+}
+
+registerDrawer('explosive', drawBarrel, { zIndex: 1, glow: { color: '#ff4757', blur: 12 } });
+registerDrawer('balloon', drawBalloon, { zIndex: 1 });
+registerDrawer('magnet', drawMagnet, { zIndex: 2, glow: { color: '#ffffff', blur: 8 } });
+registerDrawer('blackhole', drawBlackHole, { zIndex: -1, glow: { color: '#9b59b6', blur: 25 } });
+registerDrawer('anvil', drawAnvil, { zIndex: 1 });
+registerDrawer('jelly', drawJelly);
+registerDrawer('custom', drawCustomShape);
+registerDrawer('fragment', drawCustomShape);
+registerDrawer('rope', drawRopeSegment);
+registerDrawer('chain', drawChainLink);
@@ -0,0 +1,226 @@
+// Animated GIF encoder - pure JS, frames are added one at a time
+// Every frame is mapped onto one fixed 252-colour palette (6 levels of red and
+// blue, 7 of green) with a light ordered dither, then LZW-compressed. A fixed
+// palette keeps encoding fast and needs no pass over the whole clip first.
+
+const RED_LEVELS = 6;
+const GREEN_LEVELS = 7;
+const BLUE_LEVELS = 6;
+
+// Colour table size as a power of two (2^8 = 256 entries)
+const PALETTE_BITS = 8;
+const MAX_CODE = 4095;
+
+// 4x4 Bayer matrix, scaled to -0.5..0.5 of a palette step
+const BAYER = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5].map((v) => (v + 0.5) / 16 - 0.5);
+
+function buildPalette() {
+    const palette = new Uint8Array((1 << PALETTE_BITS) * 3);
+    let i = 0;
+    for (let r = 0; r < RED_LEVELS; r++) {
+        for (let g = 0; g < GREEN_LEVELS; g++) {
+            for (let b = 0; b < BLUE_LEVELS; b++) {
+                palette[i++] = Math.round((r * 255) / (RED_LEVELS - 1));
+                palette[i++] = Math.round((g * 255) / (GREEN_LEVELS - 1));
+                palette[i++] = Math.round((b * 255) / (BLUE_LEVELS - 1));
+            }
+        }
+    }
+    return palette;
+}
+
+function quantizeLevel(value, levels, threshold) {
+    const scaled = (value / 255) * (levels - 1) + threshold;
+    return Math.max(0, Math.min(levels - 1, Math.round(scaled)));
+}
+
+/**
+ * Map RGBA pixels to palette indices
+ */
+function indexPixels(rgba, width, height) {
+    const indices = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            const threshold = BAYER[(y & 3) * 4 + (x & 3)];
+            const r = quantizeLevel(rgba[p * 4], RED_LEVELS, threshold);
+            const g = quantizeLevel(rgba[p * 4 + 1], GREEN_LEVELS, threshold);
+            const b = quantizeLevel(rgba[p * 4 + 2], BLUE_LEVELS, threshold);
+            indices[p] = (r * GREEN_LEVELS + g) * BLUE_LEVELS + b;
+        }
+    }
+    return indices;
+}
+
+/**
+ * Growable byte buffer
+ */
+function createByteWriter() {
+    let bytes = new Uint8Array(1 << 16);
+    let length = 0;
+
+    function ensure(extra) {
+        if (length + extra <= bytes.length) return;
+        let size = bytes.length * 2;
+        while (size < length + extra) size *= 2;
+        const grown = new Uint8Array(size);
+        grown.set(bytes.subarray(0, length));
+        bytes = grown;
+    }
+
+    return {
+        byte(value) {
+            ensure(1);
+            bytes[length++] = value;
+        },
+        short(value) {
+            ensure(2);
+            bytes[length++] = value & 0xff;
+            bytes[length++] = (value >> 8) & 0xff;
+        },
+        bytes(values) {
+            ensure(values.length);
+            bytes.set(values, length);
+            length += values.length;
+        },
+        string(text) {
+            for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+        },
+        result() {
+            return bytes.slice(0, length);
+        },
+    };
+}
+
+/**
+ * LZW-compress palette indices into GIF image data sub-blocks
+ */
+function writeImageData(out, indices) {
+    const minCodeSize = PALETTE_BITS;
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    let block = new Uint8Array(255);
+    let blockLength = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    function flushBlock() {
+        if (blockLength === 0) return;
+        out.byte(blockLength);
+        out.bytes(block.subarray(0, blockLength));
+        blockLength = 0;
+    }
+
+    function emit(code) {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block[blockLength++] = bitBuffer & 0xff;
+            if (blockLength === 255) flushBlock();
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    }
+
+    out.byte(minCodeSize);
+    emit(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const pixel = indices[i];
+        const key = (prefix << 8) | pixel;
+        const existing = table.get(key);
+        if (existing !== undefined) {
+            prefix = existing;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode > MAX_CODE) {
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = pixel;
+    }
+
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) {
+        block[blockLength++] = bitBuffer & 0xff;
+        if (blockLength === 255) flushBlock();
+    }
+    flushBlock();
+    out.byte(0);
+}
+
+/**
+ * Create an animated GIF encoder
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @param {Object} options - { loop: 0 } repeat count, 0 loops forever
+ */
+export function createGifEncoder(width, height, options = {}) {
+    const { loop = 0 } = options;
+    const out = createByteWriter();
+
+    out.string('GIF89a');
+    out.short(width);
+    out.short(height);
+    out.byte(0x80 | ((PALETTE_BITS - 1) << 4) | (PALETTE_BITS - 1)); // global colour table
+    out.byte(0); // background colour index
+    out.byte(0); // pixel aspect ratio
+    out.bytes(buildPalette());
+
+    // NETSCAPE2.0 extension makes the animation repeat
+    out.bytes([0x21, 0xff, 0x0b]);
+    out.string('NETSCAPE2.0');
+    out.bytes([0x03, 0x01]);
+    out.short(loop);
+    out.byte(0);
+
+    /**
+     * Append a frame
+     * @param {Uint8ClampedArray} rgba - width * height RGBA pixels, e.g. ImageData.data
+     * @param {number} delayMs - How long the frame shows; GIFs store hundredths of a second
+     */
+    function addFrame(rgba, delayMs) {
+        // Graphic control extension: no transparency, leave the frame in place
+        out.bytes([0x21, 0xf9, 0x04, 0x04]);
+        out.short(Math.max(2, Math.round(delayMs / 10)));
+        out.bytes([0x00, 0x00]);
+
+        // Image descriptor covering the whole canvas, using the global palette
+        out.byte(0x2c);
+        out.short(0);
+        out.short(0);
+        out.short(width);
+        out.short(height);
+        out.byte(0);
+
+        writeImageData(out, indexPixels(rgba, width, height));
+    }
+
+    /**
+     * Finish the file
+     * @returns {Blob} - image/gif
+     */
+    function finish() {
+        out.byte(0x3b);
+        return new Blob([out.result()], { type: 'image/gif' });
+    }
+
+    return {
+        addFrame,
+        finish,
+    };
+}
@@ -0,0 +1,174 @@
+// World renderer - draws the engine's bodies onto a canvas in place of Matter.Render
+// Bodies are drawn in z-order with their type's drawer (see drawers.js), then
+// visible constraints and joints, then overlays such as tool previews.
+import Matter from 'matter-js';
+import { getDrawer, drawShape, drawJoint } from './drawers';
+
+const { Composite, Events, Bounds } = Matter;
+
+/**
+ * Create a renderer for an engine.
+ * The camera moves the view by writing renderer.bounds; 'beforeRender' and
+ * 'afterRender' events fire on the renderer every frame (Matter.Events).
+ * @param {Object} options - { canvas, engine, width, height, background }
+ */
+export function createRenderer({ canvas, engine, width, height, background }) {
+    const context = canvas.getContext('2d');
+    let frameRequest = null;
+    let overlays = [];
+
+    const renderer = {
+        canvas,
+        context,
+        engine,
+        options: { width, height, background },
+        bounds: { min: { x: 0, y: 0 }, max: { x: width, y: height } },
+    };
+
+    canvas.width = width;
+    canvas.height = height;
+
+    /**
+     * Resize the canvas (in canvas pixels); the camera sets the bounds to match
+     */
+    function setSize(newWidth, newHeight) {
+        renderer.options.width = newWidth;
+        renderer.options.height = newHeight;
+        canvas.width = newWidth;
+        canvas.height = newHeight;
+    }
+
+    /**
+     * Add a drawing pass on top of the world, e.g. a tool preview.
+     * @param {Function} draw - draw(ctx, frame) in world coordinates; frame is { time, zoom, bounds }
+     * @param {Object} options - { zIndex } to order overlays among themselves
+     * @returns {Function} - Remove function
+     */
+    function addOverlay(draw, options = {}) {
+        const overlay = { draw, zIndex: options.zIndex || 0 };
+        overlays = [...overlays, overlay].sort((a, b) => a.zIndex - b.zIndex);
+        return () => {
+            overlays = overlays.filter((o) => o !== overlay);
+        };
+    }
+
+    function getZIndex(body) {
+        if (body.render.zIndex !== undefined) return body.render.zIndex;
+        const drawer = getDrawer(body.label);
+        return drawer ? drawer.zIndex : 0;
+    }
+
+    function drawBody(ctx, body, frame) {
+        const drawer = getDrawer(body.label);
+        const glow = body.render.glow || (drawer && drawer.glow);
+
+        ctx.save();
+        ctx.globalAlpha = body.render.opacity ?? 1;
+        if (glow) {
+            ctx.shadowColor = glow.color;
+            ctx.shadowBlur = glow.blur * frame.zoom;
+        }
+
+        if (drawer) {
+            drawer.draw(ctx, body, frame);
+        } else {
+            drawShape(ctx, body);
+        }
+
+        ctx.restore();
+    }
+
+    function drawConstraint(ctx, constraint) {
+        const style = constraint.render;
+        if (!style || !style.visible || !style.lineWidth) return;
+
+        const { bodyA, bodyB, pointA, pointB } = constraint;
+        const start = bodyA ? { x: bodyA.position.x + pointA.x, y: bodyA.position.y + pointA.y } : pointA;
+        const end = bodyB ? { x: bodyB.position.x + pointB.x, y: bodyB.position.y + pointB.y } : pointB;
+
+        if (constraint.jointType) {
+            drawJoint(ctx, constraint, start, end);
+            return;
+        }
+
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.strokeStyle = style.strokeStyle;
+        ctx.lineWidth = style.lineWidth;
+        ctx.globalAlpha = style.opacity ?? 1;
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draw one frame
+     */
+    function renderFrame() {
+        Events.trigger(renderer, 'beforeRender');
+
+        const { bounds } = renderer;
+        const viewWidth = bounds.max.x - bounds.min.x;
+        const viewHeight = bounds.max.y - bounds.min.y;
+        const scaleX = canvas.width / viewWidth;
+        const scaleY = canvas.height / viewHeight;
+        const frame = { time: engine.timing.timestamp, zoom: scaleX, bounds };
+
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.fillStyle = renderer.options.background;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        context.setTransform(scaleX, 0, 0, scaleY, -bounds.min.x * scaleX, -bounds.min.y * scaleY);
+
+        const bodies = Composite.allBodies(engine.world)
+            .filter((body) => body.render.visible !== false && Bounds.overlaps(body.bounds, bounds))
+            .map((body, order) => ({ body, order, zIndex: getZIndex(body) }))
+            .sort((a, b) => a.zIndex - b.zIndex || a.order - b.order);
+
+        bodies.forEach(({ body }) => drawBody(context, body, frame));
+
+        Composite.allConstraints(engine.world).forEach((constraint) => {
+            drawConstraint(context, constraint);
+        });
+
+        overlays.forEach((overlay) => {
+            context.save();
+            overlay.draw(context, frame);
+            context.restore();
+        });
+
+        context.setTransform(1, 0, 0, 1, 0, 0);
+
+        Events.trigger(renderer, 'afterRender');
+    }
+
+    /**
+     * Start drawing every animation frame
+     */
+    function run() {
+        if (frameRequest) return;
+        const loop = () => {
+            frameRequest = window.requestAnimationFrame(loop);
+            renderFrame();
+        };
+        frameRequest = window.requestAnimationFrame(loop);
+    }
+
+    /**
+     * Stop the animation frame loop
+     */
+    function stop() {
+        if (frameRequest) {
+            window.cancelAnimationFrame(frameRequest);
+            frameRequest = null;
+        }
+    }
+
+    return Object.assign(renderer, {
+        setSize,
+        addOverlay,
+        renderFrame,
+        run,
+        stop,
+    });
+}
@@ -0,0 +1,145 @@
+// Saved scenes - named localStorage slots, the last sandbox and .chaos.json files
+// Scenes are world snapshots (see snapshotWorld) with a name and save time.
+// Loading one goes through restoreWorld, which rebuilds every object with the
+// same factories the game uses to spawn them.
+import { SCENES } from '../constants';
+import { SNAPSHOT_VERSION } from '../physics/snapshot';
+
+const FILE_TYPE = 'chaos-scene';
+
+function readStorage(key) {
+    if (typeof localStorage === 'undefined') return null;
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Write JSON to localStorage; throws if storage is full or unavailable
+ */
+function writeStorage(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+}
+
+function readSlots() {
+    return readStorage(SCENES.STORAGE_KEY) || {};
+}
+
+function cleanName(name) {
+    return String(name).trim().slice(0, SCENES.MAX_NAME_LENGTH);
+}
+
+// ============================================
+// SAVE SLOTS
+// ============================================
+
+/**
+ * Saved slots, newest first
+ * @returns {Array} - [{ name, savedAt, bodyCount }]
+ */
+export function listSceneSlots() {
+    return Object.values(readSlots())
+        .map((scene) => ({
+            name: scene.name,
+            savedAt: scene.savedAt,
+            bodyCount: scene.snapshot.bodies.length
+                + scene.snapshot.groups.reduce((sum, group) => sum + group.parts.length, 0),
+        }))
+        .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Save a snapshot under a name, replacing any slot with that name
+ * @returns {string} - The name it was saved as
+ */
+export function saveSceneSlot(name, snapshot) {
+    const slotName = cleanName(name);
+    if (!slotName) {
+        throw new Error('A scene needs a name');
+    }
+
+    const slots = readSlots();
+    slots[slotName] = { name: slotName, savedAt: Date.now(), snapshot };
+    writeStorage(SCENES.STORAGE_KEY, slots);
+    return slotName;
+}
+
+/**
+ * @returns {Object|null} - The slot's snapshot
+ */
+export function loadSceneSlot(name) {
+    const scene = readSlots()[name];
+    return scene ? scene.snapshot : null;
+}
+
+export function deleteSceneSlot(name) {
+    const slots = readSlots();
+    delete slots[name];
+    writeStorage(SCENES.STORAGE_KEY, slots);
+}
+
+// ============================================
+// LAST SANDBOX
+// ============================================
+
+/**
+ * Remember the solo sandbox so it can be continued later
+ */
+export function saveLastSandbox(snapshot) {
+    writeStorage(SCENES.LAST_SANDBOX_KEY, { savedAt: Date.now(), snapshot });
+}
+
+/**
+ * @returns {Object|null} - The last sandbox's snapshot, if one was saved in a format this build reads
+ */
+export function loadLastSandbox() {
+    const saved = readStorage(SCENES.LAST_SANDBOX_KEY);
+    return saved && saved.snapshot?.version === SNAPSHOT_VERSION ? saved.snapshot : null;
+}
+
+export function hasLastSandbox() {
+    return loadLastSandbox() !== null;
+}
+
+// ============================================
+// FILES
+// ============================================
+
+/**
+ * Turn a snapshot into a .chaos.json file
+ * @returns {Blob}
+ */
+export function sceneToFile(name, snapshot) {
+    const file = {
+        type: FILE_TYPE,
+        name: cleanName(name),
+        savedAt: Date.now(),
+        snapshot,
+    };
+    return new Blob([JSON.stringify(file)], { type: 'application/json' });
+}
+
+/**
+ * File name for a scene, e.g. "Tower of anvils" -> "tower-of-anvils.chaos.json"
+ */
+export function getSceneFileName(name) {
+    const base = cleanName(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${base || 'scene'}${SCENES.FILE_EXTENSION}`;
+}
+
+/**
+ * Read a .chaos.json file's text
+ * @returns {Object} - { name, snapshot }
+ */
+export function parseSceneFile(text) {
+    const file = JSON.parse(text);
+    if (!file || file.type !== FILE_TYPE || !file.snapshot) {
+        throw new Error('Not a scene file');
+    }
+    if (file.snapshot.version !== SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version: ${file.snapshot.version}`);
+    }
+    return { name: file.name || 'Imported scene', snapshot: file.snapshot };
+}
@@ -0,0 +1,86 @@
+// My shapes - outlines drawn with the draw tool, kept in localStorage for the palette
+// A saved shape is all a drawn body is rebuilt from: its outline around the
+// centre of mass and its material. Newest first, up to DRAW.MAX_SAVED.
+import { DRAW } from '../constants';
+
+const NO_SHAPES = [];
+
+let listeners = [];
+// The parsed list for the stored text, so unchanged storage reads as the same array
+let cache = { raw: null, shapes: NO_SHAPES };
+
+function notify() {
+    listeners.forEach((listener) => listener());
+}
+
+/**
+ * Saved shapes, newest first. The same array comes back until they change,
+ * so this can feed useSyncExternalStore.
+ * @returns {Array} - [{ id, vertices, material, savedAt }]
+ */
+export function getSavedShapes() {
+    if (typeof localStorage === 'undefined') return NO_SHAPES;
+
+    const raw = localStorage.getItem(DRAW.STORAGE_KEY);
+    if (raw !== cache.raw) {
+        let shapes = null;
+        try {
+            shapes = JSON.parse(raw);
+        } catch {
+            shapes = null;
+        }
+        cache = { raw, shapes: Array.isArray(shapes) ? shapes : NO_SHAPES };
+    }
+    return cache.shapes;
+}
+
+/**
+ * No shapes, for rendering on the server where there is no storage
+ */
+export function getNoShapes() {
+    return NO_SHAPES;
+}
+
+/**
+ * Keep a drawn shape. Drawing the same outline in the same material again
+ * moves it to the front instead of adding it twice.
+ * Throws if storage is full or unavailable.
+ * @param {Object} shape - { vertices, material }
+ * @returns {string} - The saved shape's id
+ */
+export function saveShape(shape) {
+    const outline = JSON.stringify(shape.vertices);
+    const existing = getSavedShapes().find((saved) => (
+        saved.material === shape.material && JSON.stringify(saved.vertices) === outline
+    ));
+    const saved = {
+        id: existing ? existing.id : `shape_${Date.now()}`,
+        vertices: shape.vertices,
+        material: shape.material,
+        savedAt: Date.now(),
+    };
+
+    const shapes = [saved, ...getSavedShapes().filter((other) => other.id !== saved.id)].slice(0, DRAW.MAX_SAVED);
+    localStorage.setItem(DRAW.STORAGE_KEY, JSON.stringify(shapes));
+    notify();
+    return saved.id;
+}
+
+export function deleteShape(id) {
+    const shapes = getSavedShapes().filter((shape) => shape.id !== id);
+    localStorage.setItem(DRAW.STORAGE_KEY, JSON.stringify(shapes));
+    notify();
+}
+
+/**
+ * Subscribe to changes to the saved shapes, from this tab or another
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToShapes(listener) {
+    listeners.push(listener);
+    window.addEventListener('storage', listener);
+    return () => {
+        listeners = listeners.filter((l) => l !== listener);
+        window.removeEventListener('storage', listener);
+    };
+}
@@ -0,0 +1,372 @@
+// Scene links - a whole scene packed into a URL hash, e.g. /game#scene=1.eJy...
+// The snapshot is rewritten as nested arrays: repeated strings (object types,
+// colours, labels) become indexes into one table, numbers are rounded to
+// fixed steps and body ids become positions in the body list. That JSON is
+// deflated and base64url-encoded behind a link version, so a link from an
+// incompatible build is told apart from a damaged one before decoding.
+// Version 1 links predate water. The fields they gained over time were all
+// added at the ends of their arrays, so unpacking tells those apart by what
+// is present.
+import { SCENES } from '../constants';
+import { SNAPSHOT_VERSION } from '../physics/snapshot';
+
+// Rounding steps: a stored integer n means n / STEP
+const POSITION = 10;
+const ANGLE = 1000;
+const VELOCITY = 100;
+const FACTOR = 1000;
+const FRICTION_AIR = 10000;
+const FORCE = 100000;
+const DENSITY = 1000000;
+
+const FLAG_STATIC = 1;
+const FLAG_FLOATY = 2;
+const FLAG_EXPLOSIVE = 4;
+
+const OLDEST_LINK_VERSION = 1;
+const WATER_LINK_VERSION = 2;
+
+function q(value, step) {
+    return Math.round(value * step);
+}
+
+function createStringTable() {
+    const strings = [];
+    const indexes = new Map();
+    return {
+        strings,
+        add(value) {
+            if (!indexes.has(value)) {
+                indexes.set(value, strings.length);
+                strings.push(value);
+            }
+            return indexes.get(value);
+        },
+    };
+}
+
+// ============================================
+// PACKING
+// ============================================
+
+function packScene(snapshot) {
+    const table = createStringTable();
+    const bodyIndexes = new Map();
+
+    const packBody = (record) => {
+        bodyIndexes.set(record.id, bodyIndexes.size);
+        return [
+            table.add(record.type),
+            q(record.x, POSITION),
+            q(record.y, POSITION),
+            q(record.angle, ANGLE),
+            q(record.vx, VELOCITY),
+            q(record.vy, VELOCITY),
+            q(record.angularVelocity, ANGLE),
+            q(record.scale, FACTOR),
+            (record.isStatic ? FLAG_STATIC : 0)
+                | (record.isFloaty ? FLAG_FLOATY : 0)
+                | (record.isExplosive ? FLAG_EXPLOSIVE : 0),
+            q(record.restitution, FACTOR),
+            q(record.friction, FACTOR),
+            q(record.frictionAir, FRICTION_AIR),
+            table.add(record.color),
+            q(record.stretch ?? 1, FACTOR),
+            typeof record.density === 'number' ? q(record.density, DENSITY) : -1,
+            record.shape
+                ? [table.add(record.shape.material), record.shape.vertices.flatMap((v) => [q(v.x, POSITION), q(v.y, POSITION)])]
+                : -1,
+        ];
+    };
+    const indexOf = (id) => (bodyIndexes.has(id) ? bodyIndexes.get(id) : -1);
+
+    const bodies = snapshot.bodies.map(packBody);
+    const groups = snapshot.groups.map((group) => [
+        table.add(group.type),
+        q(group.scale, FACTOR),
+        group.parts.map(packBody),
+    ]);
+
+    // Joint ids only need to tell joints apart (a weld is two constraints)
+    const jointIndexes = new Map();
+    const jointIndexOf = (id) => {
+        if (!jointIndexes.has(id)) jointIndexes.set(id, jointIndexes.size);
+        return jointIndexes.get(id);
+    };
+
+    const constraints = snapshot.constraints.map((c) => [
+        c.bodyA ? indexOf(c.bodyA) : -1,
+        c.bodyB ? indexOf(c.bodyB) : -1,
+        q(c.pointA.x, POSITION),
+        q(c.pointA.y, POSITION),
+        q(c.pointB.x, POSITION),
+        q(c.pointB.y, POSITION),
+        q(c.length, POSITION),
+        q(c.stiffness, FACTOR),
+        q(c.damping, FACTOR),
+        table.add(c.label),
+        c.render.visible ? 1 : 0,
+        table.add(c.render.strokeStyle),
+        q(c.render.lineWidth, POSITION),
+        c.jointId ? table.add(c.jointType) : -1,
+        c.jointId ? jointIndexOf(c.jointId) : -1,
+    ]);
+
+    const { special } = snapshot;
+    const blackHoles = special.blackHoles.map((bh) => [
+        q(bh.x, POSITION),
+        q(bh.y, POSITION),
+        q(bh.radius, POSITION),
+        q(bh.pullRadius, POSITION),
+        q(bh.pullStrength, FORCE),
+        Math.round(bh.age),
+        Math.round(bh.lifetime),
+        q(bh.eventHorizon, POSITION),
+        bh.consumedIds.map(indexOf).filter((i) => i >= 0),
+    ]);
+    const magnets = special.magnets.map((magnet) => [
+        q(magnet.x, POSITION),
+        q(magnet.y, POSITION),
+        q(magnet.angle, ANGLE),
+        magnet.polarity,
+        q(magnet.strength, FORCE),
+        Math.round(magnet.range),
+    ]);
+
+    const { zones, flood } = snapshot.fluids;
+    const fluids = [
+        zones.map((zone) => zone.vertices.flatMap((v) => [q(v.x, POSITION), q(v.y, POSITION)])),
+        flood ? [q(flood.depth, POSITION), q(flood.targetDepth, POSITION)] : -1,
+    ];
+
+    return [
+        SNAPSHOT_VERSION,
+        table.strings,
+        [
+            Math.round(snapshot.time),
+            snapshot.arena.width,
+            snapshot.arena.height,
+            table.add(snapshot.boundaryMode),
+            q(snapshot.gravity.x, FACTOR),
+            q(snapshot.gravity.y, FACTOR),
+            q(snapshot.timeScale, FACTOR),
+        ],
+        bodies,
+        groups,
+        constraints,
+        [blackHoles, magnets, special.slowMotion ? 1 : 0, special.frozen ? 1 : 0],
+        snapshot.chaos,
+        fluids,
+    ];
+}
+
+function unpackOutline(values) {
+    const vertices = [];
+    for (let i = 0; i < values.length; i += 2) {
+        vertices.push({ x: values[i] / POSITION, y: values[i + 1] / POSITION });
+    }
+    return vertices;
+}
+
+function unpackScene(packed) {
+    const [, strings, world, bodies, groups, constraints, special, chaos, fluids] = packed;
+
+    const ids = [];
+    const unpackBody = (values) => {
+        const [type, x, y, angle, vx, vy, angularVelocity, scale, flags, restitution, friction, frictionAir, color, stretch, density, shape] = values;
+        const id = `link_${ids.length}`;
+        ids.push(id);
+        return {
+            id,
+            type: strings[type],
+            x: x / POSITION,
+            y: y / POSITION,
+            angle: angle / ANGLE,
+            vx: vx / VELOCITY,
+            vy: vy / VELOCITY,
+            angularVelocity: angularVelocity / ANGLE,
+            scale: scale / FACTOR,
+            // Older links end at the colour and leave these to the object factories
+            stretch: stretch === undefined ? 1 : stretch / FACTOR,
+            density: density === undefined || density < 0 ? null : density / DENSITY,
+            isExplosive: density === undefined ? undefined : (flags & FLAG_EXPLOSIVE) !== 0,
+            isStatic: (flags & FLAG_STATIC) !== 0,
+            restitution: restitution / FACTOR,
+            friction: friction / FACTOR,
+            frictionAir: frictionAir / FRICTION_AIR,
+            isFloaty: (flags & FLAG_FLOATY) !== 0,
+            color: strings[color],
+            spawnTime: null,
+            // Older links have no drawn shapes
+            shape: Array.isArray(shape)
+                ? {
+                    material: strings[shape[0]],
+                    vertices: unpackOutline(shape[1]),
+                }
+                : null,
+        };
+    };
+    const idOf = (index) => (index >= 0 ? ids[index] : null);
+
+    const [time, width, height, boundaryMode, gravityX, gravityY, timeScale] = world;
+    const [blackHoles, magnets, slowMotion, frozen] = special;
+    const [zones, flood] = fluids || [[], -1];
+
+    const unpackedBodies = bodies.map(unpackBody);
+    const unpackedGroups = groups.map(([type, scale, parts], i) => ({
+        id: `link_group_${i}`,
+        type: strings[type],
+        scale: scale / FACTOR,
+        parts: parts.map(unpackBody),
+    }));
+
+    return {
+        version: SNAPSHOT_VERSION,
+        time,
+        arena: { width, height },
+        boundaryMode: strings[boundaryMode],
+        gravity: { x: gravityX / FACTOR, y: gravityY / FACTOR },
+        timeScale: timeScale / FACTOR,
+        bodies: unpackedBodies,
+        groups: unpackedGroups,
+        constraints: constraints.map((values) => {
+            const [bodyA, bodyB, ax, ay, bx, by, length, stiffness, damping, label, visible, strokeStyle, lineWidth, jointType, joint] = values;
+            // Older links end at the line width and have no joints
+            const isJoint = jointType !== undefined && jointType >= 0;
+            return {
+                label: strings[label],
+                bodyA: idOf(bodyA),
+                bodyB: idOf(bodyB),
+                pointA: { x: ax / POSITION, y: ay / POSITION },
+                pointB: { x: bx / POSITION, y: by / POSITION },
+                length: length / POSITION,
+                stiffness: stiffness / FACTOR,
+                damping: damping / FACTOR,
+                render: { visible: visible === 1, strokeStyle: strings[strokeStyle], lineWidth: lineWidth / POSITION },
+                jointId: isJoint ? `link_joint_${joint}` : null,
+                jointType: isJoint ? strings[jointType] : null,
+            };
+        }),
+        special: {
+            blackHoles: blackHoles.map((values, i) => ({
+                id: `link_hole_${i}`,
+                x: values[0] / POSITION,
+                y: values[1] / POSITION,
+                radius: values[2] / POSITION,
+                pullRadius: values[3] / POSITION,
+                pullStrength: values[4] / FORCE,
+                age: values[5],
+                lifetime: values[6],
+                eventHorizon: values[7] / POSITION,
+                consumedIds: values[8].map(idOf),
+            })),
+            magnets: magnets.map((values, i) => ({
+                id: `link_magnet_${i}`,
+                x: values[0] / POSITION,
+                y: values[1] / POSITION,
+                angle: values[2] / ANGLE,
+                polarity: values[3],
+                strength: values[4] / FORCE,
+                range: values[5],
+            })),
+            slowMotion: slowMotion === 1,
+            frozen: frozen === 1,
+        },
+        chaos,
+        fluids: {
+            zones: zones.map((values, i) => ({ id: `link_water_${i}`, vertices: unpackOutline(values) })),
+            flood: Array.isArray(flood) ? { depth: flood[0] / POSITION, targetDepth: flood[1] / POSITION } : null,
+        },
+    };
+}
+
+// ============================================
+// BYTES
+// ============================================
+
+async function transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+// ============================================
+// LINKS
+// ============================================
+
+/**
+ * Pack a snapshot into the value of a scene link's hash parameter
+ * @returns {Promise<string>}
+ */
+export async function encodeSceneLink(snapshot) {
+    const json = JSON.stringify(packScene(snapshot));
+    const compressed = await transform(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+    return `${SCENES.LINK_VERSION}.${toBase64Url(compressed)}`;
+}
+
+/**
+ * Unpack a scene link's hash parameter into a snapshot for restoreWorld.
+ * Throws an Error saying whether the link is damaged or from another version.
+ * @returns {Promise<Object>}
+ */
+export async function decodeSceneLink(value) {
+    const separator = value.indexOf('.');
+    const linkVersion = Number(value.slice(0, separator));
+    if (separator <= 0 || !Number.isInteger(linkVersion)) {
+        throw new Error('This scene link is damaged - try copying it again');
+    }
+    if (linkVersion < OLDEST_LINK_VERSION || linkVersion > SCENES.LINK_VERSION) {
+        throw new Error('This scene link was made by a different version of the game');
+    }
+
+    let packed;
+    try {
+        const bytes = await transform(fromBase64Url(value.slice(separator + 1)), new DecompressionStream('deflate-raw'));
+        packed = JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+        throw new Error('This scene link is damaged - try copying it again');
+    }
+
+    // Links made since water was added always end with it, if only empty
+    if (!Array.isArray(packed) || (linkVersion >= WATER_LINK_VERSION && !Array.isArray(packed[8]))) {
+        throw new Error('This scene link is damaged - try copying it again');
+    }
+    if (packed[0] !== SNAPSHOT_VERSION) {
+        throw new Error('This scene link was made by a different version of the game');
+    }
+    try {
+        return unpackScene(packed);
+    } catch {
+        throw new Error('This scene link is damaged - try copying it again');
+    }
+}
+
+/**
+ * Full link to a scene on the game page
+ * @returns {Promise<string>}
+ */
+export async function getSceneLink(snapshot) {
+    const value = await encodeSceneLink(snapshot);
+    return `${window.location.origin}/game#${SCENES.LINK_PARAM}=${value}`;
+}
+
+/**
+ * The scene parameter from a URL hash like "#scene=...", or null
+ */
+export function getSceneLinkParam(hash) {
+    return new URLSearchParams(hash.replace(/^#/, '')).get(SCENES.LINK_PARAM);
+}